@@ -1,13 +1,35 @@
 #!/usr/bin/env node
 /**
  * Analyze PR files for accessibility violations using MCP server with ESLint
+ *
+ * Usage: node analyze-pr-mcp.js [baseline] [--mode fast|full|hybrid] [--base <ref>]
+ *                                  [--report all|introduced] [--fail-on-new] [--fix | --fix-dry-run]
+ *                                  [--concurrency <n|auto>] [--no-cache]
+ *   baseline       Analyze every tracked file and write the baseline file
+ *                  (config "baseline", default .a11y/baseline.json) instead of checking the PR
+ *   --mode         Overrides "mode" from .a11y/config.json (default: full)
+ *   --base         Ref the PR is compared against; overrides "baseRef" (default: origin/main)
+ *   --report       "introduced" keeps only violations on lines the PR added; overrides "report" (default: all)
+ *   --fail-on-new  Fail only when the PR adds errors missing from the baseline
+ *   --fix          Apply autofixes to the changed files, then report what is left
+ *   --fix-dry-run  Print the autofixes as a unified diff without writing files
+ *   --concurrency  Worker threads analyzing files in parallel; overrides "concurrency" (default: auto)
+ *   --no-cache     Analyze every file even if its result is cached (see "cache")
  */
 
 import fs from 'fs';
-import { execSync } from 'child_process';
+import { execSync, execFileSync } from 'child_process';
 import { fileURLToPath } from 'url';
 import path from 'path';
-import { analyzeFileHybrid } from './core/hybrid-analyzer.js';
+import { ANALYSIS_MODES } from './core/hybrid-analyzer.js';
+import { loadConfig, isIgnored, isConfiguredTokenFile, evaluateThresholds } from './core/config-loader.js';
+import { VIOLATION_SCHEMA_VERSION } from './core/violation.js';
+import { loadBaseline, writeBaseline, createBaseline, compareToBaseline } from './core/baseline.js';
+import { getAddedLines, tagViolations, assertBaseRef, DIFF_REPORTS } from './core/diff.js';
+import { fixContent, createUnifiedDiff } from './core/autofix.js';
+import { ANALYZABLE_FILE } from './core/file-finder.js';
+import { createAnalysisPool } from './core/worker-pool.js';
+import { pruneCache } from './core/result-cache.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -27,6 +49,136 @@ function resolveRepoRoot() {
   return process.cwd() || path.resolve(__dirname, '../..');
 }
 
+/**
+ * Read --<name> <value> or --<name>=<value> from the command line
+ * @param {string[]} [allowed] - Valid values; anything else exits with an error
+ */
+function parseOptionArg(argv, name, allowed) {
+  const flag = `--${name}`;
+  const index = argv.findIndex(arg => arg === flag || arg.startsWith(`${flag}=`));
+  if (index === -1) return null;
+  const value = argv[index].includes('=') ? argv[index].slice(flag.length + 1) : argv[index + 1];
+  if (!value || (allowed && !allowed.includes(value))) {
+    const expected = allowed ? `Expected one of: ${allowed.join(', ')}` : 'Expected a value';
+    console.error(`❌ Invalid ${flag} "${value ?? ''}". ${expected}`);
+    process.exit(1);
+  }
+  return value;
+}
+
+/**
+ * Files changed on this branch (since its merge base with baseRef),
+ * plus uncommitted and untracked files
+ */
+function listChangedFiles(rootDir, baseRef) {
+  try {
+    // Get both committed changes and uncommitted changes
+    const committedOutput = execFileSync('git', ['diff', '--name-only', `${baseRef}...HEAD`], {
+      encoding: 'utf8',
+      cwd: rootDir
+    });
+    const uncommittedOutput = execSync('git diff --name-only', {
+      encoding: 'utf8',
+      cwd: rootDir
+    });
+    const untrackedOutput = execSync('git ls-files --others --exclude-standard', {
+      encoding: 'utf8',
+      cwd: rootDir
+    });
+
+    const committed = committedOutput.split('\n').filter(f => f.trim() !== '');
+    const uncommitted = uncommittedOutput.split('\n').filter(f => f.trim() !== '');
+    const untracked = untrackedOutput.split('\n').filter(f => f.trim() !== '');
+
+    // Combine and deduplicate
+    return [...new Set([...committed, ...uncommitted, ...untracked])];
+  } catch (error) {
+    console.log('⚠️  Could not detect changed files.');
+    return [];
+  }
+}
+
+/**
+ * Every tracked and untracked (but not git-ignored) file, for baselining
+ */
+function listAllFiles(rootDir) {
+  try {
+    const output = execSync('git ls-files --cached --others --exclude-standard', {
+      encoding: 'utf8',
+      cwd: rootDir,
+      maxBuffer: 64 * 1024 * 1024
+    });
+    return [...new Set(output.split('\n').filter(f => f.trim() !== ''))];
+  } catch (error) {
+    console.log('⚠️  Could not list repository files.');
+    return [];
+  }
+}
+
+/**
+ * Keep analyzable files that exist and are not matched by config ignore globs
+ */
+function selectFiles(files, rootDir, config) {
+  const candidateFiles = files.filter(f =>
+    (ANALYZABLE_FILE.test(f) || isConfiguredTokenFile(f, config)) && fs.existsSync(path.join(rootDir, f))
+  );
+
+  const relevantFiles = candidateFiles.filter(f => !isIgnored(f, config));
+  const ignoredFiles = candidateFiles.length - relevantFiles.length;
+  if (ignoredFiles > 0) {
+    console.log(`🙈 Skipping ${ignoredFiles} file(s) matched by ignore patterns`);
+  }
+  return relevantFiles;
+}
+
+/**
+ * Run the hybrid analyzer over each file on the worker pool
+ * @param {object} analysis - { pool, config, mode, cache }
+ * @returns {Promise<Array<{filePath: string, violations: Array}>>} One entry per analyzed file, in input order
+ */
+async function analyzeFiles(files, rootDir, { pool, config, mode, cache }) {
+  return Promise.all(files.map(async filePath => {
+    const content = fs.readFileSync(path.join(rootDir, filePath), 'utf8');
+    // Analyze using hybrid analyzer (regex pass + ESLint/Babel/PostCSS/htmlparser2)
+    const violations = await pool.analyze(content, filePath, { config, mode, cache });
+    return { filePath, violations };
+  }));
+}
+
+/**
+ * Apply autofixes to each file
+ * @param {object} analysis - { pool, config, mode, cache }
+ * @param {boolean} dryRun - Print a unified diff instead of writing the files
+ * @returns {Promise<number>} Number of violations fixed
+ */
+async function fixFiles(files, rootDir, { pool, config, mode, cache }, dryRun) {
+  const fixes = await Promise.all(files.map(async filePath => {
+    const content = fs.readFileSync(path.join(rootDir, filePath), 'utf8');
+    const { output, applied } = await fixContent(content, text => pool.analyze(text, filePath, { config, mode, cache }));
+    return { filePath, content, output, applied };
+  }));
+
+  let fixed = 0;
+  for (const { filePath, content, output, applied } of fixes) {
+    if (output === content) continue;
+    const absolutePath = path.join(rootDir, filePath);
+
+    fixed += applied.length;
+    if (dryRun) {
+      process.stdout.write(createUnifiedDiff(filePath, content, output));
+    } else {
+      fs.writeFileSync(absolutePath, output);
+      console.log(`  🔧 ${filePath}: ${applied.length} fix(es) applied`);
+    }
+  }
+  return fixed;
+}
+
+function countViolations(violations) {
+  const errors = violations.filter(v => v.severity === 'error').length;
+  return { totalViolations: violations.length, errors, warnings: violations.length - errors };
+}
+
 const rootDir = resolveRepoRoot();
 const defaultResultsPath = path.join(__dirname, 'a11y-results.json');
 const repoResultsDir = path.join(rootDir, '.github', 'a11y-reviewer');
@@ -34,46 +186,70 @@ const resultsPath = fs.existsSync(repoResultsDir)
   ? path.join(repoResultsDir, 'a11y-results.json')
   : defaultResultsPath;
 
+/**
+ * Snapshot every current finding into the baseline file
+ */
+async function writeRepoBaseline(analysis) {
+  const { config } = analysis;
+  const baselinePath = path.resolve(config.rootDir, config.baseline);
+  console.log('📁 Listing repository files...');
+  const files = selectFiles(listAllFiles(rootDir), rootDir, config);
+  console.log(`📊 Analyzing ${files.length} files for the baseline...`);
+
+  const fileResults = await analyzeFiles(files, rootDir, analysis);
+  const baseline = createBaseline(fileResults);
+  writeBaseline(baselinePath, baseline);
+
+  const total = baseline.entries.reduce((sum, entry) => sum + entry.count, 0);
+  console.log(`\n✅ Baseline written to ${path.relative(rootDir, baselinePath)}`);
+  console.log(`📊 ${total} violation(s) in ${new Set(baseline.entries.map(e => e.filePath)).size} file(s) recorded. Commit this file.`);
+}
+
 async function analyzePR() {
   try {
-    console.log('📁 Detecting changed files in PR...');
-    
-    // Get changed files from git (run from repo root)
-    let changedFiles = [];
-    try {
-      // Get both committed changes and uncommitted changes
-      const committedOutput = execSync('git diff --name-only origin/main...HEAD', {
-        encoding: 'utf8',
-        cwd: rootDir
-      });
-      const uncommittedOutput = execSync('git diff --name-only', {
-        encoding: 'utf8',
-        cwd: rootDir
-      });
-      const untrackedOutput = execSync('git ls-files --others --exclude-standard', {
-        encoding: 'utf8',
-        cwd: rootDir
-      });
-      
-      const committed = committedOutput.split('\n').filter(f => f.trim() !== '');
-      const uncommitted = uncommittedOutput.split('\n').filter(f => f.trim() !== '');
-      const untracked = untrackedOutput.split('\n').filter(f => f.trim() !== '');
-      
-      // Combine and deduplicate
-      changedFiles = [...new Set([...committed, ...uncommitted, ...untracked])];
-    } catch (error) {
-      console.log('⚠️  Could not detect changed files.');
-      changedFiles = [];
-    }
-
-    // Filter for relevant file types
-    const relevantFiles = changedFiles.filter(f => 
-      /\.(jsx?|tsx?|html?|css|scss)$/i.test(f) && fs.existsSync(path.join(rootDir, f))
-    );
+    const argv = process.argv.slice(2);
+    const config = loadConfig({ cwd: rootDir });
+    if (config.configPath) {
+      console.log(`⚙️  Using config ${path.relative(rootDir, config.configPath)}`);
+    } else {
+      console.log('⚙️  No .a11y/config.json found, using defaults');
+    }
+    const mode = parseOptionArg(argv, 'mode', ANALYSIS_MODES) || config.mode;
+    console.log(`🔀 Analysis mode: ${mode}`);
+    // Workers are stopped by process.exit at the end of the run
+    const pool = createAnalysisPool({ concurrency: parseOptionArg(argv, 'concurrency') || config.concurrency });
+    console.log(`🧵 Concurrency: ${pool.concurrency}`);
+    // Results of unchanged files are reused across runs (restored by actions/cache in CI)
+    const cache = config.cache && !argv.includes('--no-cache') ? path.resolve(config.rootDir, config.cache) : null;
+    if (cache) {
+      const pruned = pruneCache(cache);
+      console.log(`♻️  Result cache: ${path.relative(rootDir, cache)}${pruned > 0 ? ` (${pruned} stale entries removed)` : ''}`);
+    }
+    const analysis = { pool, config, mode, cache };
+
+    if (argv[0] === 'baseline') {
+      await writeRepoBaseline(analysis);
+      process.exit(0);
+    }
+
+    const failOnNew = argv.includes('--fail-on-new') || config.failOnNew;
+    const baselinePath = path.resolve(config.rootDir, config.baseline);
+    const baseline = loadBaseline(baselinePath);
+    if (baseline) {
+      console.log(`📌 Comparing against baseline ${path.relative(rootDir, baselinePath)} (${baseline.entries.length} fingerprint(s))`);
+    }
+
+    const baseRef = parseOptionArg(argv, 'base') || config.baseRef;
+    assertBaseRef(baseRef);
+    const report = parseOptionArg(argv, 'report', DIFF_REPORTS) || config.report;
+    console.log(`📁 Detecting files changed since ${baseRef}...`);
+    const relevantFiles = selectFiles(listChangedFiles(rootDir, baseRef), rootDir, config);
 
     if (relevantFiles.length === 0) {
       console.log('ℹ️  No relevant files to analyze.');
       const results = {
+        schemaVersion: VIOLATION_SCHEMA_VERSION,
+        mode,
         analyzedFiles: 0,
         filesWithViolations: 0,
         summary: {
@@ -81,65 +257,110 @@ async function analyzePR() {
           errors: 0,
           warnings: 0
         },
+        thresholds: evaluateThresholds({ errors: 0, warnings: 0 }, config, { failOnNew }),
         files: []
       };
       fs.writeFileSync(resultsPath, JSON.stringify(results, null, 2));
       process.exit(0);
     }
 
-    console.log(`📊 Analyzing ${relevantFiles.length} files for accessibility violations...`);
+    if (argv.includes('--fix-dry-run')) {
+      const fixable = await fixFiles(relevantFiles, rootDir, analysis, true);
+      console.log(`\n🔧 ${fixable} violation(s) can be fixed automatically (run with --fix to apply)`);
+      process.exit(0);
+    }
+    if (argv.includes('--fix')) {
+      console.log(`🔧 Applying autofixes to ${relevantFiles.length} files...`);
+      const fixed = await fixFiles(relevantFiles, rootDir, analysis, false);
+      console.log(`🔧 ${fixed} violation(s) fixed`);
+    }
 
-    let totalViolations = 0;
-    let totalErrors = 0;
-    let totalWarnings = 0;
-    const fileResults = [];
+    console.log(`📊 Analyzing ${relevantFiles.length} files for accessibility violations...`);
 
-    // Use ESLint-based analysis
-    for (const filePath of relevantFiles) {
-      const fullPath = path.join(rootDir, filePath);
-      const content = fs.readFileSync(fullPath, 'utf8');
-      
-      // Analyze using hybrid analyzer (ESLint + jsx-a11y)
-      const violations = await analyzeFileHybrid(content, filePath);
+    let analyzed = await analyzeFiles(relevantFiles, rootDir, analysis);
 
-      const errors = violations.filter(v => v.severity === 'error').length;
-      const warnings = violations.filter(v => v.severity === 'warning').length;
+    let baselineSummary = null;
+    if (baseline) {
+      // Only findings missing from the baseline are reported
+      const comparison = compareToBaseline(analyzed, baseline, { analyzedFiles: relevantFiles });
+      analyzed = comparison.fileResults;
+      baselineSummary = {
+        path: path.relative(rootDir, baselinePath),
+        existing: comparison.existing,
+        fixed: comparison.fixed.reduce((sum, entry) => sum + entry.count, 0),
+        fixedViolations: comparison.fixed
+      };
+    }
 
-      totalViolations += violations.length;
-      totalErrors += errors;
-      totalWarnings += warnings;
+    // Tag each violation by whether it touches a line this PR added
+    const addedLines = getAddedLines(rootDir, baseRef);
+    let diffSummary = null;
+    if (addedLines) {
+      analyzed = analyzed.map(result => ({
+        ...result,
+        violations: tagViolations(result.violations, addedLines.get(result.filePath))
+      }));
+      const tagged = analyzed.flatMap(result => result.violations);
+      const introduced = tagged.filter(v => v.change === 'introduced').length;
+      diffSummary = { baseRef, report, introduced, preExisting: tagged.length - introduced };
+      if (report === 'introduced') {
+        analyzed = analyzed.map(result => ({
+          ...result,
+          violations: result.violations.filter(v => v.change === 'introduced')
+        }));
+      }
+    } else {
+      console.log(`⚠️  Could not diff against ${baseRef}; reporting all violations in changed files`);
+    }
 
+    const fileResults = [];
+    for (const filePath of relevantFiles) {
+      const violations = analyzed.find(result => result.filePath === filePath)?.violations || [];
       if (violations.length > 0) {
-        fileResults.push({
-          filePath,
-          violations,
-          summary: {
-            totalViolations: violations.length,
-            errors,
-            warnings
-          }
-        });
-        console.log(`  ❌ ${filePath}: ${violations.length} violation(s)`);
+        fileResults.push({ filePath, violations, summary: countViolations(violations) });
+        console.log(`  ❌ ${filePath}: ${violations.length} ${baseline ? 'new ' : ''}violation(s)`);
       } else {
-        console.log(`  ✅ ${filePath}: No violations`);
+        console.log(`  ✅ ${filePath}: No ${baseline ? 'new ' : ''}violations`);
       }
     }
 
+    const summary = countViolations(fileResults.flatMap(result => result.violations));
+    const thresholds = evaluateThresholds(summary, config, { failOnNew });
+
     // Write results
     const results = {
+      schemaVersion: VIOLATION_SCHEMA_VERSION,
+      mode,
       analyzedFiles: relevantFiles.length,
       filesWithViolations: fileResults.length,
-      summary: {
-        totalViolations,
-        errors: totalErrors,
-        warnings: totalWarnings
-      },
+      summary,
+      ...(diffSummary && { diff: diffSummary }),
+      ...(baselineSummary && { baseline: baselineSummary }),
+      thresholds,
       files: fileResults
     };
 
     fs.writeFileSync(resultsPath, JSON.stringify(results, null, 2));
     console.log('\n✅ Analysis complete!');
-    console.log(`📊 Total: ${totalViolations} violations (${totalErrors} errors, ${totalWarnings} warnings)`);
+    console.log(`📊 Total: ${summary.totalViolations} ${baseline ? 'new ' : ''}violations (${summary.errors} errors, ${summary.warnings} warnings)`);
+    if (diffSummary) {
+      const hidden = diffSummary.report === 'introduced' ? ' (not reported)' : '';
+      console.log(`🧮 Diff: ${diffSummary.introduced} introduced, ${diffSummary.preExisting} pre-existing${hidden}`);
+    }
+    if (baselineSummary) {
+      console.log(`📌 Baseline: ${baselineSummary.existing} existing violation(s) not reported, ${baselineSummary.fixed} fixed 🎉`);
+    }
+
+    if (thresholds.breaches.length > 0) {
+      thresholds.breaches.forEach(breach => console.log(`  ⚠️  ${breach}`));
+    }
+    if (!thresholds.passed) {
+      console.log('❌ Failure thresholds exceeded');
+      process.exit(1);
+    }
+    if (thresholds.breaches.length > 0) {
+      console.log('ℹ️  strictMode is off - thresholds are advisory only');
+    }
 
     process.exit(0);
   } catch (error) {
@@ -0,0 +1,50 @@
+#!/usr/bin/env node
+/**
+ * Post accessibility results to a pull request as a review with inline comments
+ *
+ * Usage: node post-pr-review.js [results]
+ *   results  a11y-results.json from analyze-pr-mcp.js (default: next to this script)
+ *
+ * Environment:
+ *   GITHUB_TOKEN       Token with pull-requests: write
+ *   GITHUB_REPOSITORY  owner/repo
+ *   PR_NUMBER          Pull request number
+ *   HEAD_SHA           Commit the review is attached to (the PR head)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { Octokit } from '@octokit/rest';
+import { publishReview } from './core/github-reporter.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+async function main() {
+  const resultsPath = path.resolve(process.argv[2] || path.join(__dirname, 'a11y-results.json'));
+  const { GITHUB_TOKEN, GITHUB_REPOSITORY, PR_NUMBER, HEAD_SHA } = process.env;
+
+  if (!fs.existsSync(resultsPath)) {
+    console.log('⚠️  No results file found. Skipping review.');
+    return;
+  }
+  // Number('') and Number(' ') are 0, so check the digits themselves
+  const pullNumber = /^\d+$/.test(PR_NUMBER || '') ? Number(PR_NUMBER) : 0;
+  if (!GITHUB_TOKEN || !GITHUB_REPOSITORY || pullNumber < 1 || !HEAD_SHA) {
+    console.log('ℹ️  Not a pull request run (GITHUB_TOKEN, GITHUB_REPOSITORY, PR_NUMBER and HEAD_SHA are required). Skipping review.');
+    return;
+  }
+
+  const results = JSON.parse(fs.readFileSync(resultsPath, 'utf8'));
+  const [owner, repo] = GITHUB_REPOSITORY.split('/');
+  const octokit = new Octokit({ auth: GITHUB_TOKEN });
+
+  await publishReview(octokit, results, { owner, repo, pullNumber, commitId: HEAD_SHA });
+  console.log('✅ Posted accessibility review to PR');
+}
+
+main().catch(error => {
+  console.error('❌ Could not post review:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+/**
+ * Convert accessibility results to SARIF 2.1.0 for GitHub code scanning
+ *
+ * Usage: node sarif-report.js [input] [output]
+ *   input   a11y-results.json from analyze-pr-mcp.js, or saved
+ *           check_accessibility_batch output (default: a11y-results.json next to this script)
+ *   output  SARIF file to write (default: input with a .sarif extension)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { toSarif } from './core/sarif-reporter.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+function readToolVersion() {
+  for (const candidate of [path.join(__dirname, 'package.json'), path.join(__dirname, '..', 'package.json')]) {
+    if (fs.existsSync(candidate)) {
+      return JSON.parse(fs.readFileSync(candidate, 'utf8')).version;
+    }
+  }
+  return undefined;
+}
+
+function main() {
+  const [inputArg, outputArg] = process.argv.slice(2);
+  const inputPath = path.resolve(inputArg || path.join(__dirname, 'a11y-results.json'));
+  const outputPath = path.resolve(outputArg || inputPath.replace(/\.json$/i, '') + '.sarif');
+
+  if (!fs.existsSync(inputPath)) {
+    console.error(`❌ Results file not found: ${inputPath}`);
+    process.exit(1);
+  }
+
+  let results;
+  try {
+    results = JSON.parse(fs.readFileSync(inputPath, 'utf8'));
+  } catch (error) {
+    console.error(`❌ Could not read ${inputPath}: ${error.message}`);
+    process.exit(1);
+  }
+
+  const sarif = toSarif(results, { toolVersion: readToolVersion() });
+  fs.writeFileSync(outputPath, JSON.stringify(sarif, null, 2));
+  console.log(`✅ Wrote ${sarif.runs[0].results.length} result(s) to ${path.relative(process.cwd(), outputPath)}`);
+}
+
+main();
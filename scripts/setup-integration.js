@@ -39,7 +39,39 @@ const filesToCopy = [
   { src: 'src/core/regex-analyzer.js', dst: path.join(a11yDir, 'core', 'regex-analyzer.js') },
   { src: 'src/core/html-analyzer.js', dst: path.join(a11yDir, 'core', 'html-analyzer.js') },
   { src: 'src/core/css-analyzer.js', dst: path.join(a11yDir, 'core', 'css-analyzer.js') },
+  { src: 'src/core/color.js', dst: path.join(a11yDir, 'core', 'color.js') },
+  { src: 'src/core/cascade.js', dst: path.join(a11yDir, 'core', 'cascade.js') },
+  { src: 'src/core/media-queries.js', dst: path.join(a11yDir, 'core', 'media-queries.js') },
+  { src: 'src/core/page-analyzer.js', dst: path.join(a11yDir, 'core', 'page-analyzer.js') },
+  { src: 'src/core/custom-properties.js', dst: path.join(a11yDir, 'core', 'custom-properties.js') },
+  { src: 'src/core/token-analyzer.js', dst: path.join(a11yDir, 'core', 'token-analyzer.js') },
+  { src: 'src/core/style-syntax.js', dst: path.join(a11yDir, 'core', 'style-syntax.js') },
+  { src: 'src/core/css-in-js.js', dst: path.join(a11yDir, 'core', 'css-in-js.js') },
+  { src: 'src/core/sfc-blocks.js', dst: path.join(a11yDir, 'core', 'sfc-blocks.js') },
+  { src: 'src/core/vue-analyzer.js', dst: path.join(a11yDir, 'core', 'vue-analyzer.js') },
+  { src: 'src/core/svelte-analyzer.js', dst: path.join(a11yDir, 'core', 'svelte-analyzer.js') },
+  { src: 'src/core/angular-analyzer.js', dst: path.join(a11yDir, 'core', 'angular-analyzer.js') },
+  { src: 'src/core/template-preprocessor.js', dst: path.join(a11yDir, 'core', 'template-preprocessor.js') },
+  { src: 'src/core/markdown-analyzer.js', dst: path.join(a11yDir, 'core', 'markdown-analyzer.js') },
+  { src: 'src/core/config-loader.js', dst: path.join(a11yDir, 'core', 'config-loader.js') },
+  { src: 'src/core/config.schema.json', dst: path.join(a11yDir, 'core', 'config.schema.json') },
+  { src: 'src/core/violation.js', dst: path.join(a11yDir, 'core', 'violation.js') },
+  { src: 'src/core/violation.schema.json', dst: path.join(a11yDir, 'core', 'violation.schema.json') },
+  { src: 'src/core/rule-registry.js', dst: path.join(a11yDir, 'core', 'rule-registry.js') },
+  { src: 'src/core/wcag.js', dst: path.join(a11yDir, 'core', 'wcag.js') },
+  { src: 'src/core/suppressions.js', dst: path.join(a11yDir, 'core', 'suppressions.js') },
+  { src: 'src/core/baseline.js', dst: path.join(a11yDir, 'core', 'baseline.js') },
+  { src: 'src/core/diff.js', dst: path.join(a11yDir, 'core', 'diff.js') },
+  { src: 'src/core/sarif-reporter.js', dst: path.join(a11yDir, 'core', 'sarif-reporter.js') },
+  { src: 'src/core/github-reporter.js', dst: path.join(a11yDir, 'core', 'github-reporter.js') },
+  { src: 'src/core/autofix.js', dst: path.join(a11yDir, 'core', 'autofix.js') },
+  { src: 'src/core/file-finder.js', dst: path.join(a11yDir, 'core', 'file-finder.js') },
+  { src: 'src/core/worker-pool.js', dst: path.join(a11yDir, 'core', 'worker-pool.js') },
+  { src: 'src/core/analysis-worker.js', dst: path.join(a11yDir, 'core', 'analysis-worker.js') },
+  { src: 'src/core/result-cache.js', dst: path.join(a11yDir, 'core', 'result-cache.js') },
   { src: 'scripts/analyze-pr-mcp.js', dst: path.join(a11yDir, 'analyze-pr-mcp.js') },
+  { src: 'scripts/sarif-report.js', dst: path.join(a11yDir, 'sarif-report.js') },
+  { src: 'scripts/post-pr-review.js', dst: path.join(a11yDir, 'post-pr-review.js') },
   { src: 'scripts/mcp-client.js', dst: path.join(a11yDir, 'mcp-client.js') }
 ];
 
@@ -88,13 +120,24 @@ if (fs.existsSync(packageJsonPath)) {
       '@eslint/js': packageJson.dependencies['@eslint/js'],
       '@modelcontextprotocol/sdk': packageJson.dependencies['@modelcontextprotocol/sdk'],
       '@octokit/rest': packageJson.dependencies['@octokit/rest'],
+      'ajv': packageJson.dependencies['ajv'],
+      'css-select': packageJson.dependencies['css-select'],
+      'diff': packageJson.dependencies['diff'],
       'domhandler': packageJson.dependencies['domhandler'],
       'eslint': packageJson.dependencies['eslint'],
       'eslint-plugin-jsx-a11y': packageJson.dependencies['eslint-plugin-jsx-a11y'],
       'eslint-plugin-react': packageJson.dependencies['eslint-plugin-react'],
       'htmlparser2': packageJson.dependencies['htmlparser2'],
+      'mdast-util-from-markdown': packageJson.dependencies['mdast-util-from-markdown'],
+      'mdast-util-gfm-table': packageJson.dependencies['mdast-util-gfm-table'],
+      'mdast-util-mdx': packageJson.dependencies['mdast-util-mdx'],
+      'micromark-extension-gfm-table': packageJson.dependencies['micromark-extension-gfm-table'],
+      'micromark-extension-mdxjs': packageJson.dependencies['micromark-extension-mdxjs'],
+      'minimatch': packageJson.dependencies['minimatch'],
       'postcss': packageJson.dependencies['postcss'],
-      'postcss-scss': packageJson.dependencies['postcss-scss']
+      'postcss-less': packageJson.dependencies['postcss-less'],
+      'postcss-scss': packageJson.dependencies['postcss-scss'],
+      'postcss-styl': packageJson.dependencies['postcss-styl']
     }
   };
   
@@ -125,9 +168,10 @@ if (!fs.existsSync(configDir)) {
 }
 
 const defaultConfig = {
-  "$schema": "https://a11y-reviewer.internal/schema/v1",
+  "$schema": "https://raw.githubusercontent.com/berucha-lilly/a11y-reviewer/main/src/core/config.schema.json",
   "wcagLevel": "AA",
   "wcagVersion": "2.2",
+  "mode": "full",
   "strictMode": true,
   "rules": {
     "aria-required": { "enabled": true, "severity": "error" },
@@ -209,6 +253,8 @@ if (fs.existsSync(gitignorePath)) {
 const entries = [
   '.github/a11y-reviewer/node_modules',
   '.github/a11y-reviewer/a11y-results.json',
+  '.github/a11y-reviewer/a11y-results.sarif',
+  '.github/a11y-reviewer/.cache',
   '.a11y/cache',
   'a11y-results.json'
 ];
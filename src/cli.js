@@ -0,0 +1,228 @@
+#!/usr/bin/env node
+/**
+ * a11y-review: Check files for accessibility violations from any shell or CI
+ * - Takes files, directories and globs; runs analyzeFileHybrid on each
+ * - Uses .a11y/config.json like the PR workflow; --rule and --max-warnings override it
+ * - Options and exit codes: see USAGE
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { fileURLToPath } from 'url';
+import { ANALYSIS_MODES } from './core/hybrid-analyzer.js';
+import { loadConfig, withRuleOverrides, evaluateThresholds } from './core/config-loader.js';
+import { VIOLATION_SCHEMA_VERSION } from './core/violation.js';
+import { findFiles } from './core/file-finder.js';
+import { formatResults, FORMATS } from './core/formatters.js';
+import { fixContent } from './core/autofix.js';
+import { createAnalysisPool, resolveConcurrency } from './core/worker-pool.js';
+import { DEFAULT_CACHE_DIR, pruneCache } from './core/result-cache.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const EXIT_OK = 0;
+export const EXIT_FAILED = 1;
+export const EXIT_ERROR = 2;
+
+const USAGE = `Usage: a11y-review [options] [file|dir|glob ...]    (default: .)
+  -f, --format <name>       stylish (default), json, sarif, junit or markdown
+  -o, --output-file <path>  Write the report to a file instead of stdout
+  --max-warnings <n>        Fail when there are more than n warnings (overrides failureThresholds.warning)
+  --rule <rule>:<level>     Set a ruleId or rule group to off, warning or error (repeatable)
+  --mode <mode>             fast, full or hybrid (overrides "mode" from .a11y/config.json)
+  --page                    Also check HTML pages against the stylesheets and scripts they load
+  -c, --config <path>       Config file to use instead of searching for .a11y/config.json
+  --fix                     Apply autofixes to the files, then report what is left
+  --concurrency <n|auto>    Worker threads analyzing files in parallel (overrides "concurrency", default: auto)
+  --cache                   Reuse results for unchanged files from earlier runs
+  --cache-location <dir>    Cache directory (default: "cache" from the config, or ${DEFAULT_CACHE_DIR})
+  -h, --help                Show this help
+  -v, --version             Print the version
+
+Exit codes:
+  0  No failureThresholds exceeded (or strictMode is off)
+  1  failureThresholds exceeded
+  2  Invalid arguments or config, no matching files, or a file could not be analyzed
+`;
+
+const cliOptions = {
+  format: { type: 'string', short: 'f', default: 'stylish' },
+  'output-file': { type: 'string', short: 'o' },
+  'max-warnings': { type: 'string' },
+  rule: { type: 'string', multiple: true, default: [] },
+  mode: { type: 'string' },
+  page: { type: 'boolean', default: false },
+  config: { type: 'string', short: 'c' },
+  fix: { type: 'boolean', default: false },
+  concurrency: { type: 'string' },
+  cache: { type: 'boolean', default: false },
+  'cache-location': { type: 'string' },
+  help: { type: 'boolean', short: 'h', default: false },
+  version: { type: 'boolean', short: 'v', default: false },
+};
+
+class UsageError extends Error {}
+
+function readVersion() {
+  return JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'package.json'), 'utf8')).version;
+}
+
+/**
+ * --rule values ("img-missing-alt:off", "forms:warning") as config rule settings
+ */
+function parseRuleOverrides(values) {
+  const overrides = {};
+  for (const value of values) {
+    const separator = value.lastIndexOf(':');
+    if (separator <= 0) {
+      throw new UsageError(`Invalid --rule "${value}" (expected <ruleId or group>:<off|warning|error>)`);
+    }
+    overrides[value.slice(0, separator).trim()] = value.slice(separator + 1).trim();
+  }
+  return overrides;
+}
+
+function parseMaxWarnings(value) {
+  if (value === undefined) return undefined;
+  if (!/^\d+$/.test(value)) {
+    throw new UsageError(`Invalid --max-warnings "${value}" (expected a non-negative integer)`);
+  }
+  return Number(value);
+}
+
+function countViolations(violations) {
+  const errors = violations.filter(v => v.severity === 'error').length;
+  return { totalViolations: violations.length, errors, warnings: violations.length - errors };
+}
+
+/**
+ * Analyze (and with --fix, fix) one file
+ */
+async function checkFile(absolutePath, filePath, { pool, config, mode, cache, page, fix }) {
+  try {
+    const content = fs.readFileSync(absolutePath, 'utf8');
+    const analyze = text => pool.analyze(text, filePath, { config, mode, cache, page });
+    let violations;
+    if (fix) {
+      const { output, applied, remaining } = await fixContent(content, analyze);
+      if (output !== content) {
+        fs.writeFileSync(absolutePath, output);
+        console.error(`🔧 ${filePath}: ${applied.length} fix(es) applied`);
+      }
+      violations = remaining;
+    } else {
+      violations = await analyze(content);
+    }
+    return { filePath, violations, summary: countViolations(violations) };
+  } catch (error) {
+    return { filePath, error: error.message, violations: [] };
+  }
+}
+
+/**
+ * Run the CLI
+ * @param {string[]} argv - Arguments after the program name
+ * @param {object} [options]
+ * @param {string} [options.cwd] - Directory patterns and the config search start from
+ * @returns {Promise<number>} Exit code
+ */
+export async function run(argv, { cwd = process.cwd() } = {}) {
+  let values;
+  let positionals;
+  let config;
+  let maxWarnings;
+  let concurrency;
+  try {
+    ({ values, positionals } = parseArgs({ args: argv, options: cliOptions, allowPositionals: true }));
+    if (values.help) {
+      process.stdout.write(USAGE);
+      return EXIT_OK;
+    }
+    if (values.version) {
+      console.log(readVersion());
+      return EXIT_OK;
+    }
+    if (!FORMATS.includes(values.format)) {
+      throw new UsageError(`Unknown format "${values.format}" (expected ${FORMATS.join(', ')})`);
+    }
+    if (values.mode !== undefined && !ANALYSIS_MODES.includes(values.mode)) {
+      throw new UsageError(`Unknown mode "${values.mode}" (expected ${ANALYSIS_MODES.join(', ')})`);
+    }
+    maxWarnings = parseMaxWarnings(values['max-warnings']);
+    config = withRuleOverrides(loadConfig({ cwd, configPath: values.config }), parseRuleOverrides(values.rule));
+    concurrency = resolveConcurrency(values.concurrency ?? config.concurrency);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    if (error instanceof UsageError || error.code?.startsWith('ERR_PARSE_ARGS')) {
+      console.error('Run a11y-review --help for usage.');
+    }
+    return EXIT_ERROR;
+  }
+
+  const mode = values.mode || config.mode;
+  // Opt-in: unlike the PR workflow, the CLI runs in trees that may not ignore the cache directory
+  let cache = null;
+  if (values.cache) {
+    cache = path.resolve(cwd, values['cache-location'] || config.cache || DEFAULT_CACHE_DIR);
+    pruneCache(cache);
+  }
+
+  const patterns = positionals.length > 0 ? positionals : ['.'];
+  const { files, unmatched } = findFiles(patterns, { cwd, config });
+  if (unmatched.length > 0) {
+    console.error(`❌ No files matching ${unmatched.map(pattern => `"${pattern}"`).join(', ')}`);
+    return EXIT_ERROR;
+  }
+
+  // Never more workers than files
+  const pool = createAnalysisPool({ concurrency: Math.max(1, Math.min(concurrency, files.length)) });
+  let fileResults;
+  try {
+    fileResults = await Promise.all(files.map(absolutePath => {
+      const filePath = path.relative(cwd, absolutePath).split(path.sep).join('/');
+      return checkFile(absolutePath, filePath, { pool, config, mode, cache, page: values.page, fix: values.fix });
+    }));
+  } finally {
+    await pool.close();
+  }
+
+  const summary = countViolations(fileResults.flatMap(result => result.violations));
+  const results = {
+    schemaVersion: VIOLATION_SCHEMA_VERSION,
+    mode,
+    analyzedFiles: fileResults.length,
+    filesWithViolations: fileResults.filter(result => result.violations.length > 0).length,
+    summary,
+    // No baseline is loaded here, so config.failOnNew has nothing to compare against
+    thresholds: evaluateThresholds(summary, config, { failOnNew: false, maxWarnings }),
+    files: fileResults,
+  };
+
+  const report = formatResults(results, values.format, { toolVersion: readVersion(), srcRoot: cwd });
+  if (values['output-file']) {
+    const outputPath = path.resolve(cwd, values['output-file']);
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+    fs.writeFileSync(outputPath, report);
+  } else {
+    process.stdout.write(report);
+  }
+
+  const failedFiles = fileResults.filter(result => result.error);
+  if (failedFiles.length > 0) {
+    console.error(`❌ ${failedFiles.length} file(s) could not be analyzed`);
+    return EXIT_ERROR;
+  }
+  return results.thresholds.passed ? EXIT_OK : EXIT_FAILED;
+}
+
+// Run when executed directly (also through the npm bin symlink)
+if (process.argv[1] && fs.realpathSync(process.argv[1]) === __filename) {
+  run(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+  }).catch(error => {
+    console.error('❌ a11y-review failed:', error.message);
+    process.exitCode = EXIT_ERROR;
+  });
+}
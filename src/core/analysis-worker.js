@@ -0,0 +1,19 @@
+/**
+ * Analysis Worker: Runs analyzeFileHybrid for worker-pool.js
+ * Each worker keeps its analyzers (and the ESLint instance) warm across files.
+ *
+ * Message in:  { content, filePath, options: { config, mode, cache, page } }
+ * Message out: { violations } or { error }
+ */
+
+import { parentPort } from 'worker_threads';
+import { analyzeFileHybrid } from './hybrid-analyzer.js';
+
+parentPort.on('message', async ({ content, filePath, options }) => {
+  try {
+    const violations = await analyzeFileHybrid(content, filePath, options);
+    parentPort.postMessage({ violations });
+  } catch (error) {
+    parentPort.postMessage({ error: error.message });
+  }
+});
@@ -0,0 +1,60 @@
+/**
+ * Angular Analyzer: Checks Angular component templates
+ * - *.component.html files, and HTML files listed under templates.angular
+ *   in .a11y/config.json
+ * - html-analyzer.js rules as a fragment, with property bindings ([alt],
+ *   [attr.aria-label], bind-title) and event bindings ((click), on-keydown)
+ *   read as their plain HTML equivalents
+ * - Structural directives (*ngFor, *ngIf) and template references (#ref) are ignored
+ */
+
+import { analyzeHTML, BOUND_CONTENT } from './html-analyzer.js';
+import { boundValue } from './sfc-blocks.js';
+
+export const ANGULAR_TEMPLATE = /\.component\.html?$/i;
+
+// Properties that set an element's text, so it is not empty
+const CONTENT_PROPERTIES = ['innertext', 'innerhtml', 'textcontent'];
+
+/**
+ * Angular template attributes as plain HTML: [alt] / [attr.alt] / bind-alt → alt,
+ * [ariaLabel] → aria-label, (click) / (keydown.enter) / on-click → onclick, onkeydown.
+ * Bound values win over static ones; [class.x], [style.x], [(ngModel)],
+ * *directives, #refs and let- variables are dropped.
+ */
+export function mapAngularAttributes(attribs) {
+  const mapped = {};
+  const bound = {};
+  for (const [name, value] of Object.entries(attribs)) {
+    const event = /^(?:\(([\w-]+)(?:\.[\w.-]+)?\)|on-([\w-]+))$/.exec(name);
+    const property = /^(?:\[(?:attr\.)?([\w-]+)\]|bind-(?:attr\.)?([\w-]+))$/.exec(name);
+    if (event) {
+      mapped[`on${(event[1] || event[2]).toLowerCase()}`] = value || 'true';
+    } else if (property) {
+      const prop = (property[1] || property[2]).replace(/^aria(?=[A-Z])/, 'aria-').toLowerCase();
+      if (CONTENT_PROPERTIES.includes(prop)) {
+        bound[BOUND_CONTENT] = value;
+      } else {
+        bound[prop === 'htmlfor' ? 'for' : prop] = boundValue(value);
+      }
+    } else if (!/^[[(*#]|^let-/.test(name)) {
+      mapped[name] = value;
+    }
+  }
+  return { ...mapped, ...bound };
+}
+
+/**
+ * Analyze an Angular component template
+ * @param {string} content - Template source
+ * @param {string} [filePath] - Reported on each violation
+ * @param {object} [options]
+ * @param {object} [options.suppressions] - Shared createSuppressions() set (see suppressions.js)
+ */
+export async function analyzeAngularTemplate(content, filePath = 'unknown.component.html', options = {}) {
+  return analyzeHTML(content, filePath, {
+    ...options,
+    fragment: true,
+    mapAttributes: mapAngularAttributes,
+  });
+}
@@ -0,0 +1,122 @@
+/**
+ * Autofix: Applies the text edits analyzers attach to violations
+ * - Each fixable violation carries `autofix: { title, edits: [{ line, column, endLine, endColumn, text }] }`
+ * - Edits are applied in one pass; a fix that overlaps an earlier one is skipped
+ *   and picked up on the next run, as with `eslint --fix`
+ * - Results are returned as the patched file or a unified diff
+ * Analyzers attach raw edits as offsets ({ start, end, text }); violation.js
+ * turns them into line/column ranges.
+ */
+
+import { createTwoFilesPatch } from 'diff';
+import { createLocator } from './violation.js';
+
+// Same limit as eslint --fix
+export const MAX_FIX_PASSES = 10;
+
+// File names that usually mean an image carries no information
+const DECORATIVE_IMAGE_SRC = /(spacer|divider|separator|decor|ornament|flourish|background|[-_]bg\b|shadow|border)/i;
+
+/**
+ * Images hidden from assistive technology, or named like decoration, can be
+ * fixed with alt="" without knowing what they show
+ * @param {object} attrs - Attribute values by lowercase name
+ */
+export function isLikelyDecorative(attrs) {
+  return attrs.role === 'presentation'
+    || attrs.role === 'none'
+    || attrs['aria-hidden'] === 'true'
+    || DECORATIVE_IMAGE_SRC.test(attrs.src || '');
+}
+
+/**
+ * Apply offset-based edits ({ start, end, text }) to a string.
+ * Edits must not overlap.
+ */
+export function applyEdits(content, edits) {
+  let output = content;
+  for (const edit of [...edits].sort((a, b) => b.start - a.start || b.end - a.end)) {
+    output = output.slice(0, edit.start) + edit.text + output.slice(edit.end);
+  }
+  return output;
+}
+
+/**
+ * Apply every autofix in a file's violations
+ * @param {string} content - File content the violations were reported against
+ * @param {Array} violations - Canonical violations (see violation.js)
+ * @param {object} [options]
+ * @param {string[]} [options.ruleIds] - Only apply fixes for these rules
+ * @returns {{output: string, applied: Array, skipped: Array}} applied/skipped list the violations
+ */
+export function applyFixes(content, violations, { ruleIds } = {}) {
+  const locator = createLocator(content);
+  const accepted = [];
+  const applied = [];
+  const skipped = [];
+
+  const fixable = violations
+    .filter(violation => violation.autofix?.edits?.length)
+    .filter(violation => !ruleIds || ruleIds.includes(violation.ruleId));
+
+  for (const violation of fixable) {
+    const edits = violation.autofix.edits.map(edit => ({
+      start: locator.offsetAt(edit.line, edit.column),
+      end: locator.offsetAt(edit.endLine, edit.endColumn),
+      text: edit.text,
+    }));
+
+    // Several rules can propose the same edit (e.g. two findings on one tag)
+    const novel = edits.filter(edit => !accepted.some(other =>
+      other.start === edit.start && other.end === edit.end && other.text === edit.text
+    ));
+    const overlaps = novel.some(edit => accepted.some(other =>
+      (edit.start < other.end && other.start < edit.end) ||
+      (edit.start === edit.end && edit.start === other.start && other.start === other.end)
+    ));
+
+    if (overlaps) {
+      skipped.push(violation);
+    } else {
+      accepted.push(...novel);
+      applied.push(violation);
+    }
+  }
+
+  return { output: applyEdits(content, accepted), applied, skipped };
+}
+
+/**
+ * Fix a file until nothing more applies: overlapping fixes skipped in one
+ * pass are picked up after re-analyzing the patched content
+ * @param {string} content - Original file content
+ * @param {Function} analyze - async (content) => canonical violations
+ * @param {object} [options]
+ * @param {string[]} [options.ruleIds] - Only apply fixes for these rules
+ * @param {number} [options.maxPasses=MAX_FIX_PASSES]
+ * @returns {Promise<{output: string, applied: Array, remaining: Array}>} remaining is
+ *   the final analysis of output
+ */
+export async function fixContent(content, analyze, { ruleIds, maxPasses = MAX_FIX_PASSES } = {}) {
+  let output = content;
+  const applied = [];
+  let remaining = await analyze(output);
+  for (let pass = 0; pass < maxPasses; pass++) {
+    const result = applyFixes(output, remaining, { ruleIds });
+    if (result.applied.length === 0 || result.output === output) break;
+    applied.push(...result.applied);
+    output = result.output;
+    remaining = await analyze(output);
+  }
+  return { output, applied, remaining };
+}
+
+/**
+ * Unified diff between two versions of a file (git-style a/ and b/ paths)
+ * @returns {string} Empty string when nothing changed
+ */
+export function createUnifiedDiff(filePath, before, after) {
+  if (before === after) return '';
+  return createTwoFilesPatch(`a/${filePath}`, `b/${filePath}`, before, after, undefined, undefined, { context: 3 })
+    .replace(/^=+\n/, '');
+}
@@ -0,0 +1,138 @@
+/**
+ * Baseline: Snapshot of accepted (legacy) violations committed to the repo
+ * - Findings are fingerprinted by ruleId, file and normalized snippet,
+ *   never by line number, so they survive unrelated edits
+ * - PR runs report only findings missing from the baseline, plus the
+ *   baselined findings that have since been fixed
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+export const BASELINE_VERSION = 1;
+export const DEFAULT_BASELINE_PATH = '.a11y/baseline.json';
+
+/**
+ * Collapse whitespace so reformatting or re-indenting code keeps its fingerprint
+ */
+export function normalizeSnippet(snippet = '') {
+  return snippet.replace(/\s+/g, ' ').trim();
+}
+
+function toPosix(filePath = '') {
+  return filePath.split(path.sep).join('/').replace(/^\.\//, '');
+}
+
+/**
+ * Stable fingerprint for a canonical violation
+ * @param {object} violation - Canonical violation (see violation.js)
+ * @returns {string} Hex digest
+ */
+export function fingerprintViolation(violation) {
+  return crypto
+    .createHash('sha256')
+    .update([violation.ruleId, toPosix(violation.filePath || ''), normalizeSnippet(violation.snippet)].join('\0'))
+    .digest('hex')
+    .slice(0, 20);
+}
+
+/**
+ * Build a baseline document from analyzed files
+ * @param {Array<{filePath: string, violations: Array}>} fileResults
+ * @returns {object} Baseline document, entries sorted for stable diffs
+ */
+export function createBaseline(fileResults) {
+  const entries = new Map();
+  for (const { violations } of fileResults) {
+    for (const violation of violations) {
+      const fingerprint = fingerprintViolation(violation);
+      const entry = entries.get(fingerprint);
+      if (entry) {
+        entry.count += 1;
+      } else {
+        entries.set(fingerprint, {
+          fingerprint,
+          ruleId: violation.ruleId,
+          filePath: toPosix(violation.filePath),
+          severity: violation.severity,
+          snippet: normalizeSnippet(violation.snippet),
+          count: 1,
+        });
+      }
+    }
+  }
+
+  return {
+    version: BASELINE_VERSION,
+    createdAt: new Date().toISOString(),
+    entries: [...entries.values()].sort((a, b) =>
+      a.filePath.localeCompare(b.filePath) || a.ruleId.localeCompare(b.ruleId) || a.fingerprint.localeCompare(b.fingerprint)
+    ),
+  };
+}
+
+/**
+ * Read a baseline file
+ * @param {string} baselinePath - Absolute path
+ * @returns {object|null} Baseline document, or null when the file does not exist
+ */
+export function loadBaseline(baselinePath) {
+  if (!fs.existsSync(baselinePath)) {
+    return null;
+  }
+
+  let baseline;
+  try {
+    baseline = JSON.parse(fs.readFileSync(baselinePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read baseline ${baselinePath}: ${error.message}`);
+  }
+  if (baseline.version !== BASELINE_VERSION || !Array.isArray(baseline.entries)) {
+    throw new Error(`Unsupported baseline ${baselinePath}: expected version ${BASELINE_VERSION} with an entries array`);
+  }
+  return baseline;
+}
+
+/**
+ * Write a baseline file, creating its directory if needed
+ */
+export function writeBaseline(baselinePath, baseline) {
+  fs.mkdirSync(path.dirname(baselinePath), { recursive: true });
+  fs.writeFileSync(baselinePath, `${JSON.stringify(baseline, null, 2)}\n`);
+}
+
+/**
+ * Split one run's findings into new and baselined ones
+ * @param {Array<{filePath: string, violations: Array}>} fileResults - Results of this run
+ * @param {object} baseline - Baseline document from loadBaseline()
+ * @param {object} [options]
+ * @param {string[]} [options.analyzedFiles] - Files this run looked at; baselined findings
+ *   in these files that no longer occur are reported as fixed. Defaults to the files in fileResults.
+ * @returns {{fileResults: Array, existing: number, fixed: Array}} fileResults keep only new findings
+ */
+export function compareToBaseline(fileResults, baseline, { analyzedFiles } = {}) {
+  const remaining = new Map(baseline.entries.map(entry => [entry.fingerprint, { ...entry }]));
+  let existing = 0;
+
+  const newResults = [];
+  for (const result of fileResults) {
+    const violations = result.violations.filter(violation => {
+      const entry = remaining.get(fingerprintViolation(violation));
+      if (entry && entry.count > 0) {
+        entry.count -= 1;
+        existing += 1;
+        return false;
+      }
+      return true;
+    });
+    if (violations.length > 0) {
+      newResults.push({ ...result, violations });
+    }
+  }
+
+  const scope = new Set((analyzedFiles || fileResults.map(result => result.filePath)).map(toPosix));
+  const fixed = [...remaining.values()].filter(entry => entry.count > 0 && scope.has(entry.filePath));
+
+  return { fileResults: newResults, existing, fixed };
+}
@@ -0,0 +1,475 @@
+/**
+ * Cascade: Resolves the colors an element ends up with from the rules of a
+ * stylesheet, for the contrast checks in css-analyzer.js
+ * - Rules with the same selector are merged in source order (!important wins;
+ *   shorthands reset their longhands); a :hover/:focus selector starts from
+ *   its base selector's declarations
+ * - color and font inherit from ancestor selectors (`.card` for `.card .title`),
+ *   then body, html and :root
+ * - Backgrounds are composited from the element outwards until an opaque one;
+ *   without one (transparent all the way up, or only translucent layers) the
+ *   page behind is unknown, as is a background image
+ * - Each @media block is its own context on top of the rules outside media
+ * Only what the stylesheets state is used: a color that depends on an
+ * unresolved var(), inherit from outside or an image is unknown, and no
+ * finding is made.
+ */
+
+import path from 'path';
+import {
+  parseColor, findColor, composite, getContrastRatio, formatColor,
+  requiredTextContrast, NON_TEXT_CONTRAST,
+} from './color.js';
+
+// Declarations a shorthand resets when it comes later
+const SHORTHAND_RESETS = {
+  background: ['background-color', 'background-image'],
+  font: ['font-size', 'font-weight'],
+  outline: ['outline-color', 'outline-style', 'outline-width'],
+  border: ['border-color', 'border-style', 'border-width', 'border-top', 'border-right', 'border-bottom', 'border-left'],
+};
+
+// Selectors whose color and background every element inherits or sits on
+const ROOT_SELECTORS = ['body', 'html', ':root'];
+
+/**
+ * User-agent font sizes (px) of headings, which are bold by default
+ */
+export const HEADING_FONT_SIZES = { h1: 32, h2: 24, h3: 18.72, h4: 16, h5: 13.28, h6: 10.72 };
+
+const STATE_PSEUDO = /(?<!\()::?(hover|focus-visible|focus-within|focus|active|visited)(?![-\w(])/g;
+
+// Form fields, which get their text color from the browser
+const FORM_FIELD = /^(input|select|textarea)(?![-\w])|\.(form-control|input|field)(?![-\w])/i;
+
+// Buttons and other controls whose border can be what shows where they are (WCAG 1.4.11)
+const BUTTON = /^button(?![-\w])|\.(btn|button)(?![-\w])|\[role=["']?(button|checkbox|radio|switch|tab)["']?\]/i;
+
+const BORDER_PROP = /^border(-(top|right|bottom|left))?(-color)?$/;
+
+/**
+ * Split a selector list on top-level commas
+ */
+export function splitSelectorList(selectors) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  for (const char of selectors) {
+    if (char === '(' || char === '[') depth++;
+    if (char === ')' || char === ']') depth--;
+    if (char === ',' && depth === 0) {
+      parts.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  if (current.trim()) parts.push(current.trim());
+  return parts;
+}
+
+/**
+ * Compound selectors and the combinators between them:
+ * '.nav > li a' → { compounds: ['.nav', 'li', 'a'], combinators: ['>', ' '] }
+ */
+function parseCompounds(selector) {
+  const compounds = [];
+  const combinators = [];
+  let depth = 0;
+  let current = '';
+  let combinator = null;
+  for (const char of selector.trim()) {
+    if (char === '(' || char === '[') depth++;
+    if (char === ')' || char === ']') depth--;
+    if (depth === 0 && /[\s>+~]/.test(char)) {
+      if (char !== ' ' && !/\s/.test(char)) combinator = char;
+      else if (!combinator && current) combinator = ' ';
+      if (current) {
+        compounds.push(current);
+        current = '';
+      }
+      continue;
+    }
+    if (combinator && compounds.length) {
+      combinators.push(combinator);
+      combinator = null;
+    }
+    current += char;
+  }
+  if (current) compounds.push(current);
+  return { compounds, combinators };
+}
+
+function joinCompounds(compounds, combinators) {
+  return compounds.reduce((joined, compound, i) => (
+    i === 0 ? compound : `${joined}${combinators[i - 1] === ' ' ? ' ' : ` ${combinators[i - 1]} `}${compound}`
+  ), '');
+}
+
+/**
+ * Canonical form of a selector, used as the cascade key
+ */
+export function normalizeSelector(selector) {
+  const { compounds, combinators } = parseCompounds(selector);
+  return joinCompounds(compounds, combinators);
+}
+
+/**
+ * Selectors that may match an element's ancestors, nearest first:
+ * '.page .card > .title' → ['.page .card', '.card', '.page']
+ */
+export function ancestorSelectors(selector) {
+  const { compounds, combinators } = parseCompounds(selector);
+  const ancestors = [];
+  for (let i = compounds.length - 2; i >= 0; i--) {
+    // .a + .b: .a is a sibling, but its ancestors are ours too
+    if (combinators[i] === '+' || combinators[i] === '~') continue;
+    ancestors.push(joinCompounds(compounds.slice(0, i + 1), combinators), compounds[i]);
+  }
+  return [...new Set(ancestors)];
+}
+
+/**
+ * The selector without :hover/:focus/... on its last compound
+ */
+export function baseSelector(selector) {
+  return selector.replace(STATE_PSEUDO, '') || selector;
+}
+
+/**
+ * @media conditions a rule sits in ('' outside any)
+ */
+export function mediaContext(rule) {
+  const conditions = [];
+  for (let parent = rule.parent; parent && parent.type !== 'root'; parent = parent.parent) {
+    if (parent.type === 'atrule' && parent.name.toLowerCase() === 'media') conditions.unshift(parent.params.trim());
+  }
+  return conditions.join(' and ');
+}
+
+/**
+ * Index the rules of one or more stylesheets by selector
+ * @param {object[]} roots - postcss Roots, in cascade order
+ * @param {Function} resolveSelector - Full selector of a (nested) rule
+ * @returns {{rules: Map, contexts: Set<string>, styles: Map}}
+ */
+export function buildCascade(roots, resolveSelector) {
+  const rules = new Map();
+  const contexts = new Set();
+  for (const root of roots) {
+    root.walkRules(rule => {
+      if (rule.parent?.type === 'atrule' && /keyframes$/i.test(rule.parent.name)) return;
+      const context = mediaContext(rule);
+      const decls = rule.nodes.filter(node => node.type === 'decl');
+      if (decls.length === 0) return;
+      if (context) contexts.add(context);
+      const keys = new Set(splitSelectorList(resolveSelector(rule)).map(normalizeSelector));
+      for (const key of keys) {
+        if (!rules.has(key)) rules.set(key, []);
+        rules.get(key).push({ context, decls });
+      }
+    });
+  }
+  // declaredStyle() results, by context and selector
+  return { rules, contexts, styles: new Map() };
+}
+
+/**
+ * Apply a declaration over the ones already in a style: !important wins,
+ * and a shorthand resets the longhands declared before it
+ * @param {Map<string, object>} style - prop → postcss Declaration, updated in place
+ */
+export function cascadeDecl(style, decl) {
+  const prop = decl.prop.toLowerCase();
+  if (style.get(prop)?.important && !decl.important) return;
+  for (const reset of SHORTHAND_RESETS[prop] || []) {
+    if (!style.get(reset)?.important) style.delete(reset);
+  }
+  style.set(prop, decl);
+}
+
+/**
+ * Declarations that apply to a selector in a context, by property
+ * @returns {Map<string, object>} prop → winning postcss Declaration
+ */
+export function declaredStyle(cascade, selector, context = '') {
+  const cacheKey = `${context}\n${selector}`;
+  if (cascade.styles.has(cacheKey)) return cascade.styles.get(cacheKey);
+  const style = new Map();
+  const base = baseSelector(selector);
+  for (const key of base !== selector ? [base, selector] : [selector]) {
+    for (const entry of cascade.rules.get(key) || []) {
+      if (entry.context && entry.context !== context) continue;
+      for (const decl of entry.decls) cascadeDecl(style, decl);
+    }
+  }
+  cascade.styles.set(cacheKey, style);
+  return style;
+}
+
+// Selector and where it inherits from, nearest first; a theme selector
+// ([data-theme="dark"]) sits on the root element
+function inheritanceChain(selector, theme) {
+  const roots = theme && !theme.startsWith('@media') ? [theme, ...ROOT_SELECTORS] : ROOT_SELECTORS;
+  return [...new Set([selector, ...ancestorSelectors(selector), ...roots])];
+}
+
+// Nearest declaration of an inherited property along the chain
+function inheritedDecl(cascade, chain, context, props) {
+  for (const key of chain) {
+    const style = declaredStyle(cascade, key, context);
+    const decl = props.map(prop => style.get(prop)).find(Boolean);
+    if (decl && decl.value.trim().toLowerCase() !== 'inherit') return decl;
+  }
+  return null;
+}
+
+/**
+ * Background layer a style paints, or null when it sets none
+ * @returns {{color: object, decl: object}|{unknown: true}|null}
+ */
+export function backgroundOf(style, currentColor) {
+  const image = style.get('background-image');
+  const color = style.get('background-color');
+  const shorthand = style.get('background');
+  if (image && image.value.trim().toLowerCase() !== 'none') return { unknown: true };
+  if (color) {
+    const parsed = parseColor(color.value, currentColor);
+    return parsed ? { color: parsed, decl: color } : { unknown: true };
+  }
+  if (shorthand) {
+    if (/url\(|gradient\(|var\(|inherit/i.test(shorthand.value)) return { unknown: true };
+    const { color: parsed, found } = findColor(shorthand.value, currentColor);
+    if (!found) return { color: { r: 0, g: 0, b: 0, alpha: 0 }, decl: shorthand };
+    return parsed ? { color: parsed, decl: shorthand } : { unknown: true };
+  }
+  return null;
+}
+
+/**
+ * Opaque color behind the selectors of a chain, composited from the nearest
+ * background outwards
+ * @returns {{color: object, decl: object}|null} null when unknown, never set
+ *   or never opaque (the stylesheet does not say what the page behind is)
+ */
+function resolveBackdrop(cascade, chain, context, currentColor) {
+  const layers = [];
+  for (const key of chain) {
+    const layer = backgroundOf(declaredStyle(cascade, key, context), currentColor);
+    if (!layer) continue;
+    if (layer.unknown) return null;
+    layers.push(layer);
+    if (layer.color.alpha >= 1) break;
+  }
+  if (layers.length === 0 || layers.at(-1).color.alpha < 1) return null;
+  const color = layers.slice(0, -1).reduceRight((under, layer) => composite(layer.color, under), layers.at(-1).color);
+  return { color, decl: layers.find(layer => layer.color.alpha > 0)?.decl || layers[0].decl };
+}
+
+/**
+ * Font size in px of a length, or null (em and % against a 16px parent)
+ */
+export function toPx(value) {
+  const match = /^(\d*\.?\d+)(px|pt|rem|em|%)$/.exec(value.trim().toLowerCase());
+  if (!match) return null;
+  const number = parseFloat(match[1]);
+  // em and % are taken against a 16px parent
+  return { px: number, pt: number * 4 / 3, rem: number * 16, em: number * 16, '%': number * 0.16 }[match[2]];
+}
+
+// Font size (px, null when unknown) and weight of a selector
+function resolveFont(cascade, chain, context) {
+  let size = null;
+  let bold = false;
+  const sizeDecl = inheritedDecl(cascade, chain, context, ['font-size', 'font']);
+  if (sizeDecl) {
+    const value = sizeDecl.prop.toLowerCase() === 'font'
+      ? (/(?:^|\s)(\d*\.?\d+(?:px|pt|r?em|%))(?:\/|\s|$)/.exec(sizeDecl.value) || [])[1] || ''
+      : sizeDecl.value;
+    size = toPx(value);
+  }
+  const weightDecl = inheritedDecl(cascade, chain, context, ['font-weight', 'font']);
+  if (weightDecl) {
+    bold = /\b(bold|bolder|[6-9]00)\b/i.test(weightDecl.value);
+  }
+  const element = /^h[1-6]/i.exec(parseCompounds(chain[0]).compounds.at(-1) || '')?.[0].toLowerCase();
+  if (element) {
+    if (size === null) size = HEADING_FONT_SIZES[element];
+    if (!weightDecl) bold = true;
+  }
+  return { size, bold };
+}
+
+// Where a color came from, for messages: ".card (line 3)", or
+// "body (base.css:3)" from an imported stylesheet
+function origin(decl, root) {
+  const line = decl.source?.start?.line ?? '?';
+  const file = root && decl.root() !== root ? decl.source?.input?.file : null;
+  return `${decl.parent.selector} (${file ? `${path.basename(file)}:` : 'line '}${line})`;
+}
+
+// Last declaration of the given properties in rules for exactly this selector
+function ownDecl(cascade, selector, context, props) {
+  let found = null;
+  for (const entry of cascade.rules.get(selector) || []) {
+    if (entry.context && entry.context !== context) continue;
+    for (const decl of entry.decls) {
+      if (props.test(decl.prop.toLowerCase())) found = decl;
+    }
+  }
+  return found;
+}
+
+// Whether any rule along the chain is inside this @media context
+function inContext(cascade, chain, context) {
+  return chain.some(key => [key, baseSelector(key)].some(candidate => (
+    cascade.rules.get(candidate)?.some(entry => entry.context === context)
+  )));
+}
+
+// Text contrast of a selector (WCAG 1.4.3)
+function checkText(cascade, selector, chain, context, foreground, colorDecl, root) {
+  const own = ownDecl(cascade, selector, context, /^(color|background|background-color)$/);
+  const backdrop = own && foreground && foreground.alpha > 0 ? resolveBackdrop(cascade, chain, context, foreground) : null;
+  if (!backdrop) return [];
+  const { size, bold } = resolveFont(cascade, chain, context);
+  const required = requiredTextContrast(size, bold);
+  const ratio = getContrastRatio(foreground, backdrop.color);
+  if (ratio >= required) return [];
+  const sources = [
+    colorDecl.parent !== own.parent ? `color from ${origin(colorDecl, root)}` : null,
+    backdrop.decl.parent !== own.parent ? `background from ${origin(backdrop.decl, root)}` : null,
+  ].filter(Boolean);
+  return [{
+    ruleId: 'low-contrast-text',
+    node: own.parent,
+    decls: [colorDecl, backdrop.decl],
+    signature: `${formatColor(foreground)}/${formatColor(backdrop.color)}/${required}`,
+    message: where => `Low contrast ratio (${ratio.toFixed(2)}:1) between text ${formatColor(foreground)} and background ${formatColor(backdrop.color)}${where}`
+      + `${sources.length ? ` (${sources.join(', ')})` : ''}. WCAG AA requires ${required === 3 ? '3:1 for large text' : '4.5:1 for normal text'}`,
+  }];
+}
+
+// A ring, border or other indicator against the colors next to it (WCAG 1.4.11):
+// reported against the one it stands out from least
+function checkNonText(decl, color, adjacent, label) {
+  const candidates = adjacent.filter(Boolean);
+  if (candidates.length === 0 || !color || color.alpha === 0) return [];
+  const [ratio, next] = candidates
+    .map(candidate => [getContrastRatio(color, candidate.color), candidate])
+    .sort((a, b) => a[0] - b[0])[0];
+  if (ratio >= NON_TEXT_CONTRAST) return [];
+  const against = next.own ? 'the element\'s background' : 'the background';
+  return [{
+    ruleId: 'low-contrast-non-text',
+    node: decl,
+    decls: [decl, next.decl].filter(Boolean),
+    signature: `${formatColor(color)}/${formatColor(next.color)}`,
+    message: where => `${label} ${formatColor(color)} has ${ratio.toFixed(2)}:1 contrast against ${against} ${formatColor(next.color)}${where}. WCAG 1.4.11 requires 3:1`,
+  }];
+}
+
+// The element's own background over what is behind it, or null when it paints none
+function ownFill(cascade, selector, context, foreground, behind) {
+  const fill = backgroundOf(declaredStyle(cascade, selector, context), foreground);
+  if (!fill?.color || fill.color.alpha === 0) return null;
+  if (fill.color.alpha < 1 && !behind) return null;
+  return { color: fill.color.alpha < 1 ? composite(fill.color, behind.color) : fill.color, decl: fill.decl, own: true };
+}
+
+// Color of an outline, box-shadow or border declaration; currentcolor when it names none
+function indicatorColor(decl, foreground) {
+  if (decl.prop.toLowerCase().endsWith('-color')) return parseColor(decl.value, foreground);
+  const { color, found } = findColor(decl.value, foreground);
+  return found ? color : foreground;
+}
+
+// Focus rings of a :focus selector. An outline or outer box-shadow touches
+// the background around the element and, unless offset, the element's own
+// background; an inset box-shadow only the element's own
+function checkFocusIndicators(cascade, selector, outside, context, foreground) {
+  if (!/:focus/.test(selector) || /:not\(:focus/.test(selector)) return [];
+  const behind = resolveBackdrop(cascade, outside, context, foreground);
+  const fill = ownFill(cascade, selector, context, foreground, behind);
+  const style = declaredStyle(cascade, selector, context);
+  const outline = ownDecl(cascade, selector, context, /^outline(-color)?$/);
+  const shadow = ownDecl(cascade, selector, context, /^box-shadow$/);
+  const offset = parseFloat(style.get('outline-offset')?.value) > 0;
+  const findings = [];
+  if (outline && !/^(none|0)$/i.test(outline.value.trim())) {
+    findings.push(...checkNonText(outline, indicatorColor(outline, foreground), [behind, offset ? null : fill], 'Focus indicator'));
+  }
+  if (shadow && !/^none$/i.test(shadow.value.trim())) {
+    const inset = /\binset\b/i.test(shadow.value);
+    findings.push(...checkNonText(shadow, indicatorColor(shadow, foreground), inset ? [fill] : [behind, fill], 'Focus indicator'));
+  }
+  return findings;
+}
+
+function isFormField(selector) {
+  return FORM_FIELD.test(parseCompounds(selector).compounds.at(-1) || '');
+}
+
+function isButton(selector) {
+  return BUTTON.test(parseCompounds(selector).compounds.at(-1) || '');
+}
+
+// Form field and button borders, unless the control's own background
+// already stands out from the page
+function checkControlBorder(cascade, selector, outside, context, foreground) {
+  const label = isFormField(selector) ? 'Field border' : isButton(selector) ? 'Button border' : null;
+  const border = label ? ownDecl(cascade, selector, context, BORDER_PROP) : null;
+  if (!border || /\b(none|hidden)\b|^0(px)?\b/i.test(border.value.trim())) return [];
+  const behind = resolveBackdrop(cascade, outside, context, foreground);
+  const fill = backgroundOf(declaredStyle(cascade, selector, context), foreground);
+  if (behind && fill?.color && getContrastRatio(fill.color, behind.color) >= NON_TEXT_CONTRAST) return [];
+  return checkNonText(border, indicatorColor(border, foreground), [behind], label);
+}
+
+/**
+ * Text contrast (WCAG 1.4.3) and non-text contrast of focus indicators
+ * (outline and box-shadow rings) and form field and button borders
+ * (WCAG 1.4.11) for every selector in the cascade. An
+ * @media context is only reported where it changes the outcome.
+ * @param {object} cascade - buildCascade() result
+ * @param {object} [options]
+ * @param {object} [options.root] - Only report nodes of this stylesheet (the
+ *   others are imports it builds on)
+ * @param {string} [options.theme] - Custom property theme the values were
+ *   resolved for (see custom-properties.js), named in messages
+ * @returns {Array<{ruleId: string, node: object, decls: object[], key: string, message: string}>}
+ *   node: the rule or declaration to report at; decls: the declarations the
+ *   outcome depends on; key: the same for the same outcome at the same place
+ */
+export function contrastFindings(cascade, { root, theme = '' } = {}) {
+  const findings = [];
+  const seen = new Set();
+  const themed = theme && (theme.startsWith('@media') ? ` with the custom properties of ${theme}` : ` in the ${theme} theme`);
+
+  for (const selector of cascade.rules.keys()) {
+    const chain = inheritanceChain(selector, theme);
+    const outside = chain.slice(1);
+    const reported = new Set();
+    for (const context of ['', ...cascade.contexts]) {
+      if (context && !inContext(cascade, chain, context)) continue;
+      // Browsers give form fields their own text color instead of inheriting one
+      const colorDecl = inheritedDecl(cascade, isFormField(selector) ? [selector] : chain, context, ['color']);
+      const foreground = colorDecl ? parseColor(colorDecl.value) : null;
+      const candidates = [
+        ...checkText(cascade, selector, chain, context, foreground, colorDecl, root),
+        ...checkFocusIndicators(cascade, selector, outside, context, foreground),
+        ...checkControlBorder(cascade, selector, outside, context, foreground),
+      ];
+      for (const { ruleId, node, decls, signature, message } of candidates) {
+        const id = `${ruleId}:${node.source?.start?.offset}:${signature}`;
+        // The same outcome as outside @media, or under a grouped selector already reported
+        if (reported.has(id) || seen.has(id) || (root && node.root() !== root)) continue;
+        reported.add(id);
+        seen.add(id);
+        const where = `${themed || ''}${context ? ` in @media ${context}` : ''}`;
+        findings.push({ ruleId, node, decls, key: id, message: message(where) });
+      }
+    }
+  }
+  return findings;
+}
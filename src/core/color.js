@@ -0,0 +1,276 @@
+/**
+ * Color: CSS color parsing and WCAG contrast math
+ * - Hex (3, 4, 6, 8 digits), the 148 named colors, transparent, currentcolor
+ * - rgb()/rgba(), hsl()/hsla(), hwb(), lab()/lch(), oklab()/oklch(),
+ *   in comma or space syntax with an optional / alpha
+ * - Alpha compositing, relative luminance and contrast ratio (WCAG 2.x)
+ * Colors are { r, g, b, alpha } with channels 0-255 (unrounded) and alpha 0-1.
+ */
+
+/**
+ * CSS named colors (CSS Color Module Level 4)
+ */
+export const NAMED_COLORS = {
+  aliceblue: 'f0f8ff', antiquewhite: 'faebd7', aqua: '00ffff', aquamarine: '7fffd4',
+  azure: 'f0ffff', beige: 'f5f5dc', bisque: 'ffe4c4', black: '000000',
+  blanchedalmond: 'ffebcd', blue: '0000ff', blueviolet: '8a2be2', brown: 'a52a2a',
+  burlywood: 'deb887', cadetblue: '5f9ea0', chartreuse: '7fff00', chocolate: 'd2691e',
+  coral: 'ff7f50', cornflowerblue: '6495ed', cornsilk: 'fff8dc', crimson: 'dc143c',
+  cyan: '00ffff', darkblue: '00008b', darkcyan: '008b8b', darkgoldenrod: 'b8860b',
+  darkgray: 'a9a9a9', darkgreen: '006400', darkgrey: 'a9a9a9', darkkhaki: 'bdb76b',
+  darkmagenta: '8b008b', darkolivegreen: '556b2f', darkorange: 'ff8c00', darkorchid: '9932cc',
+  darkred: '8b0000', darksalmon: 'e9967a', darkseagreen: '8fbc8f', darkslateblue: '483d8b',
+  darkslategray: '2f4f4f', darkslategrey: '2f4f4f', darkturquoise: '00ced1', darkviolet: '9400d3',
+  deeppink: 'ff1493', deepskyblue: '00bfff', dimgray: '696969', dimgrey: '696969',
+  dodgerblue: '1e90ff', firebrick: 'b22222', floralwhite: 'fffaf0', forestgreen: '228b22',
+  fuchsia: 'ff00ff', gainsboro: 'dcdcdc', ghostwhite: 'f8f8ff', gold: 'ffd700',
+  goldenrod: 'daa520', gray: '808080', green: '008000', greenyellow: 'adff2f',
+  grey: '808080', honeydew: 'f0fff0', hotpink: 'ff69b4', indianred: 'cd5c5c',
+  indigo: '4b0082', ivory: 'fffff0', khaki: 'f0e68c', lavender: 'e6e6fa',
+  lavenderblush: 'fff0f5', lawngreen: '7cfc00', lemonchiffon: 'fffacd', lightblue: 'add8e6',
+  lightcoral: 'f08080', lightcyan: 'e0ffff', lightgoldenrodyellow: 'fafad2', lightgray: 'd3d3d3',
+  lightgreen: '90ee90', lightgrey: 'd3d3d3', lightpink: 'ffb6c1', lightsalmon: 'ffa07a',
+  lightseagreen: '20b2aa', lightskyblue: '87cefa', lightslategray: '778899', lightslategrey: '778899',
+  lightsteelblue: 'b0c4de', lightyellow: 'ffffe0', lime: '00ff00', limegreen: '32cd32',
+  linen: 'faf0e6', magenta: 'ff00ff', maroon: '800000', mediumaquamarine: '66cdaa',
+  mediumblue: '0000cd', mediumorchid: 'ba55d3', mediumpurple: '9370db', mediumseagreen: '3cb371',
+  mediumslateblue: '7b68ee', mediumspringgreen: '00fa9a', mediumturquoise: '48d1cc', mediumvioletred: 'c71585',
+  midnightblue: '191970', mintcream: 'f5fffa', mistyrose: 'ffe4e1', moccasin: 'ffe4b5',
+  navajowhite: 'ffdead', navy: '000080', oldlace: 'fdf5e6', olive: '808000',
+  olivedrab: '6b8e23', orange: 'ffa500', orangered: 'ff4500', orchid: 'da70d6',
+  palegoldenrod: 'eee8aa', palegreen: '98fb98', paleturquoise: 'afeeee', palevioletred: 'db7093',
+  papayawhip: 'ffefd5', peachpuff: 'ffdab9', peru: 'cd853f', pink: 'ffc0cb',
+  plum: 'dda0dd', powderblue: 'b0e0e6', purple: '800080', rebeccapurple: '663399',
+  red: 'ff0000', rosybrown: 'bc8f8f', royalblue: '4169e1', saddlebrown: '8b4513',
+  salmon: 'fa8072', sandybrown: 'f4a460', seagreen: '2e8b57', seashell: 'fff5ee',
+  sienna: 'a0522d', silver: 'c0c0c0', skyblue: '87ceeb', slateblue: '6a5acd',
+  slategray: '708090', slategrey: '708090', snow: 'fffafa', springgreen: '00ff7f',
+  steelblue: '4682b4', tan: 'd2b48c', teal: '008080', thistle: 'd8bfd8',
+  tomato: 'ff6347', turquoise: '40e0d0', violet: 'ee82ee', wheat: 'f5deb3',
+  white: 'ffffff', whitesmoke: 'f5f5f5', yellow: 'ffff00', yellowgreen: '9acd32',
+};
+
+// The page behind everything when no background is known to be opaque
+export const CANVAS = { r: 255, g: 255, b: 255, alpha: 1 };
+
+const COLOR_FUNCTION = /^(rgba?|hsla?|hwb|lab|lch|oklab|oklch)\(\s*([^()]*)\)$/;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+function parseHex(hex) {
+  if (!/^[0-9a-f]+$/.test(hex) || ![3, 4, 6, 8].includes(hex.length)) return null;
+  const digits = hex.length <= 4 ? hex.split('').map(digit => digit + digit) : hex.match(/../g);
+  const [r, g, b, a = 255] = digits.map(pair => parseInt(pair, 16));
+  return { r, g, b, alpha: a / 255 };
+}
+
+// A number, percentage (of `percent`) or angle (in degrees); NaN when it is neither
+function parseComponent(text, percent = 1) {
+  if (text === 'none') return 0;
+  const match = /^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)(%|deg|grad|rad|turn)?$/.exec(text);
+  if (!match) return NaN;
+  const number = parseFloat(match[1]);
+  switch (match[2]) {
+    case '%': return (number / 100) * percent;
+    case 'grad': return number * 0.9;
+    case 'rad': return (number * 180) / Math.PI;
+    case 'turn': return number * 360;
+    default: return number;
+  }
+}
+
+function parseAlpha(text) {
+  if (text === undefined) return 1;
+  return clamp(text.endsWith('%') ? parseFloat(text) / 100 : parseFloat(text), 0, 1);
+}
+
+// Linear-light sRGB channel (0-1) to a gamma-encoded 0-255 channel
+function encodeSrgb(channel) {
+  const value = Math.abs(channel) <= 0.0031308 ? channel * 12.92 : Math.sign(channel) * (1.055 * Math.abs(channel) ** (1 / 2.4) - 0.055);
+  return clamp(value, 0, 1) * 255;
+}
+
+function hslToRgb(hue, saturation, lightness) {
+  const h = ((hue % 360) + 360) % 360;
+  const chroma = (1 - Math.abs(2 * lightness - 1)) * saturation;
+  const f = n => {
+    const k = (n + h / 30) % 12;
+    return lightness - chroma / 2 * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+  };
+  return [f(0), f(8), f(4)].map(channel => clamp(channel, 0, 1) * 255);
+}
+
+function hwbToRgb(hue, whiteness, blackness) {
+  if (whiteness + blackness >= 1) {
+    const gray = (whiteness / (whiteness + blackness)) * 255;
+    return [gray, gray, gray];
+  }
+  return hslToRgb(hue, 1, 0.5).map(channel => (channel / 255) * (1 - whiteness - blackness) * 255 + whiteness * 255);
+}
+
+// CIE Lab (D50) to sRGB through XYZ, with Bradford adaptation to D65
+function labToRgb(l, a, b) {
+  const fy = (l + 16) / 116;
+  const fx = fy + a / 500;
+  const fz = fy - b / 200;
+  const epsilon = 216 / 24389;
+  const kappa = 24389 / 27;
+  const x = (fx ** 3 > epsilon ? fx ** 3 : (116 * fx - 16) / kappa) * 0.3457 / 0.3585;
+  const y = l > kappa * epsilon ? fy ** 3 : l / kappa;
+  const z = (fz ** 3 > epsilon ? fz ** 3 : (116 * fz - 16) / kappa) * (1 - 0.3457 - 0.3585) / 0.3585;
+  const x65 = 0.9554734527042182 * x - 0.023098536874261423 * y + 0.0632593086610217 * z;
+  const y65 = -0.028369706963208136 * x + 1.0099954580058226 * y + 0.021041398966943008 * z;
+  const z65 = 0.012314001688319899 * x - 0.020507696433477912 * y + 1.3303659366080753 * z;
+  return [
+    3.2409699419045226 * x65 - 1.537383177570094 * y65 - 0.4986107602930034 * z65,
+    -0.9692436362808796 * x65 + 1.8759675015077202 * y65 + 0.04155505740717559 * z65,
+    0.05563007969699366 * x65 - 0.20397695888897652 * y65 + 1.0569715142428786 * z65,
+  ].map(encodeSrgb);
+}
+
+function oklabToRgb(l, a, b) {
+  const lms = [
+    l + 0.3963377774 * a + 0.2158037573 * b,
+    l - 0.1055613458 * a - 0.0638541728 * b,
+    l - 0.0894841775 * a - 1.291485548 * b,
+  ].map(value => value ** 3);
+  return [
+    4.0767416621 * lms[0] - 3.3077115913 * lms[1] + 0.2309699292 * lms[2],
+    -1.2684380046 * lms[0] + 2.6097574011 * lms[1] - 0.3413193965 * lms[2],
+    -0.0041960863 * lms[0] - 0.7034186147 * lms[1] + 1.707614701 * lms[2],
+  ].map(encodeSrgb);
+}
+
+// Polar (lch, oklch) to rectangular (lab, oklab) coordinates
+function polarToRect(chroma, hue) {
+  const radians = (hue * Math.PI) / 180;
+  return [chroma * Math.cos(radians), chroma * Math.sin(radians)];
+}
+
+function parseFunction(name, body) {
+  const [channels, slashAlpha] = body.split('/').map(part => part.trim());
+  const parts = channels.includes(',') ? channels.split(',').map(part => part.trim()) : channels.split(/\s+/);
+  const alphaText = slashAlpha ?? (parts.length === 4 ? parts.pop() : undefined);
+  if (parts.length !== 3) return null;
+
+  let rgb;
+  switch (name.replace(/a$/, '')) {
+    case 'rgb':
+      rgb = parts.map(part => parseComponent(part, 255));
+      break;
+    case 'hsl':
+      rgb = hslToRgb(parseComponent(parts[0]), parseComponent(parts[1], 1) / (parts[1].endsWith('%') ? 1 : 100), parseComponent(parts[2], 1) / (parts[2].endsWith('%') ? 1 : 100));
+      break;
+    case 'hwb':
+      rgb = hwbToRgb(parseComponent(parts[0]), parseComponent(parts[1], 1) / (parts[1].endsWith('%') ? 1 : 100), parseComponent(parts[2], 1) / (parts[2].endsWith('%') ? 1 : 100));
+      break;
+    case 'lab':
+      rgb = labToRgb(parseComponent(parts[0], 100), parseComponent(parts[1], 125), parseComponent(parts[2], 125));
+      break;
+    case 'lch':
+      rgb = labToRgb(parseComponent(parts[0], 100), ...polarToRect(parseComponent(parts[1], 150), parseComponent(parts[2])));
+      break;
+    case 'oklab':
+      rgb = oklabToRgb(parseComponent(parts[0], 1), parseComponent(parts[1], 0.4), parseComponent(parts[2], 0.4));
+      break;
+    case 'oklch':
+      rgb = oklabToRgb(parseComponent(parts[0], 1), ...polarToRect(parseComponent(parts[1], 0.4), parseComponent(parts[2])));
+      break;
+    default:
+      return null;
+  }
+  if (rgb.some(Number.isNaN)) return null;
+  const [r, g, b] = rgb.map(channel => clamp(channel, 0, 255));
+  const alpha = parseAlpha(alphaText);
+  return Number.isNaN(alpha) ? null : { r, g, b, alpha };
+}
+
+/**
+ * Parse a CSS color value
+ * @param {string} value - e.g. '#777', 'rebeccapurple', 'hsl(210 40% 50% / .8)'
+ * @param {object} [currentColor] - Value of `currentcolor`, when known
+ * @returns {{r: number, g: number, b: number, alpha: number}|null} null when
+ *   the value is not a color or cannot be resolved (var(), inherit...)
+ */
+export function parseColor(value, currentColor = null) {
+  const color = value.trim().toLowerCase().replace(/\s*!important$/, '');
+  if (color.startsWith('#')) return parseHex(color.slice(1));
+  if (color === 'transparent') return { r: 0, g: 0, b: 0, alpha: 0 };
+  if (color === 'currentcolor') return currentColor;
+  if (NAMED_COLORS[color]) return parseHex(NAMED_COLORS[color]);
+  const match = COLOR_FUNCTION.exec(color);
+  return match ? parseFunction(match[1], match[2]) : null;
+}
+
+/**
+ * The first color among the space-separated parts of a shorthand value
+ * (border: 1px solid #ccc, outline, box-shadow)
+ * @returns {{color: object|null, found: boolean}} found is false when no part is a color
+ */
+export function findColor(value, currentColor = null) {
+  const parts = value.match(/[\w#.%-]+\([^()]*(?:\([^()]*\)[^()]*)*\)|[^\s,()]+/g) || [];
+  for (const part of parts) {
+    const lower = part.toLowerCase();
+    if (lower === 'currentcolor' || lower === 'transparent' || lower.startsWith('#') || NAMED_COLORS[lower] || COLOR_FUNCTION.test(lower)) {
+      return { color: parseColor(part, currentColor), found: true };
+    }
+  }
+  return { color: null, found: false };
+}
+
+/**
+ * A color painted over another: alpha compositing ("source over")
+ */
+export function composite(top, bottom) {
+  const alpha = top.alpha + bottom.alpha * (1 - top.alpha);
+  if (alpha === 0) return { r: 0, g: 0, b: 0, alpha: 0 };
+  const mix = channel => (top[channel] * top.alpha + bottom[channel] * bottom.alpha * (1 - top.alpha)) / alpha;
+  return { r: mix('r'), g: mix('g'), b: mix('b'), alpha };
+}
+
+/**
+ * Relative luminance (WCAG 2.x) of an opaque color
+ */
+export function getLuminance({ r, g, b }) {
+  const [rs, gs, bs] = [r, g, b].map(c => {
+    c = c / 255;
+    return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+  });
+  return 0.2126 * rs + 0.7152 * gs + 0.0722 * bs;
+}
+
+/**
+ * Contrast ratio between a foreground and an opaque background; a
+ * translucent foreground is composited over the background first
+ */
+export function getContrastRatio(foreground, background) {
+  const lum1 = getLuminance(composite(foreground, background));
+  const lum2 = getLuminance(background);
+  const lighter = Math.max(lum1, lum2);
+  const darker = Math.min(lum1, lum2);
+  return (lighter + 0.05) / (darker + 0.05);
+}
+
+/**
+ * Hex for messages (#rrggbb, or #rrggbbaa when translucent)
+ */
+export function formatColor({ r, g, b, alpha }) {
+  const hex = [r, g, b, ...(alpha < 1 ? [alpha * 255] : [])]
+    .map(channel => Math.round(channel).toString(16).padStart(2, '0'))
+    .join('');
+  return `#${hex}`;
+}
+
+/**
+ * Minimum text contrast (WCAG 1.4.3): 3:1 for large text, 18pt (24px)
+ * or 14pt (18.66px) bold, otherwise 4.5:1
+ * @param {number|null} fontSize - In px, null when unknown
+ * @param {boolean} bold
+ */
+export function requiredTextContrast(fontSize, bold) {
+  const large = fontSize !== null && (fontSize >= 24 || (bold && fontSize >= 18.66));
+  return large ? 3 : 4.5;
+}
+
+// Minimum non-text contrast (WCAG 1.4.11): UI component boundaries and focus indicators
+export const NON_TEXT_CONTRAST = 3;
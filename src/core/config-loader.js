@@ -0,0 +1,299 @@
+/**
+ * Config Loader: Finds, validates and applies .a11y/config.json
+ * - Rule overrides (enable/disable, severity) by ruleId or registry tag
+ * - Ignore globs for skipping paths
+ * - Template globs for HTML files written in a framework's template syntax
+ * - Failure thresholds for deciding whether a run passes
+ * - Baseline location and whether only new errors fail the run
+ * - Base ref for PR diffs and whether pre-existing lines are reported
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Ajv from 'ajv';
+import { minimatch } from 'minimatch';
+import { getRule } from './rule-registry.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const CONFIG_DIR = '.a11y';
+export const CONFIG_FILE = 'config.json';
+export const SCHEMA_PATH = path.join(__dirname, 'config.schema.json');
+
+/**
+ * Defaults applied when the config file is missing or omits a key
+ */
+export const defaultConfig = {
+  wcagLevel: 'AA',
+  wcagVersion: '2.2',
+  mode: 'full',
+  concurrency: 'auto',
+  cache: '.github/a11y-reviewer/.cache',
+  strictMode: true,
+  rules: {},
+  failureThresholds: {
+    error: 0,
+    warning: 10,
+  },
+  ignore: [],
+  templates: {},
+  tokens: {},
+  baseline: '.a11y/baseline.json',
+  failOnNew: false,
+  baseRef: 'origin/main',
+  report: 'all',
+};
+
+let schemaValidator = null;
+
+function getSchemaValidator() {
+  if (!schemaValidator) {
+    const schema = JSON.parse(fs.readFileSync(SCHEMA_PATH, 'utf8'));
+    const ajv = new Ajv({ allErrors: true });
+    schemaValidator = ajv.compile(schema);
+  }
+  return schemaValidator;
+}
+
+/**
+ * Validate a raw config object against the published JSON schema
+ * @param {object} config - Parsed contents of .a11y/config.json
+ * @returns {{valid: boolean, errors: string[]}}
+ */
+export function validateConfig(config) {
+  const validate = getSchemaValidator();
+  const valid = validate(config);
+  const errors = (validate.errors || []).map(err => {
+    const where = err.instancePath || '(root)';
+    const extra = err.params?.additionalProperty ? ` "${err.params.additionalProperty}"` : '';
+    return `${where} ${err.message}${extra}`;
+  });
+  return { valid: Boolean(valid), errors };
+}
+
+/**
+ * Walk up from startDir looking for .a11y/config.json
+ * @param {string} startDir - Directory to start searching from
+ * @returns {string|null} Absolute path to the config file, or null
+ */
+export function findConfigFile(startDir = process.cwd()) {
+  let dir = path.resolve(startDir);
+  while (true) {
+    const candidate = path.join(dir, CONFIG_DIR, CONFIG_FILE);
+    if (fs.existsSync(candidate)) {
+      return candidate;
+    }
+    const parent = path.dirname(dir);
+    if (parent === dir) {
+      return null;
+    }
+    dir = parent;
+  }
+}
+
+/**
+ * Load, validate and normalize the reviewer config
+ * @param {object} options
+ * @param {string} [options.cwd] - Directory to search upward from
+ * @param {string} [options.configPath] - Explicit config path (skips search)
+ * @returns {object} Normalized config with `rootDir` and `configPath` set
+ */
+export function loadConfig({ cwd = process.cwd(), configPath } = {}) {
+  const resolvedPath = configPath ? path.resolve(cwd, configPath) : findConfigFile(cwd);
+
+  if (!resolvedPath) {
+    return normalizeConfig({}, { rootDir: path.resolve(cwd), configPath: null });
+  }
+
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(resolvedPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read ${resolvedPath}: ${error.message}`);
+  }
+
+  const { valid, errors } = validateConfig(raw);
+  if (!valid) {
+    throw new Error(`Invalid ${resolvedPath}:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  // Config lives in <root>/.a11y/config.json; ignore globs are relative to <root>
+  const rootDir = path.basename(path.dirname(resolvedPath)) === CONFIG_DIR
+    ? path.dirname(path.dirname(resolvedPath))
+    : path.dirname(resolvedPath);
+
+  return normalizeConfig(raw, { rootDir, configPath: resolvedPath });
+}
+
+/**
+ * Merge a raw config with defaults and normalize rule settings
+ */
+export function normalizeConfig(raw = {}, { rootDir = process.cwd(), configPath = null } = {}) {
+  const rules = {};
+  for (const [key, setting] of Object.entries(raw.rules || {})) {
+    rules[key] = normalizeRuleSetting(setting);
+  }
+
+  return {
+    ...defaultConfig,
+    ...raw,
+    rules,
+    failureThresholds: {
+      ...defaultConfig.failureThresholds,
+      ...(raw.failureThresholds || {}),
+    },
+    ignore: raw.ignore || defaultConfig.ignore,
+    rootDir,
+    configPath,
+  };
+}
+
+const RULE_LEVELS = ['off', 'error', 'warning'];
+
+/**
+ * Layer rule settings on top of a loaded config (e.g. from the command line)
+ * @param {object} config - Normalized config from loadConfig()
+ * @param {object} overrides - ruleId or group → "off" | "error" | "warning"
+ * @returns {object} New config; the input is not modified
+ */
+export function withRuleOverrides(config, overrides = {}) {
+  const rules = { ...config.rules };
+  for (const [key, level] of Object.entries(overrides)) {
+    if (!RULE_LEVELS.includes(level)) {
+      throw new Error(`Invalid level "${level}" for rule ${key} (expected ${RULE_LEVELS.join(', ')})`);
+    }
+    rules[key] = normalizeRuleSetting(level);
+  }
+  return { ...config, rules };
+}
+
+function normalizeRuleSetting(setting) {
+  if (typeof setting === 'string') {
+    return setting === 'off'
+      ? { enabled: false }
+      : { enabled: true, severity: setting };
+  }
+  return { enabled: setting.enabled !== false, severity: setting.severity };
+}
+
+/**
+ * Resolve the effective setting for a ruleId.
+ * An exact ruleId entry wins over a group entry; groups are the tags
+ * rules carry in the registry (e.g. "alt-text", "keyboard-nav", "forms").
+ * @returns {{enabled: boolean, severity?: string}|null}
+ */
+export function getRuleSetting(ruleId, config) {
+  if (!config?.rules) return null;
+  if (config.rules[ruleId]) {
+    return config.rules[ruleId];
+  }
+  const tags = getRule(ruleId)?.tags || [];
+  const group = Object.keys(config.rules).find(key => tags.includes(key));
+  return group ? config.rules[group] : null;
+}
+
+/**
+ * Drop disabled rules and apply severity overrides
+ * @param {Array} violations - Violations from any analyzer
+ * @param {object} config - Normalized config from loadConfig()
+ * @returns {Array} Filtered violations with overridden severities
+ */
+export function applyRuleConfig(violations, config) {
+  if (!config) return violations;
+
+  const result = [];
+  for (const violation of violations) {
+    const setting = getRuleSetting(violation.ruleId, config);
+    if (!setting) {
+      result.push(violation);
+      continue;
+    }
+    if (!setting.enabled) continue;
+    result.push(setting.severity ? { ...violation, severity: setting.severity } : violation);
+  }
+  return result;
+}
+
+/**
+ * Check whether a file matches one of the config's ignore globs
+ * @param {string} filePath - Absolute, or relative to the config root
+ * @param {object} config - Normalized config from loadConfig()
+ */
+export function isIgnored(filePath, config) {
+  if (!config?.ignore?.length) return false;
+  return matchesAny(filePath, config.ignore, config);
+}
+
+/**
+ * Template syntax configured for a file under `templates` (e.g. "angular")
+ * @param {string} filePath - Absolute, or relative to the config root
+ * @param {object} config - Normalized config from loadConfig()
+ * @returns {string|null}
+ */
+export function getTemplateSyntax(filePath, config) {
+  for (const [syntax, patterns] of Object.entries(config?.templates || {})) {
+    if (matchesAny(filePath, patterns, config)) return syntax;
+  }
+  return null;
+}
+
+/**
+ * Check whether a file is listed under `tokens.files` as design tokens
+ * @param {string} filePath - Absolute, or relative to the config root
+ * @param {object} config - Normalized config from loadConfig()
+ */
+export function isConfiguredTokenFile(filePath, config) {
+  if (!config?.tokens?.files?.length) return false;
+  return matchesAny(filePath, config.tokens.files, config);
+}
+
+function matchesAny(filePath, patterns, config) {
+  const absolute = path.resolve(config.rootDir, filePath);
+  const relative = path.relative(config.rootDir, absolute).split(path.sep).join('/');
+
+  return patterns.some(pattern => minimatch(relative, pattern, { dot: true }));
+}
+
+/**
+ * Compare run totals against failureThresholds
+ * @param {{errors: number, warnings: number}} summary - Run totals (new findings only when a baseline is used)
+ * @param {object} config - Normalized config from loadConfig()
+ * @param {object} [options]
+ * @param {boolean} [options.failOnNew] - Overrides config.failOnNew: any error fails, warnings never do
+ * @param {number} [options.maxWarnings] - Explicit warning limit (--max-warnings); replaces
+ *   failureThresholds.warning and fails the run even with failOnNew or strictMode: false
+ * @returns {{passed: boolean, enforced: boolean, breaches: string[]}}
+ */
+export function evaluateThresholds(summary, config, options = {}) {
+  const failOnNew = options.failOnNew ?? config?.failOnNew ?? false;
+  const breaches = [];
+
+  if (failOnNew) {
+    if (summary.errors > 0) {
+      breaches.push(`${summary.errors} new error(s) not in the baseline`);
+    }
+  } else {
+    const thresholds = config?.failureThresholds || defaultConfig.failureThresholds;
+    if (typeof thresholds.error === 'number' && summary.errors > thresholds.error) {
+      breaches.push(`${summary.errors} error(s) exceed threshold of ${thresholds.error}`);
+    }
+    if (options.maxWarnings === undefined && typeof thresholds.warning === 'number' && summary.warnings > thresholds.warning) {
+      breaches.push(`${summary.warnings} warning(s) exceed threshold of ${thresholds.warning}`);
+    }
+  }
+
+  const enforced = config?.strictMode !== false;
+  let passed = breaches.length === 0 || !enforced;
+  // As with ESLint, an explicit --max-warnings applies whatever the config says
+  if (options.maxWarnings !== undefined && summary.warnings > options.maxWarnings) {
+    breaches.push(`${summary.warnings} warning(s) exceed --max-warnings ${options.maxWarnings}`);
+    passed = false;
+  }
+  return {
+    passed,
+    enforced,
+    breaches,
+  };
+}
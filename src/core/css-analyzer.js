@@ -1,240 +1,511 @@
 /**
- * CSS Analyzer: Checks CSS/SCSS files for accessibility violations
- * Uses postcss to parse CSS and check WCAG 2.2 AA compliance
+ * CSS Analyzer: Checks CSS, SCSS, Sass, Less and Stylus files for accessibility violations
+ * Uses postcss to parse CSS and check WCAG 2.2 AA compliance; preprocessor
+ * syntax (nesting, mixins, variables, imports) is resolved by style-syntax.js
+ * first, var() by custom-properties.js, and colors across rules by cascade.js;
+ * motion, forced-colors and reflow checks follow @media (media-queries.js)
  */
 
-import postcss from 'postcss';
-import postcssScss from 'postcss-scss';
+import { normalizeViolations, createLocator, rangeFromOffsets } from './violation.js';
+import { registerRules } from './rule-registry.js';
+import {
+  parseStyles, resolveSelector, styleLangForFile, normalizeStyleLang, isExpanded, importedRoots, variableTrace,
+} from './style-syntax.js';
+import { buildCascade, contrastFindings } from './cascade.js';
+import { collectCustomProperties, applyCustomProperties, propertyTrace } from './custom-properties.js';
+import { reducedMotionFindings, forcedColorsFindings, reflowFindings } from './media-queries.js';
 
 /**
- * Maps violation types to WCAG criteria
+ * Rules reported by this analyzer: WCAG mapping, fix guidance and examples
+ * live in the shared rule registry
  */
-const violationToWCAG = {
-  'focus-outline-removed': ['2.4.7'],
-  'focus-styles-missing': ['2.4.7'],
-  'low-contrast-text': ['1.4.3'],
-  'small-text-size': ['1.4.4'],
-  'hidden-content-accessible': ['1.3.2'],
-  'contrast-mode-missing': ['1.4.1'],
-  'text-spacing': ['1.4.12'],
-  'forced-colors-override': ['1.4.1'],
-  'animation-no-reduced-motion': ['2.3.3'],
-  'insufficient-touch-target': ['2.5.5'],
-  'text-justify': ['1.4.8'],
-  'text-all-caps': ['1.4.8'],
-  'insufficient-focus-indicator': ['2.4.7'],
-  'hover-only-interaction': ['1.4.13'],
-  'text-indent-hiding': ['1.3.2'],
-  'transparent-text': ['1.4.3'],
-  'pointer-events-disabled': ['2.1.1'],
-  'viewport-font-size': ['1.4.4'],
-  'important-overuse': ['1.4.12'],
-  'horizontal-scrolling': ['1.4.10'],
-  'fixed-width-no-scale': ['1.4.10'],
-};
+registerRules('css', {
+  'focus-outline-removed': {
+    severity: 'error',
+    wcag: ['2.4.7'],
+    tags: ['focus', 'focus-visible'],
+    description: 'Focus outlines must not be removed without a visible replacement',
+    fix: [
+      'Do not remove focus outlines globally',
+      'Provide custom visible focus styles: button:focus { outline: 2px solid blue; }',
+      'Use :focus-visible for modern browsers: button:focus-visible { outline: 2px solid blue; }',
+    ],
+    examples: {
+      invalid: 'button:focus { outline: none; }',
+      valid: 'button:focus-visible { outline: 2px solid #005fcc; outline-offset: 2px; }',
+    },
+  },
+  'focus-styles-missing': {
+    severity: 'warning',
+    wcag: ['2.4.7'],
+    tags: ['focus', 'focus-visible'],
+    description: 'Interactive selectors should have matching :focus styles',
+    fix: [
+      'Add focus styles to interactive elements',
+      'Use :focus or :focus-visible pseudo-classes',
+      'Ensure minimum 2px outline or visible indicator',
+    ],
+    examples: {
+      invalid: 'button:hover { background: #005fcc; }',
+      valid: 'button:hover,\nbutton:focus-visible { background: #005fcc; }',
+    },
+  },
+  'low-contrast-text': {
+    severity: 'error',
+    wcag: ['1.4.3'],
+    tags: ['color', 'contrast'],
+    description: 'Text must meet a 4.5:1 contrast ratio (3:1 for large text)',
+    fix: [
+      'Ensure text has sufficient contrast against background',
+      'WCAG AA requires 4.5:1 for normal text, 3:1 for large text (18pt+ or 14pt+ bold)',
+      'Use online tools to check contrast ratios',
+    ],
+    examples: {
+      invalid: '.muted { color: #aaa; background: #fff; }',
+      valid: '.muted { color: #595959; background: #fff; }',
+    },
+    aliases: ['color-contrast-insufficient'],
+  },
+  'low-contrast-non-text': {
+    severity: 'warning',
+    wcag: ['1.4.11'],
+    tags: ['color', 'contrast', 'focus'],
+    description: 'Focus indicators, form field borders and button borders must meet a 3:1 contrast ratio against the colors next to them',
+    fix: [
+      'Use a focus ring color with at least 3:1 contrast against the page behind the element and the element\'s own background (or set outline-offset)',
+      'Darken form field and button borders, or give the control a background that stands out by 3:1',
+    ],
+    examples: {
+      invalid: 'body { background: #fff; }\ninput { border: 1px solid #ddd; }',
+      valid: 'body { background: #fff; }\ninput { border: 1px solid #767676; }',
+    },
+  },
+  'small-text-size': {
+    severity: 'warning',
+    wcag: ['1.4.4'],
+    tags: ['typography'],
+    description: 'Body text should be at least 14px',
+    fix: [
+      'Avoid setting font-size below 16px for body text',
+      'Allow users to zoom text up to 200% without layout breaking',
+      'Use relative units (rem, em) instead of fixed pixels',
+    ],
+    examples: {
+      invalid: '.legal { font-size: 10px; }',
+      valid: '.legal { font-size: 0.875rem; }',
+    },
+  },
+  'hidden-content-accessible': {
+    severity: 'error',
+    wcag: ['1.3.2'],
+    tags: ['screen-readers'],
+    description: 'Screen-reader-only content must not use display:none or visibility:hidden',
+    fix: [
+      'Use proper hiding techniques for screen readers',
+      'Keep content accessible: .sr-only { position: absolute; width: 1px; height: 1px; overflow: hidden; }',
+      'Avoid display: none or visibility: hidden for screen reader content',
+    ],
+    examples: {
+      invalid: '.sr-only { display: none; }',
+      valid: '.sr-only { position: absolute; width: 1px; height: 1px; clip: rect(0 0 0 0); overflow: hidden; }',
+    },
+  },
+  'contrast-mode-missing': {
+    severity: 'warning',
+    wcag: ['1.4.1'],
+    tags: ['color', 'forced-colors'],
+    description: 'Focus styles must stay visible in forced-colors (high contrast) mode, which removes box-shadow and ignores -ms-high-contrast',
+    fix: [
+      'Keep an outline on focus: outline: 2px solid transparent shows in forced-colors mode',
+      'Target high contrast mode with @media (forced-colors: active), not -ms-high-contrast',
+      'Test in Windows High Contrast Mode',
+    ],
+    examples: {
+      invalid: 'button:focus { box-shadow: 0 0 0 3px #005fcc; outline: none; }',
+      valid: 'button:focus { box-shadow: 0 0 0 3px #005fcc; outline: 2px solid transparent; }',
+    },
+  },
+  'text-spacing': {
+    severity: 'warning',
+    wcag: ['1.4.12'],
+    tags: ['typography'],
+    description: 'Line height should be at least 1.5 for body text',
+    fix: [
+      'Do not restrict text spacing properties',
+      'Allow: line-height: 1.5, letter-spacing, word-spacing',
+      'Content must be readable with increased spacing',
+    ],
+    examples: {
+      invalid: 'p { line-height: 1.1; }',
+      valid: 'p { line-height: 1.5; }',
+    },
+  },
+  'forced-colors-override': {
+    severity: 'warning',
+    wcag: ['1.4.1'],
+    tags: ['color', 'forced-colors'],
+    description: 'Forced-colors styles must not remove outlines or borders, and forced-color-adjust: none must not disable Windows High Contrast colors',
+    fix: [
+      'Do not override forced-colors mode',
+      'Keep outlines and borders under @media (forced-colors: active); they are what shows where controls are',
+    ],
+    examples: {
+      invalid: '.card { forced-color-adjust: none; }',
+      valid: '.card { border: 1px solid CanvasText; }',
+    },
+  },
+  'animation-no-reduced-motion': {
+    severity: 'warning',
+    wcag: ['2.3.3'],
+    tags: ['motion'],
+    description: 'Animations and moving transitions should be turned off under prefers-reduced-motion: reduce',
+    fix: [
+      'Turn the animation off for this selector in a @media (prefers-reduced-motion: reduce) query',
+      'Disable or reduce animations for users who prefer less motion',
+      'Example: @media (prefers-reduced-motion: reduce) { .animated { animation: none; } }',
+    ],
+    examples: {
+      invalid: '.spinner { animation: spin 1s infinite; }',
+      valid: '@media (prefers-reduced-motion: reduce) {\n  .spinner { animation: none; }\n}',
+    },
+  },
+  'insufficient-touch-target': {
+    severity: 'warning',
+    wcag: ['2.5.5'],
+    tags: ['touch-targets'],
+    description: 'Touch targets should be at least 44x44px',
+    fix: [
+      'Interactive elements should be at least 44x44 pixels',
+      'Increase padding or dimensions to meet minimum touch target size',
+      'Example: button { min-height: 44px; min-width: 44px; padding: 12px; }',
+    ],
+    examples: {
+      invalid: '.icon-btn { width: 24px; height: 24px; }',
+      valid: '.icon-btn { min-width: 44px; min-height: 44px; }',
+    },
+  },
+  'text-justify': {
+    severity: 'warning',
+    wcag: ['1.4.8'],
+    tags: ['typography'],
+    description: 'Avoid justified text',
+    fix: [
+      'Avoid text-align: justify',
+      'Justified text creates uneven spacing that is hard to read',
+      'Use text-align: left or right instead',
+    ],
+    examples: {
+      invalid: 'p { text-align: justify; }',
+      valid: 'p { text-align: left; }',
+    },
+  },
+  'text-all-caps': {
+    severity: 'warning',
+    wcag: ['1.4.8'],
+    tags: ['typography'],
+    description: 'Avoid uppercase transforms on long runs of text',
+    fix: [
+      'Avoid text-transform: uppercase for long text',
+      'All caps text is harder to read',
+      'Use sparingly, only for short labels or buttons',
+    ],
+    examples: {
+      invalid: 'p { text-transform: uppercase; }',
+      valid: 'h6 { text-transform: uppercase; letter-spacing: 0.05em; }',
+    },
+  },
+  'insufficient-focus-indicator': {
+    severity: 'warning',
+    wcag: ['2.4.7'],
+    tags: ['focus', 'focus-visible'],
+    description: 'Focus outlines should be at least 2px thick',
+    fix: [
+      'Focus indicators should be at least 2px thick',
+      'Ensure sufficient contrast between indicator and background',
+      'Example: button:focus { outline: 2px solid blue; outline-offset: 2px; }',
+    ],
+    examples: {
+      invalid: 'a:focus { outline: 1px dotted; }',
+      valid: 'a:focus-visible { outline: 2px solid #005fcc; }',
+    },
+  },
+  'hover-only-interaction': {
+    severity: 'warning',
+    wcag: ['1.4.13'],
+    tags: ['focus', 'focus-visible'],
+    description: 'Styles shown on :hover must also be shown on :focus',
+    fix: [
+      'Interactive elements should not rely solely on :hover',
+      'Add :focus styles to support keyboard navigation',
+      'Example: .button:hover, .button:focus { background: blue; }',
+    ],
+    examples: {
+      invalid: '.menu:hover .submenu { display: block; }',
+      valid: '.menu:hover .submenu,\n.menu:focus-within .submenu { display: block; }',
+    },
+  },
+  'text-indent-hiding': {
+    severity: 'warning',
+    wcag: ['1.3.2'],
+    tags: ['screen-readers'],
+    description: 'Do not hide text with large negative text-indent',
+    fix: [
+      'Avoid using text-indent to hide text',
+      'Use proper accessibility techniques for off-screen text',
+      'Example: .sr-only { position: absolute; left: -10000px; }',
+    ],
+    examples: {
+      invalid: '.logo { text-indent: -9999px; }',
+      valid: '.logo .label { position: absolute; width: 1px; height: 1px; clip: rect(0 0 0 0); overflow: hidden; }',
+    },
+  },
+  'transparent-text': {
+    severity: 'error',
+    wcag: ['1.4.3'],
+    tags: ['color', 'contrast'],
+    description: 'Text color must not be transparent',
+    fix: [
+      'Do not use transparent text',
+      'Text must be visible to all users',
+      'Use proper hiding techniques if content should not be displayed',
+    ],
+    examples: {
+      invalid: '.label { color: transparent; }',
+      valid: '.label { color: #333; }',
+    },
+  },
+  'pointer-events-disabled': {
+    severity: 'error',
+    wcag: ['2.1.1'],
+    tags: ['keyboard', 'keyboard-nav'],
+    description: 'pointer-events: none must not be used on interactive elements',
+    fix: [
+      'Avoid pointer-events: none on interactive elements',
+      'This prevents keyboard and assistive technology interaction',
+      'Find alternative solutions that maintain accessibility',
+    ],
+    examples: {
+      invalid: 'button.busy { pointer-events: none; }',
+      valid: 'button[disabled] { opacity: 0.6; }',
+    },
+  },
+  'viewport-font-size': {
+    severity: 'warning',
+    wcag: ['1.4.4'],
+    tags: ['typography'],
+    description: 'Font sizes should not use only viewport units',
+    fix: [
+      'Avoid viewport units (vw, vh) for font sizes',
+      'Viewport units do not respect user zoom settings',
+      'Use rem or em units instead',
+    ],
+    examples: {
+      invalid: 'h1 { font-size: 5vw; }',
+      valid: 'h1 { font-size: clamp(1.5rem, 1rem + 2vw, 3rem); }',
+    },
+  },
+  'important-overuse': {
+    severity: 'warning',
+    wcag: ['1.4.12'],
+    tags: ['typography'],
+    description: '!important on text properties blocks user style sheets',
+    fix: [
+      'Avoid !important on typography and color properties',
+      '!important prevents user stylesheets from overriding',
+      'Refactor CSS specificity instead',
+    ],
+    examples: {
+      invalid: 'p { font-size: 14px !important; }',
+      valid: 'p { font-size: 0.875rem; }',
+    },
+  },
+  'horizontal-scrolling': {
+    severity: 'warning',
+    wcag: ['1.4.10'],
+    tags: ['layout'],
+    description: 'Content should reflow without horizontal scrolling',
+    fix: [
+      'Avoid horizontal scrolling',
+      'Content should reflow for narrow viewports',
+      'Use overflow-x: auto only when necessary with proper ARIA labels',
+    ],
+    examples: {
+      invalid: '.page { overflow-x: scroll; }',
+      valid: '.page { overflow-wrap: anywhere; max-width: 100%; }',
+    },
+  },
+  'fixed-width-no-scale': {
+    severity: 'warning',
+    wcag: ['1.4.10'],
+    tags: ['layout'],
+    description: 'Fixed widths wider than a 320px viewport prevent content from reflowing',
+    fix: [
+      'Avoid fixed widths wider than 320px, or cap them with max-width: 100%',
+      'Use max-width with percentage or rem units',
+      'Allow content to reflow at different zoom levels',
+    ],
+    examples: {
+      invalid: '.container { width: 1200px; }',
+      valid: '.container { max-width: 75rem; width: 100%; }',
+    },
+  },
+  'css-parse-error': {
+    severity: 'error',
+    wcag: [],
+    tags: ['parsing'],
+    description: 'The stylesheet could not be parsed',
+    fix: [
+      'Fix CSS syntax errors before accessibility checking',
+    ],
+    examples: {
+      invalid: '.btn { color: red',
+      valid: '.btn { color: red; }',
+    },
+  },
+});
 
 /**
- * Fix suggestions for each violation type
+ * Call back for each declaration of a rule, including those in nested at-rules
+ * (@media inside a rule) but not those of nested rules, which are visited
+ * on their own with their full selector
+ * @param {object} rule - postcss Rule
+ * @param {string|RegExp} [prop] - Only declarations of this property
+ * @param {Function} callback
  */
-const fixSuggestions = {
-  'focus-outline-removed': [
-    'Do not remove focus outlines globally',
-    'Provide custom visible focus styles: button:focus { outline: 2px solid blue; }',
-    'Use :focus-visible for modern browsers: button:focus-visible { outline: 2px solid blue; }',
-  ],
-  'focus-styles-missing': [
-    'Add focus styles to interactive elements',
-    'Use :focus or :focus-visible pseudo-classes',
-    'Ensure minimum 2px outline or visible indicator',
-  ],
-  'low-contrast-text': [
-    'Ensure text has sufficient contrast against background',
-    'WCAG AA requires 4.5:1 for normal text, 3:1 for large text (18pt+ or 14pt+ bold)',
-    'Use online tools to check contrast ratios',
-  ],
-  'small-text-size': [
-    'Avoid setting font-size below 16px for body text',
-    'Allow users to zoom text up to 200% without layout breaking',
-    'Use relative units (rem, em) instead of fixed pixels',
-  ],
-  'hidden-content-accessible': [
-    'Use proper hiding techniques for screen readers',
-    'Keep content accessible: .sr-only { position: absolute; width: 1px; height: 1px; overflow: hidden; }',
-    'Avoid display: none or visibility: hidden for screen reader content',
-  ],
-  'contrast-mode-missing': [
-    'Support high contrast mode with @media (prefers-contrast: high)',
-    'Avoid using background images for important content',
-    'Test in Windows High Contrast Mode',
-  ],
-  'text-spacing': [
-    'Do not restrict text spacing properties',
-    'Allow: line-height: 1.5, letter-spacing, word-spacing',
-    'Content must be readable with increased spacing',
-  ],
-  'forced-colors-override': [
-    'Do not override forced-colors mode',
-    'Respect user color preferences: @media (forced-colors: active)',
-  ],
-  'animation-no-reduced-motion': [
-    'Add @media (prefers-reduced-motion: reduce) query',
-    'Disable or reduce animations for users who prefer less motion',
-    'Example: @media (prefers-reduced-motion: reduce) { .animated { animation: none; } }',
-  ],
-  'insufficient-touch-target': [
-    'Interactive elements should be at least 44x44 pixels',
-    'Increase padding or dimensions to meet minimum touch target size',
-    'Example: button { min-height: 44px; min-width: 44px; padding: 12px; }',
-  ],
-  'text-justify': [
-    'Avoid text-align: justify',
-    'Justified text creates uneven spacing that is hard to read',
-    'Use text-align: left or right instead',
-  ],
-  'text-all-caps': [
-    'Avoid text-transform: uppercase for long text',
-    'All caps text is harder to read',
-    'Use sparingly, only for short labels or buttons',
-  ],
-  'insufficient-focus-indicator': [
-    'Focus indicators should be at least 2px thick',
-    'Ensure sufficient contrast between indicator and background',
-    'Example: button:focus { outline: 2px solid blue; outline-offset: 2px; }',
-  ],
-  'hover-only-interaction': [
-    'Interactive elements should not rely solely on :hover',
-    'Add :focus styles to support keyboard navigation',
-    'Example: .button:hover, .button:focus { background: blue; }',
-  ],
-  'text-indent-hiding': [
-    'Avoid using text-indent to hide text',
-    'Use proper accessibility techniques for off-screen text',
-    'Example: .sr-only { position: absolute; left: -10000px; }',
-  ],
-  'transparent-text': [
-    'Do not use transparent text',
-    'Text must be visible to all users',
-    'Use proper hiding techniques if content should not be displayed',
-  ],
-  'pointer-events-disabled': [
-    'Avoid pointer-events: none on interactive elements',
-    'This prevents keyboard and assistive technology interaction',
-    'Find alternative solutions that maintain accessibility',
-  ],
-  'viewport-font-size': [
-    'Avoid viewport units (vw, vh) for font sizes',
-    'Viewport units do not respect user zoom settings',
-    'Use rem or em units instead',
-  ],
-  'important-overuse': [
-    'Avoid !important on typography and color properties',
-    '!important prevents user stylesheets from overriding',
-    'Refactor CSS specificity instead',
-  ],
-  'horizontal-scrolling': [
-    'Avoid horizontal scrolling',
-    'Content should reflow for narrow viewports',
-    'Use overflow-x: auto only when necessary with proper ARIA labels',
-  ],
-  'fixed-width-no-scale': [
-    'Avoid large fixed pixel widths',
-    'Use max-width with percentage or rem units',
-    'Allow content to reflow at different zoom levels',
-  ],
-};
-
-/**
- * Calculate relative luminance for contrast checking
- */
-function getLuminance(r, g, b) {
-  const [rs, gs, bs] = [r, g, b].map(c => {
-    c = c / 255;
-    return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+function eachDecl(rule, prop, callback) {
+  if (!callback) {
+    return eachDecl(rule, null, prop);
+  }
+  const matches = decl => !prop || (prop instanceof RegExp ? prop.test(decl.prop) : decl.prop === prop);
+  rule.each(function visit(node) {
+    if (node.type === 'decl' && matches(node)) {
+      callback(node);
+    } else if (node.type === 'atrule' && node.nodes) {
+      node.each(visit);
+    }
   });
-  return 0.2126 * rs + 0.7152 * gs + 0.0722 * bs;
 }
 
 /**
- * Calculate contrast ratio between two colors
+ * Selectors for links, buttons and form controls
  */
-function getContrastRatio(rgb1, rgb2) {
-  const lum1 = getLuminance(...rgb1);
-  const lum2 = getLuminance(...rgb2);
-  const lighter = Math.max(lum1, lum2);
-  const darker = Math.min(lum1, lum2);
-  return (lighter + 0.05) / (darker + 0.05);
+function isInteractiveSelector(selector) {
+  return /^(a|button|input|select|textarea|\[role=["']?button["']?\])/i.test(selector) ||
+    /\.(btn|button|link)/i.test(selector);
 }
 
 /**
- * Parse color to RGB
+ * Analyze CSS content for accessibility violations
+ * @param {string} content - Stylesheet source
+ * @param {string} [filePath] - Used for syntax detection and suppression comment syntax
+ * @param {object} [options]
+ * @param {object} [options.suppressions] - Shared createSuppressions() set (see suppressions.js)
+ * @param {'css'|'scss'|'sass'|'less'|'stylus'} [options.lang] - Syntax of embedded styles
+ *   (e.g. <style lang="less">); overrides the file extension
+ * @param {string} [options.source] - Original file text for snippets, when content is a
+ *   copy of it with the styles kept at their lines (see css-in-js.js)
+ * @param {string} [options.rootDir] - Repository root imports are resolved from (see parseStyles())
  */
-function parseColor(color) {
-  // Simple color parsing (hex and rgb)
-  if (color.startsWith('#')) {
-    const hex = color.slice(1);
-    if (hex.length === 3) {
-      return [
-        parseInt(hex[0] + hex[0], 16),
-        parseInt(hex[1] + hex[1], 16),
-        parseInt(hex[2] + hex[2], 16),
-      ];
-    } else if (hex.length === 6) {
-      return [
-        parseInt(hex.slice(0, 2), 16),
-        parseInt(hex.slice(2, 4), 16),
-        parseInt(hex.slice(4, 6), 16),
-      ];
-    }
-  } else if (color.startsWith('rgb')) {
-    const match = color.match(/\d+/g);
-    if (match && match.length >= 3) {
-      return [parseInt(match[0]), parseInt(match[1]), parseInt(match[2])];
+export async function analyzeCSS(content, filePath = 'unknown.css', options = {}) {
+  const violations = [];
+  const lang = normalizeStyleLang(options.lang) || styleLangForFile(filePath) || 'css';
+
+  /**
+   * Full source range of a postcss node (postcss end columns are inclusive),
+   * and the variable and custom property declarations behind the values of
+   * the declarations a finding depends on (the node itself by default)
+   */
+  function locate(node, decls = node.type === 'decl' ? [node] : []) {
+    const start = node.source?.start;
+    const end = node.source?.end;
+    const trace = decls.flatMap(decl => [...variableTrace(decl), ...propertyTrace(decl)]);
+    const traced = trace.length ? { trace: [...new Set(trace)] } : {};
+    if (!start) {
+      return { line: 1, column: 1, ...traced };
     }
+    return {
+      line: start.line,
+      column: start.column,
+      endLine: end?.line || start.line,
+      endColumn: end ? end.column + 1 : start.column,
+      ...traced,
+    };
   }
-  
-  // Named colors (common ones)
-  const namedColors = {
-    'white': [255, 255, 255],
-    'black': [0, 0, 0],
-    'red': [255, 0, 0],
-    'green': [0, 128, 0],
-    'blue': [0, 0, 255],
-    'gray': [128, 128, 128],
-    'grey': [128, 128, 128],
-    'yellow': [255, 255, 0],
-    'orange': [255, 165, 0],
-    'purple': [128, 0, 128],
-    'pink': [255, 192, 203],
-  };
-  
-  return namedColors[color.toLowerCase()] || null;
-}
 
-/**
- * Analyze CSS content for accessibility violations
- */
-export async function analyzeCSS(content, filePath = 'unknown.css') {
-  const violations = [];
-  const isScss = filePath.endsWith('.scss');
+  /**
+   * Autofix for `outline: none` in a :focus rule: keep hiding the ring for
+   * mouse focus (:focus:not(:focus-visible)) and add an explicit
+   * :focus-visible rule for keyboard users, right after the original rule
+   */
+  function focusVisibleFix(rule, decl) {
+    const start = rule.source?.start?.offset;
+    const end = rule.source?.end?.offset;
+    const focus = /:focus(?![-\w])/g;
+    // Sass is parsed from a rewritten copy, and mixin copies live elsewhere
+    if (lang === 'sass' || isExpanded(decl)) return undefined;
+    if (typeof start !== 'number' || typeof end !== 'number' || content[end - 1] !== '}') return undefined;
+    // Rules rewritten from the source (interpolations, style objects) cannot be edited in place
+    if (options.source !== undefined && options.source.slice(start, end) !== content.slice(start, end)) return undefined;
+    // Grouped selectors without :focus would change meaning; leave those to a human
+    if (!rule.selectors.every(selector => /:focus(?![-\w])/.test(selector))) return undefined;
+
+    const lineStart = content.lastIndexOf('\n', start - 1) + 1;
+    const indent = /^[ \t]*/.exec(content.slice(lineStart, start))[0];
+    const visibleSelector = rule.selectors.map(selector => selector.replace(focus, ':focus-visible')).join(', ');
+    const visibleRule = `\n\n${indent}${visibleSelector} {\n${indent}  outline: 2px solid currentColor;\n${indent}  outline-offset: 2px;\n${indent}}`;
+    const hiddenSelector = rule.selectors.map(selector => selector.replace(focus, ':focus:not(:focus-visible)')).join(', ');
+    const title = `Show the focus ring for keyboard users with ${visibleSelector}`;
+
+    const onlyOutline = rule.nodes.every(node => node.type === 'decl' && node.prop.toLowerCase().startsWith('outline'));
+    if (onlyOutline && content.slice(start, start + rule.selector.length) === rule.selector) {
+      return {
+        title,
+        edits: [
+          { start, end: start + rule.selector.length, text: hiddenSelector },
+          { start: end, end, text: visibleRule },
+        ],
+      };
+    }
+
+    // Other declarations stay on :focus; only the outline removal moves
+    let declStart = decl.source.start.offset;
+    let declEnd = decl.source.end.offset;
+    if (content[declEnd] === ';') declEnd++;
+    const before = content.slice(content.lastIndexOf('\n', declStart - 1) + 1, declStart);
+    if (/^\s*$/.test(before) && /^[ \t]*(\r?\n|$)/.test(content.slice(declEnd))) {
+      declStart -= before.length + 1;
+    } else if (content[declEnd] === ' ') {
+      declEnd++;
+    }
+    const hiddenRule = `\n\n${indent}${hiddenSelector} {\n${indent}  ${decl.toString()};\n${indent}}`;
+    return {
+      title,
+      edits: [
+        { start: Math.max(declStart, start), end: declEnd, text: '' },
+        { start: end, end, text: hiddenRule + visibleRule },
+      ],
+    };
+  }
 
   // Track interactive selectors for focus styles check
-  const interactiveSelectors = new Set();
+  const interactiveSelectors = new Map();
   const focusSelectors = new Set();
 
   try {
-    const result = await postcss([]).process(content, {
-      from: filePath,
-      syntax: isScss ? postcssScss : undefined,
-    });
+    const root = await parseStyles(content, lang, filePath, { rootDir: options.rootDir });
+    // Imported stylesheets provide custom properties and inherited colors
+    const roots = [...importedRoots(root), root];
+    const properties = collectCustomProperties(roots, resolveSelector);
+    applyCustomProperties(roots, properties, resolveSelector);
 
     // First pass: collect interactive and focus selectors
-    result.root.walkRules(rule => {
-      const selector = rule.selector.toLowerCase();
+    root.walkRules(rule => {
+      const selector = resolveSelector(rule).toLowerCase();
       
       // Track interactive elements
-      if (/^(a|button|input|select|textarea|\[role=["']?button["']?\])/i.test(selector) ||
-          /\.(btn|button|link)/i.test(selector)) {
-        interactiveSelectors.add(selector.split(':')[0].trim());
+      if (isInteractiveSelector(selector)) {
+        const element = selector.split(':')[0].trim();
+        if (!interactiveSelectors.has(element)) interactiveSelectors.set(element, rule);
       }
       
       // Track focus styles
@@ -244,38 +515,44 @@ export async function analyzeCSS(content, filePath = 'unknown.css') {
     });
 
     // Check for missing focus styles
-    for (const selector of interactiveSelectors) {
+    for (const [selector, rule] of interactiveSelectors) {
       if (!focusSelectors.has(selector)) {
+        const { line, column } = locate(rule);
         violations.push({
           ruleId: 'focus-styles-missing',
           severity: 'warning',
-          line: 1,
-          column: 1,
+          line,
+          column,
           message: `Interactive element "${selector}" is missing focus styles`,
-          wcag: violationToWCAG['focus-styles-missing'],
-          fix: fixSuggestions['focus-styles-missing'],
         });
       }
     }
 
     // Second pass: check individual rules
-    result.root.walkRules(rule => {
-      const line = rule.source?.start?.line || 1;
-      const selector = rule.selector.toLowerCase();
+    root.walkRules(rule => {
+      const selector = resolveSelector(rule).toLowerCase();
 
       // Check for focus outline removal
-      rule.walkDecls('outline', decl => {
+      eachDecl(rule, 'outline', decl => {
         const value = decl.value.toLowerCase();
         if (value === 'none' || value === '0') {
-          if (selector.includes(':focus')) {
+          // :focus:not(:focus-visible) only hides the ring for mouse focus
+          if (selector.includes(':focus') && !selector.includes(':not(:focus-visible)')) {
             violations.push({
               ruleId: 'focus-outline-removed',
               severity: 'error',
-              line: decl.source?.start?.line || line,
-              column: decl.source?.start?.column || 1,
+              ...locate(decl),
               message: 'Do not remove focus outlines without providing custom visible focus styles',
-              wcag: violationToWCAG['focus-outline-removed'],
-              fix: fixSuggestions['focus-outline-removed'],
+              autofix: focusVisibleFix(rule, decl),
+            });
+          } else if (!selector.includes(':focus') && isInteractiveSelector(selector)
+              && !focusSelectors.has(selector.split(':')[0].trim())) {
+            // The outline is the focus ring in every state, and nothing replaces it
+            violations.push({
+              ruleId: 'focus-outline-removed',
+              severity: 'error',
+              ...locate(decl),
+              message: 'outline: none removes the focus indicator of this interactive element; add :focus-visible styles',
             });
           }
         } else if (selector.includes(':focus')) {
@@ -285,11 +562,8 @@ export async function analyzeCSS(content, filePath = 'unknown.css') {
             violations.push({
               ruleId: 'insufficient-focus-indicator',
               severity: 'warning',
-              line: decl.source?.start?.line || line,
-              column: decl.source?.start?.column || 1,
+              ...locate(decl),
               message: `Focus outline ${widthMatch[1]}px is too thin. Use at least 2px`,
-              wcag: violationToWCAG['insufficient-focus-indicator'],
-              fix: fixSuggestions['insufficient-focus-indicator'],
             });
           }
         }
@@ -297,67 +571,34 @@ export async function analyzeCSS(content, filePath = 'unknown.css') {
 
       // Check for hover-only interactions
       if (selector.includes(':hover') && !selector.includes(':focus')) {
-        rule.walkDecls(decl => {
+        eachDecl(rule, decl => {
           // Check if this is an interactive property (not just cosmetic)
           const interactiveProps = ['display', 'visibility', 'opacity', 'transform', 'background', 'color'];
           if (interactiveProps.some(prop => decl.prop.includes(prop))) {
             violations.push({
               ruleId: 'hover-only-interaction',
               severity: 'warning',
-              line: decl.source?.start?.line || line,
-              column: decl.source?.start?.column || 1,
+              ...locate(decl),
               message: 'Interactive styles should not rely solely on :hover - add :focus styles',
-              wcag: violationToWCAG['hover-only-interaction'],
-              fix: fixSuggestions['hover-only-interaction'],
             });
           }
         });
       }
 
-      // Check for contrast issues (simplified - checks explicit color pairs)
-      let colorValue = null;
-      let backgroundColorValue = null;
-
-      rule.walkDecls('color', decl => {
-        const val = decl.value.toLowerCase();
-        colorValue = parseColor(val);
-        
-        // Check for transparent text
-        if (val === 'transparent') {
+      // Check for transparent text
+      eachDecl(rule, 'color', decl => {
+        if (decl.value.toLowerCase() === 'transparent') {
           violations.push({
             ruleId: 'transparent-text',
             severity: 'error',
-            line: decl.source?.start?.line || line,
-            column: decl.source?.start?.column || 1,
+            ...locate(decl),
             message: 'Text color should not be transparent',
-            wcag: violationToWCAG['transparent-text'],
-            fix: fixSuggestions['transparent-text'],
           });
         }
       });
 
-      rule.walkDecls('background-color', decl => {
-        backgroundColorValue = parseColor(decl.value);
-      });
-
-      if (colorValue && backgroundColorValue) {
-        const ratio = getContrastRatio(colorValue, backgroundColorValue);
-        // WCAG AA requires 4.5:1 for normal text
-        if (ratio < 4.5) {
-          violations.push({
-            ruleId: 'low-contrast-text',
-            severity: 'error',
-            line: line,
-            column: 1,
-            message: `Low contrast ratio (${ratio.toFixed(2)}:1). WCAG AA requires 4.5:1 for normal text`,
-            wcag: violationToWCAG['low-contrast-text'],
-            fix: fixSuggestions['low-contrast-text'],
-          });
-        }
-      }
-
       // Check for small font sizes and viewport units
-      rule.walkDecls('font-size', decl => {
+      eachDecl(rule, 'font-size', decl => {
         const value = decl.value.toLowerCase();
         
         // Check for viewport units
@@ -365,11 +606,8 @@ export async function analyzeCSS(content, filePath = 'unknown.css') {
           violations.push({
             ruleId: 'viewport-font-size',
             severity: 'warning',
-            line: decl.source?.start?.line || line,
-            column: decl.source?.start?.column || 1,
+            ...locate(decl),
             message: 'Avoid viewport units (vw, vh) for font sizes - they don\'t respect zoom settings',
-            wcag: violationToWCAG['viewport-font-size'],
-            fix: fixSuggestions['viewport-font-size'],
           });
         }
         
@@ -381,11 +619,8 @@ export async function analyzeCSS(content, filePath = 'unknown.css') {
             violations.push({
               ruleId: 'small-text-size',
               severity: 'warning',
-              line: decl.source?.start?.line || line,
-              column: decl.source?.start?.column || 1,
+              ...locate(decl),
               message: `Font size ${size}px is too small. Minimum recommended is 14px`,
-              wcag: violationToWCAG['small-text-size'],
-              fix: fixSuggestions['small-text-size'],
             });
           }
         }
@@ -395,13 +630,13 @@ export async function analyzeCSS(content, filePath = 'unknown.css') {
       let ruleHasDisplayNone = false;
       let ruleHasVisibilityHidden = false;
 
-      rule.walkDecls('display', decl => {
+      eachDecl(rule, 'display', decl => {
         if (decl.value === 'none') {
           ruleHasDisplayNone = true;
         }
       });
 
-      rule.walkDecls('visibility', decl => {
+      eachDecl(rule, 'visibility', decl => {
         if (decl.value === 'hidden') {
           ruleHasVisibilityHidden = true;
         }
@@ -416,32 +651,26 @@ export async function analyzeCSS(content, filePath = 'unknown.css') {
         violations.push({
           ruleId: 'hidden-content-accessible',
           severity: 'error',
-          line: line,
-          column: 1,
+          ...locate(rule),
           message: 'Screen reader content should not use display:none or visibility:hidden',
-          wcag: violationToWCAG['hidden-content-accessible'],
-          fix: fixSuggestions['hidden-content-accessible'],
         });
       }
 
       // Check for text-indent hiding
-      rule.walkDecls('text-indent', decl => {
+      eachDecl(rule, 'text-indent', decl => {
         const value = parseFloat(decl.value);
         if (value < -999) {
           violations.push({
             ruleId: 'text-indent-hiding',
             severity: 'warning',
-            line: decl.source?.start?.line || line,
-            column: decl.source?.start?.column || 1,
+            ...locate(decl),
             message: 'Large negative text-indent used for hiding - use proper accessibility techniques',
-            wcag: violationToWCAG['text-indent-hiding'],
-            fix: fixSuggestions['text-indent-hiding'],
           });
         }
       });
 
       // Check for pointer-events disabled on interactive elements
-      rule.walkDecls('pointer-events', decl => {
+      eachDecl(rule, 'pointer-events', decl => {
         if (decl.value === 'none') {
           const isInteractive = /button|link|input|select|textarea|a\b/i.test(selector) ||
                                /\[role=["']?(button|link)["']?\]/.test(selector);
@@ -449,59 +678,47 @@ export async function analyzeCSS(content, filePath = 'unknown.css') {
             violations.push({
               ruleId: 'pointer-events-disabled',
               severity: 'error',
-              line: decl.source?.start?.line || line,
-              column: decl.source?.start?.column || 1,
+              ...locate(decl),
               message: 'pointer-events: none on interactive elements prevents keyboard and AT interaction',
-              wcag: violationToWCAG['pointer-events-disabled'],
-              fix: fixSuggestions['pointer-events-disabled'],
             });
           }
         }
       });
 
       // Check for text justification
-      rule.walkDecls('text-align', decl => {
+      eachDecl(rule, 'text-align', decl => {
         if (decl.value === 'justify') {
           violations.push({
             ruleId: 'text-justify',
             severity: 'warning',
-            line: decl.source?.start?.line || line,
-            column: decl.source?.start?.column || 1,
+            ...locate(decl),
             message: 'text-align: justify creates uneven spacing that is harder to read',
-            wcag: violationToWCAG['text-justify'],
-            fix: fixSuggestions['text-justify'],
           });
         }
       });
 
       // Check for all-caps text
-      rule.walkDecls('text-transform', decl => {
+      eachDecl(rule, 'text-transform', decl => {
         if (decl.value === 'uppercase') {
           violations.push({
             ruleId: 'text-all-caps',
             severity: 'warning',
-            line: decl.source?.start?.line || line,
-            column: decl.source?.start?.column || 1,
+            ...locate(decl),
             message: 'text-transform: uppercase makes text harder to read - use sparingly',
-            wcag: violationToWCAG['text-all-caps'],
-            fix: fixSuggestions['text-all-caps'],
           });
         }
       });
 
       // Check for !important overuse on accessibility-critical properties
-      rule.walkDecls(decl => {
+      eachDecl(rule, decl => {
         if (decl.important) {
           const criticalProps = ['color', 'font-size', 'line-height', 'letter-spacing', 'word-spacing'];
           if (criticalProps.includes(decl.prop)) {
             violations.push({
               ruleId: 'important-overuse',
               severity: 'warning',
-              line: decl.source?.start?.line || line,
-              column: decl.source?.start?.column || 1,
+              ...locate(decl),
               message: `!important on ${decl.prop} prevents user stylesheets from overriding`,
-              wcag: violationToWCAG['important-overuse'],
-              fix: fixSuggestions['important-overuse'],
             });
           }
         }
@@ -512,22 +729,25 @@ export async function analyzeCSS(content, filePath = 'unknown.css') {
       let heightValue = null;
       let minWidthValue = null;
       let minHeightValue = null;
+      const sizeDecls = [];
 
-      rule.walkDecls(/^(width|min-width)$/, decl => {
+      eachDecl(rule, /^(width|min-width)$/, decl => {
         const pxMatch = decl.value.match(/(\d+)px/);
         if (pxMatch) {
           const size = parseInt(pxMatch[1]);
           if (decl.prop === 'width') widthValue = size;
           if (decl.prop === 'min-width') minWidthValue = size;
+          sizeDecls.push(decl);
         }
       });
 
-      rule.walkDecls(/^(height|min-height)$/, decl => {
+      eachDecl(rule, /^(height|min-height)$/, decl => {
         const pxMatch = decl.value.match(/(\d+)px/);
         if (pxMatch) {
           const size = parseInt(pxMatch[1]);
           if (decl.prop === 'height') heightValue = size;
           if (decl.prop === 'min-height') minHeightValue = size;
+          sizeDecls.push(decl);
         }
       });
 
@@ -543,11 +763,8 @@ export async function analyzeCSS(content, filePath = 'unknown.css') {
           violations.push({
             ruleId: 'insufficient-touch-target',
             severity: 'warning',
-            line: line,
-            column: 1,
+            ...locate(rule, sizeDecls),
             message: `Touch target width ${effectiveWidth}px is too small. WCAG requires minimum 44x44px`,
-            wcag: violationToWCAG['insufficient-touch-target'],
-            fix: fixSuggestions['insufficient-touch-target'],
           });
         }
 
@@ -555,67 +772,39 @@ export async function analyzeCSS(content, filePath = 'unknown.css') {
           violations.push({
             ruleId: 'insufficient-touch-target',
             severity: 'warning',
-            line: line,
-            column: 1,
+            ...locate(rule, sizeDecls),
             message: `Touch target height ${effectiveHeight}px is too small. WCAG requires minimum 44x44px`,
-            wcag: violationToWCAG['insufficient-touch-target'],
-            fix: fixSuggestions['insufficient-touch-target'],
           });
         }
       }
 
-      // Check for large fixed widths
-      rule.walkDecls('width', decl => {
-        const pxMatch = decl.value.match(/(\d+)px/);
-        if (pxMatch) {
-          const size = parseInt(pxMatch[1]);
-          if (size >= 600) {
-            violations.push({
-              ruleId: 'fixed-width-no-scale',
-              severity: 'warning',
-              line: decl.source?.start?.line || line,
-              column: decl.source?.start?.column || 1,
-              message: `Fixed width ${size}px may not scale properly - use max-width with relative units`,
-              wcag: violationToWCAG['fixed-width-no-scale'],
-              fix: fixSuggestions['fixed-width-no-scale'],
-            });
-          }
-        }
-      });
-
       // Check for horizontal scrolling
-      rule.walkDecls('overflow-x', decl => {
+      eachDecl(rule, 'overflow-x', decl => {
         if (decl.value === 'scroll' || decl.value === 'auto') {
           violations.push({
             ruleId: 'horizontal-scrolling',
             severity: 'warning',
-            line: decl.source?.start?.line || line,
-            column: decl.source?.start?.column || 1,
+            ...locate(decl),
             message: 'Horizontal scrolling should be avoided - content should reflow',
-            wcag: violationToWCAG['horizontal-scrolling'],
-            fix: fixSuggestions['horizontal-scrolling'],
           });
         }
       });
 
       // Check for line-height restrictions
-      rule.walkDecls('line-height', decl => {
+      eachDecl(rule, 'line-height', decl => {
         const value = parseFloat(decl.value);
         if (!isNaN(value) && value < 1.4) {
           violations.push({
             ruleId: 'text-spacing',
             severity: 'warning',
-            line: decl.source?.start?.line || line,
-            column: decl.source?.start?.column || 1,
+            ...locate(decl),
             message: `Line height ${value} is too tight. WCAG recommends at least 1.5`,
-            wcag: violationToWCAG['text-spacing'],
-            fix: fixSuggestions['text-spacing'],
           });
         }
       });
 
       // Check for max-height/max-width restrictions that might break with text spacing
-      rule.walkDecls(/^(max-height|max-width)$/, decl => {
+      eachDecl(rule, /^(max-height|max-width)$/, decl => {
         const value = decl.value.toLowerCase();
         if (/^\d+(px|em|rem)$/.test(value)) {
           const selectorLower = selector.toLowerCase();
@@ -624,18 +813,15 @@ export async function analyzeCSS(content, filePath = 'unknown.css') {
             violations.push({
               ruleId: 'text-spacing',
               severity: 'warning',
-              line: decl.source?.start?.line || line,
-              column: decl.source?.start?.column || 1,
+              ...locate(decl),
               message: 'Fixed max dimensions might break with increased text spacing',
-              wcag: violationToWCAG['text-spacing'],
-              fix: fixSuggestions['text-spacing'],
             });
           }
         }
       });
 
       // Check for overflow: hidden on text containers
-      rule.walkDecls('overflow', decl => {
+      eachDecl(rule, 'overflow', decl => {
         if (decl.value === 'hidden') {
           const selectorLower = selector.toLowerCase();
           const isTextContainer = selectorLower.includes('text') || 
@@ -646,44 +832,51 @@ export async function analyzeCSS(content, filePath = 'unknown.css') {
             violations.push({
               ruleId: 'text-spacing',
               severity: 'warning',
-              line: decl.source?.start?.line || line,
-              column: decl.source?.start?.column || 1,
+              ...locate(decl),
               message: 'overflow:hidden on text containers may clip content with increased spacing',
-              wcag: violationToWCAG['text-spacing'],
-              fix: fixSuggestions['text-spacing'],
             });
           }
         }
       });
     });
 
-    // Check for animations without reduced motion support
-    const hasAnimation = /@keyframes|animation:|transition:/i.test(content);
-    const hasReducedMotion = /@media\s*\(\s*prefers-reduced-motion/i.test(content);
+    // Check the rules that depend on @media: reduced motion per selector,
+    // forced colors, and widths at a 320px viewport
+    const cascade = buildCascade(roots, resolveSelector);
+    for (const { ruleId, severity, node, message } of [
+      ...reducedMotionFindings(cascade, { roots, root }),
+      ...forcedColorsFindings(cascade, { roots, root }),
+      ...reflowFindings(cascade, { root }),
+    ]) {
+      violations.push({ ruleId, severity, ...locate(node), message });
+    }
 
-    if (hasAnimation && !hasReducedMotion) {
-      violations.push({
-        ruleId: 'animation-no-reduced-motion',
-        severity: 'warning',
-        line: 1,
-        column: 1,
-        message: 'Animations detected but no @media (prefers-reduced-motion) query found',
-        wcag: violationToWCAG['animation-no-reduced-motion'],
-        fix: fixSuggestions['animation-no-reduced-motion'],
-      });
+    // Check text and non-text contrast with colors resolved across rules, for
+    // the base custom property values and then each theme's
+    const reported = new Set();
+    for (const theme of ['', ...properties.themes.keys()]) {
+      if (theme) applyCustomProperties(roots, properties, resolveSelector, theme);
+      for (const { ruleId, node, decls, key, message } of contrastFindings(buildCascade(roots, resolveSelector), { root, theme })) {
+        // A theme is only reported where it changes the outcome
+        if (reported.has(key)) continue;
+        reported.add(key);
+        violations.push({
+          ruleId,
+          severity: ruleId === 'low-contrast-text' ? 'error' : 'warning',
+          ...locate(node, decls),
+          message,
+        });
+      }
     }
 
     // Check for global outline removal
-    const globalOutlineNone = /:focus\s*\{\s*outline:\s*none/i;
-    if (globalOutlineNone.test(content) || /\*:focus\s*\{\s*outline:\s*none/i.test(content)) {
+    const globalOutlineNone = /:focus\s*\{\s*outline:\s*none/i.exec(content);
+    if (globalOutlineNone) {
       violations.push({
         ruleId: 'focus-outline-removed',
         severity: 'error',
-        line: 1,
-        column: 1,
+        ...rangeFromOffsets(createLocator(content), globalOutlineNone.index, globalOutlineNone.index + globalOutlineNone[0].length),
         message: 'Global removal of focus outlines is a critical accessibility violation',
-        wcag: violationToWCAG['focus-outline-removed'],
-        fix: fixSuggestions['focus-outline-removed'],
       });
     }
 
@@ -695,10 +888,17 @@ export async function analyzeCSS(content, filePath = 'unknown.css') {
       line: 1,
       column: 1,
       message: `CSS parsing error: ${error.message}`,
-      wcag: [],
-      fix: ['Fix CSS syntax errors before accessibility checking'],
     });
   }
 
-  return violations;
+  // Name the declarations resolved values came from
+  for (const violation of violations) {
+    if (!violation.trace) continue;
+    const sources = violation.trace.map(({ name, value, filePath: file, line }) => (
+      `${name}: ${value} (${file && file !== filePath ? `${file}:${line}` : `line ${line}`})`
+    ));
+    violation.message += ` [${sources.join('; ')}]`;
+  }
+
+  return normalizeViolations(violations, { analyzer: 'css', filePath, content: options.source ?? content, suppressions: options.suppressions });
 }
@@ -0,0 +1,196 @@
+/**
+ * CSS-in-JS: Runs the CSS rules on styles written in JavaScript/TypeScript
+ * - Tagged templates: styled.button`...`, styled(Link)`...`, css`...`
+ *   (styled-components and emotion), createGlobalStyle`...`, injectGlobal`...`
+ * - Inline style objects: style={{ outline: 'none', fontSize: 12 }}
+ * Templates are analyzed in a copy of the file with everything else blanked,
+ * so lines, columns and autofix offsets are the file's own. Style objects are
+ * rewritten as declarations on their own lines, so lines are kept.
+ */
+
+import { parse } from '@babel/parser';
+import _traverse from '@babel/traverse';
+import { analyzeCSS } from './css-analyzer.js';
+
+// Handle default export from @babel/traverse
+const traverse = _traverse.default || _traverse;
+
+// Cheap test before parsing: does the file mention any supported form?
+const MAY_HAVE_STYLES = /\b(?:styled|css|createGlobalStyle|injectGlobal)\b[\s\S]*`|\bstyle=\{\{/;
+
+// Tags whose templates hold whole rules rather than one component's declarations
+const GLOBAL_TAGS = ['createGlobalStyle', 'injectGlobal'];
+
+// Numeric style values React writes without "px"
+const UNITLESS = new Set([
+  'animationIterationCount', 'aspectRatio', 'columnCount', 'columns', 'flex', 'flexGrow',
+  'flexShrink', 'fontWeight', 'gridColumn', 'gridRow', 'lineClamp', 'lineHeight', 'opacity',
+  'order', 'orphans', 'scale', 'tabSize', 'widows', 'zIndex', 'zoom',
+]);
+
+/**
+ * What a tagged template styles: a selector for its declarations, '' for
+ * global styles, or null when the tag is not a styling function
+ */
+function templateSelector(tag) {
+  if (tag.type === 'Identifier') {
+    if (tag.name === 'css') return '&';
+    return GLOBAL_TAGS.includes(tag.name) ? '' : null;
+  }
+  // styled.button.attrs({...})`...` / styled(Link).withConfig({...})`...`
+  if (tag.type === 'CallExpression' && tag.callee.type === 'MemberExpression'
+      && ['attrs', 'withConfig'].includes(tag.callee.property.name)) {
+    return templateSelector(tag.callee.object);
+  }
+  let element = null;
+  if (tag.type === 'MemberExpression' && tag.object.name === 'styled' && !tag.computed) {
+    element = tag.property.name;
+  } else if (tag.type === 'CallExpression' && tag.callee.name === 'styled') {
+    element = tag.arguments[0]?.type === 'StringLiteral' ? tag.arguments[0].value : '';
+  } else {
+    return null;
+  }
+  // Components (styled(Link)) could render anything
+  return /^[a-z][a-z0-9]*$/.test(element) ? element : '&';
+}
+
+/**
+ * Write a styled template into a blank copy: `sel{` over the tag, the
+ * template text in place and `}` over the closing backtick. Interpolations
+ * that stand for whole declarations or mixins (${focusRing};) are blanked;
+ * those inside a value or selector become same-length placeholders.
+ */
+function writeTemplate(chars, content, node, selector) {
+  const { quasis } = node.quasi;
+  if (selector) {
+    for (let i = 0; i < selector.length; i++) chars[node.start + i] = selector[i];
+    chars[node.quasi.start] = '{';
+    chars[node.quasi.end - 1] = '}';
+  }
+  quasis.forEach((quasi, i) => {
+    for (let j = quasi.start; j < quasi.end; j++) chars[j] = content[j];
+    const next = quasis[i + 1];
+    if (!next) return;
+    const before = content.slice(quasis[0].start, quasi.end);
+    const after = content.slice(next.start, next.end);
+    const statement = /(^|[;{}\n])\s*$/.test(before) && /^[ \t]*(;|\r?\n|\}|$)/.test(after);
+    for (let j = quasi.end; j < next.start; j++) {
+      if (content[j] !== '\n' && content[j] !== '\r') chars[j] = statement ? ' ' : '_';
+    }
+  });
+}
+
+function kebabCase(name) {
+  if (name.startsWith('--')) return name;
+  const kebab = name.replace(/[A-Z]/g, char => `-${char.toLowerCase()}`);
+  // msTransform → -ms-transform (WebkitX and MozX already start with a capital)
+  return kebab.startsWith('ms-') ? `-${kebab}` : kebab;
+}
+
+// CSS text of a literal style value, or null when it is computed
+function styleValue(name, node) {
+  let value = null;
+  if (node.type === 'StringLiteral') {
+    value = node.value;
+  } else if (node.type === 'TemplateLiteral' && node.expressions.length === 0) {
+    value = node.quasis[0].value.cooked;
+  } else if (node.type === 'NumericLiteral' || (node.type === 'UnaryExpression' && node.operator === '-' && node.argument.type === 'NumericLiteral')) {
+    const number = node.type === 'NumericLiteral' ? node.value : -node.argument.value;
+    value = number === 0 || UNITLESS.has(name) ? String(number) : `${number}px`;
+  }
+  return value !== null && !/[;{}]/.test(value) ? value.replace(/\s+/g, ' ') : null;
+}
+
+/**
+ * Style objects as a stylesheet with the same lines as the file: each
+ * declaration starts at its property's line and column, moved right only
+ * when an earlier one on the same line grew into it (offsets are not kept)
+ */
+function writeStyleObjects(content, objects) {
+  const lines = content.split('\n').map(() => '');
+  const put = ({ line, column }, text) => {
+    const current = lines[line - 1];
+    lines[line - 1] = current.length <= column
+      ? current.padEnd(column) + text
+      : `${current} ${text}`;
+  };
+  for (const { node, selector } of objects) {
+    // The selector goes before the brace, over `style={`
+    put({ line: node.loc.start.line, column: Math.max(0, node.loc.start.column - selector.length) }, `${selector}{`);
+    for (const property of node.properties) {
+      if (property.type !== 'ObjectProperty' || property.computed) continue;
+      const name = property.key.type === 'Identifier' ? property.key.name : property.key.value;
+      const value = typeof name === 'string' ? styleValue(name, property.value) : null;
+      if (value !== null) put(property.loc.start, `${kebabCase(name)}: ${value};`);
+    }
+    put({ line: node.loc.end.line, column: node.loc.end.column - 1 }, '}');
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Stylesheets written in a script, as copies to run the CSS rules on
+ * @param {string} content - JavaScript/TypeScript source (JSX allowed)
+ * @returns {{templates: string[], styleObjects: string[]}} templates:
+ *   an offset-preserving copy per template, so two styled.buttons do not
+ *   share :focus styles; styleObjects: a line-preserving stylesheet per
+ *   style={{...}}, so inline styles of two elements are not one rule
+ */
+export function extractStyles(content) {
+  const none = { templates: [], styleObjects: [] };
+  if (!MAY_HAVE_STYLES.test(content)) return none;
+  let ast;
+  try {
+    ast = parse(content, { sourceType: 'module', plugins: ['jsx', 'typescript'] });
+  } catch {
+    // Syntax errors are reported by the script analyzers
+    return none;
+  }
+
+  const templates = [];
+  const objects = [];
+  traverse(ast, {
+    TaggedTemplateExpression(path) {
+      const { node } = path;
+      const selector = templateSelector(node.tag);
+      if (selector === null) return;
+      const chars = content.replace(/[^\r\n]/g, ' ').split('');
+      writeTemplate(chars, content, node, selector);
+      templates.push(chars.join(''));
+    },
+    JSXAttribute(path) {
+      const { node } = path;
+      const expression = node.value?.type === 'JSXExpressionContainer' ? node.value.expression : null;
+      if (node.name.name !== 'style' || expression?.type !== 'ObjectExpression') return;
+      const element = path.parent.name;
+      const selector = element.type === 'JSXIdentifier' && /^[a-z][a-z0-9]*$/.test(element.name) ? element.name : '&';
+      objects.push({ node: expression, selector });
+    },
+  });
+
+  return { templates, styleObjects: objects.map(object => writeStyleObjects(content, [object])) };
+}
+
+/**
+ * Run the CSS rules on a script's styled templates and style objects
+ * @param {string} content - JavaScript/TypeScript source
+ * @param {string} [filePath] - Reported on each violation
+ * @param {object} [options]
+ * @param {object} [options.suppressions] - Shared createSuppressions() set (see suppressions.js)
+ * @returns {Promise<Array>} Canonical violations (analyzer 'css') at lines of the script
+ */
+export async function analyzeCSSInJS(content, filePath = 'unknown.jsx', options = {}) {
+  const { templates, styleObjects } = extractStyles(content);
+  const violations = [];
+  for (const sheet of templates) {
+    const found = await analyzeCSS(sheet, filePath, { ...options, lang: 'scss', source: content });
+    // Stylis accepts more than postcss; a template that does not parse is skipped
+    violations.push(...found.filter(violation => violation.ruleId !== 'css-parse-error'));
+  }
+  for (const sheet of styleObjects) {
+    const found = await analyzeCSS(sheet, filePath, { ...options, lang: 'css', source: content });
+    // Inline styles cannot have :focus rules of their own
+    violations.push(...found.filter(violation => violation.ruleId !== 'focus-styles-missing'));
+  }
+  return violations.sort((a, b) => a.line - b.line || a.column - b.column);
+}
@@ -0,0 +1,153 @@
+/**
+ * Custom Properties: Resolves var(--name) in declarations, so the checks see
+ * the values design tokens stand for
+ * - Definitions come from the stylesheet and the files it imports. A
+ *   declaration takes the nearest definition along its selector and the
+ *   selector's ancestors (as cascade.js inherits color), then :root/html/body
+ * - Themes are page-wide redefinitions: [data-theme="dark"], .dark,
+ *   :root.high-contrast, or :root inside @media (prefers-color-scheme: dark).
+ *   applyCustomProperties() resolves every var() with one theme's values
+ *   over the base ones
+ * - Each substituted value is traced to the definitions it came from
+ */
+
+import { splitSelectorList, normalizeSelector, ancestorSelectors, baseSelector, mediaContext } from './cascade.js';
+import { substituteValue, variableTrace, sourceFile } from './style-syntax.js';
+
+// Selectors whose custom properties every element inherits
+const ROOT_SCOPE = /^(:root|html|body|:host|\*)$/i;
+
+// :root/html/body with classes or attributes, or bare ones, naming a theme
+const THEME_SELECTOR = /^(:root|html|body|:host)?((\.[\w-]+|\[[^\]]+\])+)$/i;
+const THEME_NAME = /theme|dark|light|mode|scheme|contrast/i;
+
+// var() references followed through other custom properties
+const MAX_DEPTH = 10;
+
+// Declarations as written, before var() was substituted
+const unresolved = new WeakMap();
+
+// Declarations → custom property definitions behind their current value
+const traces = new WeakMap();
+
+/**
+ * Custom property definitions behind a declaration's value, for the theme
+ * applied last: [{ name: '--text', value: '#333', filePath, line, column }]
+ */
+export function propertyTrace(decl) {
+  return traces.get(decl) || [];
+}
+
+function define(scopes, key, decl) {
+  if (!scopes.has(key)) scopes.set(key, new Map());
+  const definitions = scopes.get(key);
+  // Later definitions win, unless an earlier one is !important
+  if (!definitions.get(decl.prop)?.important || decl.important) definitions.set(decl.prop, decl);
+}
+
+/**
+ * Custom property definitions of stylesheets
+ * @param {object[]} roots - postcss Roots in cascade order (imports first)
+ * @param {Function} resolveSelector - Full selector of a (nested) rule
+ * @returns {{base: Map, themes: Map<string, Map>, scoped: Map<string, Map>}}
+ *   name → declaration for :root, per theme ('[data-theme="dark"]',
+ *   '@media (prefers-color-scheme: dark)') and per other selector
+ */
+export function collectCustomProperties(roots, resolveSelector) {
+  const scopes = new Map();
+  const themes = new Map();
+  const scoped = new Map();
+  for (const root of roots) {
+    root.walkDecls(decl => {
+      if (!decl.prop.startsWith('--') || decl.parent?.type !== 'rule') return;
+      const context = mediaContext(decl.parent);
+      for (const selector of splitSelectorList(resolveSelector(decl.parent)).map(normalizeSelector)) {
+        if (ROOT_SCOPE.test(selector)) {
+          define(context ? themes : scopes, context ? `@media ${context}` : '', decl);
+        } else if (!context && THEME_SELECTOR.test(selector) && THEME_NAME.test(selector)) {
+          define(themes, selector.replace(/^(:root|html|body|:host)(?=[.[])/i, ''), decl);
+        } else if (!context) {
+          define(scoped, selector, decl);
+        }
+      }
+    });
+  }
+  return { base: scopes.get('') || new Map(), themes, scoped };
+}
+
+// Index of the parenthesis closing the one at `open`, or -1
+function closingParen(value, open) {
+  let depth = 0;
+  for (let i = open; i < value.length; i++) {
+    if (value[i] === '(') depth++;
+    if (value[i] === ')' && --depth === 0) return i;
+  }
+  return -1;
+}
+
+// The definition of a custom property for a selector chain in a theme
+function lookup(properties, name, chain, theme) {
+  for (const key of chain) {
+    const decl = properties.scoped.get(key)?.get(name);
+    if (decl) return decl;
+  }
+  return properties.themes.get(theme)?.get(name) || properties.base.get(name) || null;
+}
+
+function resolveValue(properties, value, chain, theme, trace, depth = 0) {
+  if (depth > MAX_DEPTH || !value.includes('var(')) return value;
+  let result = '';
+  let index = 0;
+  for (let start = value.indexOf('var(', index); start !== -1; start = value.indexOf('var(', index)) {
+    const end = closingParen(value, start + 3);
+    if (end === -1) break;
+    const inner = value.slice(start + 4, end);
+    const comma = inner.indexOf(',');
+    const name = (comma === -1 ? inner : inner.slice(0, comma)).trim();
+    const decl = lookup(properties, name, chain, theme);
+    let replacement = value.slice(start, end + 1);
+    if (decl) {
+      replacement = resolveValue(properties, (unresolved.get(decl) ?? decl.value).trim(), chain, theme, trace, depth + 1);
+      const { line, column } = decl.source?.start || {};
+      trace.push(...variableTrace(decl), { name, value: replacement, filePath: sourceFile(decl), line, column });
+    } else if (comma !== -1) {
+      replacement = resolveValue(properties, inner.slice(comma + 1).trim(), chain, theme, trace, depth + 1);
+    }
+    result += value.slice(index, start) + replacement;
+    index = end + 1;
+  }
+  return result + value.slice(index);
+}
+
+// Selectors a declaration looks up custom properties on, nearest first
+function lookupChain(decl, resolveSelector) {
+  if (decl.parent?.type !== 'rule') return [];
+  const selector = normalizeSelector(splitSelectorList(resolveSelector(decl.parent))[0] || '');
+  return [...new Set([selector, baseSelector(selector), ...ancestorSelectors(selector)])];
+}
+
+/**
+ * Substitute var() references in every declaration of the stylesheets with
+ * the base values, or a theme's values over them. Unknown properties without
+ * a fallback are left as var(), which the checks treat as unknown.
+ * @param {object[]} roots - postcss Roots in cascade order
+ * @param {object} properties - collectCustomProperties() result
+ * @param {Function} resolveSelector
+ * @param {string} [theme] - Key of properties.themes; '' for the base values
+ */
+export function applyCustomProperties(roots, properties, resolveSelector, theme = '') {
+  for (const root of roots) {
+    root.walkDecls(decl => {
+      const original = unresolved.get(decl) ?? decl.value;
+      if (!original.includes('var(')) return;
+      unresolved.set(decl, original);
+      const trace = [];
+      substituteValue(decl, resolveValue(properties, original, lookupChain(decl, resolveSelector), theme, trace));
+      const seen = new Set();
+      traces.set(decl, trace.filter(({ name, filePath, line }) => {
+        const key = `${name}:${filePath}:${line}`;
+        return !seen.has(key) && seen.add(key);
+      }));
+    });
+  }
+}
@@ -0,0 +1,169 @@
+/**
+ * Diff: Which lines a change added, from `git diff --unified=0` hunks
+ * - Maps each changed file to the line ranges it added (new-file numbering)
+ * - Tags violations as "introduced" when their range touches an added line,
+ *   "pre-existing" otherwise
+ */
+
+import { execFileSync } from 'child_process';
+
+export const DEFAULT_BASE_REF = 'origin/main';
+export const DIFF_REPORTS = ['all', 'introduced'];
+
+const HUNK_HEADER = /^@@ -\d+(?:,\d+)? \+(\d+)(?:,(\d+))? @@/;
+
+function stripDiffPath(raw, prefix = 'b/') {
+  let value = raw.trim();
+  if (value.startsWith('"') && value.endsWith('"')) {
+    value = value.slice(1, -1).replace(/\\(["\\])/g, '$1');
+  }
+  if (value === '/dev/null') return null;
+  return value.startsWith(prefix) ? value.slice(prefix.length) : value;
+}
+
+/**
+ * Line ranges in one file's hunks, in new-file numbering
+ * @param {string[]} lines - Hunk lines ("@@ ..." headers and +/-/space lines)
+ * @param {boolean} includeContext - Also count unchanged context lines
+ * @returns {Array<[number, number]>} Inclusive [start, end] ranges
+ */
+function collectRanges(lines, includeContext) {
+  const ranges = [];
+  let nextLine = 0;
+  let runStart = null;
+
+  const closeRun = () => {
+    if (runStart !== null) {
+      ranges.push([runStart, nextLine - 1]);
+    }
+    runStart = null;
+  };
+
+  for (const line of lines) {
+    if (line.startsWith('@@')) {
+      closeRun();
+      const match = HUNK_HEADER.exec(line);
+      nextLine = match ? Number(match[1]) : 0;
+    } else if (line.startsWith('+') || (includeContext && line.startsWith(' '))) {
+      if (runStart === null) runStart = nextLine;
+      nextLine += 1;
+    } else if (line.startsWith(' ')) {
+      closeRun();
+      nextLine += 1;
+    } else if (line.startsWith('-')) {
+      // Removed lines do not exist in the new file
+      if (!includeContext) closeRun();
+    }
+    // "\ No newline at end of file" changes nothing
+  }
+  closeRun();
+  return ranges;
+}
+
+/**
+ * Parse one file's patch (hunks only, as returned by the GitHub pulls API)
+ * @param {string} patch - Hunk text starting at the first "@@" header
+ * @param {object} [options]
+ * @param {boolean} [options.includeContext=false] - Include context lines, i.e. every
+ *   line a review comment can be anchored to
+ * @returns {Array<[number, number]>} Inclusive [start, end] ranges
+ */
+export function parsePatch(patch = '', { includeContext = false } = {}) {
+  return collectRanges(patch.split('\n'), includeContext);
+}
+
+/**
+ * Parse unified diff text into added line ranges per file
+ * @param {string} diffText - Output of `git diff` (any --unified value)
+ * @returns {Map<string, Array<[number, number]>>} filePath → inclusive [start, end] ranges
+ */
+export function parseUnifiedDiff(diffText) {
+  const added = new Map();
+  let currentFile = null;
+  let hunkLines = [];
+
+  const closeFile = () => {
+    if (currentFile) {
+      added.set(currentFile, [...(added.get(currentFile) || []), ...collectRanges(hunkLines, false)]);
+    }
+    currentFile = null;
+    hunkLines = [];
+  };
+
+  for (const line of diffText.split('\n')) {
+    if (line.startsWith('diff --git ')) {
+      closeFile();
+    } else if (line.startsWith('+++ ') && hunkLines.length === 0) {
+      currentFile = stripDiffPath(line.slice(4));
+    } else if (/^(rename|copy) to /.test(line) && hunkLines.length === 0) {
+      // A pure rename or copy has no +++ line or hunks, and added nothing
+      currentFile = stripDiffPath(line.replace(/^(rename|copy) to /, ''), '');
+    } else if (currentFile && (line.startsWith('@@') || hunkLines.length > 0)) {
+      hunkLines.push(line);
+    }
+  }
+  closeFile();
+  return added;
+}
+
+/**
+ * Reject refs git would read as an option (`--output=...`)
+ * @throws {Error} When baseRef is empty or starts with "-"
+ */
+export function assertBaseRef(baseRef) {
+  if (typeof baseRef !== 'string' || baseRef === '' || baseRef.startsWith('-')) {
+    throw new Error(`Invalid base ref "${baseRef}" (expected a branch or commit, not starting with "-")`);
+  }
+}
+
+/**
+ * Added line ranges between the merge base of baseRef and the working tree,
+ * so committed and uncommitted edits share one line numbering
+ * @param {string} rootDir - Repository root
+ * @param {string} [baseRef] - Branch or commit the change is compared against
+ * @returns {Map<string, Array<[number, number]>>|null} null when git cannot produce the diff
+ * @throws {Error} When baseRef is not a valid ref (see assertBaseRef())
+ */
+export function getAddedLines(rootDir, baseRef = DEFAULT_BASE_REF) {
+  assertBaseRef(baseRef);
+  try {
+    // No shell: the ref comes from config and the command line
+    const mergeBase = execFileSync('git', ['merge-base', baseRef, 'HEAD'], {
+      encoding: 'utf8',
+      cwd: rootDir,
+      stdio: ['ignore', 'pipe', 'ignore']
+    }).trim();
+    const diffText = execFileSync('git', ['-c', 'core.quotepath=false', 'diff', '--unified=0', '--no-color', '--no-ext-diff', mergeBase], {
+      encoding: 'utf8',
+      cwd: rootDir,
+      stdio: ['ignore', 'pipe', 'ignore'],
+      maxBuffer: 64 * 1024 * 1024
+    });
+    return parseUnifiedDiff(diffText);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * True when a violation's line range intersects one of the added ranges
+ */
+export function intersectsAddedLines(violation, ranges = []) {
+  const start = violation.line;
+  const end = Math.max(violation.endLine || start, start);
+  return ranges.some(([from, to]) => start <= to && end >= from);
+}
+
+/**
+ * Tag each violation with `change: 'introduced' | 'pre-existing'`
+ * @param {Array} violations - Canonical violations for one file
+ * @param {Array<[number, number]>|undefined} ranges - Added ranges for the file;
+ *   undefined means the whole file is new (e.g. untracked), so everything is introduced
+ * @returns {Array} Tagged copies
+ */
+export function tagViolations(violations, ranges) {
+  return violations.map(violation => ({
+    ...violation,
+    change: !ranges || intersectsAddedLines(violation, ranges) ? 'introduced' : 'pre-existing',
+  }));
+}
@@ -0,0 +1,97 @@
+/**
+ * File Finder: Expands command-line arguments into the files to analyze
+ * - Files are taken as given, directories are walked recursively
+ * - Anything else is a glob, matched relative to the working directory
+ * - node_modules and .git are never walked; config ignore globs still apply
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { minimatch } from 'minimatch';
+import { isIgnored, isConfiguredTokenFile } from './config-loader.js';
+
+/**
+ * Extensions the hybrid analyzer can route (server templates: see
+ * template-preprocessor.js; design tokens: see token-analyzer.js)
+ */
+export const ANALYZABLE_FILE = /\.(jsx?|tsx?|html?|css|scss|sass|less|styl|stylus|vue|svelte|hbs|handlebars|mustache|njk|nunjucks|jinja2?|j2|liquid|ejs|erb|md|markdown|mdx|tokens(?:\.json)?)$/i;
+
+const SKIPPED_DIRS = new Set(['node_modules', '.git']);
+const GLOB_CHARS = /[*?[\]{}!()]/;
+
+function toPosix(filePath) {
+  return filePath.split(path.sep).join('/');
+}
+
+function walk(dir, files = []) {
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (!SKIPPED_DIRS.has(entry.name)) walk(entryPath, files);
+    } else if (entry.isFile()) {
+      files.push(entryPath);
+    }
+  }
+  return files;
+}
+
+/**
+ * Leading path segments of a glob that contain no glob syntax
+ */
+function globBase(pattern) {
+  const base = [];
+  for (const segment of pattern.split('/')) {
+    if (GLOB_CHARS.test(segment)) break;
+    base.push(segment);
+  }
+  return base.join('/') || '.';
+}
+
+function matchPattern(pattern, cwd) {
+  const absolute = path.resolve(cwd, pattern);
+  const stat = fs.existsSync(absolute) ? fs.statSync(absolute) : null;
+  if (stat?.isFile()) return [absolute];
+  if (stat?.isDirectory()) return walk(absolute);
+
+  const glob = toPosix(pattern).replace(/^\.\//, '');
+  const baseDir = path.resolve(cwd, globBase(glob));
+  if (!fs.existsSync(baseDir) || !fs.statSync(baseDir).isDirectory()) return [];
+  return walk(baseDir).filter(file => {
+    const candidate = path.isAbsolute(glob) ? toPosix(file) : toPosix(path.relative(cwd, file));
+    return minimatch(candidate, glob, { dot: true });
+  });
+}
+
+/**
+ * Resolve files, directories and globs to analyzable files
+ * @param {string[]} patterns - Command-line arguments
+ * @param {object} [options]
+ * @param {string} [options.cwd] - Directory relative patterns start from
+ * @param {object} [options.config] - Normalized config; its ignore globs are applied
+ *   and its token files (`tokens.files`) are analyzable
+ * @returns {{files: string[], ignored: number, unmatched: string[]}} Absolute, sorted
+ *   file paths; unmatched lists patterns that matched no analyzable file
+ */
+export function findFiles(patterns, { cwd = process.cwd(), config } = {}) {
+  const files = new Set();
+  const ignored = new Set();
+  const unmatched = [];
+
+  for (const pattern of patterns) {
+    const matches = matchPattern(pattern, cwd).filter(file =>
+      ANALYZABLE_FILE.test(file) || isConfiguredTokenFile(file, config)
+    );
+    if (matches.length === 0) {
+      unmatched.push(pattern);
+    }
+    for (const file of matches) {
+      if (config && isIgnored(file, config)) {
+        ignored.add(file);
+      } else {
+        files.add(file);
+      }
+    }
+  }
+
+  return { files: [...files].sort(), ignored: ignored.size, unmatched };
+}
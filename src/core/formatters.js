@@ -0,0 +1,162 @@
+/**
+ * Formatters: Render CLI results for people and other tools
+ * - stylish: grouped by file, for terminals (as eslint's default)
+ * - json: the results object as written by the CLI
+ * - sarif: SARIF 2.1.0 (see sarif-reporter.js)
+ * - junit: JUnit XML for CI test report widgets
+ * - markdown: tables for job summaries and chat
+ */
+
+import { toSarif } from './sarif-reporter.js';
+
+export const FORMATS = ['stylish', 'json', 'sarif', 'junit', 'markdown'];
+
+function plural(count, word) {
+  return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+function problemSummary(summary) {
+  return `${plural(summary.totalViolations, 'problem')} (${plural(summary.errors, 'error')}, ${plural(summary.warnings, 'warning')})`;
+}
+
+function formatStylish(results) {
+  const lines = [];
+  for (const file of results.files) {
+    if (file.error) {
+      lines.push('', file.filePath, `  error  ${file.error}`);
+      continue;
+    }
+    if (file.violations.length === 0) continue;
+
+    const rows = file.violations.map(v => [`${v.line}:${v.column}`, v.severity, v.message, v.ruleId]);
+    const widths = [0, 1].map(i => Math.max(...rows.map(row => row[i].length)));
+    lines.push('', file.filePath);
+    for (const [position, severity, message, ruleId] of rows) {
+      lines.push(`  ${position.padEnd(widths[0])}  ${severity.padEnd(widths[1])}  ${message}  ${ruleId}`);
+    }
+  }
+
+  if (results.summary.totalViolations > 0) {
+    lines.push('', `✖ ${problemSummary(results.summary)}`);
+  }
+  for (const breach of results.thresholds?.breaches || []) {
+    lines.push(`  ${breach}`);
+  }
+  return lines.length > 0 ? `${lines.join('\n')}\n` : '';
+}
+
+function escapeXml(text = '') {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * One <testsuite> per file and one failing <testcase> per violation;
+ * clean files get a single passing test case so they show up in reports
+ */
+function formatJUnit(results) {
+  const suites = [];
+  let tests = 0;
+  let failures = 0;
+  let errors = 0;
+
+  for (const file of results.files) {
+    const name = escapeXml(file.filePath);
+    const cases = [];
+    if (file.error) {
+      cases.push(`    <testcase classname="${name}" name="analysis">\n      <error message="${escapeXml(file.error)}"/>\n    </testcase>`);
+      errors += 1;
+    } else if (file.violations.length === 0) {
+      cases.push(`    <testcase classname="${name}" name="accessibility"/>`);
+    }
+    for (const v of file.violations) {
+      const wcag = v.wcag?.length ? `\nWCAG: ${v.wcag.join(', ')}` : '';
+      const details = `${v.filePath || file.filePath}:${v.line}:${v.column}\n${v.message}${wcag}\n${v.helpUrl || ''}`.trim();
+      cases.push(
+        `    <testcase classname="${name}" name="${escapeXml(`${v.ruleId} (${v.line}:${v.column})`)}">\n` +
+        `      <failure type="${escapeXml(v.severity)}" message="${escapeXml(v.message)}">${escapeXml(details)}</failure>\n` +
+        '    </testcase>'
+      );
+    }
+    tests += cases.length;
+    failures += file.violations.length;
+    suites.push(
+      `  <testsuite name="${name}" tests="${cases.length}" failures="${file.violations.length}" errors="${file.error ? 1 : 0}">\n` +
+      `${cases.join('\n')}\n` +
+      '  </testsuite>'
+    );
+  }
+
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    `<testsuites name="a11y-reviewer" tests="${tests}" failures="${failures}" errors="${errors}">`,
+    ...suites,
+    '</testsuites>',
+    '',
+  ].join('\n');
+}
+
+// Messages quote markup (e.g. "<html>"); keep it from rendering
+function escapeTableCell(text = '') {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/\|/g, '\\|')
+    .replace(/\r?\n/g, ' ');
+}
+
+function formatMarkdown(results) {
+  const passed = results.thresholds?.passed !== false;
+  const lines = [
+    '## ♿ Accessibility Review',
+    '',
+    `${passed ? '✅' : '❌'} **${problemSummary(results.summary)}** in ${plural(results.analyzedFiles, 'analyzed file')}`,
+  ];
+  (results.thresholds?.breaches || []).forEach(breach => lines.push(`- ⚠️ ${breach}`));
+
+  for (const file of results.files) {
+    if (file.error) {
+      lines.push('', `### \`${file.filePath}\``, '', `⚠️ ${escapeTableCell(file.error)}`);
+      continue;
+    }
+    if (file.violations.length === 0) continue;
+    lines.push('', `### \`${file.filePath}\``, '', '| Line | Severity | Rule | Message | WCAG |', '|---|---|---|---|---|');
+    for (const v of file.violations) {
+      const rule = v.helpUrl ? `[\`${v.ruleId}\`](${v.helpUrl})` : `\`${v.ruleId}\``;
+      const severity = v.severity === 'error' ? '🔴 error' : '🟡 warning';
+      lines.push(`| ${v.line}:${v.column} | ${severity} | ${rule} | ${escapeTableCell(v.message)} | ${(v.wcag || []).join(', ')} |`);
+    }
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Render results in one of FORMATS
+ * @param {object} results - { analyzedFiles, summary, thresholds, files: [{ filePath, violations, error? }] }
+ * @param {string} format - One of FORMATS
+ * @param {object} [options]
+ * @param {string} [options.toolVersion] - Reported in SARIF output
+ * @param {string} [options.srcRoot] - SARIF %SRCROOT% (absolute directory file paths are relative to)
+ * @returns {string}
+ */
+export function formatResults(results, format = 'stylish', { toolVersion, srcRoot } = {}) {
+  switch (format) {
+    case 'stylish':
+      return formatStylish(results);
+    case 'json':
+      return `${JSON.stringify(results, null, 2)}\n`;
+    case 'sarif':
+      return `${JSON.stringify(toSarif(results, { toolVersion, srcRoot }), null, 2)}\n`;
+    case 'junit':
+      return formatJUnit(results);
+    case 'markdown':
+      return formatMarkdown(results);
+    default:
+      throw new Error(`Unknown format "${format}" (expected ${FORMATS.join(', ')})`);
+  }
+}
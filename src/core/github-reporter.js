@@ -0,0 +1,305 @@
+/**
+ * GitHub Reporter: Publishes results as a pull request review
+ * - Violations on lines in the PR diff become line-anchored review comments
+ * - Violations outside the diff are folded into one summary comment
+ * - Re-runs update, resolve or keep earlier comments (matched by fingerprint)
+ *   instead of posting everything again
+ */
+
+import { fingerprintViolation } from './baseline.js';
+import { parsePatch, intersectsAddedLines } from './diff.js';
+
+const MARKER_PREFIX = 'a11y-reviewer';
+const SUMMARY_MARKER = `<!-- ${MARKER_PREFIX}:summary -->`;
+const REVIEW_MARKER = `<!-- ${MARKER_PREFIX}:review -->`;
+const COMMENT_MARKER = new RegExp(`<!-- ${MARKER_PREFIX}:comment:([\\w:]+) -->`);
+const RESOLVED_NOTE = '✅ **Resolved** — no longer reported by the accessibility review.';
+
+// GitHub rejects comment bodies over 65536 characters; the outside-diff list
+// stops at whichever limit it reaches first
+const MAX_COMMENT_LENGTH = 65536;
+const MAX_LISTED_OUTSIDE_DIFF = 200;
+
+const severityLabels = {
+  error: '🔴 Error',
+  warning: '🟡 Warning',
+};
+
+/**
+ * Lines a review comment can be anchored to, per file, from the PR's patches
+ * @returns {Promise<Map<string, Array<[number, number]>>>}
+ */
+async function getCommentableLines(octokit, { owner, repo, pullNumber }) {
+  const files = await octokit.paginate(octokit.rest.pulls.listFiles, {
+    owner,
+    repo,
+    pull_number: pullNumber,
+    per_page: 100,
+  });
+  const lines = new Map();
+  for (const file of files) {
+    if (file.patch) {
+      lines.set(file.filename, parsePatch(file.patch, { includeContext: true }));
+    }
+  }
+  return lines;
+}
+
+/**
+ * Whether two lines of the new file are in the same hunk, so one
+ * multi-line comment can span them (GitHub rejects the review otherwise)
+ */
+function inSameHunk(startLine, endLine, ranges = []) {
+  return ranges.some(([start, end]) => startLine >= start && endLine <= end);
+}
+
+/**
+ * Fingerprint + occurrence key per violation, stable across pushes
+ */
+function keyViolations(violations) {
+  const occurrences = new Map();
+  return violations.map(violation => {
+    const fingerprint = fingerprintViolation(violation);
+    const occurrence = (occurrences.get(fingerprint) || 0) + 1;
+    occurrences.set(fingerprint, occurrence);
+    return { key: `${fingerprint}:${occurrence}`, violation };
+  });
+}
+
+/**
+ * Markdown body of a line comment
+ */
+export function formatViolationComment(violation, key) {
+  const lines = [
+    `**${severityLabels[violation.severity] || violation.severity}: ${violation.message}**`,
+    '',
+    `- **Rule:** [\`${violation.ruleId}\`](${violation.helpUrl})`,
+  ];
+  if (violation.wcag?.length > 0) {
+    const level = violation.wcagLevel ? ` (Level ${violation.wcagLevel})` : '';
+    lines.push(`- **WCAG:** ${violation.wcag.join(', ')}${level}`);
+  }
+  if (violation.description && violation.description !== violation.message) {
+    lines.push(`- **Issue:** ${violation.description}`);
+  }
+  if (violation.suggestions?.length > 0) {
+    lines.push('', '**Suggestions:**', ...violation.suggestions.map(suggestion => `- ${suggestion}`));
+  }
+  lines.push('', `<!-- ${MARKER_PREFIX}:comment:${key} -->`);
+  return lines.join('\n');
+}
+
+/**
+ * Markdown body of the summary comment
+ */
+export function formatSummary(results, { inDiff, outsideDiff, resolved }) {
+  const { summary } = results;
+  const passed = results.thresholds?.passed !== false;
+  const lines = [
+    SUMMARY_MARKER,
+    '## 🔍 Accessibility Review',
+    '',
+    `${passed ? '✅' : '❌'} **${summary.totalViolations} violation(s)** (${summary.errors} errors, ${summary.warnings} warnings) in ${results.analyzedFiles} analyzed file(s)`,
+    '',
+    `- 💬 ${inDiff} on changed lines, commented inline`,
+    `- 📄 ${outsideDiff.length} outside the diff (listed below)`,
+  ];
+  if (resolved > 0) {
+    lines.push(`- ✅ ${resolved} earlier comment(s) resolved`);
+  }
+  if (results.diff) {
+    const hidden = results.diff.report === 'introduced' ? ' (not shown)' : '';
+    lines.push(`- 🧮 ${results.diff.introduced} introduced, ${results.diff.preExisting} pre-existing${hidden} vs \`${results.diff.baseRef}\``);
+  }
+  if (results.baseline) {
+    lines.push(`- 📌 ${results.baseline.existing} baselined violation(s) not shown, ${results.baseline.fixed} fixed`);
+  }
+  (results.thresholds?.breaches || []).forEach(breach => lines.push(`- ⚠️ ${breach}`));
+
+  if (outsideDiff.length > 0) {
+    lines.push('', `<details><summary>Violations outside the diff (${outsideDiff.length})</summary>`, '');
+    // Room for the "more" line and closing tag
+    let length = lines.join('\n').length + 200;
+    let listed = 0;
+    for (const violation of outsideDiff.slice(0, MAX_LISTED_OUTSIDE_DIFF)) {
+      const wcag = violation.wcag?.length ? ` — WCAG ${violation.wcag.join(', ')}` : '';
+      const entry = [`- \`${violation.filePath}:${violation.line}\` **${violation.severity}** [\`${violation.ruleId}\`](${violation.helpUrl}) ${violation.message}${wcag}`];
+      if (violation.suggestions?.[0]) {
+        entry.push(`  - 💡 ${violation.suggestions[0]}`);
+      }
+      const text = entry.join('\n');
+      if (length + text.length + 1 > MAX_COMMENT_LENGTH) break;
+      lines.push(text);
+      length += text.length + 1;
+      listed += 1;
+    }
+    if (listed < outsideDiff.length) {
+      lines.push(`- …and ${outsideDiff.length - listed} more (see the a11y-results.json artifact)`);
+    }
+    lines.push('', '</details>');
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Resolve the review threads of the given comments (GraphQL only).
+ * Failures are reported, not thrown: the comment text already says resolved.
+ */
+async function resolveThreads(octokit, { owner, repo, pullNumber }, commentIds, log) {
+  if (commentIds.length === 0 || typeof octokit.graphql !== 'function') return;
+  try {
+    const threads = [];
+    let after = null;
+    do {
+      const data = await octokit.graphql(
+        `query($owner: String!, $repo: String!, $number: Int!, $after: String) {
+          repository(owner: $owner, name: $repo) {
+            pullRequest(number: $number) {
+              reviewThreads(first: 100, after: $after) {
+                nodes { id isResolved comments(first: 1) { nodes { databaseId } } }
+                pageInfo { hasNextPage endCursor }
+              }
+            }
+          }
+        }`,
+        { owner, repo, number: pullNumber, after }
+      );
+      const { nodes, pageInfo } = data.repository.pullRequest.reviewThreads;
+      threads.push(...nodes);
+      after = pageInfo.hasNextPage ? pageInfo.endCursor : null;
+    } while (after);
+    for (const thread of threads) {
+      const firstId = thread.comments.nodes[0]?.databaseId;
+      if (!thread.isResolved && commentIds.includes(firstId)) {
+        await octokit.graphql(
+          'mutation($threadId: ID!) { resolveReviewThread(input: { threadId: $threadId }) { thread { id } } }',
+          { threadId: thread.id }
+        );
+      }
+    }
+  } catch (error) {
+    log(`⚠️  Could not resolve review threads: ${error.message}`);
+  }
+}
+
+/**
+ * Publish analyze-pr-mcp.js results to a pull request
+ * @param {object} octokit - @octokit/rest instance (or a mock with the same surface)
+ * @param {object} results - Parsed a11y-results.json
+ * @param {object} pr
+ * @param {string} pr.owner
+ * @param {string} pr.repo
+ * @param {number} pr.pullNumber
+ * @param {string} pr.commitId - Head SHA the review is attached to
+ * @param {object} [options]
+ * @param {Function} [options.log] - Progress logger (default console.log)
+ * @returns {Promise<{created: number, updated: number, resolved: number, outsideDiff: number, reviewId: number|null, summaryCommentId: number}>}
+ */
+export async function publishReview(octokit, results, pr, { log = console.log } = {}) {
+  const { owner, repo, pullNumber, commitId } = pr;
+  const commentable = await getCommentableLines(octokit, pr);
+
+  const violations = (results.files || []).flatMap(file =>
+    file.violations.map(violation => ({ ...violation, filePath: violation.filePath || file.filePath }))
+  );
+  const keyed = keyViolations(violations);
+  const inDiff = [];
+  const outsideDiff = [];
+  for (const entry of keyed) {
+    // Comments attach to the last line of the violation, which must be in a hunk
+    const line = entry.violation.endLine || entry.violation.line;
+    const ranges = commentable.get(entry.violation.filePath);
+    if (ranges && intersectsAddedLines({ line, endLine: line }, ranges)) {
+      inDiff.push(entry);
+    } else {
+      outsideDiff.push(entry.violation);
+    }
+  }
+
+  // Earlier line comments from this reporter, by key
+  const existingComments = await octokit.paginate(octokit.rest.pulls.listReviewComments, {
+    owner,
+    repo,
+    pull_number: pullNumber,
+    per_page: 100,
+  });
+  const previous = new Map();
+  for (const comment of existingComments) {
+    const match = COMMENT_MARKER.exec(comment.body || '');
+    if (match) previous.set(match[1], comment);
+  }
+
+  let updated = 0;
+  const newComments = [];
+  for (const { key, violation } of inDiff) {
+    const body = formatViolationComment(violation, key);
+    const earlier = previous.get(key);
+    previous.delete(key);
+    if (!earlier) {
+      const comment = { path: violation.filePath, line: violation.endLine || violation.line, side: 'RIGHT', body };
+      const ranges = commentable.get(violation.filePath);
+      if (violation.endLine > violation.line && inSameHunk(violation.line, violation.endLine, ranges)) {
+        comment.start_line = violation.line;
+        comment.start_side = 'RIGHT';
+      }
+      newComments.push(comment);
+    } else if (earlier.body !== body) {
+      await octokit.rest.pulls.updateReviewComment({ owner, repo, comment_id: earlier.id, body });
+      updated += 1;
+    }
+  }
+
+  // Whatever is left was fixed (or moved out of the diff) since the last run
+  const resolvedIds = [];
+  for (const [key, comment] of previous) {
+    if (comment.body.startsWith(RESOLVED_NOTE)) continue;
+    // Keep the marker so the comment is reopened if the violation comes back
+    const original = comment.body.replace(COMMENT_MARKER, '').trim();
+    const body = `${RESOLVED_NOTE}\n\n<details><summary>Original comment</summary>\n\n${original}\n\n</details>\n\n<!-- ${MARKER_PREFIX}:comment:${key} -->`;
+    await octokit.rest.pulls.updateReviewComment({ owner, repo, comment_id: comment.id, body });
+    resolvedIds.push(comment.id);
+  }
+  await resolveThreads(octokit, pr, resolvedIds, log);
+
+  let reviewId = null;
+  if (newComments.length > 0) {
+    const { data } = await octokit.rest.pulls.createReview({
+      owner,
+      repo,
+      pull_number: pullNumber,
+      commit_id: commitId,
+      event: 'COMMENT',
+      body: `${REVIEW_MARKER}\n♿ ${newComments.length} new accessibility finding(s) on changed lines. See the summary comment for totals.`,
+      comments: newComments,
+    });
+    reviewId = data.id;
+  }
+
+  // One summary comment per PR, edited in place on every run
+  const summaryBody = formatSummary(results, { inDiff: inDiff.length, outsideDiff, resolved: resolvedIds.length });
+  const issueComments = await octokit.paginate(octokit.rest.issues.listComments, {
+    owner,
+    repo,
+    issue_number: pullNumber,
+    per_page: 100,
+  });
+  const existingSummary = issueComments.find(comment => comment.body?.includes(SUMMARY_MARKER));
+  let summaryCommentId;
+  if (existingSummary) {
+    await octokit.rest.issues.updateComment({ owner, repo, comment_id: existingSummary.id, body: summaryBody });
+    summaryCommentId = existingSummary.id;
+  } else {
+    const { data } = await octokit.rest.issues.createComment({ owner, repo, issue_number: pullNumber, body: summaryBody });
+    summaryCommentId = data.id;
+  }
+
+  log(`💬 Review: ${newComments.length} new, ${updated} updated, ${resolvedIds.length} resolved, ${outsideDiff.length} outside the diff`);
+  return {
+    created: newComments.length,
+    updated,
+    resolved: resolvedIds.length,
+    outsideDiff: outsideDiff.length,
+    reviewId,
+    summaryCommentId,
+  };
+}
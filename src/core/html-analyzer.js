@@ -1,185 +1,489 @@
 /**
  * HTML Analyzer: Checks HTML/HTM files for accessibility violations
  * Uses htmlparser2 to parse HTML and check WCAG 2.2 AA compliance
+ * Component templates (Vue's <template>, Svelte markup, Angular templates) are checked as fragments:
+ * page-level rules are skipped and framework attribute syntax is mapped
+ * to plain HTML attributes first. Server-side templates go through analyzeTemplate().
  */
 
 import { Parser } from 'htmlparser2';
 import { DomHandler } from 'domhandler';
+import { createLocator, rangeFromOffsets, normalizeViolations } from './violation.js';
+import { registerRules } from './rule-registry.js';
+import { isLikelyDecorative } from './autofix.js';
+import { TEMPLATE_SYNTAXES, templateSyntaxForFile, maskTemplate } from './template-preprocessor.js';
 
 /**
- * Maps our violation types to WCAG criteria
+ * Set by options.mapAttributes on elements whose text comes from a binding
+ * (Angular [innerText], Vue v-text/v-html), so they do not count as empty
  */
-const violationToWCAG = {
-  'img-missing-alt': ['1.1.1'],
-  'img-empty-alt-not-decorative': ['1.1.1'],
-  'img-redundant-alt': ['1.1.1'],
-  'form-input-missing-label': ['3.3.2', '4.1.2'],
-  'button-empty': ['4.1.2'],
-  'link-empty': ['2.4.4'],
-  'link-non-descriptive': ['2.4.4'],
-  'link-new-window-no-warning': ['3.2.5'],
-  'iframe-missing-title': ['4.1.2'],
-  'div-as-button': ['4.1.2'],
-  'click-without-keyboard': ['2.1.1'],
-  'positive-tabindex': ['2.4.3'],
-  'missing-lang': ['3.1.1'],
-  'missing-lang-foreign': ['3.1.2'],
-  'heading-empty': ['2.4.6'],
-  'heading-hierarchy': ['2.4.6'],
-  'table-missing-headers': ['1.3.1'],
-  'autoplay-media': ['1.4.2', '2.2.2'],
-  'media-no-captions': ['1.2.2', '1.2.3'],
-  'redundant-role': ['4.1.2'],
-  'invalid-aria-role': ['4.1.2'],
-  'missing-aria-required': ['4.1.2'],
-  'focus-outline-removed': ['2.4.7'],
-  'title-empty': ['2.4.2'],
-  'duplicate-id': ['4.1.1'],
-  'marquee-element': ['2.2.2'],
-  'missing-main-landmark': ['1.3.1'],
-  'placeholder-as-label': ['3.3.2'],
-  'missing-autocomplete': ['1.3.5'],
-  'non-semantic-navigation': ['1.3.1'],
-  'radio-missing-fieldset': ['1.3.1', '3.3.2'],
-  'required-not-indicated': ['3.3.2'],
-};
+export const BOUND_CONTENT = Symbol('boundContent');
 
 /**
- * Fix suggestions for each violation type
+ * Link text that says nothing about the destination (link-non-descriptive),
+ * shared with the regex and Markdown analyzers
  */
-const fixSuggestions = {
-  'img-missing-alt': [
-    'Add alt attribute: <img src="logo.png" alt="Company logo">',
-    'For decorative images: <img src="decoration.png" alt="">',
-    'Describe the image content, not just "image of..."',
-  ],
-  'img-empty-alt-not-decorative': [
-    'If image is informative, add meaningful alt text',
-    'If image is decorative, use alt="" and role="presentation"',
-  ],
-  'img-redundant-alt': [
-    'Remove words like "image", "picture", "photo" from alt text',
-    'Focus on describing the content/purpose',
-  ],
-  'form-input-missing-label': [
-    '<label for="username">Username</label><input id="username" type="text">',
-    'Or use aria-label: <input type="text" aria-label="Username">',
-    'Or aria-labelledby: <span id="label">Username</span><input aria-labelledby="label">',
-  ],
-  'button-empty': [
-    'Add text content: <button>Click me</button>',
-    'Or aria-label: <button aria-label="Close dialog">×</button>',
-  ],
-  'link-empty': [
-    'Add link text: <a href="/page">Read more</a>',
-    'Or aria-label: <a href="/page" aria-label="Read more about accessibility">→</a>',
-  ],
-  'iframe-missing-title': [
-    'Add title attribute: <iframe src="..." title="Embedded video player"></iframe>',
-    'Title should describe the iframe content',
-  ],
-  'div-as-button': [
-    'Use <button> element: <button onclick="handler()">Click me</button>',
-    'Or add proper ARIA: <div role="button" tabindex="0" onkeydown="keyHandler()">',
-  ],
-  'click-without-keyboard': [
-    'Add keyboard support: <div onclick="handler()" onkeydown="keyHandler()" tabindex="0">',
-    'Or use semantic element: <button onclick="handler()">',
-  ],
-  'positive-tabindex': [
-    'Remove positive tabindex values',
-    'Use tabindex="0" for custom interactive elements',
-    'Let natural tab order work for native elements',
-  ],
-  'missing-lang': [
-    'Add lang attribute to <html>: <html lang="en">',
-    'Use appropriate language code',
-  ],
-  'heading-empty': [
-    'Add text content: <h1>Page Title</h1>',
-    'Or aria-label: <h1 aria-label="Section title"><span class="icon"></span></h1>',
-  ],
-  'table-missing-headers': [
-    'Use <thead> and <th>: <thead><tr><th>Name</th><th>Age</th></tr></thead>',
-    'Add scope: <th scope="col">Name</th>',
-  ],
-  'autoplay-media': [
-    'Remove autoplay: <video src="..." controls></video>',
-    'Or add muted for background: <video autoplay muted loop></video>',
-  ],
-  'redundant-role': [
-    'Remove redundant role that matches implicit semantics',
-    'Example: <button role="button"> should be just <button>',
-  ],
-  'invalid-aria-role': [
-    'Use valid ARIA role from specification',
-    'Check: https://www.w3.org/TR/wai-aria/#role_definitions',
-  ],
-  'missing-aria-required': [
-    'Add required ARIA properties for this role',
-    'Example: role="checkbox" requires aria-checked',
-  ],
-  'focus-outline-removed': [
-    'Do not remove focus outlines globally',
-    'Provide custom visible focus styles if removing default',
-  ],
-  'title-empty': [
-    'Add descriptive title: <title>Page Name - Site Name</title>',
-    'Title should describe the page content',
-  ],
-  'duplicate-id': [
-    'Ensure all id attributes are unique',
-    'Duplicate IDs break ARIA relationships and form labels',
-  ],
-  'marquee-element': [
-    'Do not use <marquee> or <blink> elements',
-    'Use CSS animations with prefers-reduced-motion support',
-  ],
-  'media-no-captions': [
-    'Add <track> element for captions: <video><track kind="captions" src="captions.vtt"></video>',
-    'Or provide transcript link below media',
-  ],
-  'link-new-window-no-warning': [
-    'Add warning text: <a href="..." target="_blank">Link (opens in new window)</a>',
-    'Or use aria-label: <a href="..." target="_blank" aria-label="Link, opens in new window">',
-  ],
-  'missing-main-landmark': [
-    'Add <main> element to wrap primary content',
-    'There should be exactly one <main> per page',
-  ],
-  'placeholder-as-label': [
-    'Add proper label: <label for="name">Name</label><input id="name" placeholder="e.g. John">',
-    'Placeholders disappear on focus and are not read by all screen readers',
-  ],
-  'missing-autocomplete': [
-    'Add autocomplete: <input type="text" name="name" autocomplete="name">',
-    'For email: autocomplete="email", for credit card: autocomplete="cc-number"',
-  ],
-  'non-semantic-navigation': [
-    'Use <nav> element: <nav><a href="home.html">Home</a></nav>',
-    'Semantic elements improve accessibility',
-  ],
-  'radio-missing-fieldset': [
-    '<fieldset><legend>Choose option</legend><input type="radio">...</fieldset>',
-    'Group related radio buttons with fieldset and legend',
-  ],
-  'required-not-indicated': [
-    'Add visual indicator: <label>Email <span aria-hidden="true">*</span><span class="sr-only">required</span></label>',
-    'Or use aria-required: <input type="email" aria-required="true">',
-  ],
-  'link-non-descriptive': [
-    'Use descriptive text instead of "click here" or "read more"',
-    'Example: "Read our accessibility guide" instead of "Click here"',
-  ],
-  'missing-lang-foreign': [
-    'Add lang attribute to foreign language text: <p lang="fr">Bonjour</p>',
-    'Screen readers use lang to pronounce text correctly',
-  ],
-  'heading-hierarchy': [
-    'Follow heading hierarchy: h1 -> h2 -> h3 (do not skip levels)',
-    'Headings should not jump from h1 to h3',
-  ],
-};
+export const NON_DESCRIPTIVE_LINK_TEXT = ['click here', 'here', 'read more', 'more', 'link', 'learn more', 'see more'];
+
+/**
+ * Rules reported by this analyzer: WCAG mapping, fix guidance and examples
+ * live in the shared rule registry
+ */
+registerRules('html', {
+  'img-missing-alt': {
+    severity: 'error',
+    wcag: ['1.1.1'],
+    tags: ['images', 'alt-text'],
+    description: 'Image elements must have an alt attribute',
+    fix: [
+      'Add alt attribute: <img src="logo.png" alt="Company logo">',
+      'For decorative images: <img src="decoration.png" alt="">',
+      'Describe the image content, not just "image of..."',
+    ],
+    examples: {
+      invalid: '<img src="logo.png">',
+      valid: '<img src="logo.png" alt="Company logo">',
+    },
+  },
+  'img-empty-alt-not-decorative': {
+    severity: 'warning',
+    wcag: ['1.1.1'],
+    tags: ['images', 'alt-text'],
+    description: 'Images with empty alt text must be purely decorative',
+    fix: [
+      'If image is informative, add meaningful alt text',
+      'If image is decorative, use alt="" and role="presentation"',
+    ],
+    examples: {
+      invalid: '<img src="chart.png" alt="">',
+      valid: '<img src="chart.png" alt="Sales grew 20% in Q3">',
+    },
+  },
+  'img-redundant-alt': {
+    severity: 'warning',
+    wcag: ['1.1.1'],
+    tags: ['images', 'alt-text'],
+    description: 'Alt text should not repeat words like "image" or "picture"',
+    fix: [
+      'Remove words like "image", "picture", "photo" from alt text',
+      'Focus on describing the content/purpose',
+    ],
+    examples: {
+      invalid: '<img src="team.jpg" alt="Image of our team">',
+      valid: '<img src="team.jpg" alt="Our team at the 2024 offsite">',
+    },
+  },
+  'form-input-missing-label': {
+    severity: 'error',
+    wcag: ['3.3.2', '4.1.2'],
+    tags: ['forms', 'form-labels'],
+    description: 'Form inputs must have an associated label',
+    fix: [
+      '<label for="username">Username</label><input id="username" type="text">',
+      'Or use aria-label: <input type="text" aria-label="Username">',
+      'Or aria-labelledby: <span id="label">Username</span><input aria-labelledby="label">',
+    ],
+    examples: {
+      invalid: '<input type="email" id="email">',
+      valid: '<label for="email">Email</label>\n<input type="email" id="email">',
+    },
+  },
+  'button-empty': {
+    severity: 'error',
+    wcag: ['4.1.2'],
+    tags: ['buttons'],
+    description: 'Buttons must have text content or an aria-label',
+    fix: [
+      'Add text content: <button>Click me</button>',
+      'Or aria-label: <button aria-label="Close dialog">×</button>',
+    ],
+    examples: {
+      invalid: '<button><i class="icon-close"></i></button>',
+      valid: '<button aria-label="Close dialog"><i class="icon-close"></i></button>',
+    },
+  },
+  'link-empty': {
+    severity: 'error',
+    wcag: ['2.4.4'],
+    tags: ['links'],
+    description: 'Links must have text content or an aria-label',
+    fix: [
+      'Add link text: <a href="/page">Read more</a>',
+      'Or aria-label: <a href="/page" aria-label="Read more about accessibility">→</a>',
+    ],
+    examples: {
+      invalid: '<a href="/profile"><i class="icon-user"></i></a>',
+      valid: '<a href="/profile" aria-label="Your profile"><i class="icon-user"></i></a>',
+    },
+  },
+  'link-non-descriptive': {
+    severity: 'warning',
+    wcag: ['2.4.4'],
+    tags: ['links'],
+    description: 'Link text must describe the link destination',
+    fix: [
+      'Use descriptive text instead of "click here" or "read more"',
+      'Example: "Read our accessibility guide" instead of "Click here"',
+    ],
+    examples: {
+      invalid: '<a href="/pricing">Click here</a>',
+      valid: '<a href="/pricing">View pricing plans</a>',
+    },
+  },
+  'link-new-window-no-warning': {
+    severity: 'warning',
+    wcag: ['3.2.5'],
+    tags: ['links'],
+    description: 'Links that open a new window should warn users',
+    fix: [
+      'Add warning text: <a href="..." target="_blank">Link (opens in new window)</a>',
+      'Or use aria-label: <a href="..." target="_blank" aria-label="Link, opens in new window">',
+    ],
+    examples: {
+      invalid: '<a href="/doc.pdf" target="_blank">Report</a>',
+      valid: '<a href="/doc.pdf" target="_blank">Report (opens in new window)</a>',
+    },
+  },
+  'iframe-missing-title': {
+    severity: 'error',
+    wcag: ['4.1.2'],
+    tags: ['frames'],
+    description: 'Iframes must have a title describing their content',
+    fix: [
+      'Add title attribute: <iframe src="..." title="Embedded video player"></iframe>',
+      'Title should describe the iframe content',
+    ],
+    examples: {
+      invalid: '<iframe src="https://www.youtube.com/embed/xyz"></iframe>',
+      valid: '<iframe src="https://www.youtube.com/embed/xyz" title="Product demo video"></iframe>',
+    },
+  },
+  'div-as-button': {
+    severity: 'error',
+    wcag: ['4.1.2'],
+    tags: ['keyboard', 'keyboard-nav'],
+    description: 'Clickable div/span elements need a button role, focus and keyboard handlers',
+    fix: [
+      'Use <button> element: <button onclick="handler()">Click me</button>',
+      'Or add proper ARIA: <div role="button" tabindex="0" onkeydown="keyHandler()">',
+    ],
+    examples: {
+      invalid: '<div onclick="save()">Save</div>',
+      valid: '<button type="button" onclick="save()">Save</button>',
+    },
+  },
+  'click-without-keyboard': {
+    severity: 'error',
+    wcag: ['2.1.1'],
+    tags: ['keyboard', 'keyboard-nav'],
+    description: 'Click handlers must have a keyboard equivalent',
+    fix: [
+      'Add keyboard support: <div onclick="handler()" onkeydown="keyHandler()" tabindex="0">',
+      'Or use semantic element: <button onclick="handler()">',
+    ],
+    examples: {
+      invalid: '<span onclick="toggle()">Menu</span>',
+      valid: '<button type="button" onclick="toggle()">Menu</button>',
+    },
+    aliases: ['missing-keyboard-handler'],
+  },
+  'positive-tabindex': {
+    severity: 'error',
+    wcag: ['2.4.3'],
+    tags: ['keyboard', 'keyboard-nav'],
+    description: 'Avoid positive tabindex values',
+    fix: [
+      'Remove positive tabindex values',
+      'Use tabindex="0" for custom interactive elements',
+      'Let natural tab order work for native elements',
+    ],
+    examples: {
+      invalid: '<input tabindex="3">',
+      valid: '<input tabindex="0">',
+    },
+  },
+  'missing-lang': {
+    severity: 'error',
+    wcag: ['3.1.1'],
+    tags: ['language', 'semantic-html'],
+    description: 'The <html> element must have a lang attribute',
+    fix: [
+      'Add lang attribute to <html>: <html lang="en">',
+      'Use appropriate language code',
+    ],
+    examples: {
+      invalid: '<html>',
+      valid: '<html lang="en">',
+    },
+  },
+  'missing-lang-foreign': {
+    severity: 'warning',
+    wcag: ['3.1.2'],
+    tags: ['language'],
+    description: 'Passages in another language must declare their lang',
+    fix: [
+      'Add lang attribute to foreign language text: <p lang="fr">Bonjour</p>',
+      'Screen readers use lang to pronounce text correctly',
+    ],
+    examples: {
+      invalid: '<p>Bonjour tout le monde</p>',
+      valid: '<p lang="fr">Bonjour tout le monde</p>',
+    },
+  },
+  'heading-empty': {
+    severity: 'error',
+    wcag: ['2.4.6'],
+    tags: ['headings', 'heading-hierarchy'],
+    description: 'Headings must have text content',
+    fix: [
+      'Add text content: <h1>Page Title</h1>',
+      'Or aria-label: <h1 aria-label="Section title"><span class="icon"></span></h1>',
+    ],
+    examples: {
+      invalid: '<h2></h2>',
+      valid: '<h2>Latest news</h2>',
+    },
+  },
+  'heading-hierarchy': {
+    severity: 'warning',
+    wcag: ['2.4.6'],
+    tags: ['headings', 'heading-hierarchy'],
+    description: 'Heading levels should not be skipped',
+    fix: [
+      'Follow heading hierarchy: h1 -> h2 -> h3 (do not skip levels)',
+      'Headings should not jump from h1 to h3',
+    ],
+    examples: {
+      invalid: '<h1>Title</h1>\n<h3>Section</h3>',
+      valid: '<h1>Title</h1>\n<h2>Section</h2>',
+    },
+  },
+  'table-missing-headers': {
+    severity: 'error',
+    wcag: ['1.3.1'],
+    tags: ['tables', 'semantic-html'],
+    description: 'Data tables must use <th> header cells',
+    fix: [
+      'Use <thead> and <th>: <thead><tr><th>Name</th><th>Age</th></tr></thead>',
+      'Add scope: <th scope="col">Name</th>',
+    ],
+    examples: {
+      invalid: '<table><tr><td>Name</td><td>Age</td></tr></table>',
+      valid: '<table><thead><tr><th scope="col">Name</th><th scope="col">Age</th></tr></thead></table>',
+    },
+  },
+  'autoplay-media': {
+    severity: 'error',
+    wcag: ['1.4.2', '2.2.2'],
+    tags: ['media'],
+    description: 'Autoplaying media must be muted or have controls',
+    fix: [
+      'Remove autoplay: <video src="..." controls></video>',
+      'Or add muted for background: <video autoplay muted loop></video>',
+    ],
+    examples: {
+      invalid: '<video src="intro.mp4" autoplay></video>',
+      valid: '<video src="intro.mp4" autoplay muted controls></video>',
+    },
+  },
+  'media-no-captions': {
+    severity: 'error',
+    wcag: ['1.2.2', '1.2.3'],
+    tags: ['media'],
+    description: 'Video and audio must have captions or a transcript',
+    fix: [
+      'Add <track> element for captions: <video><track kind="captions" src="captions.vtt"></video>',
+      'Or provide transcript link below media',
+    ],
+    examples: {
+      invalid: '<video src="talk.mp4" controls></video>',
+      valid: '<video src="talk.mp4" controls>\n  <track kind="captions" src="talk.vtt" srclang="en">\n</video>',
+    },
+  },
+  'redundant-role': {
+    severity: 'warning',
+    wcag: ['4.1.2'],
+    tags: ['aria', 'aria-required'],
+    description: 'Roles that repeat the element\'s implicit role are redundant',
+    fix: [
+      'Remove redundant role that matches implicit semantics',
+      'Example: <button role="button"> should be just <button>',
+    ],
+    examples: {
+      invalid: '<nav role="navigation">',
+      valid: '<nav>',
+    },
+  },
+  'invalid-aria-role': {
+    severity: 'error',
+    wcag: ['4.1.2'],
+    tags: ['aria', 'aria-required'],
+    description: 'role attributes must use a valid ARIA role',
+    fix: [
+      'Use valid ARIA role from specification',
+      'Check: https://www.w3.org/TR/wai-aria/#role_definitions',
+    ],
+    examples: {
+      invalid: '<div role="btn">',
+      valid: '<div role="button" tabindex="0">',
+    },
+    aliases: ['aria-invalid-role'],
+  },
+  'missing-aria-required': {
+    severity: 'error',
+    wcag: ['4.1.2'],
+    tags: ['aria', 'aria-required'],
+    description: 'ARIA roles must have their required states and properties',
+    fix: [
+      'Add required ARIA properties for this role',
+      'Example: role="checkbox" requires aria-checked',
+    ],
+    examples: {
+      invalid: '<div role="checkbox">Subscribe</div>',
+      valid: '<div role="checkbox" aria-checked="false" tabindex="0">Subscribe</div>',
+    },
+  },
+  'focus-outline-removed': {
+    severity: 'error',
+    wcag: ['2.4.7'],
+    tags: ['focus', 'focus-visible'],
+    description: 'Focus outlines must not be removed without a visible replacement',
+    fix: [
+      'Do not remove focus outlines globally',
+      'Provide custom visible focus styles if removing default',
+    ],
+    examples: {
+      invalid: 'button:focus { outline: none; }',
+      valid: 'button:focus-visible { outline: 2px solid #005fcc; outline-offset: 2px; }',
+    },
+  },
+  'title-empty': {
+    severity: 'error',
+    wcag: ['2.4.2'],
+    tags: ['document', 'semantic-html'],
+    description: 'Pages must have a non-empty <title>',
+    fix: [
+      'Add descriptive title: <title>Page Name - Site Name</title>',
+      'Title should describe the page content',
+    ],
+    examples: {
+      invalid: '<title></title>',
+      valid: '<title>Checkout - Acme Store</title>',
+    },
+  },
+  'duplicate-id': {
+    severity: 'error',
+    wcag: ['4.1.1'],
+    tags: ['parsing', 'semantic-html'],
+    description: 'id attribute values must be unique',
+    fix: [
+      'Ensure all id attributes are unique',
+      'Duplicate IDs break ARIA relationships and form labels',
+    ],
+    examples: {
+      invalid: '<input id="name">\n<input id="name">',
+      valid: '<input id="first-name">\n<input id="last-name">',
+    },
+  },
+  'marquee-element': {
+    severity: 'error',
+    wcag: ['2.2.2'],
+    tags: ['motion', 'semantic-html'],
+    description: '<marquee> and <blink> must not be used',
+    fix: [
+      'Do not use <marquee> or <blink> elements',
+      'Use CSS animations with prefers-reduced-motion support',
+    ],
+    examples: {
+      invalid: '<marquee>Sale now on</marquee>',
+      valid: '<p class="announcement">Sale now on</p>',
+    },
+  },
+  'missing-main-landmark': {
+    severity: 'error',
+    wcag: ['1.3.1'],
+    tags: ['landmarks', 'semantic-html'],
+    description: 'Pages should have a <main> landmark',
+    fix: [
+      'Add <main> element to wrap primary content',
+      'There should be exactly one <main> per page',
+    ],
+    examples: {
+      invalid: '<div class="content">...</div>',
+      valid: '<main id="main-content">...</main>',
+    },
+  },
+  'placeholder-as-label': {
+    severity: 'error',
+    wcag: ['3.3.2'],
+    tags: ['forms', 'form-labels'],
+    description: 'Placeholder text must not replace a label',
+    fix: [
+      'Add proper label: <label for="name">Name</label><input id="name" placeholder="e.g. John">',
+      'Placeholders disappear on focus and are not read by all screen readers',
+    ],
+    examples: {
+      invalid: '<input type="email" placeholder="Email">',
+      valid: '<label for="email">Email</label>\n<input type="email" id="email" placeholder="name@example.com">',
+    },
+  },
+  'missing-autocomplete': {
+    severity: 'warning',
+    wcag: ['1.3.5'],
+    tags: ['forms', 'form-labels'],
+    description: 'Inputs collecting personal data should declare autocomplete',
+    fix: [
+      'Add autocomplete: <input type="text" name="name" autocomplete="name">',
+      'For email: autocomplete="email", for credit card: autocomplete="cc-number"',
+    ],
+    examples: {
+      invalid: '<input type="email" name="email">',
+      valid: '<input type="email" name="email" autocomplete="email">',
+    },
+  },
+  'non-semantic-navigation': {
+    severity: 'warning',
+    wcag: ['1.3.1'],
+    tags: ['landmarks', 'semantic-html'],
+    description: 'Groups of navigation links should be wrapped in <nav>',
+    fix: [
+      'Use <nav> element: <nav><a href="home.html">Home</a></nav>',
+      'Semantic elements improve accessibility',
+    ],
+    examples: {
+      invalid: '<div class="menu"><a href="/">Home</a><a href="/about">About</a></div>',
+      valid: '<nav aria-label="Main"><a href="/">Home</a><a href="/about">About</a></nav>',
+    },
+  },
+  'radio-missing-fieldset': {
+    severity: 'warning',
+    wcag: ['1.3.1', '3.3.2'],
+    tags: ['forms', 'form-labels'],
+    description: 'Radio groups should be wrapped in a <fieldset> with a <legend>',
+    fix: [
+      '<fieldset><legend>Choose option</legend><input type="radio">...</fieldset>',
+      'Group related radio buttons with fieldset and legend',
+    ],
+    examples: {
+      invalid: '<input type="radio" name="size" value="s"> S\n<input type="radio" name="size" value="m"> M',
+      valid: '<fieldset>\n  <legend>Size</legend>\n  <label><input type="radio" name="size" value="s"> S</label>\n</fieldset>',
+    },
+  },
+  'required-not-indicated': {
+    severity: 'warning',
+    wcag: ['3.3.2'],
+    tags: ['forms', 'form-labels'],
+    description: 'Required fields should be indicated visually and programmatically',
+    fix: [
+      'Add visual indicator: <label>Email <span aria-hidden="true">*</span><span class="sr-only">required</span></label>',
+      'Or use aria-required: <input type="email" aria-required="true">',
+    ],
+    examples: {
+      invalid: '<input type="text" required>',
+      valid: '<label for="name">Name (required)</label>\n<input type="text" id="name" required aria-required="true">',
+    },
+  },
+});
 
 /**
  * Valid ARIA roles
@@ -247,61 +551,98 @@ const implicitRoles = {
 
 /**
  * Analyze HTML content for accessibility violations
+ * @param {string} content - HTML source
+ * @param {string} [filePath] - Reported on each violation
+ * @param {object} [options]
+ * @param {object} [options.suppressions] - Shared createSuppressions() set (see suppressions.js)
+ * @param {boolean} [options.fragment] - Content is a component template, not a page: skip the
+ *   lang/title/main landmark checks and accept self-closing tags
+ * @param {Function} [options.mapAttributes] - (attribs) => attribs as plain HTML, e.g. turning
+ *   Vue's :alt and @click into alt and onclick; applied to every element before the checks
+ * @param {string} [options.source] - Original file text for snippets, when content is a
+ *   same-length rewrite of it (e.g. Svelte markup with attr={expr} quoted)
  */
-export async function analyzeHTML(content, filePath = 'unknown.html') {
+export async function analyzeHTML(content, filePath = 'unknown.html', options = {}) {
   const violations = [];
-  let lineNumber = 1;
-  const lines = content.split('\n');
+  const locator = createLocator(content);
 
-  // Helper to find line number for a specific index in content
-  function getLineNumber(index) {
-    let currentIndex = 0;
-    for (let i = 0; i < lines.length; i++) {
-      currentIndex += lines[i].length + 1; // +1 for newline
-      if (currentIndex >= index) {
-        return i + 1;
+  // Offset just past an element's opening tag (htmlparser2 start indices are exact)
+  function openingTagEnd(node) {
+    let quote = null;
+    let end = node.startIndex + 1;
+    for (; end < content.length; end++) {
+      const char = content[end];
+      if (quote) {
+        if (char === quote) quote = null;
+      } else if (char === '"' || char === "'") {
+        quote = char;
+      } else if (char === '>') {
+        return end + 1;
       }
     }
-    return lines.length;
+    return end;
+  }
+
+  // Range of an element's opening tag
+  function locate(node) {
+    if (typeof node.startIndex !== 'number') {
+      return { line: 1, column: 1 };
+    }
+    return rangeFromOffsets(locator, node.startIndex, openingTagEnd(node));
+  }
+
+  // Autofix that inserts attributes right after the tag name
+  function insertAttributes(node, title, attributes) {
+    const at = node.startIndex + 1 + node.name.length;
+    return { title, edits: [{ start: at, end: at, text: ` ${attributes.join(' ')}` }] };
+  }
+
+  // <label>Name <input></label> labels the input without for/id
+  function insideLabel(node) {
+    for (let parent = node.parent; parent; parent = parent.parent) {
+      if (parent.name === 'label') return true;
+    }
+    return false;
+  }
+
+  // Helper to find line number for a specific index in content
+  function getLineNumber(index) {
+    return locator.positionAt(index).line;
   }
 
   // Check for html lang attribute
-  if (!/<html[^>]*\slang=/i.test(content)) {
+  if (!options.fragment && !/<html[^>]*\slang=/i.test(content)) {
+    const htmlTag = content.search(/<html\b/i);
     violations.push({
       ruleId: 'missing-lang',
       severity: 'error',
-      line: 1,
-      column: 1,
+      ...(htmlTag === -1
+        ? { line: 1, column: 1 }
+        : rangeFromOffsets(locator, htmlTag, content.indexOf('>', htmlTag) + 1)),
       message: 'The <html> element must have a lang attribute',
-      wcag: violationToWCAG['missing-lang'],
-      fix: fixSuggestions['missing-lang'],
     });
   }
 
   // Check for empty or missing title
   const titleMatch = content.match(/<title[^>]*>(.*?)<\/title>/is);
-  if (!titleMatch || !titleMatch[1].trim()) {
+  if (!options.fragment && (!titleMatch || !titleMatch[1].trim())) {
     violations.push({
       ruleId: 'title-empty',
       severity: 'error',
       line: getLineNumber(content.indexOf('<title')),
       column: 1,
       message: 'Page must have a non-empty <title> element',
-      wcag: violationToWCAG['title-empty'],
-      fix: fixSuggestions['title-empty'],
     });
   }
 
   // Check for missing main landmark
-  if (!/<main[\s>]/i.test(content) && !/role=["']main["']/i.test(content)) {
+  if (!options.fragment && !/<main[\s>]/i.test(content) && !/role=["']main["']/i.test(content)) {
     violations.push({
       ruleId: 'missing-main-landmark',
       severity: 'error',
       line: 1,
       column: 1,
       message: 'Page should have a <main> landmark element',
-      wcag: violationToWCAG['missing-main-landmark'],
-      fix: fixSuggestions['missing-main-landmark'],
     });
   }
 
@@ -312,11 +653,8 @@ export async function analyzeHTML(content, filePath = 'unknown.html') {
     violations.push({
       ruleId: 'marquee-element',
       severity: 'error',
-      line: getLineNumber(marqueeMatch.index),
-      column: 1,
+      ...rangeFromOffsets(locator, marqueeMatch.index, marqueeMatch.index + marqueeMatch[0].length),
       message: `<${marqueeMatch[1]}> element is deprecated and causes accessibility issues`,
-      wcag: violationToWCAG['marquee-element'],
-      fix: fixSuggestions['marquee-element'],
     });
   }
 
@@ -326,6 +664,15 @@ export async function analyzeHTML(content, filePath = 'unknown.html') {
       return;
     }
 
+    // Framework attribute syntax as plain HTML attributes
+    function mapAttributes(nodes) {
+      for (const node of nodes || []) {
+        if (node.type === 'tag') node.attribs = options.mapAttributes(node.attribs || {});
+        mapAttributes(node.children);
+      }
+    }
+    if (options.mapAttributes) mapAttributes(dom);
+
     // Recursive function to traverse DOM
     function traverse(nodes, depth = 0) {
       if (!nodes) return;
@@ -334,13 +681,7 @@ export async function analyzeHTML(content, filePath = 'unknown.html') {
         if (node.type === 'tag') {
           const tagName = node.name.toLowerCase();
           const attrs = node.attribs || {};
-          
-          // Find approximate line number (this is approximate since htmlparser2 doesn't provide positions)
-          const tagText = `<${tagName}`;
-          const index = content.indexOf(tagText, lineNumber > 1 ? lines.slice(0, lineNumber - 1).join('\n').length : 0);
-          if (index !== -1) {
-            lineNumber = getLineNumber(index);
-          }
+
 
           // Check images
           if (tagName === 'img') {
@@ -348,11 +689,12 @@ export async function analyzeHTML(content, filePath = 'unknown.html') {
               violations.push({
                 ruleId: 'img-missing-alt',
                 severity: 'error',
-                line: lineNumber,
-                column: 1,
+                ...locate(node),
                 message: 'Image elements must have an alt attribute',
-                wcag: violationToWCAG['img-missing-alt'],
-                fix: fixSuggestions['img-missing-alt'],
+                // Only decorative images can be fixed without knowing what they show
+                autofix: isLikelyDecorative(attrs)
+                  ? insertAttributes(node, 'Mark the image as decorative with alt=""', ['alt=""'])
+                  : undefined,
               });
             } else if (attrs.alt) {
               // Check for redundant alt text
@@ -361,11 +703,8 @@ export async function analyzeHTML(content, filePath = 'unknown.html') {
                 violations.push({
                   ruleId: 'img-redundant-alt',
                   severity: 'warning',
-                  line: lineNumber,
-                  column: 1,
+                  ...locate(node),
                   message: 'Alt text should not include redundant words like "image of" or "picture of"',
-                  wcag: violationToWCAG['img-redundant-alt'],
-                  fix: fixSuggestions['img-redundant-alt'],
                 });
               }
             }
@@ -373,16 +712,13 @@ export async function analyzeHTML(content, filePath = 'unknown.html') {
 
           // Check form inputs
           if (tagName === 'input' && attrs.type !== 'hidden' && attrs.type !== 'submit' && attrs.type !== 'button') {
-            const hasLabel = attrs['aria-label'] || attrs['aria-labelledby'] || attrs.id;
+            const hasLabel = attrs['aria-label'] || attrs['aria-labelledby'] || attrs.id || insideLabel(node);
             if (!hasLabel) {
               violations.push({
                 ruleId: 'form-input-missing-label',
                 severity: 'error',
-                line: lineNumber,
-                column: 1,
+                ...locate(node),
                 message: 'Form input must have an associated label',
-                wcag: violationToWCAG['form-input-missing-label'],
-                fix: fixSuggestions['form-input-missing-label'],
               });
             }
 
@@ -391,11 +727,8 @@ export async function analyzeHTML(content, filePath = 'unknown.html') {
               violations.push({
                 ruleId: 'placeholder-as-label',
                 severity: 'error',
-                line: lineNumber,
-                column: 1,
+                ...locate(node),
                 message: 'Placeholder should not be used as a label replacement',
-                wcag: violationToWCAG['placeholder-as-label'],
-                fix: fixSuggestions['placeholder-as-label'],
               });
             }
 
@@ -407,11 +740,8 @@ export async function analyzeHTML(content, filePath = 'unknown.html') {
                 violations.push({
                   ruleId: 'missing-autocomplete',
                   severity: 'warning',
-                  line: lineNumber,
-                  column: 1,
+                  ...locate(node),
                   message: 'Personal info input should have autocomplete attribute',
-                  wcag: violationToWCAG['missing-autocomplete'],
-                  fix: fixSuggestions['missing-autocomplete'],
                 });
               }
             }
@@ -424,11 +754,8 @@ export async function analyzeHTML(content, filePath = 'unknown.html') {
                 violations.push({
                   ruleId: 'required-not-indicated',
                   severity: 'warning',
-                  line: lineNumber,
-                  column: 1,
+                  ...locate(node),
                   message: 'Required fields should have aria-required and visual indication',
-                  wcag: violationToWCAG['required-not-indicated'],
-                  fix: fixSuggestions['required-not-indicated'],
                 });
               }
             }
@@ -436,7 +763,7 @@ export async function analyzeHTML(content, filePath = 'unknown.html') {
 
           // Check buttons
           if (tagName === 'button') {
-            const hasContent = node.children && node.children.some(child => 
+            const hasContent = attrs[BOUND_CONTENT] || node.children?.some(child => 
               (child.type === 'text' && child.data.trim()) || child.type === 'tag'
             );
             const hasLabel = attrs['aria-label'] || attrs['aria-labelledby'];
@@ -444,18 +771,15 @@ export async function analyzeHTML(content, filePath = 'unknown.html') {
               violations.push({
                 ruleId: 'button-empty',
                 severity: 'error',
-                line: lineNumber,
-                column: 1,
+                ...locate(node),
                 message: 'Button must have text content or aria-label',
-                wcag: violationToWCAG['button-empty'],
-                fix: fixSuggestions['button-empty'],
               });
             }
           }
 
           // Check links
           if (tagName === 'a') {
-            const hasContent = node.children && node.children.some(child => 
+            const hasContent = attrs[BOUND_CONTENT] || node.children?.some(child => 
               (child.type === 'text' && child.data.trim()) || 
               (child.type === 'tag' && child.name === 'img' && child.attribs?.alt)
             );
@@ -464,11 +788,8 @@ export async function analyzeHTML(content, filePath = 'unknown.html') {
               violations.push({
                 ruleId: 'link-empty',
                 severity: 'error',
-                line: lineNumber,
-                column: 1,
+                ...locate(node),
                 message: 'Link must have text content or aria-label',
-                wcag: violationToWCAG['link-empty'],
-                fix: fixSuggestions['link-empty'],
               });
             }
 
@@ -479,16 +800,12 @@ export async function analyzeHTML(content, filePath = 'unknown.html') {
                 .map(child => child.data.trim())
                 .join(' ')
                 .toLowerCase();
-              const nonDescriptive = ['click here', 'read more', 'more', 'here', 'link'];
-              if (nonDescriptive.some(phrase => textContent === phrase)) {
+              if (NON_DESCRIPTIVE_LINK_TEXT.includes(textContent)) {
                 violations.push({
                   ruleId: 'link-non-descriptive',
                   severity: 'warning',
-                  line: lineNumber,
-                  column: 1,
+                  ...locate(node),
                   message: `Non-descriptive link text: "${textContent}"`,
-                  wcag: violationToWCAG['link-non-descriptive'],
-                  fix: fixSuggestions['link-non-descriptive'],
                 });
               }
             }
@@ -501,11 +818,8 @@ export async function analyzeHTML(content, filePath = 'unknown.html') {
                 violations.push({
                   ruleId: 'link-new-window-no-warning',
                   severity: 'warning',
-                  line: lineNumber,
-                  column: 1,
+                  ...locate(node),
                   message: 'Links opening in new windows should warn users',
-                  wcag: violationToWCAG['link-new-window-no-warning'],
-                  fix: fixSuggestions['link-new-window-no-warning'],
                 });
               }
             }
@@ -516,11 +830,8 @@ export async function analyzeHTML(content, filePath = 'unknown.html') {
             violations.push({
               ruleId: 'iframe-missing-title',
               severity: 'error',
-              line: lineNumber,
-              column: 1,
+              ...locate(node),
               message: 'Iframe elements must have a title attribute',
-              wcag: violationToWCAG['iframe-missing-title'],
-              fix: fixSuggestions['iframe-missing-title'],
             });
           }
 
@@ -531,34 +842,41 @@ export async function analyzeHTML(content, filePath = 'unknown.html') {
             const hasKeyboard = attrs.onkeydown || attrs.onkeypress || attrs.onkeyup;
             
             if (!hasRole || !hasTabindex || !hasKeyboard) {
+              // role/tabindex can be added mechanically; a key handler cannot
+              const missing = [];
+              if (!attrs.role) missing.push('role="button"');
+              if (!hasTabindex) missing.push('tabindex="0"');
               violations.push({
                 ruleId: 'div-as-button',
                 severity: 'error',
-                line: lineNumber,
-                column: 1,
+                ...locate(node),
                 message: 'Interactive div/span must have role="button", tabindex, and keyboard handlers',
-                wcag: violationToWCAG['div-as-button'],
-                fix: fixSuggestions['div-as-button'],
+                autofix: missing.length > 0
+                  ? insertAttributes(node, `Add ${missing.join(' ')}${hasKeyboard ? '' : ' (a keydown handler is still needed)'}`, missing)
+                  : undefined,
               });
             }
           }
 
           // Check for positive tabindex
           if (attrs.tabindex && parseInt(attrs.tabindex) > 0) {
+            const tagText = content.slice(node.startIndex, openingTagEnd(node));
+            const valueMatch = /\btabindex\s*=\s*(["']?)(\d+)\1/i.exec(tagText);
+            const valueStart = valueMatch && node.startIndex + valueMatch.index + valueMatch[0].length - valueMatch[1].length - valueMatch[2].length;
             violations.push({
               ruleId: 'positive-tabindex',
               severity: 'error',
-              line: lineNumber,
-              column: 1,
+              ...locate(node),
               message: 'Avoid positive tabindex values as they disrupt natural tab order',
-              wcag: violationToWCAG['positive-tabindex'],
-              fix: fixSuggestions['positive-tabindex'],
+              autofix: valueMatch
+                ? { title: 'Set tabindex="0"', edits: [{ start: valueStart, end: valueStart + valueMatch[2].length, text: '0' }] }
+                : undefined,
             });
           }
 
           // Check headings
           if (/^h[1-6]$/.test(tagName)) {
-            const hasContent = node.children && node.children.some(child => 
+            const hasContent = attrs[BOUND_CONTENT] || node.children?.some(child => 
               (child.type === 'text' && child.data.trim()) || child.type === 'tag'
             );
             const hasLabel = attrs['aria-label'] || attrs['aria-labelledby'];
@@ -566,11 +884,8 @@ export async function analyzeHTML(content, filePath = 'unknown.html') {
               violations.push({
                 ruleId: 'heading-empty',
                 severity: 'error',
-                line: lineNumber,
-                column: 1,
+                ...locate(node),
                 message: 'Heading must have text content or aria-label',
-                wcag: violationToWCAG['heading-empty'],
-                fix: fixSuggestions['heading-empty'],
               });
             }
           }
@@ -593,11 +908,8 @@ export async function analyzeHTML(content, filePath = 'unknown.html') {
               violations.push({
                 ruleId: 'table-missing-headers',
                 severity: 'error',
-                line: lineNumber,
-                column: 1,
+                ...locate(node),
                 message: 'Table must have <thead> and <th> elements',
-                wcag: violationToWCAG['table-missing-headers'],
-                fix: fixSuggestions['table-missing-headers'],
               });
             }
           }
@@ -608,11 +920,8 @@ export async function analyzeHTML(content, filePath = 'unknown.html') {
               violations.push({
                 ruleId: 'autoplay-media',
                 severity: 'error',
-                line: lineNumber,
-                column: 1,
+                ...locate(node),
                 message: 'Autoplaying media must be muted or have controls',
-                wcag: violationToWCAG['autoplay-media'],
-                fix: fixSuggestions['autoplay-media'],
               });
             }
           }
@@ -628,11 +937,8 @@ export async function analyzeHTML(content, filePath = 'unknown.html') {
               violations.push({
                 ruleId: 'media-no-captions',
                 severity: 'error',
-                line: lineNumber,
-                column: 1,
+                ...locate(node),
                 message: `${tagName === 'video' ? 'Video' : 'Audio'} must have captions or transcript`,
-                wcag: violationToWCAG['media-no-captions'],
-                fix: fixSuggestions['media-no-captions'],
               });
             }
           }
@@ -644,11 +950,8 @@ export async function analyzeHTML(content, filePath = 'unknown.html') {
               violations.push({
                 ruleId: 'redundant-role',
                 severity: 'warning',
-                line: lineNumber,
-                column: 1,
+                ...locate(node),
                 message: `Redundant role="${attrs.role}" on <${tagName}> element`,
-                wcag: violationToWCAG['redundant-role'],
-                fix: fixSuggestions['redundant-role'],
               });
             }
 
@@ -657,11 +960,8 @@ export async function analyzeHTML(content, filePath = 'unknown.html') {
               violations.push({
                 ruleId: 'invalid-aria-role',
                 severity: 'error',
-                line: lineNumber,
-                column: 1,
+                ...locate(node),
                 message: `Invalid ARIA role: "${attrs.role}"`,
-                wcag: violationToWCAG['invalid-aria-role'],
-                fix: fixSuggestions['invalid-aria-role'],
               });
             }
 
@@ -673,11 +973,8 @@ export async function analyzeHTML(content, filePath = 'unknown.html') {
                   violations.push({
                     ruleId: 'missing-aria-required',
                     severity: 'error',
-                    line: lineNumber,
-                    column: 1,
+                    ...locate(node),
                     message: `Role "${attrs.role}" requires ${prop} attribute`,
-                    wcag: violationToWCAG['missing-aria-required'],
-                    fix: fixSuggestions['missing-aria-required'],
                   });
                 }
               }
@@ -706,11 +1003,8 @@ export async function analyzeHTML(content, filePath = 'unknown.html') {
             violations.push({
               ruleId: 'duplicate-id',
               severity: 'error',
-              line: lineNumber,
-              column: 1,
+              ...locate(node),
               message: `Duplicate ID "${id}" found`,
-              wcag: violationToWCAG['duplicate-id'],
-              fix: fixSuggestions['duplicate-id'],
             });
           } else {
             idMap.set(id, true);
@@ -731,7 +1025,7 @@ export async function analyzeHTML(content, filePath = 'unknown.html') {
         if (node.type === 'tag' && /^h[1-6]$/.test(node.name)) {
           headings.push({
             level: parseInt(node.name[1]),
-            line: lineNumber
+            node
           });
         }
         if (node.children) {
@@ -748,11 +1042,8 @@ export async function analyzeHTML(content, filePath = 'unknown.html') {
         violations.push({
           ruleId: 'heading-hierarchy',
           severity: 'warning',
-          line: headings[i].line,
-          column: 1,
+          ...locate(headings[i].node),
           message: `Heading hierarchy skipped from h${prevLevel} to h${currLevel}`,
-          wcag: violationToWCAG['heading-hierarchy'],
-          fix: fixSuggestions['heading-hierarchy'],
         });
       }
     }
@@ -763,7 +1054,7 @@ export async function analyzeHTML(content, filePath = 'unknown.html') {
       if (!nodes) return;
       for (const node of nodes) {
         if (node.type === 'tag' && node.name === 'input' && node.attribs?.type === 'radio') {
-          radioInputs.push({ name: node.attribs.name, line: lineNumber });
+          radioInputs.push({ name: node.attribs.name, node });
         }
         if (node.children) {
           collectRadios(node.children);
@@ -779,22 +1070,19 @@ export async function analyzeHTML(content, filePath = 'unknown.html') {
         if (!radioGroups.has(radio.name)) {
           radioGroups.set(radio.name, []);
         }
-        radioGroups.get(radio.name).push(radio.line);
+        radioGroups.get(radio.name).push(radio.node);
       }
     }
 
-    for (const [name, lines] of radioGroups) {
-      if (lines.length > 1) {
+    for (const [name, nodes] of radioGroups) {
+      if (nodes.length > 1) {
         // Check if there's a fieldset (simplified check)
         if (!/<fieldset[^>]*>[\s\S]*?<input[^>]*type=["']?radio["']?[^>]*name=["']?${name}["']?/i.test(content)) {
           violations.push({
             ruleId: 'radio-missing-fieldset',
             severity: 'warning',
-            line: lines[0],
-            column: 1,
+            ...locate(nodes[0]),
             message: `Radio button group "${name}" should be wrapped in <fieldset> with <legend>`,
-            wcag: violationToWCAG['radio-missing-fieldset'],
-            fix: fixSuggestions['radio-missing-fieldset'],
           });
         }
       }
@@ -810,15 +1098,14 @@ export async function analyzeHTML(content, filePath = 'unknown.html') {
         line: getLineNumber(content.indexOf(navMatches[0])),
         column: 1,
         message: 'Multiple navigation links should be wrapped in <nav> element',
-        wcag: violationToWCAG['non-semantic-navigation'],
-        fix: fixSuggestions['non-semantic-navigation'],
       });
     }
-  });
+  }, { withStartIndices: true, withEndIndices: true });
 
   const parser = new Parser(handler, {
     lowerCaseAttributeNames: false,
     lowerCaseTags: true,
+    recognizeSelfClosing: Boolean(options.fragment),
   });
 
   parser.write(content);
@@ -831,17 +1118,36 @@ export async function analyzeHTML(content, filePath = 'unknown.html') {
   const outlineNoneRegex = /style=["'][^"']*outline:\s*none/gi;
   let match;
   while ((match = outlineNoneRegex.exec(content)) !== null) {
-    const line = getLineNumber(match.index);
     violations.push({
       ruleId: 'focus-outline-removed',
       severity: 'error',
-      line,
-      column: 1,
+      ...rangeFromOffsets(locator, match.index, match.index + match[0].length),
       message: 'Do not remove focus outlines without providing custom visible focus styles',
-      wcag: violationToWCAG['focus-outline-removed'],
-      fix: fixSuggestions['focus-outline-removed'],
     });
   }
 
-  return violations;
+  return normalizeViolations(violations, { analyzer: 'html', filePath, content: options.source ?? content, suppressions: options.suppressions });
+}
+
+/**
+ * Analyze a server-side template (Handlebars, Nunjucks, Liquid, EJS, ERB)
+ * Template tags are masked in place (see template-preprocessor.js); templates
+ * without an <html> element are partials and are checked as fragments.
+ * @param {string} content - Template source
+ * @param {string} [filePath] - Reported on each violation
+ * @param {object} [options]
+ * @param {string} [options.syntax] - Key of TEMPLATE_SYNTAXES (default: from the extension)
+ * @param {object} [options.suppressions] - Shared createSuppressions() set (see suppressions.js)
+ */
+export async function analyzeTemplate(content, filePath = 'unknown.hbs', { syntax, ...options } = {}) {
+  const templateSyntax = syntax || templateSyntaxForFile(filePath);
+  if (!TEMPLATE_SYNTAXES[templateSyntax]) {
+    throw new Error(`Unknown template syntax "${templateSyntax}" (expected ${Object.keys(TEMPLATE_SYNTAXES).join(', ')})`);
+  }
+  const masked = maskTemplate(content, templateSyntax);
+  return analyzeHTML(masked, filePath, {
+    ...options,
+    fragment: !/<html[\s>]/i.test(masked),
+    source: content,
+  });
 }
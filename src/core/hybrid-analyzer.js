@@ -1,9 +1,17 @@
 /**
- * Hybrid Analyzer: Routes files to appropriate analyzers based on file type
- * - JSX/TSX files: ESLint with jsx-a11y plugin (React accessibility)
- * - Plain JS files: Custom JS analyzer for DOM manipulation patterns
- * - HTML/HTM files: HTML parser with WCAG rules
- * - CSS/SCSS files: PostCSS with accessibility rules
+ * Hybrid Analyzer: Two-tier pipeline of a fast regex pass plus AST analyzers
+ * - Tier 1: regex-analyzer.js runs first on every supported file
+ * - Tier 2: files are routed to the AST analyzer for their type
+ *   - JSX/TSX files: ESLint with jsx-a11y plugin (React accessibility)
+ *   - Plain JS files: Custom JS analyzer for DOM manipulation patterns
+ *   - Styled templates and style={{...}} objects in scripts: the CSS rules (css-in-js.js)
+ *   - HTML/HTM files: HTML parser with WCAG rules (Angular templates with binding syntax)
+ *   - CSS/SCSS/Sass/Less/Stylus files: PostCSS with accessibility rules
+ *   - Vue/Svelte files: markup, script and style blocks through the analyzers above
+ *   - Server templates (Handlebars, Nunjucks, Liquid, EJS, ERB): HTML rules on the masked template
+ *   - Markdown/MDX files: Markdown rules, inline HTML through the HTML rules, MDX JSX through ESLint
+ * Once a file has been through its AST analyzer, the regex findings are dropped:
+ * the AST analyzer checks everything the regex pass does, without its false positives.
  */
 
 import { ESLint } from 'eslint';
@@ -13,9 +21,25 @@ import babelParser from '@babel/eslint-parser';
 import path from 'path';
 import { createRequire } from 'module';
 import { fileURLToPath } from 'url';
-import { analyzeHTML } from './html-analyzer.js';
+import { analyzeHTML, analyzeTemplate } from './html-analyzer.js';
 import { analyzeCSS } from './css-analyzer.js';
+import { STYLE_EXTENSIONS, styleDependencies } from './style-syntax.js';
 import { analyzeJS } from './js-analyzer.js';
+import { analyzeVue } from './vue-analyzer.js';
+import { analyzeSvelte } from './svelte-analyzer.js';
+import { analyzeAngularTemplate, ANGULAR_TEMPLATE } from './angular-analyzer.js';
+import { TEMPLATE_SYNTAXES, templateSyntaxForFile } from './template-preprocessor.js';
+import { analyzeTokens, isTokenFile, tokenDependencies } from './token-analyzer.js';
+import { analyzePage, pageDependencies } from './page-analyzer.js';
+import { analyzeMarkdown, mdxToScripts, MARKDOWN_EXTENSIONS } from './markdown-analyzer.js';
+import { analyzeCSSInJS } from './css-in-js.js';
+import { analyzeFile as analyzeFileFast } from './regex-analyzer.js';
+import { applyRuleConfig, getTemplateSyntax } from './config-loader.js';
+import { normalizeViolations, createLocator } from './violation.js';
+import { createSuppressions } from './suppressions.js';
+import { isLikelyDecorative } from './autofix.js';
+import { getCacheNamespace, getContentKey, readCachedResult, writeCachedResult } from './result-cache.js';
+import { registerRules, listRules } from './rule-registry.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -67,39 +91,7 @@ const linterConfig = {
   },
   plugins: ['react', 'jsx-a11y'],
   rules: {
-    // Set all jsx-a11y rules to error for strict checking
-    'jsx-a11y/alt-text': 'error',
-    'jsx-a11y/anchor-has-content': 'error',
-    'jsx-a11y/anchor-is-valid': 'error',
-    'jsx-a11y/aria-activedescendant-has-tabindex': 'error',
-    'jsx-a11y/aria-props': 'error',
-    'jsx-a11y/aria-proptypes': 'error',
-    'jsx-a11y/aria-role': 'error',
-    'jsx-a11y/aria-unsupported-elements': 'error',
-    'jsx-a11y/autocomplete-valid': 'error',
-    'jsx-a11y/click-events-have-key-events': 'error',
-    'jsx-a11y/control-has-associated-label': 'error',
-    'jsx-a11y/heading-has-content': 'error',
-    'jsx-a11y/html-has-lang': 'error',
-    'jsx-a11y/iframe-has-title': 'error',
-    'jsx-a11y/img-redundant-alt': 'error',
-    'jsx-a11y/interactive-supports-focus': 'error',
-    'jsx-a11y/label-has-associated-control': 'error',
-    'jsx-a11y/media-has-caption': 'error',
-    'jsx-a11y/mouse-events-have-key-events': 'error',
-    'jsx-a11y/no-access-key': 'error',
-    'jsx-a11y/no-autofocus': 'error',
-    'jsx-a11y/no-distracting-elements': 'error',
-    'jsx-a11y/no-interactive-element-to-noninteractive-role': 'error',
-    'jsx-a11y/no-noninteractive-element-interactions': 'error',
-    'jsx-a11y/no-noninteractive-element-to-interactive-role': 'error',
-    'jsx-a11y/no-noninteractive-tabindex': 'error',
-    'jsx-a11y/no-redundant-roles': 'error',
-    'jsx-a11y/no-static-element-interactions': 'error',
-    'jsx-a11y/role-has-required-aria-props': 'error',
-    'jsx-a11y/role-supports-aria-props': 'error',
-    'jsx-a11y/scope': 'error',
-    'jsx-a11y/tabindex-no-positive': 'error',
+    // jsx-a11y rules are added from the rule registry (see getLinterConfig)
     'react/react-in-jsx-scope': 'off',
     'react/prop-types': 'off',
     'react/jsx-uses-react': 'off',
@@ -113,286 +105,660 @@ const linterConfig = {
 };
 
 /**
- * Maps ESLint rule IDs to WCAG criteria
+ * Rules reported by this analyzer: WCAG mapping, fix guidance and examples
+ * live in the shared rule registry
  */
-const ruleToWCAG = {
-  'jsx-a11y/alt-text': ['1.1.1'],
-  'jsx-a11y/anchor-has-content': ['2.4.4'],
-  'jsx-a11y/anchor-is-valid': ['2.4.4'],
-  'jsx-a11y/aria-activedescendant-has-tabindex': ['4.1.2'],
-  'jsx-a11y/aria-props': ['4.1.2'],
-  'jsx-a11y/aria-proptypes': ['4.1.2'],
-  'jsx-a11y/aria-role': ['4.1.2'],
-  'jsx-a11y/aria-unsupported-elements': ['4.1.2'],
-  'jsx-a11y/autocomplete-valid': ['1.3.5'],
-  'jsx-a11y/click-events-have-key-events': ['2.1.1'],
-  'jsx-a11y/control-has-associated-label': ['4.1.2'],
-  'jsx-a11y/heading-has-content': ['2.4.6'],
-  'jsx-a11y/html-has-lang': ['3.1.1'],
-  'jsx-a11y/iframe-has-title': ['4.1.2'],
-  'jsx-a11y/img-redundant-alt': ['1.1.1'],
-  'jsx-a11y/interactive-supports-focus': ['2.1.1'],
-  'jsx-a11y/label-has-associated-control': ['3.3.2'],
-  'jsx-a11y/media-has-caption': ['1.2.2'],
-  'jsx-a11y/mouse-events-have-key-events': ['2.1.1'],
-  'jsx-a11y/no-access-key': ['2.4.1'],
-  'jsx-a11y/no-autofocus': ['2.4.3'],
-  'jsx-a11y/no-distracting-elements': ['2.2.2'],
-  'jsx-a11y/no-interactive-element-to-noninteractive-role': ['4.1.2'],
-  'jsx-a11y/no-noninteractive-element-interactions': ['4.1.2'],
-  'jsx-a11y/no-noninteractive-element-to-interactive-role': ['4.1.2'],
-  'jsx-a11y/no-noninteractive-tabindex': ['2.1.1'],
-  'jsx-a11y/no-redundant-roles': ['4.1.2'],
-  'jsx-a11y/no-static-element-interactions': ['4.1.2'],
-  'jsx-a11y/role-has-required-aria-props': ['4.1.2'],
-  'jsx-a11y/role-supports-aria-props': ['4.1.2'],
-  'jsx-a11y/scope': ['1.3.1'],
-  'jsx-a11y/tabindex-no-positive': ['2.4.3'],
-};
+registerRules('eslint', {
+  'jsx-a11y/alt-text': {
+    severity: 'error',
+    wcag: ['1.1.1'],
+    tags: ['images', 'alt-text'],
+    description: 'Elements that need alternative text must have it',
+    fix: [
+      'Add alt attribute with meaningful description',
+      '<img src="/logo.png" alt="Company logo" />',
+      '<img src="/decorative.png" alt="" /> // For decorative images',
+      'Describe what the image conveys, not just "image of..."',
+    ],
+    examples: {
+      invalid: '<img src="/logo.png" />',
+      valid: '<img src="/logo.png" alt="Company logo" />',
+    },
+  },
+  'jsx-a11y/anchor-has-content': {
+    severity: 'error',
+    wcag: ['2.4.4'],
+    tags: ['links'],
+    description: 'Anchors must have content',
+    fix: [
+      'Add text content or aria-label to link',
+      '<a href="/about">About Us</a>',
+      '<a href="/contact" aria-label="Contact page">📧</a>',
+      'Links need visible text or aria-label',
+    ],
+    examples: {
+      invalid: '<a href="/about" />',
+      valid: '<a href="/about">About us</a>',
+    },
+  },
+  'jsx-a11y/anchor-is-valid': {
+    severity: 'error',
+    wcag: ['2.4.4'],
+    tags: ['links'],
+    description: 'Anchors must have a valid, navigable href',
+    fix: [
+      'Provide valid href or use button element',
+      '<a href="/page">Go to page</a> // Valid navigation',
+      '<button onClick={handler}>Do action</button> // For actions',
+      'Avoid: href="#" or href="javascript:void(0)"',
+    ],
+    examples: {
+      invalid: '<a href="#" onClick={save}>Save</a>',
+      valid: '<button type="button" onClick={save}>Save</button>',
+    },
+  },
+  'jsx-a11y/aria-activedescendant-has-tabindex': {
+    severity: 'error',
+    wcag: ['4.1.2'],
+    tags: ['aria', 'aria-required'],
+    description: 'Elements with aria-activedescendant must be focusable',
+    fix: [
+      'Add tabIndex when using aria-activedescendant',
+      '<div role="combobox" aria-activedescendant={activeId} tabIndex={0}>',
+      'Element using aria-activedescendant must be focusable',
+      'Add tabIndex={0} or ensure element is naturally focusable',
+    ],
+    examples: {
+      invalid: '<div aria-activedescendant={activeId} />',
+      valid: '<div aria-activedescendant={activeId} tabIndex={0} />',
+    },
+  },
+  'jsx-a11y/aria-props': {
+    severity: 'error',
+    wcag: ['4.1.2'],
+    tags: ['aria', 'aria-required'],
+    description: 'aria-* attributes must be valid ARIA properties',
+    fix: [
+      'Fix ARIA property name',
+      'Check spelling: aria-labelledby (not aria-labeledby)',
+      'Valid props: aria-label, aria-describedby, aria-hidden, etc.',
+      'See: https://www.w3.org/TR/wai-aria-1.2/#state_prop_def',
+    ],
+    examples: {
+      invalid: '<input aria-labeledby="name-label" />',
+      valid: '<input aria-labelledby="name-label" />',
+    },
+  },
+  'jsx-a11y/aria-proptypes': {
+    severity: 'error',
+    wcag: ['4.1.2'],
+    tags: ['aria', 'aria-required'],
+    description: 'ARIA attribute values must have the correct type',
+    fix: [
+      'Use correct value type for ARIA property',
+      'aria-hidden="true" (not "yes" or 1)',
+      'aria-checked="true" or "false" (not "checked")',
+      'aria-expanded="true" or "false" (boolean as string)',
+    ],
+    examples: {
+      invalid: '<div aria-hidden="yes" />',
+      valid: '<div aria-hidden="true" />',
+    },
+  },
+  'jsx-a11y/aria-role': {
+    severity: 'error',
+    wcag: ['4.1.2'],
+    tags: ['aria', 'aria-required'],
+    description: 'role attributes must use a valid, non-abstract ARIA role',
+    fix: [
+      'Use valid ARIA role from specification',
+      'Valid roles: button, link, menuitem, tab, checkbox, radio, dialog',
+      '<div role="button" tabIndex={0}>Click me</div>',
+      'See: https://www.w3.org/TR/wai-aria-1.2/#role_definitions',
+    ],
+    examples: {
+      invalid: '<div role="datepicker" />',
+      valid: '<div role="dialog" aria-label="Choose date" />',
+    },
+  },
+  'jsx-a11y/aria-unsupported-elements': {
+    severity: 'error',
+    wcag: ['4.1.2'],
+    tags: ['aria', 'aria-required'],
+    description: 'Elements that do not support ARIA must not have ARIA attributes',
+    fix: [
+      'Remove ARIA from unsupported elements',
+      'Remove ARIA from: <meta>, <html>, <style>, <script>',
+      'These elements do not support ARIA attributes',
+      'Use ARIA only on visible, interactive elements',
+    ],
+    examples: {
+      invalid: '<meta charset="UTF-8" aria-hidden="false" />',
+      valid: '<meta charset="UTF-8" />',
+    },
+  },
+  'jsx-a11y/autocomplete-valid': {
+    severity: 'error',
+    wcag: ['1.3.5'],
+    tags: ['forms', 'form-labels'],
+    description: 'autoComplete must use a valid autofill token',
+    fix: [
+      'Use valid autocomplete value',
+      '<input type="email" autoComplete="email" />',
+      '<input type="tel" autoComplete="tel" />',
+      'See: https://html.spec.whatwg.org/multipage/form-control-infrastructure.html#autofill',
+    ],
+    examples: {
+      invalid: '<input type="email" autoComplete="mail" />',
+      valid: '<input type="email" autoComplete="email" />',
+    },
+  },
+  'jsx-a11y/click-events-have-key-events': {
+    severity: 'error',
+    wcag: ['2.1.1'],
+    tags: ['keyboard', 'keyboard-nav'],
+    description: 'onClick must be accompanied by a keyboard handler',
+    fix: [
+      'Add keyboard event handlers (onKeyDown)',
+      '<div onClick={handler} onKeyDown={(e) => { if (e.key === "Enter" || e.key === " ") handler(); }} tabIndex={0}>',
+      'Or better: <button onClick={handler}>Click me</button>',
+      'Keyboard users need Enter/Space key support',
+    ],
+    examples: {
+      invalid: '<div onClick={open} />',
+      valid: '<button type="button" onClick={open}>Open</button>',
+    },
+  },
+  'jsx-a11y/control-has-associated-label': {
+    severity: 'error',
+    wcag: ['4.1.2'],
+    tags: ['forms', 'form-labels'],
+    description: 'Interactive controls must have an accessible label',
+    fix: [
+      'Add accessible label to form control',
+      '<label htmlFor="name">Name</label><input id="name" />',
+      '<input aria-label="Search" type="search" />',
+      '<button aria-label="Close">×</button>',
+    ],
+    examples: {
+      invalid: '<button type="button"><Icon /></button>',
+      valid: '<button type="button" aria-label="Close"><Icon /></button>',
+    },
+  },
+  'jsx-a11y/heading-has-content': {
+    severity: 'error',
+    wcag: ['2.4.6'],
+    tags: ['headings', 'heading-hierarchy'],
+    description: 'Headings must have accessible content',
+    fix: [
+      'Add text content to heading element',
+      '<h1>Page Title</h1>',
+      '<h2>{dynamicTitle}</h2>',
+      'Headings must not be empty',
+    ],
+    examples: {
+      invalid: '<h2 />',
+      valid: '<h2>Order summary</h2>',
+    },
+  },
+  'jsx-a11y/html-has-lang': {
+    severity: 'error',
+    wcag: ['3.1.1'],
+    tags: ['language', 'semantic-html'],
+    description: '<html> must have a lang attribute',
+    fix: [
+      'Add lang attribute to <html> element',
+      '<html lang="en">',
+      '<html lang="es">',
+      'Helps screen readers use correct pronunciation',
+    ],
+    examples: {
+      invalid: '<html>',
+      valid: '<html lang="en">',
+    },
+  },
+  'jsx-a11y/iframe-has-title': {
+    severity: 'error',
+    wcag: ['4.1.2'],
+    tags: ['frames'],
+    description: 'Iframes must have a unique title',
+    fix: [
+      'Add title attribute to iframe',
+      '<iframe src="..." title="YouTube video player" />',
+      '<iframe src="..." title="External content from example.com" />',
+      'Title helps users understand iframe purpose',
+    ],
+    examples: {
+      invalid: '<iframe src={videoUrl} />',
+      valid: '<iframe src={videoUrl} title="Product demo video" />',
+    },
+  },
+  'jsx-a11y/img-redundant-alt': {
+    severity: 'error',
+    wcag: ['1.1.1'],
+    tags: ['images', 'alt-text'],
+    description: 'Alt text should not contain "image", "photo" or "picture"',
+    fix: [
+      'Remove redundant words like "image" or "picture" from alt text',
+      'Avoid: alt="image of logo" or alt="picture of product"',
+      'Better: alt="Acme Company logo" or alt="Blue t-shirt product"',
+      'Screen readers already announce "image"',
+    ],
+    examples: {
+      invalid: '<img src={src} alt="Photo of the team" />',
+      valid: '<img src={src} alt="The team at the 2024 offsite" />',
+    },
+  },
+  'jsx-a11y/interactive-supports-focus': {
+    severity: 'error',
+    wcag: ['2.1.1'],
+    tags: ['keyboard', 'keyboard-nav'],
+    description: 'Elements with interactive roles and handlers must be focusable',
+    fix: [
+      'Make interactive element keyboard focusable',
+      '<div role="button" tabIndex={0} onClick={handler}>',
+      'Add tabIndex={0} to make element focusable',
+      'Consider using <button> instead for better semantics',
+    ],
+    examples: {
+      invalid: '<div role="button" onClick={open} />',
+      valid: '<div role="button" tabIndex={0} onClick={open} onKeyDown={onKey} />',
+    },
+  },
+  'jsx-a11y/label-has-associated-control': {
+    severity: 'error',
+    wcag: ['3.3.2'],
+    tags: ['forms', 'form-labels'],
+    description: 'Labels must be associated with a control',
+    fix: [
+      'Associate label with form control',
+      '<label htmlFor="email">Email</label><input id="email" type="email" />',
+      'Or wrap: <label>Email <input type="email" /></label>',
+      'Or use: <input type="email" aria-label="Email" />',
+    ],
+    examples: {
+      invalid: '<label>Email</label>\n<input id="email" />',
+      valid: '<label htmlFor="email">Email</label>\n<input id="email" />',
+    },
+  },
+  'jsx-a11y/media-has-caption': {
+    severity: 'error',
+    wcag: ['1.2.2'],
+    tags: ['media'],
+    description: 'Media elements must have captions',
+    fix: [
+      'Add captions to video/audio elements',
+      '<video controls><track kind="captions" src="captions.vtt" /></video>',
+      '<audio controls><track kind="captions" src="captions.vtt" /></audio>',
+      'Always provide captions for accessibility',
+    ],
+    examples: {
+      invalid: '<video src={src} />',
+      valid: '<video src={src}><track kind="captions" src="captions.vtt" /></video>',
+    },
+  },
+  'jsx-a11y/mouse-events-have-key-events': {
+    severity: 'error',
+    wcag: ['2.1.1'],
+    tags: ['keyboard', 'keyboard-nav'],
+    description: 'onMouseOver/onMouseOut must be paired with onFocus/onBlur',
+    fix: [
+      'Add keyboard equivalents for mouse events',
+      'onMouseEnter + onFocus',
+      'onMouseLeave + onBlur',
+      '<div onMouseEnter={show} onFocus={show} onMouseLeave={hide} onBlur={hide}>',
+    ],
+    examples: {
+      invalid: '<div onMouseOver={show} onMouseOut={hide} />',
+      valid: '<div onMouseOver={show} onFocus={show} onMouseOut={hide} onBlur={hide} />',
+    },
+  },
+  'jsx-a11y/no-access-key': {
+    severity: 'error',
+    wcag: ['2.4.1'],
+    tags: ['keyboard', 'keyboard-nav'],
+    description: 'The accessKey attribute must not be used',
+    fix: [
+      'Remove accessKey attribute',
+      'Remove: accessKey="s"',
+      'accessKey conflicts with screen readers and browser shortcuts',
+      'Use visible keyboard shortcuts instead',
+    ],
+    examples: {
+      invalid: '<button accessKey="s">Save</button>',
+      valid: '<button>Save</button>',
+    },
+  },
+  'jsx-a11y/no-autofocus': {
+    severity: 'error',
+    wcag: ['2.4.3'],
+    tags: ['focus'],
+    description: 'autoFocus should not be used',
+    fix: [
+      'Remove autoFocus attribute',
+      'Remove: autoFocus={true}',
+      'Let users control focus flow naturally',
+      'Exception: When explicitly needed (e.g., search on page load)',
+    ],
+    examples: {
+      invalid: '<input autoFocus />',
+      valid: '<input />',
+    },
+  },
+  'jsx-a11y/no-distracting-elements': {
+    severity: 'error',
+    wcag: ['2.2.2'],
+    tags: ['motion', 'semantic-html'],
+    description: '<marquee> and <blink> must not be used',
+    fix: [
+      'Remove <marquee> or <blink> elements',
+      'Remove: <marquee> and <blink>',
+      'Use CSS: animation or transition instead',
+      'Provide controls to pause/stop animations',
+    ],
+    examples: {
+      invalid: '<marquee>Sale now on</marquee>',
+      valid: '<p>Sale now on</p>',
+    },
+  },
+  'jsx-a11y/no-interactive-element-to-noninteractive-role': {
+    severity: 'error',
+    wcag: ['4.1.2'],
+    tags: ['aria', 'semantic-html'],
+    description: 'Interactive elements must not be given non-interactive roles',
+    fix: [
+      'Do not override interactive element semantics',
+      'Avoid: <button role="article">',
+      'Do not override button, a, input, etc. with non-interactive roles',
+      'Use semantic HTML as intended',
+    ],
+    examples: {
+      invalid: '<button role="article">Read</button>',
+      valid: '<button>Read</button>',
+    },
+  },
+  'jsx-a11y/no-noninteractive-element-interactions': {
+    severity: 'error',
+    wcag: ['4.1.2'],
+    tags: ['keyboard', 'semantic-html'],
+    description: 'Non-interactive elements must not have interaction handlers',
+    fix: [
+      'Add proper role to non-interactive element with handlers',
+      '<li onClick={handler}> → <li role="button" tabIndex={0} onClick={handler}>',
+      'Non-interactive elements need role and keyboard support',
+      'Or use: <button onClick={handler}>Item</button>',
+    ],
+    examples: {
+      invalid: '<li onClick={select}>Item</li>',
+      valid: '<li><button type="button" onClick={select}>Item</button></li>',
+    },
+  },
+  'jsx-a11y/no-noninteractive-element-to-interactive-role': {
+    severity: 'error',
+    wcag: ['4.1.2'],
+    tags: ['aria', 'semantic-html'],
+    description: 'Non-interactive elements must not be given interactive roles',
+    fix: [
+      'Use semantic interactive elements instead',
+      'Avoid: <h1 role="button">',
+      'Use interactive elements: <button>, <a>, <input>',
+      'Headings, paragraphs should not be interactive',
+    ],
+    examples: {
+      invalid: '<h2 role="button">Toggle</h2>',
+      valid: '<h2><button type="button">Toggle</button></h2>',
+    },
+  },
+  'jsx-a11y/no-noninteractive-tabindex': {
+    severity: 'error',
+    wcag: ['2.1.1'],
+    tags: ['keyboard', 'keyboard-nav'],
+    description: 'tabIndex should only be set on interactive elements',
+    fix: [
+      'Remove tabIndex from non-interactive elements',
+      'Remove: <div tabIndex={0}> (without interactive role)',
+      'Add: <div role="button" tabIndex={0}>',
+      'Only focusable elements should have tabIndex',
+    ],
+    examples: {
+      invalid: '<div tabIndex={0}>Panel</div>',
+      valid: '<div role="tabpanel" tabIndex={0}>Panel</div>',
+    },
+  },
+  'jsx-a11y/no-redundant-roles': {
+    severity: 'error',
+    wcag: ['4.1.2'],
+    tags: ['aria', 'semantic-html'],
+    description: 'Explicit roles must not repeat the implicit role',
+    fix: [
+      'Remove redundant role that matches implicit semantics',
+      'Remove: <button role="button">',
+      'Remove: <nav role="navigation">',
+      'Semantic HTML already has implicit roles',
+    ],
+    examples: {
+      invalid: '<button role="button">Save</button>',
+      valid: '<button>Save</button>',
+    },
+  },
+  'jsx-a11y/no-static-element-interactions': {
+    severity: 'error',
+    wcag: ['4.1.2'],
+    tags: ['keyboard', 'semantic-html'],
+    description: 'Static elements with handlers need a role',
+    fix: [
+      'Replace with semantic button or add role and keyboard support',
+      'Replace: <button onClick={handler}>Click me</button>',
+      'Or add: <div role="button" tabIndex={0} onClick={handler} onKeyDown={keyHandler}>',
+      'const keyHandler = (e) => { if (e.key === "Enter" || e.key === " ") handler(); }',
+    ],
+    examples: {
+      invalid: '<div onClick={open}>Open</div>',
+      valid: '<button type="button" onClick={open}>Open</button>',
+    },
+  },
+  'jsx-a11y/role-has-required-aria-props': {
+    severity: 'error',
+    wcag: ['4.1.2'],
+    tags: ['aria', 'aria-required'],
+    description: 'Roles must have their required ARIA attributes',
+    fix: [
+      'Add required ARIA properties for this role',
+      'role="checkbox" requires: aria-checked',
+      'role="slider" requires: aria-valuemin, aria-valuemax, aria-valuenow',
+      'Check MDN or W3C ARIA spec for role requirements',
+    ],
+    examples: {
+      invalid: '<span role="checkbox" />',
+      valid: '<span role="checkbox" aria-checked={checked} tabIndex={0} />',
+    },
+  },
+  'jsx-a11y/role-supports-aria-props': {
+    severity: 'error',
+    wcag: ['4.1.2'],
+    tags: ['aria', 'aria-required'],
+    description: 'ARIA attributes must be supported by the element\'s role',
+    fix: [
+      'Remove ARIA properties not supported by role',
+      'Avoid: <div role="button" aria-placeholder="...">',
+      'Check ARIA spec for role-specific properties',
+      'Each role supports only certain ARIA attributes',
+    ],
+    examples: {
+      invalid: '<li aria-required="true" />',
+      valid: '<input aria-required="true" />',
+    },
+  },
+  'jsx-a11y/scope': {
+    severity: 'error',
+    wcag: ['1.3.1'],
+    tags: ['tables', 'semantic-html'],
+    description: 'scope may only be used on <th> elements',
+    fix: [
+      'Use scope attribute only on <th> elements',
+      '<th scope="col">Header</th> // For column headers',
+      '<th scope="row">Label</th> // For row headers',
+      'Do not use scope on <td> elements',
+    ],
+    examples: {
+      invalid: '<td scope="col">Name</td>',
+      valid: '<th scope="col">Name</th>',
+    },
+  },
+  'jsx-a11y/tabindex-no-positive': {
+    severity: 'error',
+    wcag: ['2.4.3'],
+    tags: ['keyboard', 'keyboard-nav'],
+    description: 'tabIndex must not be greater than zero',
+    fix: [
+      'Remove positive tabIndex values',
+      'Remove: tabIndex={1}, tabIndex={5}, etc.',
+      'Use: tabIndex={0} for natural tab order',
+      'Use: tabIndex={-1} for programmatic focus only',
+    ],
+    examples: {
+      invalid: '<span tabIndex={5}>Item</span>',
+      valid: '<span tabIndex={0}>Item</span>',
+    },
+  },
+});
 
 /**
- * Provides fix descriptions and code examples for common violations
+ * Linter config with jsx-a11y rule levels taken from the registry,
+ * so disabling a rule there also stops ESLint from running it
  */
-const fixDescriptions = {
-  'jsx-a11y/alt-text': 'Add alt attribute with meaningful description',
-  'jsx-a11y/click-events-have-key-events': 'Add keyboard event handlers (onKeyDown)',
-  'jsx-a11y/no-static-element-interactions': 'Replace with semantic button or add role and keyboard support',
-  'jsx-a11y/label-has-associated-control': 'Associate label with form control',
-  'jsx-a11y/interactive-supports-focus': 'Make interactive element keyboard focusable',
-  'jsx-a11y/aria-role': 'Use valid ARIA role from specification',
-  'jsx-a11y/media-has-caption': 'Add captions to video/audio elements',
-  'jsx-a11y/no-autofocus': 'Remove autoFocus attribute',
-  'jsx-a11y/tabindex-no-positive': 'Remove positive tabIndex values',
-  'jsx-a11y/aria-props': 'Fix ARIA property name',
-  'jsx-a11y/role-has-required-aria-props': 'Add required ARIA properties for this role',
-  'jsx-a11y/heading-has-content': 'Add text content to heading element',
-  'jsx-a11y/iframe-has-title': 'Add title attribute to iframe',
-  'jsx-a11y/no-distracting-elements': 'Remove <marquee> or <blink> elements',
-  'jsx-a11y/anchor-has-content': 'Add text content or aria-label to link',
-  'jsx-a11y/anchor-is-valid': 'Provide valid href or use button element',
-  'jsx-a11y/control-has-associated-label': 'Add accessible label to form control',
-  'jsx-a11y/mouse-events-have-key-events': 'Add keyboard equivalents for mouse events',
-  'jsx-a11y/img-redundant-alt': 'Remove redundant words like "image" or "picture" from alt text',
-  'jsx-a11y/no-access-key': 'Remove accessKey attribute',
-  'jsx-a11y/aria-activedescendant-has-tabindex': 'Add tabIndex when using aria-activedescendant',
-  'jsx-a11y/aria-proptypes': 'Use correct value type for ARIA property',
-  'jsx-a11y/aria-unsupported-elements': 'Remove ARIA from unsupported elements',
-  'jsx-a11y/autocomplete-valid': 'Use valid autocomplete value',
-  'jsx-a11y/html-has-lang': 'Add lang attribute to <html> element',
-  'jsx-a11y/no-interactive-element-to-noninteractive-role': 'Do not override interactive element semantics',
-  'jsx-a11y/no-noninteractive-element-interactions': 'Add proper role to non-interactive element with handlers',
-  'jsx-a11y/no-noninteractive-element-to-interactive-role': 'Use semantic interactive elements instead',
-  'jsx-a11y/no-noninteractive-tabindex': 'Remove tabIndex from non-interactive elements',
-  'jsx-a11y/no-redundant-roles': 'Remove redundant role that matches implicit semantics',
-  'jsx-a11y/role-supports-aria-props': 'Remove ARIA properties not supported by role',
-  'jsx-a11y/scope': 'Use scope attribute only on <th> elements',
-};
+function getLinterConfig() {
+  const a11yRules = {};
+  for (const rule of listRules({ analyzer: 'eslint' })) {
+    if (!rule.enabled) {
+      a11yRules[rule.id] = 'off';
+    } else {
+      a11yRules[rule.id] = rule.severity === 'error' ? 'error' : 'warn';
+    }
+  }
+  return { ...linterConfig, rules: { ...a11yRules, ...linterConfig.rules } };
+}
 
 /**
- * Provides code examples for fixing violations
+ * Literal JSX attribute values by lowercase name (expressions are kept as written)
  */
-const fixSuggestions = {
-  'jsx-a11y/alt-text': [
-    '<img src="/logo.png" alt="Company logo" />',
-    '<img src="/decorative.png" alt="" /> // For decorative images',
-    'Describe what the image conveys, not just "image of..."',
-  ],
-  'jsx-a11y/click-events-have-key-events': [
-    '<div onClick={handler} onKeyDown={(e) => { if (e.key === "Enter" || e.key === " ") handler(); }} tabIndex={0}>',
-    'Or better: <button onClick={handler}>Click me</button>',
-    'Keyboard users need Enter/Space key support',
-  ],
-  'jsx-a11y/no-static-element-interactions': [
-    'Replace: <button onClick={handler}>Click me</button>',
-    'Or add: <div role="button" tabIndex={0} onClick={handler} onKeyDown={keyHandler}>',
-    'const keyHandler = (e) => { if (e.key === "Enter" || e.key === " ") handler(); }',
-  ],
-  'jsx-a11y/label-has-associated-control': [
-    '<label htmlFor="email">Email</label><input id="email" type="email" />',
-    'Or wrap: <label>Email <input type="email" /></label>',
-    'Or use: <input type="email" aria-label="Email" />',
-  ],
-  'jsx-a11y/interactive-supports-focus': [
-    '<div role="button" tabIndex={0} onClick={handler}>',
-    'Add tabIndex={0} to make element focusable',
-    'Consider using <button> instead for better semantics',
-  ],
-  'jsx-a11y/aria-role': [
-    'Valid roles: button, link, menuitem, tab, checkbox, radio, dialog',
-    '<div role="button" tabIndex={0}>Click me</div>',
-    'See: https://www.w3.org/TR/wai-aria-1.2/#role_definitions',
-  ],
-  'jsx-a11y/media-has-caption': [
-    '<video controls><track kind="captions" src="captions.vtt" /></video>',
-    '<audio controls><track kind="captions" src="captions.vtt" /></audio>',
-    'Always provide captions for accessibility',
-  ],
-  'jsx-a11y/no-autofocus': [
-    'Remove: autoFocus={true}',
-    'Let users control focus flow naturally',
-    'Exception: When explicitly needed (e.g., search on page load)',
-  ],
-  'jsx-a11y/tabindex-no-positive': [
-    'Remove: tabIndex={1}, tabIndex={5}, etc.',
-    'Use: tabIndex={0} for natural tab order',
-    'Use: tabIndex={-1} for programmatic focus only',
-  ],
-  'jsx-a11y/aria-props': [
-    'Check spelling: aria-labelledby (not aria-labeledby)',
-    'Valid props: aria-label, aria-describedby, aria-hidden, etc.',
-    'See: https://www.w3.org/TR/wai-aria-1.2/#state_prop_def',
-  ],
-  'jsx-a11y/role-has-required-aria-props': [
-    'role="checkbox" requires: aria-checked',
-    'role="slider" requires: aria-valuemin, aria-valuemax, aria-valuenow',
-    'Check MDN or W3C ARIA spec for role requirements',
-  ],
-  'jsx-a11y/heading-has-content': [
-    '<h1>Page Title</h1>',
-    '<h2>{dynamicTitle}</h2>',
-    'Headings must not be empty',
-  ],
-  'jsx-a11y/iframe-has-title': [
-    '<iframe src="..." title="YouTube video player" />',
-    '<iframe src="..." title="External content from example.com" />',
-    'Title helps users understand iframe purpose',
-  ],
-  'jsx-a11y/no-distracting-elements': [
-    'Remove: <marquee> and <blink>',
-    'Use CSS: animation or transition instead',
-    'Provide controls to pause/stop animations',
-  ],
-  'jsx-a11y/anchor-has-content': [
-    '<a href="/about">About Us</a>',
-    '<a href="/contact" aria-label="Contact page">📧</a>',
-    'Links need visible text or aria-label',
-  ],
-  'jsx-a11y/anchor-is-valid': [
-    '<a href="/page">Go to page</a> // Valid navigation',
-    '<button onClick={handler}>Do action</button> // For actions',
-    'Avoid: href="#" or href="javascript:void(0)"',
-  ],
-  'jsx-a11y/control-has-associated-label': [
-    '<label htmlFor="name">Name</label><input id="name" />',
-    '<input aria-label="Search" type="search" />',
-    '<button aria-label="Close">×</button>',
-  ],
-  'jsx-a11y/mouse-events-have-key-events': [
-    'onMouseEnter + onFocus',
-    'onMouseLeave + onBlur',
-    '<div onMouseEnter={show} onFocus={show} onMouseLeave={hide} onBlur={hide}>',
-  ],
-  'jsx-a11y/img-redundant-alt': [
-    'Avoid: alt="image of logo" or alt="picture of product"',
-    'Better: alt="Acme Company logo" or alt="Blue t-shirt product"',
-    'Screen readers already announce "image"',
-  ],
-  'jsx-a11y/no-access-key': [
-    'Remove: accessKey="s"',
-    'accessKey conflicts with screen readers and browser shortcuts',
-    'Use visible keyboard shortcuts instead',
-  ],
-  'jsx-a11y/aria-activedescendant-has-tabindex': [
-    '<div role="combobox" aria-activedescendant={activeId} tabIndex={0}>',
-    'Element using aria-activedescendant must be focusable',
-    'Add tabIndex={0} or ensure element is naturally focusable',
-  ],
-  'jsx-a11y/aria-proptypes': [
-    'aria-hidden="true" (not "yes" or 1)',
-    'aria-checked="true" or "false" (not "checked")',
-    'aria-expanded="true" or "false" (boolean as string)',
-  ],
-  'jsx-a11y/aria-unsupported-elements': [
-    'Remove ARIA from: <meta>, <html>, <style>, <script>',
-    'These elements do not support ARIA attributes',
-    'Use ARIA only on visible, interactive elements',
-  ],
-  'jsx-a11y/autocomplete-valid': [
-    '<input type="email" autoComplete="email" />',
-    '<input type="tel" autoComplete="tel" />',
-    'See: https://html.spec.whatwg.org/multipage/form-control-infrastructure.html#autofill',
-  ],
-  'jsx-a11y/html-has-lang': [
-    '<html lang="en">',
-    '<html lang="es">',
-    'Helps screen readers use correct pronunciation',
-  ],
-  'jsx-a11y/no-interactive-element-to-noninteractive-role': [
-    'Avoid: <button role="article">',
-    'Do not override button, a, input, etc. with non-interactive roles',
-    'Use semantic HTML as intended',
-  ],
-  'jsx-a11y/no-noninteractive-element-interactions': [
-    '<li onClick={handler}> → <li role="button" tabIndex={0} onClick={handler}>',
-    'Non-interactive elements need role and keyboard support',
-    'Or use: <button onClick={handler}>Item</button>',
-  ],
-  'jsx-a11y/no-noninteractive-element-to-interactive-role': [
-    'Avoid: <h1 role="button">',
-    'Use interactive elements: <button>, <a>, <input>',
-    'Headings, paragraphs should not be interactive',
-  ],
-  'jsx-a11y/no-noninteractive-tabindex': [
-    'Remove: <div tabIndex={0}> (without interactive role)',
-    'Add: <div role="button" tabIndex={0}>',
-    'Only focusable elements should have tabIndex',
-  ],
-  'jsx-a11y/no-redundant-roles': [
-    'Remove: <button role="button">',
-    'Remove: <nav role="navigation">',
-    'Semantic HTML already has implicit roles',
-  ],
-  'jsx-a11y/role-supports-aria-props': [
-    'Avoid: <div role="button" aria-placeholder="...">',
-    'Check ARIA spec for role-specific properties',
-    'Each role supports only certain ARIA attributes',
-  ],
-  'jsx-a11y/scope': [
-    '<th scope="col">Header</th> // For column headers',
-    '<th scope="row">Label</th> // For row headers',
-    'Do not use scope on <td> elements',
-  ],
-};
+function readJsxAttributes(tagText) {
+  const attrs = {};
+  const attrRegex = /([\w-]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|\{\s*(?:["'`]([^"'`]*)["'`]|([^}]*))\s*\}))?/g;
+  let match;
+  // Skip the tag name itself
+  attrRegex.lastIndex = /^<[\w.:-]+/.exec(tagText)?.[0].length || 0;
+  while ((match = attrRegex.exec(tagText)) !== null) {
+    attrs[match[1].toLowerCase()] = match[2] ?? match[3] ?? match[4] ?? match[5]?.trim() ?? 'true';
+  }
+  return attrs;
+}
 
 /**
- * Analyze file using ESLint Linter with jsx-a11y plugin (for JSX/TSX files)
+ * Machine-applicable fix for a jsx-a11y message: ESLint's own fix when the
+ * rule has one, otherwise one of ours for the common mechanical cases
  */
-async function analyzeFileWithESLint(content, filePath) {
-  try {
-    const eslint = new ESLint({
+function jsxAutofix(msg, content, locator) {
+  if (msg.fix) {
+    const [start, end] = msg.fix.range;
+    return { title: `Apply ${msg.ruleId} fix`, edits: [{ start, end, text: msg.fix.text }] };
+  }
+  if (!msg.endLine) return undefined;
+
+  const start = locator.offsetAt(msg.line, msg.column);
+  const end = locator.offsetAt(msg.endLine, msg.endColumn);
+  const nodeText = content.slice(start, end);
+  const tagName = /^<([\w.:-]+)/.exec(nodeText)?.[1];
+  const insertAt = tagName ? start + 1 + tagName.length : start;
+
+  switch (msg.ruleId) {
+    case 'jsx-a11y/alt-text': {
+      if (tagName !== 'img' || !isLikelyDecorative(readJsxAttributes(nodeText))) return undefined;
+      return { title: 'Mark the image as decorative with alt=""', edits: [{ start: insertAt, end: insertAt, text: ' alt=""' }] };
+    }
+    case 'jsx-a11y/click-events-have-key-events':
+    case 'jsx-a11y/no-static-element-interactions':
+    case 'jsx-a11y/interactive-supports-focus': {
+      if (tagName !== 'div' && tagName !== 'span') return undefined;
+      const attrs = readJsxAttributes(nodeText);
+      const missing = [];
+      if (!attrs.role) missing.push('role="button"');
+      if (attrs.tabindex === undefined) missing.push('tabIndex={0}');
+      if (missing.length === 0) return undefined;
+      // Identical edits from several rules on one element are applied once
+      return {
+        title: `Add ${missing.join(' ')} (a keyboard handler is still needed)`,
+        edits: [{ start: insertAt, end: insertAt, text: ` ${missing.join(' ')}` }],
+      };
+    }
+    case 'jsx-a11y/tabindex-no-positive': {
+      // Reported on the attribute itself: tabIndex={3} or tabIndex="3"
+      const value = /=\s*(\{\s*\d+\s*\}|["']\d+["'])$/.exec(nodeText);
+      if (!value) return undefined;
+      const valueStart = start + value.index + value[0].length - value[1].length;
+      return { title: 'Set tabIndex={0}', edits: [{ start: valueStart, end: end, text: '{0}' }] };
+    }
+    default:
+      return undefined;
+  }
+}
+
+// ESLint instance reused across files until the registry's rule levels change
+let warmESLint = null;
+let warmConfigKey = null;
+
+function getESLint() {
+  const overrideConfig = getLinterConfig();
+  const configKey = JSON.stringify(overrideConfig.rules);
+  if (!warmESLint || configKey !== warmConfigKey) {
+    warmESLint = new ESLint({
       useEslintrc: false,
-      overrideConfig: linterConfig,
+      overrideConfig,
       resolvePluginsRelativeTo: path.join(__dirname, '..'),
       plugins: {
         react: reactPlugin,
         'jsx-a11y': jsxA11yPlugin,
       },
     });
+    warmConfigKey = configKey;
+  }
+  return warmESLint;
+}
+
+/**
+ * Analyze file using ESLint Linter with jsx-a11y plugin (for JSX/TSX files)
+ * @param {object} [options] - Same as the other analyzers (options.suppressions)
+ * @param {string} [options.source] - Original text for snippets when content is
+ *   an in-place extract of it (MDX JSX, see mdxToScripts())
+ */
+async function analyzeFileWithESLint(content, filePath, options = {}) {
+  try {
+    const eslint = getESLint();
 
     const results = await eslint.lintText(content, { filePath });
     const messages = results[0]?.messages || [];
     
-    // Transform Linter messages to our violation format
+    // Transform Linter messages to the canonical violation format
+    const locator = createLocator(content);
     const violations = messages
       .filter(msg => msg.ruleId && msg.ruleId.startsWith('jsx-a11y/'))
       .map(msg => ({
         ruleId: msg.ruleId,
         severity: msg.severity === 2 ? 'error' : 'warning',
         message: msg.message,
-        description: msg.message,
         line: msg.line,
         column: msg.column,
         endLine: msg.endLine,
         endColumn: msg.endColumn,
-        wcag: ruleToWCAG[msg.ruleId] || [],
-        fix: fixDescriptions[msg.ruleId] || 'Review WCAG 2.2 documentation',
-        suggestions: fixSuggestions[msg.ruleId] || [
-          'Review WCAG 2.2 documentation',
-          'Consult accessibility team for guidance',
-        ],
+        autofix: jsxAutofix(msg, content, locator),
       }));
 
-    return violations;
+    return normalizeViolations(violations, {
+      analyzer: 'eslint',
+      filePath,
+      content: options.source ?? content,
+      suppressions: options.suppressions,
+    });
   } catch (error) {
     console.error('ESLint analysis error:', error);
     // Fallback to empty array if linting fails
@@ -401,43 +767,173 @@ async function analyzeFileWithESLint(content, filePath) {
 }
 
 /**
- * Main entry point: Routes file to appropriate analyzer based on extension
+ * Scripts: ESLint or the JS analyzer, plus the CSS rules on the styles written in them
  */
-export async function analyzeFileHybrid(content, filePath = 'temp.jsx') {
+const SCRIPT_EXTENSIONS = ['.js', '.jsx', '.ts', '.tsx'];
+
+/**
+ * Analysis modes
+ * - fast: regex pass only
+ * - full: regex pass and AST analyzers on every file
+ * - hybrid: regex pass first; only files it flags go to the AST analyzers
+ */
+export const ANALYSIS_MODES = ['fast', 'full', 'hybrid'];
+
+/**
+ * Main entry point: runs the regex pass and routes the file to its AST analyzer
+ * @param {string} content - File content to analyze
+ * @param {string} filePath - Path to the file (used for routing)
+ * @param {object} [options]
+ * @param {object} [options.config] - Normalized .a11y/config.json from loadConfig()
+ * @param {'fast'|'full'|'hybrid'} [options.mode] - Overrides config.mode (default 'full')
+ * @param {string} [options.cache] - Result cache directory (see result-cache.js); omit to always analyze
+ * @param {boolean} [options.page] - Check HTML pages together with the stylesheets and
+ *   scripts they load (page-analyzer.js); not in fast mode
+ */
+export async function analyzeFileHybrid(content, filePath = 'temp.jsx', options = {}) {
+  const mode = options.mode || options.config?.mode || 'full';
+  if (!ANALYSIS_MODES.includes(mode)) {
+    throw new Error(`Unknown analysis mode "${mode}" (expected ${ANALYSIS_MODES.join(', ')})`);
+  }
+
+  const templateSyntax = detectTemplateSyntax(filePath, options.config);
+  const rootDir = options.config?.rootDir;
+  const page = Boolean(options.page) && mode !== 'fast' && isPage(filePath, templateSyntax);
+
+  let cacheNamespace;
+  let cacheKey;
+  if (options.cache) {
+    cacheNamespace = getCacheNamespace({ config: options.config, mode, page: Boolean(options.page) });
+    const dependencies = isTokenFile(filePath, options.config)
+      ? tokenDependencies(tokenSettings(options.config))
+      : styleDependencies(content, filePath, { rootDir });
+    if (page) dependencies.push(...pageDependencies(content, filePath, rootDir));
+    cacheKey = getContentKey(content, filePath, dependencies);
+    const cached = readCachedResult(options.cache, cacheNamespace, cacheKey);
+    if (cached) return cached;
+  }
+
+  // One suppression set for both tiers so directive usage is tracked across them
+  const suppressions = createSuppressions(content, filePath, createLocator(content));
+  const tokens = isTokenFile(filePath, options.config) ? tokenSettings(options.config) : null;
+  const fragment = templateSyntax === 'angular' || (Boolean(TEMPLATE_SYNTAXES[templateSyntax]) && !/<html[\s>]/i.test(content));
+  const fastViolations = analyzeFileFast(content, filePath, { suppressions, fragment, templateSyntax });
+  let violations;
+  let astRan = false;
+  if (mode === 'fast') {
+    violations = fastViolations;
+  } else if (mode === 'hybrid' && fastViolations.length === 0 && !tokens && !page) {
+    // Nothing flagged by the pre-pass: skip the slower analyzers (token
+    // files and pages have no regex checks, so they always run). The pre-pass
+    // does not read styles written in scripts, so those still go through the CSS rules
+    violations = SCRIPT_EXTENSIONS.includes(path.extname(filePath).toLowerCase())
+      ? await analyzeCSSInJS(content, filePath, { suppressions, rootDir })
+      : [];
+  } else {
+    const astViolations = await routeFile(content, filePath, { suppressions, rootDir, templateSyntax, tokens });
+    if (page) {
+      astViolations.push(...await analyzePage(content, filePath, { suppressions, rootDir }));
+    }
+    // The AST analyzers own every rule family the regex pass checks
+    violations = astViolations.sort((a, b) => a.line - b.line || a.column - b.column);
+    astRan = true;
+  }
+
+  // Unused directives are only reported once every analyzer has seen the file
+  const suppressionProblems = normalizeViolations(
+    suppressions.problems({ reportUnused: astRan }),
+    { analyzer: 'suppression', filePath, content, suppressions: false }
+  );
+  const result = applyRuleConfig([...violations, ...suppressionProblems], options.config);
+  if (options.cache) {
+    writeCachedResult(options.cache, cacheNamespace, cacheKey, result);
+  }
+  return result;
+}
+
+/**
+ * Template syntax of a file: configured under `templates`, or detected from
+ * the file name (*.component.html is Angular, .hbs Handlebars, .njk Nunjucks...)
+ */
+function detectTemplateSyntax(filePath, config) {
+  return getTemplateSyntax(filePath, config)
+    || (ANGULAR_TEMPLATE.test(filePath) ? 'angular' : null)
+    || templateSyntaxForFile(filePath);
+}
+
+/**
+ * Whether a file is an HTML page page mode checks (not a template)
+ */
+function isPage(filePath, templateSyntax) {
+  return /\.html?$/i.test(filePath) && !templateSyntax;
+}
+
+/**
+ * The config's `tokens` section, with the root its paths are relative to
+ */
+function tokenSettings(config) {
+  return { ...config?.tokens, rootDir: config?.rootDir };
+}
+
+/**
+ * Routes file to appropriate analyzer based on extension
+ * @param {object} [options] - Passed through to the analyzer
+ * @param {string|null} [options.templateSyntax] - From detectTemplateSyntax() (not passed on)
+ * @param {object|null} [options.tokens] - From tokenSettings() when the file holds design tokens
+ */
+async function routeFile(content, filePath, { templateSyntax, tokens, ...options } = {}) {
   const ext = path.extname(filePath).toLowerCase();
   
-  // Route to appropriate analyzer
-  if (ext === '.html' || ext === '.htm') {
+  // Route to appropriate analyzer (each returns canonical violations)
+  if (tokens) {
+    // Design token JSON (DTCG / Style Dictionary)
+    return analyzeTokens(content, filePath, { ...options, tokens });
+  } else if (TEMPLATE_SYNTAXES[templateSyntax]) {
+    // Server-side templates, by extension or configured
+    return analyzeTemplate(content, filePath, { ...options, syntax: templateSyntax });
+  } else if ((ext === '.html' || ext === '.htm') && templateSyntax === 'angular') {
+    // Angular component templates
+    return analyzeAngularTemplate(content, filePath, options);
+  } else if (ext === '.html' || ext === '.htm') {
     // HTML/HTM files
-    const violations = await analyzeHTML(content, filePath);
-    // Transform to match ESLint format
-    return violations.map(v => ({
-      ruleId: v.ruleId,
-      severity: v.severity,
-      message: v.message,
-      description: v.message,
-      line: v.line,
-      column: v.column,
-      wcag: v.wcag || [],
-      fix: v.fix ? v.fix[0] : 'Review WCAG 2.2 documentation',
-      suggestions: v.fix || ['Review WCAG 2.2 documentation'],
-    }));
-  } else if (ext === '.css' || ext === '.scss') {
-    // CSS/SCSS files
-    const violations = await analyzeCSS(content, filePath);
-    // Transform to match ESLint format
-    return violations.map(v => ({
-      ruleId: v.ruleId,
-      severity: v.severity,
-      message: v.message,
-      description: v.message,
-      line: v.line,
-      column: v.column,
-      wcag: v.wcag || [],
-      fix: v.fix ? v.fix[0] : 'Review WCAG 2.2 documentation',
-      suggestions: v.fix || ['Review WCAG 2.2 documentation'],
-    }));
-  } else if (ext === '.js' || ext === '.ts') {
+    return analyzeHTML(content, filePath, options);
+  } else if (STYLE_EXTENSIONS[ext]) {
+    // CSS, SCSS, Sass, Less and Stylus files
+    return analyzeCSS(content, filePath, options);
+  } else if (ext === '.vue') {
+    // Vue single-file components: each block goes to its own analyzer
+    return analyzeVue(content, filePath, options);
+  } else if (ext === '.svelte') {
+    // Svelte components: markup, script and style blocks
+    return analyzeSvelte(content, filePath, options);
+  } else if (MARKDOWN_EXTENSIONS.includes(ext)) {
+    // Markdown/MDX documents; JSX elements in MDX go to ESLint jsx-a11y
+    const violations = await analyzeMarkdown(content, filePath, options);
+    if (ext === '.mdx') {
+      for (const script of mdxToScripts(content)) {
+        violations.push(...await analyzeFileWithESLint(script, filePath, { ...options, source: content }));
+      }
+    }
+    return violations.sort((a, b) => a.line - b.line || a.column - b.column);
+  } else if (SCRIPT_EXTENSIONS.includes(ext)) {
+    // Scripts, and the styles written in them (styled-components, emotion, style={{...}})
+    const violations = [
+      ...await analyzeScript(content, filePath, options),
+      ...await analyzeCSSInJS(content, filePath, options),
+    ];
+    return violations.sort((a, b) => a.line - b.line || a.column - b.column);
+  }
+  // No analyzer for this file type
+  return [];
+}
+
+/**
+ * JS/TS files go to the JS analyzer unless they contain JSX;
+ * .jsx/.tsx files always go to ESLint jsx-a11y
+ */
+async function analyzeScript(content, filePath, options) {
+  const ext = path.extname(filePath).toLowerCase();
+  if (ext === '.js' || ext === '.ts') {
     // .js/.ts files - check if it contains JSX/TSX
     // Look for React imports or JSX syntax (but not HTML in strings)
     const hasReactImport = /import\s+.*\s+from\s+['"]react['"]/i.test(content);
@@ -445,24 +941,12 @@ export async function analyzeFileHybrid(content, filePath = 'temp.jsx') {
     
     if (hasReactImport || hasJSXElement) {
       // Has JSX/TSX - use ESLint jsx-a11y
-      return analyzeFileWithESLint(content, filePath);
+      return analyzeFileWithESLint(content, filePath, options);
     } else {
       // Plain JavaScript/TypeScript - use JS analyzer for DOM patterns
-      const violations = await analyzeJS(content, filePath);
-      return violations.map(v => ({
-        ruleId: v.ruleId,
-        severity: v.severity,
-        message: v.message,
-        description: v.message,
-        line: v.line,
-        column: v.column,
-        wcag: v.wcag || [],
-        fix: v.fix ? v.fix[0] : 'Review WCAG 2.2 documentation',
-        suggestions: v.fix || ['Review WCAG 2.2 documentation'],
-      }));
+      return analyzeJS(content, filePath, options);
     }
-  } else {
-    // .jsx, .tsx files - always use ESLint (they contain JSX by definition)
-    return analyzeFileWithESLint(content, filePath);
   }
+  // .jsx, .tsx files - always use ESLint (they contain JSX by definition)
+  return analyzeFileWithESLint(content, filePath, options);
 }
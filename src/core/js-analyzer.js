@@ -5,208 +5,505 @@
 
 import { parse } from '@babel/parser';
 import _traverse from '@babel/traverse';
+import { normalizeViolations } from './violation.js';
+import { registerRules } from './rule-registry.js';
 
 // Handle default export from @babel/traverse
 const traverse = _traverse.default || _traverse;
 
 /**
- * Maps violation types to WCAG criteria
+ * Rules reported by this analyzer: WCAG mapping, fix guidance and examples
+ * live in the shared rule registry
  */
-const violationToWCAG = {
-  'js-remove-focus-outline': ['2.4.7'],
-  'js-create-div-button': ['4.1.2'],
-  'js-missing-aria': ['4.1.2'],
-  'js-no-keyboard-handler': ['2.1.1'],
-  'js-positive-tabindex': ['2.4.3'],
-  'js-autoplay-media': ['1.4.2', '2.2.2'],
-  'js-missing-label': ['3.3.2', '4.1.2'],
-  'js-placeholder-as-label': ['3.3.2'],
-  'js-no-focus-trap': ['2.4.3'],
-  'js-no-aria-live': ['4.1.3'],
-  'js-prevent-keyboard-nav': ['2.1.1'],
-  'js-display-none-all': ['1.3.2'],
-  'js-no-keyboard-alternative': ['2.1.1'],
-  'js-missing-role': ['4.1.2'],
-  'js-no-focus-management': ['2.4.3'],
-  'js-click-only-handler': ['2.1.1'],
-  'js-disabled-no-feedback': ['4.1.3'],
-  'js-infinite-scroll-no-keyboard': ['2.1.1'],
-  'js-no-keyboard-dropdown': ['2.1.1', '4.1.2'],
-  'js-timeout-no-warning': ['2.2.1'],
-  'js-tooltip-no-aria': ['4.1.2'],
-  'js-tabs-no-aria': ['4.1.2'],
-  'js-alert-no-aria': ['4.1.3'],
-  'js-carousel-no-accessibility': ['2.2.2', '4.1.2'],
-  'js-checkbox-no-aria': ['4.1.2'],
-  'js-unsafe-html-injection': ['4.1.1'],
-  'js-spinner-no-announcement': ['4.1.3'],
-  'js-hide-content-wrong': ['1.3.2'],
-  'js-accordion-no-aria': ['4.1.2'],
-  'js-progress-no-aria': ['4.1.2'],
-};
-
-/**
- * Fix suggestions for each violation type
- */
-const fixSuggestions = {
-  'js-remove-focus-outline': [
-    'Do not remove focus outlines programmatically',
-    'If custom styles needed, provide visible alternative',
-    'Use :focus-visible in CSS instead',
-  ],
-  'js-create-div-button': [
-    'Use <button> element instead of <div>',
-    'Or add role="button", tabindex="0", and keyboard handlers',
-    'Example: div.setAttribute("role", "button"); div.tabIndex = 0;',
-  ],
-  'js-missing-aria': [
-    'Add required ARIA attributes',
-    'For modals: aria-modal="true", aria-labelledby, aria-describedby',
-    'For alerts: role="alert" or aria-live="assertive"',
-  ],
-  'js-no-keyboard-handler': [
-    'Add keyboard event handlers: onkeydown, onkeyup',
-    'Support Enter and Space keys for buttons',
-    'Example: element.addEventListener("keydown", (e) => { if(e.key === "Enter") { ... } });',
-  ],
-  'js-positive-tabindex': [
-    'Avoid positive tabindex values',
-    'Use tabindex="0" for custom interactive elements',
-    'Let natural tab order work',
-  ],
-  'js-autoplay-media': [
-    'Do not autoplay unmuted media',
-    'Add controls attribute',
-    'Require user interaction to play',
-  ],
-  'js-missing-label': [
-    'Create label element: const label = document.createElement("label");',
-    'Associate with input via "for" and "id" attributes',
-    'Or add aria-label to input',
-  ],
-  'js-placeholder-as-label': [
-    'Do not rely on placeholder as label',
-    'Create proper label element',
-    'Placeholder can supplement but not replace label',
-  ],
-  'js-no-focus-trap': [
-    'Implement focus trap for modals',
-    'Use Tab and Shift+Tab to cycle through modal elements',
-    'Prevent focus from leaving modal',
-  ],
-  'js-no-aria-live': [
-    'Add aria-live region for dynamic content',
-    'Use role="status" or role="alert"',
-    'Example: element.setAttribute("aria-live", "polite");',
-  ],
-  'js-prevent-keyboard-nav': [
-    'Do not prevent default keyboard navigation',
-    'Never call e.preventDefault() on Tab key',
-    'Allow users to navigate with keyboard',
-  ],
-  'js-display-none-all': [
-    'Do not hide all elements from screen readers',
-    'Use aria-hidden="true" selectively',
-    'Consider if content should be hidden from all users',
-  ],
-  'js-no-keyboard-alternative': [
-    'Provide keyboard alternative for mouse-only interactions',
-    'For drag-and-drop: add buttons to move items',
-    'For hover: make content accessible via focus',
-  ],
-  'js-missing-role': [
-    'Add appropriate ARIA role',
-    'For custom controls: role="button", role="checkbox", etc.',
-    'Match role to control behavior',
-  ],
-  'js-no-focus-management': [
-    'Manage focus after content changes',
-    'Move focus to new content or heading',
-    'Example: newElement.focus(); or newElement.tabIndex = -1; newElement.focus();',
-  ],
-  'js-click-only-handler': [
-    'Add keyboard handlers in addition to click',
-    'Listen for Enter and Space keys',
-    'Example: element.addEventListener("keydown", handleKeyboard);',
-  ],
-  'js-disabled-no-feedback': [
-    'When disabling elements, add aria-disabled and announce change',
-    'Example: button.setAttribute("aria-disabled", "true");',
-    'Provide visual indication and screen reader feedback',
-  ],
-  'js-infinite-scroll-no-keyboard': [
-    'Provide keyboard alternative for infinite scroll',
-    'Add "Load More" button',
-    'Manage focus when new content loads',
-  ],
-  'js-no-keyboard-dropdown': [
-    'Add keyboard navigation to dropdowns',
-    'Support Arrow keys, Enter, Escape',
-    'Add role="combobox", aria-expanded, aria-controls',
-  ],
-  'js-timeout-no-warning': [
-    'Warn users before timeout',
-    'Provide option to extend session',
-    'Show accessible countdown timer',
-  ],
-  'js-tooltip-no-aria': [
-    'Add role="tooltip" and aria-describedby',
-    'Make accessible via keyboard (focus)',
-    'Example: element.setAttribute("aria-describedby", tooltipId);',
-  ],
-  'js-tabs-no-aria': [
-    'Add role="tablist", role="tab", role="tabpanel"',
-    'Add aria-selected, aria-controls',
-    'Support Arrow keys, Home, End for navigation',
-  ],
-  'js-alert-no-aria': [
-    'Add role="alert" or aria-live="assertive"',
-    'Ensures screen readers announce immediately',
-    'Example: alert.setAttribute("role", "alert");',
-  ],
-  'js-carousel-no-accessibility': [
-    'Add pause button, keyboard controls',
-    'Add aria-live="polite", aria-roledescription="carousel"',
-    'Announce slide changes',
-  ],
-  'js-checkbox-no-aria': [
-    'Add role="checkbox" and aria-checked',
-    'Add keyboard support (Space to toggle)',
-    'Associate with label',
-  ],
-  'js-unsafe-html-injection': [
-    'Sanitize user content before injecting',
-    'Maintain semantic structure',
-    'Add proper accessibility attributes',
-  ],
-  'js-spinner-no-announcement': [
-    'Add role="status" or aria-live="polite"',
-    'Provide text alternative for loading state',
-    'Example: spinner.setAttribute("aria-label", "Loading content");',
-  ],
-  'js-hide-content-wrong': [
-    'Use aria-hidden="true" instead of display:none for visual hiding',
-    'Or use visibility:hidden with proper ARIA',
-    'Consider if content should be hidden from screen readers',
-  ],
-  'js-accordion-no-aria': [
-    'Add role="button", aria-expanded, aria-controls',
-    'Support keyboard navigation',
-    'Add aria-labelledby to panels',
-  ],
-  'js-progress-no-aria': [
-    'Add role="progressbar"',
-    'Add aria-valuenow, aria-valuemin, aria-valuemax',
-    'Announce progress changes with aria-live',
-  ],
-};
+registerRules('js', {
+  'js-remove-focus-outline': {
+    severity: 'error',
+    wcag: ['2.4.7'],
+    tags: ['focus', 'focus-visible'],
+    description: 'Scripts must not remove focus outlines',
+    fix: [
+      'Do not remove focus outlines programmatically',
+      'If custom styles needed, provide visible alternative',
+      'Use :focus-visible in CSS instead',
+    ],
+    examples: {
+      invalid: 'el.style.outline = \'none\';',
+      valid: 'el.classList.add(\'has-custom-focus\');',
+    },
+  },
+  'js-create-div-button': {
+    severity: 'error',
+    wcag: ['4.1.2'],
+    tags: ['keyboard', 'semantic-html'],
+    description: 'Clickable elements created in script should be buttons',
+    fix: [
+      'Use <button> element instead of <div>',
+      'Or add role="button", tabindex="0", and keyboard handlers',
+      'Example: div.setAttribute("role", "button"); div.tabIndex = 0;',
+    ],
+    examples: {
+      invalid: 'const el = document.createElement(\'div\');\nel.onclick = save;',
+      valid: 'const el = document.createElement(\'button\');\nel.type = \'button\';\nel.onclick = save;',
+    },
+  },
+  'js-missing-aria': {
+    severity: 'error',
+    wcag: ['4.1.2'],
+    tags: ['aria', 'aria-required'],
+    description: 'Custom widgets created in script need ARIA roles and states',
+    fix: [
+      'Add required ARIA attributes',
+      'For modals: aria-modal="true", aria-labelledby, aria-describedby',
+      'For alerts: role="alert" or aria-live="assertive"',
+    ],
+    examples: {
+      invalid: 'menu.style.display = \'block\';',
+      valid: 'menu.hidden = false;\ntoggle.setAttribute(\'aria-expanded\', \'true\');',
+    },
+  },
+  'js-no-keyboard-handler': {
+    severity: 'error',
+    wcag: ['2.1.1'],
+    tags: ['keyboard', 'keyboard-nav'],
+    description: 'Elements given click handlers need keyboard handlers',
+    fix: [
+      'Add keyboard event handlers: onkeydown, onkeyup',
+      'Support Enter and Space keys for buttons',
+      'Example: element.addEventListener("keydown", (e) => { if(e.key === "Enter") { ... } });',
+    ],
+    examples: {
+      invalid: 'card.addEventListener(\'click\', open);',
+      valid: 'card.addEventListener(\'click\', open);\ncard.addEventListener(\'keydown\', e => { if (e.key === \'Enter\') open(); });',
+    },
+  },
+  'js-positive-tabindex': {
+    severity: 'error',
+    wcag: ['2.4.3'],
+    tags: ['keyboard', 'keyboard-nav'],
+    description: 'Scripts must not set positive tabindex values',
+    fix: [
+      'Avoid positive tabindex values',
+      'Use tabindex="0" for custom interactive elements',
+      'Let natural tab order work',
+    ],
+    examples: {
+      invalid: 'el.tabIndex = 5;',
+      valid: 'el.tabIndex = 0;',
+    },
+  },
+  'js-autoplay-media': {
+    severity: 'error',
+    wcag: ['1.4.2', '2.2.2'],
+    tags: ['media'],
+    description: 'Media played from script should be muted or user-initiated',
+    fix: [
+      'Do not autoplay unmuted media',
+      'Add controls attribute',
+      'Require user interaction to play',
+    ],
+    examples: {
+      invalid: 'video.autoplay = true;',
+      valid: 'playButton.addEventListener(\'click\', () => video.play());',
+    },
+  },
+  'js-missing-label': {
+    severity: 'error',
+    wcag: ['3.3.2', '4.1.2'],
+    tags: ['forms', 'form-labels'],
+    description: 'Inputs created in script need a label',
+    fix: [
+      'Create label element: const label = document.createElement("label");',
+      'Associate with input via "for" and "id" attributes',
+      'Or add aria-label to input',
+    ],
+    examples: {
+      invalid: 'const input = document.createElement(\'input\');\nform.appendChild(input);',
+      valid: 'const input = document.createElement(\'input\');\ninput.setAttribute(\'aria-label\', \'Search\');\nform.appendChild(input);',
+    },
+  },
+  'js-placeholder-as-label': {
+    severity: 'error',
+    wcag: ['3.3.2'],
+    tags: ['forms', 'form-labels'],
+    description: 'Placeholder text set in script must not replace a label',
+    fix: [
+      'Do not rely on placeholder as label',
+      'Create proper label element',
+      'Placeholder can supplement but not replace label',
+    ],
+    examples: {
+      invalid: 'input.placeholder = \'Email\';',
+      valid: 'input.setAttribute(\'aria-label\', \'Email\');\ninput.placeholder = \'name@example.com\';',
+    },
+  },
+  'js-no-focus-trap': {
+    severity: 'error',
+    wcag: ['2.4.3'],
+    tags: ['focus', 'dialogs'],
+    description: 'Modals need a focus trap, aria-modal and an Escape handler',
+    fix: [
+      'Implement focus trap for modals',
+      'Use Tab and Shift+Tab to cycle through modal elements',
+      'Prevent focus from leaving modal',
+    ],
+    examples: {
+      invalid: 'modal.style.display = \'block\';',
+      valid: 'modal.setAttribute(\'aria-modal\', \'true\');\nmodal.showModal();\nmodal.querySelector(\'button\').focus();',
+    },
+  },
+  'js-no-aria-live': {
+    severity: 'warning',
+    wcag: ['4.1.3'],
+    tags: ['live-regions'],
+    description: 'Dynamic content updates should be announced via a live region',
+    fix: [
+      'Add aria-live region for dynamic content',
+      'Use role="status" or role="alert"',
+      'Example: element.setAttribute("aria-live", "polite");',
+    ],
+    examples: {
+      invalid: 'status.textContent = \'Saved\';',
+      valid: 'status.setAttribute(\'role\', \'status\');\nstatus.textContent = \'Saved\';',
+    },
+  },
+  'js-prevent-keyboard-nav': {
+    severity: 'error',
+    wcag: ['2.1.1'],
+    tags: ['keyboard', 'keyboard-nav'],
+    description: 'Scripts must not block Tab key navigation',
+    fix: [
+      'Do not prevent default keyboard navigation',
+      'Never call e.preventDefault() on Tab key',
+      'Allow users to navigate with keyboard',
+    ],
+    examples: {
+      invalid: 'if (e.key === \'Tab\') e.preventDefault();',
+      valid: 'if (e.key === \'Escape\') closeMenu();',
+    },
+  },
+  'js-display-none-all': {
+    severity: 'warning',
+    wcag: ['1.3.2'],
+    tags: ['screen-readers'],
+    description: 'Hiding content with display:none also hides it from assistive technology',
+    fix: [
+      'Do not hide all elements from screen readers',
+      'Use aria-hidden="true" selectively',
+      'Consider if content should be hidden from all users',
+    ],
+    examples: {
+      invalid: 'notice.style.display = \'none\';',
+      valid: 'notice.classList.add(\'visually-hidden\');',
+    },
+  },
+  'js-no-keyboard-alternative': {
+    severity: 'error',
+    wcag: ['2.1.1'],
+    tags: ['keyboard', 'keyboard-nav'],
+    description: 'Drag-and-drop must have a keyboard alternative',
+    fix: [
+      'Provide keyboard alternative for mouse-only interactions',
+      'For drag-and-drop: add buttons to move items',
+      'For hover: make content accessible via focus',
+    ],
+    examples: {
+      invalid: 'item.draggable = true;',
+      valid: 'item.draggable = true;\nitem.addEventListener(\'keydown\', moveWithArrowKeys);',
+    },
+  },
+  'js-missing-role': {
+    severity: 'error',
+    wcag: ['4.1.2'],
+    tags: ['aria', 'aria-required'],
+    description: 'Custom widgets created in script need a role',
+    fix: [
+      'Add appropriate ARIA role',
+      'For custom controls: role="button", role="checkbox", etc.',
+      'Match role to control behavior',
+    ],
+    examples: {
+      invalid: 'const tab = document.createElement(\'div\');',
+      valid: 'const tab = document.createElement(\'div\');\ntab.setAttribute(\'role\', \'tab\');',
+    },
+  },
+  'js-no-focus-management': {
+    severity: 'warning',
+    wcag: ['2.4.3'],
+    tags: ['focus'],
+    description: 'Move focus when script replaces or reveals content',
+    fix: [
+      'Manage focus after content changes',
+      'Move focus to new content or heading',
+      'Example: newElement.focus(); or newElement.tabIndex = -1; newElement.focus();',
+    ],
+    examples: {
+      invalid: 'panel.innerHTML = results;',
+      valid: 'panel.innerHTML = results;\npanel.querySelector(\'h2\').focus();',
+    },
+  },
+  'js-click-only-handler': {
+    severity: 'warning',
+    wcag: ['2.1.1'],
+    tags: ['keyboard', 'keyboard-nav'],
+    description: 'Click handlers should be paired with keyboard handlers',
+    fix: [
+      'Add keyboard handlers in addition to click',
+      'Listen for Enter and Space keys',
+      'Example: element.addEventListener("keydown", handleKeyboard);',
+    ],
+    examples: {
+      invalid: 'row.onclick = select;',
+      valid: 'row.onclick = select;\nrow.onkeydown = e => { if (e.key === \'Enter\') select(); };',
+    },
+  },
+  'js-disabled-no-feedback': {
+    severity: 'warning',
+    wcag: ['4.1.3'],
+    tags: ['forms'],
+    description: 'Disabling controls should be announced',
+    fix: [
+      'When disabling elements, add aria-disabled and announce change',
+      'Example: button.setAttribute("aria-disabled", "true");',
+      'Provide visual indication and screen reader feedback',
+    ],
+    examples: {
+      invalid: 'submit.disabled = true;',
+      valid: 'submit.setAttribute(\'aria-disabled\', \'true\');\nstatus.textContent = \'Submitting…\';',
+    },
+  },
+  'js-infinite-scroll-no-keyboard': {
+    severity: 'error',
+    wcag: ['2.1.1'],
+    tags: ['keyboard', 'keyboard-nav'],
+    description: 'Infinite scroll needs a keyboard-operable alternative',
+    fix: [
+      'Provide keyboard alternative for infinite scroll',
+      'Add "Load More" button',
+      'Manage focus when new content loads',
+    ],
+    examples: {
+      invalid: 'window.addEventListener(\'scroll\', loadMore);',
+      valid: 'loadMoreButton.addEventListener(\'click\', loadMore);',
+    },
+  },
+  'js-no-keyboard-dropdown': {
+    severity: 'error',
+    wcag: ['2.1.1', '4.1.2'],
+    tags: ['keyboard', 'keyboard-nav'],
+    description: 'Dropdowns need arrow key, Enter and Escape support',
+    fix: [
+      'Add keyboard navigation to dropdowns',
+      'Support Arrow keys, Enter, Escape',
+      'Add role="combobox", aria-expanded, aria-controls',
+    ],
+    examples: {
+      invalid: 'toggle.addEventListener(\'click\', openMenu);',
+      valid: 'toggle.addEventListener(\'click\', openMenu);\nmenu.addEventListener(\'keydown\', handleMenuKeys);',
+    },
+  },
+  'js-timeout-no-warning': {
+    severity: 'error',
+    wcag: ['2.2.1'],
+    tags: ['timing'],
+    description: 'Session timeouts must warn users and allow extending',
+    fix: [
+      'Warn users before timeout',
+      'Provide option to extend session',
+      'Show accessible countdown timer',
+    ],
+    examples: {
+      invalid: 'setTimeout(logout, 900000);',
+      valid: 'setTimeout(showTimeoutWarning, 840000);',
+    },
+  },
+  'js-tooltip-no-aria': {
+    severity: 'error',
+    wcag: ['4.1.2'],
+    tags: ['aria', 'aria-required'],
+    description: 'Tooltips need role="tooltip", aria-describedby and keyboard access',
+    fix: [
+      'Add role="tooltip" and aria-describedby',
+      'Make accessible via keyboard (focus)',
+      'Example: element.setAttribute("aria-describedby", tooltipId);',
+    ],
+    examples: {
+      invalid: 'el.addEventListener(\'mouseenter\', showTooltip);',
+      valid: 'el.setAttribute(\'aria-describedby\', \'tip-1\');\nel.addEventListener(\'focus\', showTooltip);',
+    },
+  },
+  'js-tabs-no-aria': {
+    severity: 'error',
+    wcag: ['4.1.2'],
+    tags: ['aria', 'aria-required'],
+    description: 'Tabs need tablist/tab/tabpanel roles and arrow key navigation',
+    fix: [
+      'Add role="tablist", role="tab", role="tabpanel"',
+      'Add aria-selected, aria-controls',
+      'Support Arrow keys, Home, End for navigation',
+    ],
+    examples: {
+      invalid: 'tabs.forEach(t => t.onclick = showPanel);',
+      valid: 'tab.setAttribute(\'role\', \'tab\');\ntab.setAttribute(\'aria-selected\', \'true\');',
+    },
+  },
+  'js-alert-no-aria': {
+    severity: 'error',
+    wcag: ['4.1.3'],
+    tags: ['live-regions'],
+    description: 'Alerts must use role="alert" or aria-live="assertive"',
+    fix: [
+      'Add role="alert" or aria-live="assertive"',
+      'Ensures screen readers announce immediately',
+      'Example: alert.setAttribute("role", "alert");',
+    ],
+    examples: {
+      invalid: 'errorBox.textContent = \'Payment failed\';',
+      valid: 'errorBox.setAttribute(\'role\', \'alert\');\nerrorBox.textContent = \'Payment failed\';',
+    },
+  },
+  'js-carousel-no-accessibility': {
+    severity: 'error',
+    wcag: ['2.2.2', '4.1.2'],
+    tags: ['motion'],
+    description: 'Carousels need pause controls, keyboard support and announcements',
+    fix: [
+      'Add pause button, keyboard controls',
+      'Add aria-live="polite", aria-roledescription="carousel"',
+      'Announce slide changes',
+    ],
+    examples: {
+      invalid: 'setInterval(nextSlide, 3000);',
+      valid: 'const timer = setInterval(nextSlide, 3000);\npauseButton.onclick = () => clearInterval(timer);',
+    },
+  },
+  'js-checkbox-no-aria': {
+    severity: 'error',
+    wcag: ['4.1.2'],
+    tags: ['aria', 'aria-required'],
+    description: 'Custom checkboxes need role="checkbox", aria-checked and keyboard support',
+    fix: [
+      'Add role="checkbox" and aria-checked',
+      'Add keyboard support (Space to toggle)',
+      'Associate with label',
+    ],
+    examples: {
+      invalid: 'box.classList.toggle(\'checked\');',
+      valid: 'box.setAttribute(\'role\', \'checkbox\');\nbox.setAttribute(\'aria-checked\', String(checked));',
+    },
+  },
+  'js-unsafe-html-injection': {
+    severity: 'warning',
+    wcag: ['4.1.1'],
+    tags: ['parsing'],
+    description: 'Injected HTML should be sanitized and keep accessible structure',
+    fix: [
+      'Sanitize user content before injecting',
+      'Maintain semantic structure',
+      'Add proper accessibility attributes',
+    ],
+    examples: {
+      invalid: 'el.innerHTML = userInput;',
+      valid: 'el.textContent = userInput;',
+    },
+  },
+  'js-spinner-no-announcement': {
+    severity: 'warning',
+    wcag: ['4.1.3'],
+    tags: ['live-regions'],
+    description: 'Loading indicators need role="status" and a text alternative',
+    fix: [
+      'Add role="status" or aria-live="polite"',
+      'Provide text alternative for loading state',
+      'Example: spinner.setAttribute("aria-label", "Loading content");',
+    ],
+    examples: {
+      invalid: 'spinner.style.display = \'block\';',
+      valid: 'spinner.setAttribute(\'role\', \'status\');\nspinner.textContent = \'Loading…\';',
+    },
+  },
+  'js-hide-content-wrong': {
+    severity: 'warning',
+    wcag: ['1.3.2'],
+    tags: ['screen-readers'],
+    description: 'Use the right technique when hiding content from some users',
+    fix: [
+      'Use aria-hidden="true" instead of display:none for visual hiding',
+      'Or use visibility:hidden with proper ARIA',
+      'Consider if content should be hidden from screen readers',
+    ],
+    examples: {
+      invalid: 'label.style.display = \'none\';',
+      valid: 'label.classList.add(\'visually-hidden\');',
+    },
+  },
+  'js-accordion-no-aria': {
+    severity: 'error',
+    wcag: ['4.1.2'],
+    tags: ['aria', 'aria-required'],
+    description: 'Accordions need button headers with aria-expanded',
+    fix: [
+      'Add role="button", aria-expanded, aria-controls',
+      'Support keyboard navigation',
+      'Add aria-labelledby to panels',
+    ],
+    examples: {
+      invalid: 'header.onclick = () => panel.classList.toggle(\'open\');',
+      valid: 'header.setAttribute(\'aria-expanded\', String(open));\nheader.setAttribute(\'aria-controls\', panel.id);',
+    },
+  },
+  'js-progress-no-aria': {
+    severity: 'warning',
+    wcag: ['4.1.2'],
+    tags: ['aria', 'aria-required'],
+    description: 'Progress indicators need role="progressbar" and aria-value* attributes',
+    fix: [
+      'Add role="progressbar"',
+      'Add aria-valuenow, aria-valuemin, aria-valuemax',
+      'Announce progress changes with aria-live',
+    ],
+    examples: {
+      invalid: 'bar.style.width = pct + \'%\';',
+      valid: 'bar.setAttribute(\'role\', \'progressbar\');\nbar.setAttribute(\'aria-valuenow\', String(pct));',
+    },
+  },
+  'js-parse-error': {
+    severity: 'error',
+    wcag: [],
+    tags: ['parsing'],
+    description: 'The script could not be parsed',
+    fix: [
+      'Fix JavaScript syntax errors before accessibility checking',
+    ],
+    examples: {
+      invalid: 'function save( {',
+      valid: 'function save() {}',
+    },
+  },
+});
 
 /**
  * Analyze JavaScript content for accessibility violations
+ * @param {string} content - JS/TS source
+ * @param {string} [filePath] - Reported on each violation
+ * @param {object} [options]
+ * @param {object} [options.suppressions] - Shared createSuppressions() set (see suppressions.js)
  */
-export async function analyzeJS(content, filePath = 'unknown.js') {
+export async function analyzeJS(content, filePath = 'unknown.js', options = {}) {
   const violations = [];
 
+  // Full source range of a Babel node (Babel columns are 0-based)
+  function locate(node) {
+    if (!node.loc) {
+      return { line: 1, column: 1 };
+    }
+    return {
+      line: node.loc.start.line,
+      column: node.loc.start.column + 1,
+      endLine: node.loc.end.line,
+      endColumn: node.loc.end.column + 1,
+    };
+  }
+
   try {
     // Parse JavaScript code
     const ast = parse(content, {
@@ -236,8 +533,6 @@ export async function analyzeJS(content, filePath = 'unknown.js') {
               line: i + 1,
               column: 1,
               message: 'Dropdown must have keyboard navigation (arrow keys, Enter, Escape)',
-              wcag: violationToWCAG['js-no-keyboard-dropdown'],
-              fix: fixSuggestions['js-no-keyboard-dropdown'],
             });
           } else if (lowerName.includes('tabs')) {
             violations.push({
@@ -246,8 +541,6 @@ export async function analyzeJS(content, filePath = 'unknown.js') {
               line: i + 1,
               column: 1,
               message: 'Tabs need role="tablist/tab/tabpanel" and keyboard navigation',
-              wcag: violationToWCAG['js-tabs-no-aria'],
-              fix: fixSuggestions['js-tabs-no-aria'],
             });
           } else if (lowerName.includes('checkbox')) {
             violations.push({
@@ -256,8 +549,6 @@ export async function analyzeJS(content, filePath = 'unknown.js') {
               line: i + 1,
               column: 1,
               message: 'Custom checkbox needs role="checkbox", aria-checked, and keyboard support',
-              wcag: violationToWCAG['js-checkbox-no-aria'],
-              fix: fixSuggestions['js-checkbox-no-aria'],
             });
           } else if (lowerName.includes('accordion')) {
             violations.push({
@@ -266,8 +557,6 @@ export async function analyzeJS(content, filePath = 'unknown.js') {
               line: i + 1,
               column: 1,
               message: 'Accordion needs role="button", aria-expanded, and keyboard support',
-              wcag: violationToWCAG['js-accordion-no-aria'],
-              fix: fixSuggestions['js-accordion-no-aria'],
             });
           } else if (lowerName.includes('dragdrop') || lowerName.includes('drag')) {
             violations.push({
@@ -276,8 +565,6 @@ export async function analyzeJS(content, filePath = 'unknown.js') {
               line: i + 1,
               column: 1,
               message: 'Drag-and-drop must have keyboard alternative',
-              wcag: violationToWCAG['js-no-keyboard-alternative'],
-              fix: fixSuggestions['js-no-keyboard-alternative'],
             });
           } else if (lowerName.includes('carousel')) {
             violations.push({
@@ -286,8 +573,6 @@ export async function analyzeJS(content, filePath = 'unknown.js') {
               line: i + 1,
               column: 1,
               message: 'Carousel needs pause button, keyboard controls, and announcements',
-              wcag: violationToWCAG['js-carousel-no-accessibility'],
-              fix: fixSuggestions['js-carousel-no-accessibility'],
             });
           } else if (lowerName.includes('timeout')) {
             violations.push({
@@ -296,8 +581,6 @@ export async function analyzeJS(content, filePath = 'unknown.js') {
               line: i + 1,
               column: 1,
               message: 'Timeout needs warning and option to extend',
-              wcag: violationToWCAG['js-timeout-no-warning'],
-              fix: fixSuggestions['js-timeout-no-warning'],
             });
           } else if (lowerName.includes('infinitescroll') || lowerName.includes('scroll')) {
             violations.push({
@@ -306,8 +589,6 @@ export async function analyzeJS(content, filePath = 'unknown.js') {
               line: i + 1,
               column: 1,
               message: 'Infinite scroll must have keyboard alternative (Load More button)',
-              wcag: violationToWCAG['js-infinite-scroll-no-keyboard'],
-              fix: fixSuggestions['js-infinite-scroll-no-keyboard'],
             });
           }
           break;
@@ -346,8 +627,6 @@ export async function analyzeJS(content, filePath = 'unknown.js') {
               line: i + 1,
               column: 1,
               message,
-              wcag: violationToWCAG[ruleId],
-              fix: fixSuggestions[ruleId],
             });
             break;
           }
@@ -369,11 +648,8 @@ export async function analyzeJS(content, filePath = 'unknown.js') {
           violations.push({
             ruleId: 'js-remove-focus-outline',
             severity: 'error',
-            line: node.loc?.start.line || 1,
-            column: node.loc?.start.column || 1,
+            ...locate(node),
             message: 'Do not remove focus outlines programmatically',
-            wcag: violationToWCAG['js-remove-focus-outline'],
-            fix: fixSuggestions['js-remove-focus-outline'],
           });
         }
 
@@ -388,11 +664,8 @@ export async function analyzeJS(content, filePath = 'unknown.js') {
             violations.push({
               ruleId: 'js-remove-focus-outline',
               severity: 'error',
-              line: node.loc?.start.line || 1,
-              column: node.loc?.start.column || 1,
+              ...locate(node),
               message: 'Removing focus outlines from all elements is a critical accessibility violation',
-              wcag: violationToWCAG['js-remove-focus-outline'],
-              fix: fixSuggestions['js-remove-focus-outline'],
             });
           }
         }
@@ -429,11 +702,8 @@ export async function analyzeJS(content, filePath = 'unknown.js') {
               violations.push({
                 ruleId: 'js-create-div-button',
                 severity: 'error',
-                line: node.loc?.start.line || 1,
-                column: node.loc?.start.column || 1,
+                ...locate(node),
                 message: `<${elementType}> with onclick should be a <button> or have role="button", tabindex, and keyboard handlers`,
-                wcag: violationToWCAG['js-create-div-button'],
-                fix: fixSuggestions['js-create-div-button'],
               });
             }
           }
@@ -447,11 +717,8 @@ export async function analyzeJS(content, filePath = 'unknown.js') {
           violations.push({
             ruleId: 'js-positive-tabindex',
             severity: 'error',
-            line: node.loc?.start.line || 1,
-            column: node.loc?.start.column || 1,
+            ...locate(node),
             message: 'Positive tabindex values disrupt natural tab order',
-            wcag: violationToWCAG['js-positive-tabindex'],
-            fix: fixSuggestions['js-positive-tabindex'],
           });
         }
 
@@ -463,11 +730,8 @@ export async function analyzeJS(content, filePath = 'unknown.js') {
           violations.push({
             ruleId: 'js-autoplay-media',
             severity: 'error',
-            line: node.loc?.start.line || 1,
-            column: node.loc?.start.column || 1,
+            ...locate(node),
             message: 'Autoplay media should be muted or require user interaction',
-            wcag: violationToWCAG['js-autoplay-media'],
-            fix: fixSuggestions['js-autoplay-media'],
           });
         }
 
@@ -481,11 +745,8 @@ export async function analyzeJS(content, filePath = 'unknown.js') {
             violations.push({
               ruleId: 'js-display-none-all',
               severity: 'warning',
-              line: node.loc?.start.line || 1,
-              column: node.loc?.start.column || 1,
+              ...locate(node),
               message: 'Setting display:none hides content from screen readers',
-              wcag: violationToWCAG['js-display-none-all'],
-              fix: fixSuggestions['js-display-none-all'],
             });
           }
         }
@@ -509,11 +770,8 @@ export async function analyzeJS(content, filePath = 'unknown.js') {
               violations.push({
                 ruleId: 'js-prevent-keyboard-nav',
                 severity: 'error',
-                line: node.loc?.start.line || 1,
-                column: node.loc?.start.column || 1,
+                ...locate(node),
                 message: 'Do not prevent Tab key - breaks keyboard navigation',
-                wcag: violationToWCAG['js-prevent-keyboard-nav'],
-                fix: fixSuggestions['js-prevent-keyboard-nav'],
               });
             }
           }
@@ -528,11 +786,8 @@ export async function analyzeJS(content, filePath = 'unknown.js') {
           violations.push({
             ruleId: 'js-no-keyboard-alternative',
             severity: 'error',
-            line: node.loc?.start.line || 1,
-            column: node.loc?.start.column || 1,
+            ...locate(node),
             message: 'Drag-and-drop must have keyboard alternative',
-            wcag: violationToWCAG['js-no-keyboard-alternative'],
-            fix: fixSuggestions['js-no-keyboard-alternative'],
           });
         }
 
@@ -545,11 +800,8 @@ export async function analyzeJS(content, filePath = 'unknown.js') {
             violations.push({
               ruleId: 'js-click-only-handler',
               severity: 'warning',
-              line: node.loc?.start.line || 1,
-              column: node.loc?.start.column || 1,
+              ...locate(node),
               message: 'Click handlers should be accompanied by keyboard handlers',
-              wcag: violationToWCAG['js-click-only-handler'],
-              fix: fixSuggestions['js-click-only-handler'],
             });
           }
         }
@@ -561,11 +813,8 @@ export async function analyzeJS(content, filePath = 'unknown.js') {
           violations.push({
             ruleId: 'js-missing-label',
             severity: 'error',
-            line: node.loc?.start.line || 1,
-            column: node.loc?.start.column || 1,
+            ...locate(node),
             message: 'Creating input without label - ensure label is added',
-            wcag: violationToWCAG['js-missing-label'],
-            fix: fixSuggestions['js-missing-label'],
           });
         }
 
@@ -577,11 +826,8 @@ export async function analyzeJS(content, filePath = 'unknown.js') {
             violations.push({
               ruleId: 'js-no-focus-trap',
               severity: 'error',
-              line: node.loc?.start.line || 1,
-              column: node.loc?.start.column || 1,
+              ...locate(node),
               message: 'Modals require focus trap, aria-modal, and escape key handler',
-              wcag: violationToWCAG['js-no-focus-trap'],
-              fix: fixSuggestions['js-no-focus-trap'],
             });
           }
         }
@@ -597,11 +843,8 @@ export async function analyzeJS(content, filePath = 'unknown.js') {
             violations.push({
               ruleId: 'js-no-aria-live',
               severity: 'warning',
-              line: node.loc?.start.line || 1,
-              column: node.loc?.start.column || 1,
+              ...locate(node),
               message: 'Dynamic content changes should use aria-live regions',
-              wcag: violationToWCAG['js-no-aria-live'],
-              fix: fixSuggestions['js-no-aria-live'],
             });
           }
         }
@@ -613,11 +856,8 @@ export async function analyzeJS(content, filePath = 'unknown.js') {
           violations.push({
             ruleId: 'js-no-keyboard-alternative',
             severity: 'error',
-            line: node.loc?.start.line || 1,
-            column: node.loc?.start.column || 1,
+            ...locate(node),
             message: 'Drag-and-drop must have keyboard alternative',
-            wcag: violationToWCAG['js-no-keyboard-alternative'],
-            fix: fixSuggestions['js-no-keyboard-alternative'],
           });
         }
 
@@ -631,11 +871,8 @@ export async function analyzeJS(content, filePath = 'unknown.js') {
             violations.push({
               ruleId: 'js-no-focus-management',
               severity: 'warning',
-              line: node.loc?.start.line || 1,
-              column: node.loc?.start.column || 1,
+              ...locate(node),
               message: 'Content changes should manage focus for screen reader users',
-              wcag: violationToWCAG['js-no-focus-management'],
-              fix: fixSuggestions['js-no-focus-management'],
             });
           }
         }
@@ -650,11 +887,8 @@ export async function analyzeJS(content, filePath = 'unknown.js') {
             violations.push({
               ruleId: 'js-timeout-no-warning',
               severity: 'error',
-              line: node.loc?.start.line || 1,
-              column: node.loc?.start.column || 1,
+              ...locate(node),
               message: 'Timeouts must warn users and provide extension option',
-              wcag: violationToWCAG['js-timeout-no-warning'],
-              fix: fixSuggestions['js-timeout-no-warning'],
             });
           }
         }
@@ -669,11 +903,8 @@ export async function analyzeJS(content, filePath = 'unknown.js') {
             violations.push({
               ruleId: 'js-carousel-no-accessibility',
               severity: 'error',
-              line: node.loc?.start.line || 1,
-              column: node.loc?.start.column || 1,
+              ...locate(node),
               message: 'Auto-rotating carousels need pause button and keyboard controls',
-              wcag: violationToWCAG['js-carousel-no-accessibility'],
-              fix: fixSuggestions['js-carousel-no-accessibility'],
             });
           }
         }
@@ -689,11 +920,8 @@ export async function analyzeJS(content, filePath = 'unknown.js') {
             violations.push({
               ruleId: 'js-infinite-scroll-no-keyboard',
               severity: 'error',
-              line: node.loc?.start.line || 1,
-              column: node.loc?.start.column || 1,
+              ...locate(node),
               message: 'Infinite scroll must have keyboard alternative (Load More button)',
-              wcag: violationToWCAG['js-infinite-scroll-no-keyboard'],
-              fix: fixSuggestions['js-infinite-scroll-no-keyboard'],
             });
           }
         }
@@ -709,11 +937,8 @@ export async function analyzeJS(content, filePath = 'unknown.js') {
             violations.push({
               ruleId: 'js-tooltip-no-aria',
               severity: 'error',
-              line: node.loc?.start.line || 1,
-              column: node.loc?.start.column || 1,
+              ...locate(node),
               message: 'Tooltips need role="tooltip", aria-describedby, and keyboard access',
-              wcag: violationToWCAG['js-tooltip-no-aria'],
-              fix: fixSuggestions['js-tooltip-no-aria'],
             });
           }
         }
@@ -730,11 +955,8 @@ export async function analyzeJS(content, filePath = 'unknown.js') {
             violations.push({
               ruleId: 'js-no-keyboard-dropdown',
               severity: 'error',
-              line: node.loc?.start.line || 1,
-              column: node.loc?.start.column || 1,
+              ...locate(node),
               message: 'Custom dropdowns need keyboard navigation and ARIA attributes',
-              wcag: violationToWCAG['js-no-keyboard-dropdown'],
-              fix: fixSuggestions['js-no-keyboard-dropdown'],
             });
           }
 
@@ -743,11 +965,8 @@ export async function analyzeJS(content, filePath = 'unknown.js') {
             violations.push({
               ruleId: 'js-tabs-no-aria',
               severity: 'error',
-              line: node.loc?.start.line || 1,
-              column: node.loc?.start.column || 1,
+              ...locate(node),
               message: 'Custom tabs need role="tablist", aria-selected, and keyboard support',
-              wcag: violationToWCAG['js-tabs-no-aria'],
-              fix: fixSuggestions['js-tabs-no-aria'],
             });
           }
 
@@ -757,11 +976,8 @@ export async function analyzeJS(content, filePath = 'unknown.js') {
             violations.push({
               ruleId: 'js-alert-no-aria',
               severity: 'error',
-              line: node.loc?.start.line || 1,
-              column: node.loc?.start.column || 1,
+              ...locate(node),
               message: 'Alerts must have role="alert" or aria-live="assertive"',
-              wcag: violationToWCAG['js-alert-no-aria'],
-              fix: fixSuggestions['js-alert-no-aria'],
             });
           }
 
@@ -770,11 +986,8 @@ export async function analyzeJS(content, filePath = 'unknown.js') {
             violations.push({
               ruleId: 'js-checkbox-no-aria',
               severity: 'error',
-              line: node.loc?.start.line || 1,
-              column: node.loc?.start.column || 1,
+              ...locate(node),
               message: 'Custom checkboxes need role="checkbox", aria-checked, and keyboard support',
-              wcag: violationToWCAG['js-checkbox-no-aria'],
-              fix: fixSuggestions['js-checkbox-no-aria'],
             });
           }
 
@@ -784,11 +997,8 @@ export async function analyzeJS(content, filePath = 'unknown.js') {
             violations.push({
               ruleId: 'js-spinner-no-announcement',
               severity: 'warning',
-              line: node.loc?.start.line || 1,
-              column: node.loc?.start.column || 1,
+              ...locate(node),
               message: 'Loading indicators need role="status" and text alternative',
-              wcag: violationToWCAG['js-spinner-no-announcement'],
-              fix: fixSuggestions['js-spinner-no-announcement'],
             });
           }
 
@@ -797,11 +1007,8 @@ export async function analyzeJS(content, filePath = 'unknown.js') {
             violations.push({
               ruleId: 'js-accordion-no-aria',
               severity: 'error',
-              line: node.loc?.start.line || 1,
-              column: node.loc?.start.column || 1,
+              ...locate(node),
               message: 'Accordions need aria-expanded, aria-controls, and keyboard support',
-              wcag: violationToWCAG['js-accordion-no-aria'],
-              fix: fixSuggestions['js-accordion-no-aria'],
             });
           }
         }
@@ -818,11 +1025,8 @@ export async function analyzeJS(content, filePath = 'unknown.js') {
             violations.push({
               ruleId: 'js-unsafe-html-injection',
               severity: 'warning',
-              line: node.loc?.start.line || 1,
-              column: node.loc?.start.column || 1,
+              ...locate(node),
               message: 'Sanitize user content and maintain accessibility structure',
-              wcag: violationToWCAG['js-unsafe-html-injection'],
-              fix: fixSuggestions['js-unsafe-html-injection'],
             });
           }
         }
@@ -843,11 +1047,8 @@ export async function analyzeJS(content, filePath = 'unknown.js') {
             violations.push({
               ruleId: 'js-disabled-no-feedback',
               severity: 'warning',
-              line: node.loc?.start.line || 1,
-              column: node.loc?.start.column || 1,
+              ...locate(node),
               message: 'When disabling, add aria-disabled and announce to screen readers',
-              wcag: violationToWCAG['js-disabled-no-feedback'],
-              fix: fixSuggestions['js-disabled-no-feedback'],
             });
           }
         }
@@ -863,11 +1064,8 @@ export async function analyzeJS(content, filePath = 'unknown.js') {
             violations.push({
               ruleId: 'js-hide-content-wrong',
               severity: 'warning',
-              line: node.loc?.start.line || 1,
-              column: node.loc?.start.column || 1,
+              ...locate(node),
               message: 'display:none hides from everyone - use aria-hidden if needed',
-              wcag: violationToWCAG['js-hide-content-wrong'],
-              fix: fixSuggestions['js-hide-content-wrong'],
             });
           }
         }
@@ -881,11 +1079,8 @@ export async function analyzeJS(content, filePath = 'unknown.js') {
             violations.push({
               ruleId: 'js-progress-no-aria',
               severity: 'warning',
-              line: node.loc?.start.line || 1,
-              column: node.loc?.start.column || 1,
+              ...locate(node),
               message: 'Progress indicators need role="progressbar" and aria-value* attributes',
-              wcag: violationToWCAG['js-progress-no-aria'],
-              fix: fixSuggestions['js-progress-no-aria'],
             });
           }
         }
@@ -905,11 +1100,8 @@ export async function analyzeJS(content, filePath = 'unknown.js') {
               violations.push({
                 ruleId: 'js-create-div-button',
                 severity: 'error',
-                line: node.loc?.start.line || 1,
-                column: node.loc?.start.column || 1,
+                ...locate(node),
                 message: `<${elementType}> with onclick should be a <button> or have role="button", tabindex, and keyboard handlers`,
-                wcag: violationToWCAG['js-create-div-button'],
-                fix: fixSuggestions['js-create-div-button'],
               });
             }
           }
@@ -923,11 +1115,8 @@ export async function analyzeJS(content, filePath = 'unknown.js') {
           violations.push({
             ruleId: 'js-positive-tabindex',
             severity: 'error',
-            line: node.loc?.start.line || 1,
-            column: node.loc?.start.column || 1,
+            ...locate(node),
             message: 'Positive tabindex values disrupt natural tab order',
-            wcag: violationToWCAG['js-positive-tabindex'],
-            fix: fixSuggestions['js-positive-tabindex'],
           });
         }
 
@@ -939,11 +1128,8 @@ export async function analyzeJS(content, filePath = 'unknown.js') {
           violations.push({
             ruleId: 'js-autoplay-media',
             severity: 'error',
-            line: node.loc?.start.line || 1,
-            column: node.loc?.start.column || 1,
+            ...locate(node),
             message: 'Autoplay media should be muted or require user interaction',
-            wcag: violationToWCAG['js-autoplay-media'],
-            fix: fixSuggestions['js-autoplay-media'],
           });
         }
 
@@ -957,11 +1143,8 @@ export async function analyzeJS(content, filePath = 'unknown.js') {
             violations.push({
               ruleId: 'js-display-none-all',
               severity: 'warning',
-              line: node.loc?.start.line || 1,
-              column: node.loc?.start.column || 1,
+              ...locate(node),
               message: 'Setting display:none hides content from screen readers',
-              wcag: violationToWCAG['js-display-none-all'],
-              fix: fixSuggestions['js-display-none-all'],
             });
           }
         }
@@ -978,8 +1161,6 @@ export async function analyzeJS(content, filePath = 'unknown.js') {
       line: 1,
       column: 1,
       message: `JavaScript parsing error: ${error.message}`,
-      wcag: [],
-      fix: ['Fix JavaScript syntax errors before accessibility checking'],
     });
   }
 
@@ -994,5 +1175,5 @@ export async function analyzeJS(content, filePath = 'unknown.js') {
     return true;
   });
 
-  return dedupedViolations;
+  return normalizeViolations(dedupedViolations, { analyzer: 'js', filePath, content, suppressions: options.suppressions });
 }
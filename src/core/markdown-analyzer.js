@@ -0,0 +1,352 @@
+/**
+ * Markdown Analyzer: Checks Markdown and MDX documents (.md, .markdown, .mdx)
+ * - Images without alt text, empty or non-descriptive link text, skipped
+ *   heading levels, more than one h1, tables with an empty header row
+ * - Inline HTML: html-analyzer.js rules as a fragment, in place
+ * - MDX: JSX elements are lifted out in place by mdxToScripts() for the
+ *   jsx-a11y ESLint path in hybrid-analyzer.js
+ * Parsed with mdast-util-from-markdown (GFM tables, MDX syntax for .mdx), so
+ * code blocks and code spans are never checked.
+ */
+
+import path from 'path';
+import { fromMarkdown } from 'mdast-util-from-markdown';
+import { gfmTable } from 'micromark-extension-gfm-table';
+import { gfmTableFromMarkdown } from 'mdast-util-gfm-table';
+import { mdxjs } from 'micromark-extension-mdxjs';
+import { mdxFromMarkdown } from 'mdast-util-mdx';
+import { analyzeHTML, NON_DESCRIPTIVE_LINK_TEXT } from './html-analyzer.js';
+import { normalizeViolations } from './violation.js';
+import { registerRules } from './rule-registry.js';
+import { maskOutside } from './sfc-blocks.js';
+
+export const MARKDOWN_EXTENSIONS = ['.md', '.markdown', '.mdx'];
+
+/**
+ * Rules reported by this analyzer. Rules shared with the HTML analyzer
+ * keep its metadata; the definitions here only add Markdown examples
+ * when it is not loaded.
+ */
+registerRules('markdown', {
+  'img-missing-alt': {
+    severity: 'error',
+    wcag: ['1.1.1'],
+    tags: ['images', 'alt-text'],
+    description: 'Images must have alt text',
+    examples: {
+      invalid: '![](chart.png)',
+      valid: '![Sales grew 20% in Q3](chart.png)',
+    },
+  },
+  'link-empty': {
+    severity: 'error',
+    wcag: ['2.4.4'],
+    tags: ['links'],
+    description: 'Links must have text content',
+    examples: {
+      invalid: '[](/pricing)',
+      valid: '[View pricing plans](/pricing)',
+    },
+  },
+  'link-non-descriptive': {
+    severity: 'warning',
+    wcag: ['2.4.4'],
+    tags: ['links'],
+    description: 'Link text must describe the link destination',
+    examples: {
+      invalid: 'To install, [click here](/install).',
+      valid: 'Read the [installation guide](/install).',
+    },
+  },
+  'heading-hierarchy': {
+    severity: 'warning',
+    wcag: ['2.4.6'],
+    tags: ['headings', 'heading-hierarchy'],
+    description: 'Heading levels should not be skipped',
+    examples: {
+      invalid: '# Title\n\n### Section',
+      valid: '# Title\n\n## Section',
+    },
+  },
+  'heading-multiple-h1': {
+    severity: 'warning',
+    wcag: ['1.3.1', '2.4.6'],
+    tags: ['headings', 'heading-hierarchy'],
+    description: 'A document should have a single top-level heading',
+    fix: [
+      'Keep one # heading for the document title',
+      'Use ## and below for sections',
+    ],
+    examples: {
+      invalid: '# Install\n\n# Configure',
+      valid: '# Setup\n\n## Install\n\n## Configure',
+    },
+  },
+  'table-missing-headers': {
+    severity: 'error',
+    wcag: ['1.3.1'],
+    tags: ['tables', 'semantic-html'],
+    description: 'Tables must have a header row',
+    examples: {
+      invalid: '| | |\n|---|---|\n| Name | Age |',
+      valid: '| Name | Age |\n|---|---|\n| Ada | 36 |',
+    },
+  },
+  'mdx-parse-error': {
+    severity: 'error',
+    wcag: [],
+    tags: ['parsing'],
+    description: 'The MDX document could not be parsed',
+    fix: [
+      'Fix MDX syntax errors before accessibility checking',
+      'Escape a literal < or { in prose as \\< or \\{',
+    ],
+    examples: {
+      invalid: 'Costs < $5 {per month',
+      valid: 'Costs \\< $5 \\{per month',
+    },
+  },
+});
+
+// Containers of inline content: inline HTML is checked together with its text
+const PHRASING_CONTAINERS = ['paragraph', 'heading', 'tableCell'];
+
+const JSX_ELEMENTS = ['mdxJsxFlowElement', 'mdxJsxTextElement'];
+const JSX_EXPRESSIONS = ['mdxFlowExpression', 'mdxTextExpression'];
+
+/**
+ * Blank a leading YAML (---) or TOML (+++) front matter block, which Markdown
+ * would otherwise read as a thematic break and a heading
+ */
+function maskFrontMatter(content) {
+  return content.replace(/^(---|\+\+\+)\r?\n[\s\S]*?\r?\n\1[ \t]*(?=\r?\n|$)/, match => match.replace(/[^\r\n]/g, ' '));
+}
+
+function parseMarkdown(content, mdx) {
+  return fromMarkdown(maskFrontMatter(content), {
+    extensions: [gfmTable(), ...(mdx ? [mdxjs()] : [])],
+    mdastExtensions: [gfmTableFromMarkdown(), ...(mdx ? [mdxFromMarkdown()] : [])],
+  });
+}
+
+function isMdx(filePath) {
+  return path.extname(filePath || '').toLowerCase() === '.mdx';
+}
+
+// Depth-first walk in document order; visit(node, ancestors)
+function walk(node, visit, ancestors = []) {
+  visit(node, ancestors);
+  for (const child of node.children || []) {
+    walk(child, visit, [...ancestors, node]);
+  }
+}
+
+// Text a reader hears for a node: its text, code and image alt text
+function textOf(node) {
+  if (node.type === 'text' || node.type === 'inlineCode') return node.value;
+  if (node.type === 'image' || node.type === 'imageReference') return node.alt || '';
+  return (node.children || []).map(textOf).join('');
+}
+
+function locate(node) {
+  const { start, end } = node.position;
+  return { line: start.line, column: start.column, endLine: end.line, endColumn: end.column };
+}
+
+/**
+ * Copy of the document with everything but inline HTML blanked. Inline tags
+ * keep their paragraph (so <a href="/x">text</a> keeps its text); code spans
+ * in those paragraphs are blanked.
+ * @returns {string|null} null when the document has no HTML
+ */
+function extractHTML(content, tree) {
+  const blocks = new Set();
+  walk(tree, (node, ancestors) => {
+    if (node.type !== 'html') return;
+    const container = ancestors.find(ancestor => PHRASING_CONTAINERS.includes(ancestor.type));
+    blocks.add(container || node);
+  });
+  if (blocks.size === 0) return null;
+
+  const ranges = [];
+  for (const block of [...blocks].sort((a, b) => a.position.start.offset - b.position.start.offset)) {
+    let position = block.position.start.offset;
+    walk(block, node => {
+      if (node.type !== 'inlineCode') return;
+      ranges.push([position, node.position.start.offset]);
+      position = node.position.end.offset;
+    });
+    ranges.push([position, block.position.end.offset]);
+  }
+  return maskOutside(content, ranges);
+}
+
+/**
+ * JSX elements of an MDX document as scripts for ESLint, each a copy of the
+ * document with everything but JSX blanked so positions are unchanged.
+ * Markdown inside an element keeps only its text. Elements are separated by
+ * a ; written over blanked text; those with nothing blank between them go
+ * into the next script.
+ * @param {string} content - .mdx source
+ * @returns {string[]} Empty when there is no JSX or the document does not parse
+ */
+export function mdxToScripts(content) {
+  let tree;
+  try {
+    tree = parseMarkdown(content, true);
+  } catch {
+    return [];
+  }
+
+  const blank = () => content.replace(/[^\r\n]/g, ' ').split('');
+  const scripts = [];
+  let chars = null;
+  let written = -1;
+
+  const copy = (node, clean) => {
+    for (let i = node.position.start.offset; i < node.position.end.offset; i++) {
+      chars[i] = clean ? content[i].replace(/[<>{}]/, ' ') : content[i];
+    }
+  };
+  // Markdown inside JSX: blank the syntax, keep text and nested JSX
+  const keepText = node => {
+    if (JSX_ELEMENTS.includes(node.type)) {
+      keepElement(node);
+    } else if (node.type === 'text' || node.type === 'inlineCode') {
+      copy(node, true);
+    } else {
+      (node.children || []).forEach(keepText);
+    }
+  };
+  const keepElement = node => {
+    copy(node);
+    for (const child of node.children || []) {
+      if (JSX_ELEMENTS.includes(child.type)) {
+        keepElement(child);
+      } else if (!JSX_EXPRESSIONS.includes(child.type)) {
+        for (let i = child.position.start.offset; i < child.position.end.offset; i++) {
+          if (chars[i] !== '\n' && chars[i] !== '\r') chars[i] = ' ';
+        }
+        keepText(child);
+      }
+    }
+  };
+
+  walk(tree, (node, ancestors) => {
+    if (!JSX_ELEMENTS.includes(node.type) || ancestors.some(ancestor => JSX_ELEMENTS.includes(ancestor.type))) return;
+    if (chars) {
+      let separator = node.position.start.offset - 1;
+      while (separator > written && chars[separator] !== ' ') separator--;
+      if (separator > written) {
+        chars[separator] = ';';
+      } else {
+        chars = null;
+      }
+    }
+    if (!chars) {
+      chars = blank();
+      scripts.push(chars);
+    }
+    keepElement(node);
+    written = node.position.end.offset - 1;
+  });
+  return scripts.map(script => script.join(''));
+}
+
+/**
+ * Analyze a Markdown or MDX document
+ * @param {string} content - Document source
+ * @param {string} [filePath] - Reported on each violation; .mdx selects MDX syntax
+ * @param {object} [options]
+ * @param {object} [options.suppressions] - Shared createSuppressions() set (see suppressions.js)
+ * @returns {Promise<Array>} Canonical violations; JSX in MDX is not included (see mdxToScripts)
+ */
+export async function analyzeMarkdown(content, filePath = 'unknown.md', options = {}) {
+  const violations = [];
+  let tree;
+  try {
+    tree = parseMarkdown(content, isMdx(filePath));
+  } catch (error) {
+    violations.push({
+      ruleId: 'mdx-parse-error',
+      severity: 'error',
+      line: error.line || 1,
+      column: error.column || 1,
+      message: `MDX parsing error: ${error.reason || error.message}`,
+    });
+    return normalizeViolations(violations, { analyzer: 'markdown', filePath, content, suppressions: options.suppressions });
+  }
+
+  const headings = [];
+  walk(tree, node => {
+    if (node.type === 'heading') {
+      headings.push(node);
+    }
+
+    if ((node.type === 'image' || node.type === 'imageReference') && !node.alt?.trim()) {
+      violations.push({
+        ruleId: 'img-missing-alt',
+        severity: 'error',
+        ...locate(node),
+        message: 'Image has no alt text',
+      });
+    }
+
+    if (node.type === 'link' || node.type === 'linkReference') {
+      const text = textOf(node).trim().toLowerCase();
+      const hasJSX = node.children.some(child => JSX_ELEMENTS.includes(child.type) || JSX_EXPRESSIONS.includes(child.type));
+      if (!text && !hasJSX) {
+        violations.push({
+          ruleId: 'link-empty',
+          severity: 'error',
+          ...locate(node),
+          message: 'Link has no text',
+        });
+      } else if (NON_DESCRIPTIVE_LINK_TEXT.includes(text)) {
+        violations.push({
+          ruleId: 'link-non-descriptive',
+          severity: 'warning',
+          ...locate(node),
+          message: `Non-descriptive link text: "${text}"`,
+        });
+      }
+    }
+
+    if (node.type === 'table' && node.children[0]?.children.every(cell => !textOf(cell).trim())) {
+      violations.push({
+        ruleId: 'table-missing-headers',
+        severity: 'error',
+        ...locate(node.children[0]),
+        message: 'Table header row is empty, so its columns have no headers',
+      });
+    }
+  });
+
+  headings.forEach((heading, i) => {
+    const previous = headings[i - 1];
+    if (previous && heading.depth > previous.depth + 1) {
+      violations.push({
+        ruleId: 'heading-hierarchy',
+        severity: 'warning',
+        ...locate(heading),
+        message: `Heading hierarchy skipped from h${previous.depth} to h${heading.depth}`,
+      });
+    }
+    if (heading.depth === 1 && headings.slice(0, i).some(earlier => earlier.depth === 1)) {
+      violations.push({
+        ruleId: 'heading-multiple-h1',
+        severity: 'warning',
+        ...locate(heading),
+        message: 'Document has more than one h1',
+      });
+    }
+  });
+
+  const normalized = normalizeViolations(violations, { analyzer: 'markdown', filePath, content, suppressions: options.suppressions });
+
+  const html = extractHTML(content, tree);
+  if (html) {
+    normalized.push(...await analyzeHTML(html, filePath, { ...options, fragment: true, source: content }));
+  }
+  return normalized.sort((a, b) => a.line - b.line || a.column - b.column);
+}
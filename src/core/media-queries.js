@@ -0,0 +1,342 @@
+/**
+ * Media Queries: Checks that depend on which @media blocks apply, run by
+ * css-analyzer.js on the cascade from cascade.js
+ * - Reduced motion: each animated or moving selector must be turned off
+ *   under @media (prefers-reduced-motion: reduce) by its own rule, a
+ *   universal reset (`*, ::before { animation-duration: .01ms }`) or a
+ *   .reduce-motion class rule, unless it only moves inside
+ *   (prefers-reduced-motion: no-preference)
+ * - Forced colors: rules under @media (forced-colors: active) that remove
+ *   outlines or borders, forced-color-adjust: none, focus styles drawn only
+ *   with box-shadow (which forced colors removes), and the legacy
+ *   -ms-high-contrast query
+ * - Reflow: widths are evaluated at a 320px viewport (WCAG 1.4.10), so a
+ *   width a narrow breakpoint overrides, or one only set above it, is fine
+ */
+
+import { splitSelectorList, baseSelector, cascadeDecl } from './cascade.js';
+
+// Viewport width content must reflow at, in CSS px (WCAG 1.4.10)
+export const REFLOW_WIDTH = 320;
+
+// Animations and transitions this short do not move anything (resets use .01ms)
+const INSTANT_MS = 10;
+
+// Properties whose change moves or resizes something on screen
+const MOTION_PROPERTY = /^(all|transform|translate|rotate|scale|top|right|bottom|left|inset(-[\w-]+)?|margin(-[\w-]+)?|width|height|max-height|max-width|offset(-[\w-]+)?|background-position(-[xy])?|scroll-[\w-]+)$/i;
+
+// Animation shorthand keywords that are not the animation's name
+const ANIMATION_KEYWORD = /^(infinite|normal|reverse|alternate|alternate-reverse|none|forwards|backwards|both|running|paused|ease|ease-in|ease-out|ease-in-out|linear|step-start|step-end|initial|inherit|unset)$/i;
+
+// Classes and attributes a script sets to turn motion off
+const REDUCE_MOTION_TOGGLE = /reduced?[-_]?motion|no[-_]?motion|motion[-_]?(reduced?|off)/i;
+
+const TIME = /^(-?\d*\.?\d+)(ms|s)$/i;
+
+// Length in px of an absolute width (em and rem against 16px), or null
+function lengthPx(value) {
+  const match = /^(\d*\.?\d+)(px|rem|em)$/i.exec(value.trim());
+  if (!match) return null;
+  return parseFloat(match[1]) * (match[2].toLowerCase() === 'px' ? 1 : 16);
+}
+
+function timeMs(token) {
+  const match = TIME.exec(token);
+  if (!match) return null;
+  return parseFloat(match[1]) * (match[2].toLowerCase() === 's' ? 1000 : 1);
+}
+
+// Whitespace-separated tokens, keeping functions such as cubic-bezier(...) whole
+function tokens(value) {
+  return value.match(/[\w.-]+\([^)]*\)|[^\s,]+/g) || [];
+}
+
+/**
+ * Whether a media condition holds at a viewport width. Only widths and
+ * media types are evaluated; other features (prefers-*, hover) may hold.
+ * @param {string} context - mediaContext() of a rule ('' outside @media)
+ */
+export function matchesViewport(context, width = REFLOW_WIDTH) {
+  if (!context) return true;
+  return splitSelectorList(context).some(query => {
+    const negated = /^\s*not\s/i.test(query);
+    let holds = !/\b(print|speech)\b/i.test(query);
+    for (const [, feature, value] of query.matchAll(/\(\s*(min-width|max-width)\s*:\s*([^)]+)\)/gi)) {
+      const px = lengthPx(value);
+      if (px === null) continue;
+      if (feature.toLowerCase() === 'min-width' ? width < px : width > px) holds = false;
+    }
+    // Range syntax: (width >= 600px), (600px <= width), (400px < width < 800px)
+    for (const [range] of query.matchAll(/\([^()]*\bwidth\b[^()]*[<>][^()]*\)/gi)) {
+      const parts = range.slice(1, -1).split(/\s*(<=|>=|<|>)\s*/).map(part => part.trim());
+      for (let i = 1; i < parts.length; i += 2) {
+        const [left, operator, right] = [parts[i - 1], parts[i], parts[i + 1]];
+        const a = left.toLowerCase() === 'width' ? width : lengthPx(left);
+        const b = right?.toLowerCase() === 'width' ? width : lengthPx(right || '');
+        if (a === null || b === null) continue;
+        const ok = { '<': a < b, '<=': a <= b, '>': a > b, '>=': a >= b }[operator];
+        if (!ok) holds = false;
+      }
+    }
+    return negated ? !holds : holds;
+  });
+}
+
+/**
+ * prefers-reduced-motion a context targets: 'reduce', 'no-preference' or null
+ */
+export function reducedMotionContext(context) {
+  if (/prefers-reduced-motion\s*:\s*no-preference/i.test(context)) return 'no-preference';
+  if (/prefers-reduced-motion\s*(:\s*reduce\s*)?\)/i.test(context)) return 'reduce';
+  return null;
+}
+
+/**
+ * Whether a context applies in forced-colors (Windows High Contrast) mode
+ */
+export function isForcedColorsContext(context) {
+  return /forced-colors\s*(:\s*active\s*)?\)|-ms-high-contrast\s*:\s*(active|black-on-white|white-on-black)/i.test(context);
+}
+
+// Declarations of a selector outside @media and in the contexts accepted
+function styleWhere(cascade, selector, accepts) {
+  const style = new Map();
+  for (const entry of cascade.rules.get(selector) || []) {
+    if (entry.context && !accepts(entry.context)) continue;
+    for (const decl of entry.decls) cascadeDecl(style, decl);
+  }
+  return style;
+}
+
+function lastCompound(selector) {
+  return selector.split(/\s*[\s>+~]\s*/).at(-1);
+}
+
+// * and *::before, alone or under an ancestor (html *, .motion-reduced *)
+function isUniversal(selector) {
+  return /^(\*|\*?::?(before|after|marker))(::?(before|after|marker))?$/i.test(lastCompound(selector));
+}
+
+/**
+ * @keyframes names that move something (change a MOTION_PROPERTY)
+ * @returns {Map<string, boolean>}
+ */
+function keyframeMotion(roots) {
+  const moving = new Map();
+  for (const root of roots) {
+    root.walkAtRules(/keyframes$/i, atrule => {
+      let moves = false;
+      atrule.walkDecls(decl => {
+        if (decl.prop.toLowerCase() !== 'all' && MOTION_PROPERTY.test(decl.prop)) moves = true;
+      });
+      moving.set(atrule.params.trim(), moving.get(atrule.params.trim()) || moves);
+    });
+  }
+  return moving;
+}
+
+/**
+ * What a selector's animation or transition moves in a context
+ * @returns {{decl: object, what: string}|null}
+ */
+function motionOf(style, moving) {
+  const animation = style.get('animation');
+  const name = style.get('animation-name');
+  const duration = style.get('animation-duration');
+  for (const decl of [name, animation].filter(Boolean)) {
+    for (const item of splitSelectorList(decl.value)) {
+      const parts = tokens(item);
+      const animationName = decl === name
+        ? parts[0]
+        : parts.find(part => !TIME.test(part) && !ANIMATION_KEYWORD.test(part) && !/\(/.test(part) && !/^\d*\.?\d+$/.test(part));
+      if (!animationName || animationName.toLowerCase() === 'none' || moving.get(animationName) === false) continue;
+      // animation-duration wins when it comes later; otherwise the shorthand's first time
+      const ms = duration && (decl === name || duration.source?.start?.offset > decl.source?.start?.offset)
+        ? timeMs(tokens(duration.value)[0] || '')
+        : timeMs(decl === animation ? parts.find(part => TIME.test(part)) || '0s' : '0s');
+      if (ms !== null && ms <= INSTANT_MS) continue;
+      return { decl, what: `Animation "${animationName}"` };
+    }
+  }
+
+  const transition = style.get('transition');
+  const property = style.get('transition-property');
+  const transitionDuration = style.get('transition-duration');
+  // Without a longhand, the shorthand's first duration
+  const shorthandMs = transition ? timeMs(tokens(transition.value).find(part => TIME.test(part)) || '0s') : 0;
+  for (const decl of [property, transition].filter(Boolean)) {
+    for (const item of splitSelectorList(decl.value)) {
+      if (/^none$/i.test(item.trim())) continue;
+      const parts = tokens(item);
+      const transitioned = parts.find(part => !TIME.test(part) && !/\(/.test(part) && !ANIMATION_KEYWORD.test(part))
+        || (decl === transition ? 'all' : null);
+      if (!transitioned || !MOTION_PROPERTY.test(transitioned)) continue;
+      let ms = transitionDuration ? timeMs(tokens(transitionDuration.value)[0] || '0s') : shorthandMs;
+      if (decl === transition && !transitionDuration) ms = timeMs(parts.find(part => TIME.test(part)) || '0s');
+      if (ms !== null && ms <= INSTANT_MS) continue;
+      return { decl, what: `Transition of ${transitioned}` };
+    }
+  }
+  return null;
+}
+
+// Whether a rule turns a selector's animations (or transitions) off under
+// prefers-reduced-motion, or through a class a script toggles
+function turnedOff(cascade, selector, family) {
+  const targets = [selector, baseSelector(selector)];
+  for (const [key, entries] of cascade.rules) {
+    const toggled = REDUCE_MOTION_TOGGLE.test(key) && (isUniversal(key) || lastCompound(key) === lastCompound(selector));
+    for (const entry of entries) {
+      const reduces = reducedMotionContext(entry.context) === 'reduce' && (targets.includes(key) || isUniversal(key));
+      if ((reduces || toggled) && entry.decls.some(decl => decl.prop.toLowerCase().startsWith(family))) return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Animations and moving transitions (transform, position, size) that are
+ * not turned off under prefers-reduced-motion: reduce (WCAG 2.3.3)
+ * @param {object} cascade - buildCascade() result
+ * @param {object} [options]
+ * @param {object[]} [options.roots] - Stylesheets the cascade was built from,
+ *   for @keyframes that only fade or recolor (not reported)
+ * @param {object} [options.root] - Only report nodes of this stylesheet
+ * @returns {Array<{ruleId: string, severity: string, node: object, message: string}>}
+ */
+export function reducedMotionFindings(cascade, { roots = [], root } = {}) {
+  const moving = keyframeMotion(roots);
+  const findings = [];
+  const reported = new Set();
+  for (const [selector, entries] of cascade.rules) {
+    for (const context of new Set(entries.map(entry => entry.context))) {
+      if (reducedMotionContext(context)) continue;
+      const motion = motionOf(styleWhere(cascade, selector, other => other === context), moving);
+      if (!motion || reported.has(motion.decl) || (root && motion.decl.root() !== root)) continue;
+      const family = motion.what.startsWith('Animation') ? 'animation' : 'transition';
+      if (turnedOff(cascade, selector, family)) continue;
+      reported.add(motion.decl);
+      findings.push({
+        ruleId: 'animation-no-reduced-motion',
+        severity: 'warning',
+        node: motion.decl,
+        message: `${motion.what} on ${selector}${context ? ` in @media ${context}` : ''} is not turned off under @media (prefers-reduced-motion: reduce)`,
+      });
+    }
+  }
+  return findings;
+}
+
+/**
+ * Whether a declaration removes an outline or border (none, hidden, 0 width)
+ */
+export function removesEdge(decl) {
+  const prop = decl.prop.toLowerCase();
+  const value = decl.value.trim().toLowerCase();
+  if (/^(outline|border)(-(top|right|bottom|left))?$/.test(prop)) return /^(none|0|0px|hidden)$/.test(value);
+  if (/^(outline|border)(-(top|right|bottom|left))?-style$/.test(prop)) return /^(none|hidden)$/.test(value);
+  if (/^(outline|border)(-(top|right|bottom|left))?-width$/.test(prop)) return /^0(px)?$/.test(value);
+  return false;
+}
+
+/**
+ * Forced-colors (Windows High Contrast) problems: forced-colors rules that
+ * remove outlines or borders and forced-color-adjust: none
+ * (forced-colors-override); focus styles drawn only with box-shadow and
+ * -ms-high-contrast queries without a forced-colors one (contrast-mode-missing)
+ * @param {object} cascade - buildCascade() result
+ * @param {object} [options]
+ * @param {object[]} [options.roots] - Stylesheets the cascade was built from
+ * @param {object} [options.root] - Only report nodes of this stylesheet
+ * @returns {Array<{ruleId: string, severity: string, node: object, message: string}>}
+ */
+export function forcedColorsFindings(cascade, { roots = [], root } = {}) {
+  const findings = [];
+  const ours = node => !root || node.root() === root;
+  const report = (ruleId, node, message) => {
+    if (ours(node)) findings.push({ ruleId, severity: 'warning', node, message });
+  };
+
+  for (const [selector, entries] of cascade.rules) {
+    for (const { context, decls } of entries) {
+      for (const decl of decls) {
+        const prop = decl.prop.toLowerCase();
+        if (isForcedColorsContext(context) && removesEdge(decl)) {
+          report('forced-colors-override', decl, `${decl.prop}: ${decl.value} on ${selector} under @media ${context} removes the ${prop.startsWith('outline') ? 'focus outline' : 'border'} forced-colors users rely on to see its edges`);
+        } else if (/^(-ms-high-contrast-adjust|forced-color-adjust)$/.test(prop) && decl.value.trim().toLowerCase() === 'none') {
+          report('forced-colors-override', decl, `${decl.prop}: none on ${selector} keeps its own colors in forced-colors mode, ignoring the user's high contrast palette`);
+        }
+      }
+    }
+  }
+
+  // Forced colors removes box-shadow; the outline must still show there
+  for (const selector of cascade.rules.keys()) {
+    if (!/:focus/.test(selector) || /:not\(:focus/.test(selector)) continue;
+    const style = styleWhere(cascade, selector, () => false);
+    const base = styleWhere(cascade, baseSelector(selector), () => false);
+    const shadow = style.get('box-shadow');
+    if (!shadow || /^none$|\binset\b/i.test(shadow.value.trim())) continue;
+    const outline = ['outline', 'outline-style', 'outline-width'].map(prop => style.get(prop) || base.get(prop)).filter(Boolean);
+    if (!outline.some(removesEdge)) continue;
+    const restored = [selector, baseSelector(selector)].some(key => (cascade.rules.get(key) || []).some(entry => (
+      isForcedColorsContext(entry.context) && entry.decls.some(decl => /^(outline|border)/i.test(decl.prop) && !removesEdge(decl))
+    )));
+    if (!restored) {
+      report('contrast-mode-missing', shadow, `${selector} shows focus only with box-shadow, which forced-colors mode removes; use outline: 2px solid transparent or restore the outline under @media (forced-colors: active)`);
+    }
+  }
+
+  // -ms-high-contrast only ever worked in Internet Explorer and legacy Edge
+  const forcedColors = [...cascade.contexts].some(context => /forced-colors/i.test(context));
+  for (const stylesheet of roots) {
+    stylesheet.walkAtRules(/^media$/i, atrule => {
+      if (/-ms-high-contrast/i.test(atrule.params) && !forcedColors) {
+        report('contrast-mode-missing', atrule, `@media ${atrule.params.trim()} is only supported by Internet Explorer and legacy Edge; use @media (forced-colors: active)`);
+      }
+    });
+  }
+  return findings;
+}
+
+// Data tables, which WCAG 1.4.10 exempts: they need two dimensions to read
+const TABLE_ELEMENT = /^(table|caption|colgroup|col|thead|tbody|tfoot|tr|th|td)(?![-\w])/i;
+
+/**
+ * Widths that do not fit a 320px viewport (WCAG 1.4.10): the width or
+ * min-width a selector ends up with at that width, unless a max-width in
+ * relative units (or within 320px) caps it. Table elements are exempt
+ * @param {object} cascade - buildCascade() result
+ * @param {object} [options]
+ * @param {object} [options.root] - Only report nodes of this stylesheet
+ * @param {number} [options.width] - Viewport width (default REFLOW_WIDTH)
+ * @returns {Array<{ruleId: string, severity: string, node: object, message: string}>}
+ */
+export function reflowFindings(cascade, { root, width = REFLOW_WIDTH } = {}) {
+  const findings = [];
+  const reported = new Set();
+  for (const selector of cascade.rules.keys()) {
+    if (TABLE_ELEMENT.test(selector.trim().split(/\s*[\s>+~]\s*/).pop())) continue;
+    const style = styleWhere(cascade, selector, context => matchesViewport(context, width));
+    const minWidth = style.get('min-width');
+    const fixed = style.get('width');
+    const maxWidth = style.get('max-width');
+    const capped = maxWidth && (/%|vw|vmin|calc\(|min\(|clamp\(|fit-content|min-content/i.test(maxWidth.value)
+      || (lengthPx(maxWidth.value) ?? Infinity) <= width);
+    const candidates = [
+      minWidth && lengthPx(minWidth.value) > width ? minWidth : null,
+      fixed && lengthPx(fixed.value) > width && !capped ? fixed : null,
+    ];
+    for (const decl of candidates.filter(Boolean)) {
+      if (reported.has(decl) || (root && decl.root() !== root)) continue;
+      reported.add(decl);
+      findings.push({
+        ruleId: 'fixed-width-no-scale',
+        severity: 'warning',
+        node: decl,
+        message: `Fixed ${decl.prop} ${decl.value.trim()} on ${selector} is wider than a ${width}px viewport, so content cannot reflow without horizontal scrolling - use max-width with relative units`,
+      });
+    }
+  }
+  return findings;
+}
@@ -0,0 +1,580 @@
+/**
+ * Page Analyzer: Checks an HTML page together with the stylesheets and
+ * scripts it loads, for problems no single file shows
+ * - Follows <link rel="stylesheet">, <style> blocks, <script src> and inline
+ *   scripts; local files are read relative to the page, remote URLs skipped.
+ *   Files outside the repository root, linked or @imported, are never read
+ *   (pages may be untrusted)
+ * - CSS rules are matched against the page's elements (css-select), ordered
+ *   by specificity and source order; color and font inherit through the
+ *   DOM and backgrounds are composited from the element outwards. Rules in
+ *   @media blocks count when they apply to a desktop screen in light mode
+ * - focus-styles-missing: a focusable element whose outline a rule removes,
+ *   with no :focus/:focus-visible rule matching it that draws another
+ *   indicator
+ * - low-contrast-text: text whose resolved color fails on its background
+ * - hidden-content-accessible: screen-reader-only elements that display:
+ *   none or visibility: hidden removes
+ * - div-as-button: elements a script gives click handlers that cannot be
+ *   focused
+ * Findings are reported at the element in the HTML, grouped when many
+ * elements fail the same way, with the deciding declarations in `trace`.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseDocument } from 'htmlparser2';
+import * as CSSselect from 'css-select';
+import { parse } from '@babel/parser';
+import _traverse from '@babel/traverse';
+import { normalizeViolations, createLocator, rangeFromOffsets } from './violation.js';
+import { registerRules, getRule } from './rule-registry.js';
+import { maskOutside } from './sfc-blocks.js';
+import {
+  parseStyles, importedRoots, outsideImports, isInside, resolveSelector, styleLangForFile, styleDependencies,
+} from './style-syntax.js';
+import { collectCustomProperties, applyCustomProperties } from './custom-properties.js';
+import {
+  splitSelectorList, mediaContext, cascadeDecl, backgroundOf, toPx, HEADING_FONT_SIZES,
+} from './cascade.js';
+import { matchesViewport, removesEdge } from './media-queries.js';
+import {
+  parseColor, composite, getContrastRatio, formatColor, requiredTextContrast, CANVAS,
+} from './color.js';
+// The shared rules below are defined by these analyzers
+import './css-analyzer.js';
+import './html-analyzer.js';
+
+// Handle default export from @babel/traverse
+const traverse = _traverse.default || _traverse;
+
+// Rules of the single-file analyzers this one also reports, at page level
+const PAGE_RULES = ['focus-styles-missing', 'low-contrast-text', 'hidden-content-accessible', 'div-as-button'];
+
+registerRules('page', {
+  ...Object.fromEntries(PAGE_RULES.map(id => [id, getRule(id)])),
+  'page-resource-missing': {
+    severity: 'warning',
+    wcag: [],
+    tags: ['page'],
+    description: 'A stylesheet or script the page loads was not found on disk, or is outside the repository, so the page checks ran without it',
+    fix: [
+      'Fix the href or src, or check the page from the directory it is served from',
+    ],
+    examples: {
+      invalid: '<link rel="stylesheet" href="css/missing.css">',
+      valid: '<link rel="stylesheet" href="css/site.css">',
+    },
+  },
+});
+
+// Viewport the page is evaluated at: @media blocks for wider screens, print,
+// dark mode or forced colors do not apply
+const DESKTOP_WIDTH = 1280;
+const NOT_DEFAULT_MEDIA = /prefers-color-scheme\s*:\s*dark|prefers-contrast|forced-colors|-ms-high-contrast|inverted-colors/i;
+
+const FOCUSABLE = 'a[href], area[href], button:not([disabled]), input:not([type="hidden" i]):not([disabled]), '
+  + 'select:not([disabled]), textarea:not([disabled]), summary, iframe, [tabindex]:not([tabindex="-1"]), '
+  + '[contenteditable]:not([contenteditable="false" i])';
+
+const SCREEN_READER_ONLY = /sr-only|visually-hidden|screen-reader/i;
+
+// Pseudo-classes of a state other than the default one, and pseudo-elements
+const FOCUS_PSEUDO = /:(focus-visible|focus-within|focus)(?![-\w(])/g;
+const OTHER_STATE = /:(hover|active|visited|target|focus-visible\))|:not\(\s*:focus/i;
+const PSEUDO_ELEMENT = /::|:(before|after|first-line|first-letter)(?![-\w])/i;
+
+// Properties a :focus rule can draw an indicator with
+const INDICATOR_PROP = /^(outline|outline-(style|width|color)|box-shadow|border(-[\w-]+)?|background(-color)?|color|text-decoration(-[\w-]+)?)$/;
+
+// Elements whose text is never rendered
+const NOT_RENDERED = new Set(['script', 'style', 'noscript', 'template', 'title', 'head']);
+
+// Form controls get their text color from the browser, not their parent
+const FORM_CONTROL = new Set(['button', 'input', 'select', 'textarea']);
+
+// Elements bold by default
+const BOLD_ELEMENTS = new Set(['b', 'strong', 'th', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6']);
+
+// Declarations of style="" attributes, reported as the attribute
+const inlineDecls = new WeakSet();
+
+/**
+ * A local file referenced by the page, or null for remote URLs
+ */
+function resolveResource(reference, filePath) {
+  const clean = (reference || '').trim().replace(/[?#].*$/, '');
+  if (!clean || /^([a-z][a-z0-9+.-]*:|\/\/)/i.test(clean)) return null;
+  // Root-relative URLs are taken from the page's directory
+  return path.resolve(path.dirname(path.resolve(filePath)), clean.replace(/^\/+/, ''));
+}
+
+/**
+ * Stylesheets and scripts a page loads, in document order
+ * @param {string} rootDir - Repository root; files outside it are marked `outside`
+ * @returns {Array<{kind: 'style'|'script', node: object, file: string|null,
+ *   inline: boolean, outside: boolean}>} file: absolute path (null for inline blocks)
+ */
+function pageResources(dom, filePath, rootDir) {
+  const resources = [];
+  const local = (kind, node, file) => {
+    if (file) resources.push({ kind, node, file, inline: false, outside: !isInside(file, rootDir) });
+  };
+  for (const node of CSSselect.selectAll('link[rel~="stylesheet" i][href], style, script', dom)) {
+    if (node.name === 'link') {
+      if (/\b(print|speech)\b/i.test(node.attribs.media || '')) continue;
+      local('style', node, resolveResource(node.attribs.href, filePath));
+    } else if (node.name === 'style') {
+      resources.push({ kind: 'style', node, file: null, inline: true });
+    } else if (!node.attribs.type || /^(module|(text|application)\/(java|ecma)script)$/i.test(node.attribs.type)) {
+      if (node.attribs.src === undefined) {
+        resources.push({ kind: 'script', node, file: null, inline: true });
+      } else {
+        local('script', node, resolveResource(node.attribs.src, filePath));
+      }
+    }
+  }
+  return resources;
+}
+
+function parsePage(content) {
+  return parseDocument(content, { withStartIndices: true, withEndIndices: true, lowerCaseTags: true });
+}
+
+/**
+ * Files a page loads (stylesheets, their imports and scripts), for
+ * result-cache keys: the page findings depend on them
+ * @param {string} [rootDir] - Repository root (default: the working directory)
+ * @returns {Array<{file: string, content: string}>}
+ */
+export function pageDependencies(content, filePath, rootDir = process.cwd()) {
+  const dependencies = [];
+  for (const { kind, file, outside } of pageResources(parsePage(content), filePath, rootDir)) {
+    if (!file || outside) continue;
+    try {
+      const text = fs.readFileSync(file, 'utf8');
+      dependencies.push({ file, content: text });
+      if (kind === 'style') dependencies.push(...styleDependencies(text, file, { rootDir }));
+    } catch {
+      // Reported as page-resource-missing
+    }
+  }
+  return dependencies;
+}
+
+// Range of an element's start tag
+function startTag(content, locator, node) {
+  const end = content.indexOf('>', node.startIndex);
+  return rangeFromOffsets(locator, node.startIndex, end === -1 ? node.startIndex : end + 1);
+}
+
+function describe(node) {
+  const id = node.attribs.id ? ` id="${node.attribs.id}"` : '';
+  const className = node.attribs.class ? ` class="${node.attribs.class.trim()}"` : '';
+  return `<${node.name}${id}${className}>`;
+}
+
+// Where a declaration is: "selector (file:line)", or the style attribute
+function origin(decl, filePath) {
+  if (inlineDecls.has(decl)) return 'its style attribute';
+  const file = decl.source?.input?.file;
+  const where = file && path.resolve(file) !== path.resolve(filePath) ? `${path.basename(file)}:` : 'line ';
+  return `${resolveSelector(decl.parent)} (${where}${decl.source?.start?.line ?? '?'})`;
+}
+
+function traceEntry(decl, filePath) {
+  if (inlineDecls.has(decl)) return null;
+  const { line, column } = decl.source?.start || {};
+  return { name: resolveSelector(decl.parent), value: `${decl.prop}: ${decl.value}`, filePath: decl.source?.input?.file || filePath, line, column };
+}
+
+/**
+ * Specificity of one selector as a single number (ids, then classes,
+ * attributes and pseudo-classes, then types)
+ */
+function specificity(selector) {
+  const text = selector
+    .replace(/:where\((?:[^()]|\([^()]*\))*\)/gi, '')
+    .replace(/:(?:not|is|has|matches)\(((?:[^()]|\([^()]*\))*)\)/gi, ' $1 ');
+  const ids = (text.match(/#[\w-]+/g) || []).length;
+  const classes = (text.match(/\.[\w-]+|\[[^\]]*\]|:(?!:)[\w-]+/g) || []).length;
+  const types = (text.replace(/\[[^\]]*\]/g, '').match(/(?:^|[\s>+~])[a-z][\w-]*|::[\w-]+/gi) || []).length;
+  return ids * 10000 + classes * 100 + types;
+}
+
+/**
+ * Rules of the page's stylesheets that can match elements, with their
+ * selectors compiled: state '' for the default state, 'focus' for rules
+ * that only apply while the element (or one inside it) has focus
+ */
+function indexRules(roots) {
+  const rules = [];
+  let order = 0;
+  for (const root of roots) {
+    root.walkRules(rule => {
+      if (rule.parent?.type === 'atrule' && /keyframes$/i.test(rule.parent.name)) return;
+      const context = mediaContext(rule);
+      if (context && (!matchesViewport(context, DESKTOP_WIDTH) || NOT_DEFAULT_MEDIA.test(context))) return;
+      const decls = rule.nodes.filter(node => node.type === 'decl');
+      if (decls.length === 0) return;
+      for (const selector of splitSelectorList(resolveSelector(rule))) {
+        order++;
+        if (PSEUDO_ELEMENT.test(selector) || OTHER_STATE.test(selector)) continue;
+        const focus = FOCUS_PSEUDO.test(selector);
+        FOCUS_PSEUDO.lastIndex = 0;
+        // :focus alone stands for *:focus
+        const stateless = selector.replace(/(^|[\s>+~(,])(?=:)/g, '$1*').replace(FOCUS_PSEUDO, '');
+        let test;
+        try {
+          test = CSSselect.compile(stateless);
+        } catch {
+          // Selectors css-select cannot evaluate are left out
+          continue;
+        }
+        rules.push({ selector, test, decls, state: focus ? 'focus' : '', order, specificity: specificity(selector) });
+      }
+    });
+  }
+  return rules;
+}
+
+/**
+ * Parse style="" attributes into declarations
+ * @returns {Promise<Map<object, object[]>>} element → declarations
+ */
+async function inlineStyles(dom) {
+  const styles = new Map();
+  for (const node of CSSselect.selectAll('[style]', dom)) {
+    try {
+      const root = await parseStyles(`*{${node.attribs.style}}`, 'css');
+      const decls = root.first?.nodes.filter(child => child.type === 'decl') || [];
+      decls.forEach(decl => inlineDecls.add(decl));
+      styles.set(node, decls);
+    } catch {
+      // An unparsable style attribute is reported by the HTML checks' CSS
+    }
+  }
+  return styles;
+}
+
+/**
+ * Elements given click handlers by the page's scripts, through
+ * querySelector(All), getElementById, getElementsBy* or $()/jQuery()
+ * @returns {Array<{selector: string, line: number, file: string}>}
+ */
+function clickTargets(code, file) {
+  let ast;
+  try {
+    ast = parse(code, { sourceType: 'unambiguous', plugins: ['jsx', 'typescript'], errorRecovery: true });
+  } catch {
+    // Syntax errors are reported when the script is analyzed itself
+    return [];
+  }
+
+  const lookups = {
+    querySelector: value => value,
+    querySelectorAll: value => value,
+    getElementById: value => `#${value}`,
+    getElementsByClassName: value => value.trim().split(/\s+/).map(name => `.${name}`).join(''),
+    getElementsByTagName: value => value,
+  };
+
+  // Selector of the elements an expression stands for, or null
+  const selectorOf = (node, scope, depth = 0) => {
+    if (!node || depth > 5) return null;
+    if (node.type === 'CallExpression') {
+      const [argument] = node.arguments;
+      const text = argument?.type === 'StringLiteral' ? argument.value : null;
+      if (node.callee.type === 'MemberExpression' && lookups[node.callee.property.name] && text) {
+        return lookups[node.callee.property.name](text);
+      }
+      if (node.callee.type === 'Identifier' && ['$', 'jQuery'].includes(node.callee.name) && text) return text;
+      return null;
+    }
+    if (node.type === 'MemberExpression' && node.computed) return selectorOf(node.object, scope, depth + 1);
+    if (node.type !== 'Identifier') return null;
+    const binding = scope.getBinding(node.name);
+    if (!binding) return null;
+    if (binding.path.isVariableDeclarator()) return selectorOf(binding.path.node.init, binding.path.scope, depth + 1);
+    // elements.forEach(element => element.addEventListener(...))
+    const fn = binding.kind === 'param' ? binding.path.parentPath : null;
+    const call = fn?.parentPath;
+    if (call?.isCallExpression() && call.node.callee.type === 'MemberExpression' && call.node.callee.property.name === 'forEach') {
+      return selectorOf(call.node.callee.object, call.scope, depth + 1);
+    }
+    return null;
+  };
+
+  const targets = [];
+  traverse(ast, {
+    CallExpression(callPath) {
+      const { callee, arguments: args } = callPath.node;
+      if (callee.type !== 'MemberExpression') return;
+      const method = callee.property.name;
+      const event = args[0]?.type === 'StringLiteral' ? args[0].value : null;
+      const clicks = (method === 'addEventListener' || method === 'on') ? event === 'click' : method === 'click' && args.length > 0;
+      if (!clicks) return;
+      const selector = selectorOf(callee.object, callPath.scope);
+      if (selector) targets.push({ selector, line: callPath.node.loc.start.line, file });
+    },
+    AssignmentExpression(assignPath) {
+      const { left } = assignPath.node;
+      if (left.type !== 'MemberExpression' || left.property.name !== 'onclick') return;
+      const selector = selectorOf(left.object, assignPath.scope);
+      if (selector) targets.push({ selector, line: assignPath.node.loc.start.line, file });
+    },
+  });
+  return targets;
+}
+
+function isElement(node) {
+  return node?.type === 'tag' || node?.type === 'script' || node?.type === 'style';
+}
+
+/**
+ * Analyze an HTML page with the stylesheets and scripts it loads
+ * @param {string} content - HTML source of the page
+ * @param {string} filePath - Path of the page; linked files are read relative to it
+ * @param {object} [options]
+ * @param {object} [options.suppressions] - Shared createSuppressions() set (see suppressions.js)
+ * @param {string} [options.rootDir] - Repository root; linked or imported files outside
+ *   it are reported as page-resource-missing and not read (default: the working directory)
+ * @returns {Promise<Array>} Canonical violations (analyzer 'page')
+ */
+export async function analyzePage(content, filePath, options = {}) {
+  const violations = [];
+  const locator = createLocator(content);
+  const dom = parsePage(content);
+
+  // Stylesheets and scripts, in the order the page loads them
+  const rootDir = options.rootDir || process.cwd();
+  const roots = [];
+  const scripts = [];
+  for (const { kind, node, file, inline, outside } of pageResources(dom, filePath, rootDir)) {
+    let text;
+    if (outside) {
+      violations.push({
+        ruleId: 'page-resource-missing',
+        severity: 'warning',
+        ...startTag(content, locator, node),
+        message: `${describe(node)} loads ${node.attribs.href ?? node.attribs.src}, which is outside the repository and was not read; the page was checked without it`,
+      });
+      continue;
+    } else if (inline) {
+      const start = content.indexOf('>', node.startIndex) + 1;
+      const end = content.lastIndexOf(`</${node.name}`, node.endIndex);
+      text = kind === 'style' ? maskOutside(content, [[start, Math.max(start, end)]]) : content.slice(start, Math.max(start, end));
+    } else {
+      try {
+        text = fs.readFileSync(file, 'utf8');
+      } catch {
+        violations.push({
+          ruleId: 'page-resource-missing',
+          severity: 'warning',
+          ...startTag(content, locator, node),
+          message: `${describe(node)} loads ${path.relative(path.dirname(path.resolve(filePath)), file)}, which was not found; the page was checked without it`,
+        });
+        continue;
+      }
+    }
+    if (kind === 'script') {
+      scripts.push({ text, file: file || filePath, offset: inline ? locator.positionAt(content.indexOf('>', node.startIndex) + 1).line - 1 : 0 });
+      continue;
+    }
+    try {
+      const root = await parseStyles(text, (file && styleLangForFile(file)) || 'css', file || filePath, { rootDir });
+      roots.push(...importedRoots(root), root);
+      for (const imported of outsideImports(root)) {
+        violations.push({
+          ruleId: 'page-resource-missing',
+          severity: 'warning',
+          ...startTag(content, locator, node),
+          message: `${describe(node)} imports ${path.relative(path.dirname(path.resolve(filePath)), imported)}, which is outside the repository and was not read; the page was checked without it`,
+        });
+      }
+    } catch {
+      // Stylesheets that do not parse are reported by the CSS analyzer
+    }
+  }
+
+  const properties = collectCustomProperties(roots, resolveSelector);
+  applyCustomProperties(roots, properties, resolveSelector);
+  const rules = indexRules(roots);
+  const inline = await inlineStyles(dom);
+
+  // Declarations that apply to an element, and the ones from :focus rules
+  const computed = new Map();
+  const styleOf = (element, state = '') => {
+    if (!computed.has(element)) computed.set(element, new Map());
+    const cache = computed.get(element);
+    if (cache.has(state)) return cache.get(state);
+    const matched = rules
+      .filter(rule => (rule.state === '' || rule.state === state) && rule.test(element))
+      .sort((a, b) => a.specificity - b.specificity || a.order - b.order);
+    const style = new Map();
+    const focusDecls = new Set();
+    for (const rule of matched) {
+      for (const decl of rule.decls) {
+        cascadeDecl(style, decl);
+        if (rule.state === 'focus') focusDecls.add(decl);
+      }
+    }
+    for (const decl of inline.get(element) || []) cascadeDecl(style, decl);
+    const result = { style, focusDecls };
+    cache.set(state, result);
+    return result;
+  };
+
+  // Nearest declaration of an inherited property, from the element outwards
+  const inherited = (element, props, { own = false } = {}) => {
+    for (let node = element; isElement(node); node = node.parent) {
+      const { style } = styleOf(node);
+      const decl = props.map(prop => style.get(prop)).find(Boolean);
+      if (decl && decl.value.trim().toLowerCase() !== 'inherit') return decl;
+      if (own) return null;
+    }
+    return null;
+  };
+
+  const isRendered = element => {
+    for (let node = element; isElement(node); node = node.parent) {
+      if (NOT_RENDERED.has(node.name)) return false;
+      const { style } = styleOf(node);
+      if (style.get('display')?.value.trim().toLowerCase() === 'none') return false;
+      if (node === element && /^(hidden|collapse)$/i.test(style.get('visibility')?.value.trim() || '')) return false;
+    }
+    const visibility = inherited(element, ['visibility']);
+    return !/^(hidden|collapse)$/i.test(visibility?.value.trim() || '');
+  };
+
+  // Findings of the same rule, declarations and outcome are reported once,
+  // at the first element, with a count of the others; messages take the
+  // " (and N more elements)" suffix
+  const groups = new Map();
+  const report = (key, element, finding) => {
+    if (groups.has(key)) {
+      groups.get(key).others++;
+      return;
+    }
+    groups.set(key, { element, finding, others: 0 });
+  };
+
+  // Focus indicators
+  const focusable = new Set(CSSselect.selectAll(FOCUSABLE, dom));
+  for (const element of focusable) {
+    const { style, focusDecls } = styleOf(element, 'focus');
+    const removal = ['outline', 'outline-style', 'outline-width'].map(prop => style.get(prop)).find(decl => decl && removesEdge(decl));
+    if (!removal) continue;
+    const indicator = [...style.values()].some(decl => (
+      focusDecls.has(decl) && INDICATOR_PROP.test(decl.prop.toLowerCase()) && !removesEdge(decl) && !/^none$/i.test(decl.value.trim())
+    ));
+    if (indicator) continue;
+    report(`focus:${removal.source?.input?.file}:${removal.source?.start?.offset}:${element.name}`, element, {
+      ruleId: 'focus-styles-missing',
+      severity: 'warning',
+      message: more => `${describe(element)}${more} has no visible focus indicator: ${removal.prop}: ${removal.value} from ${origin(removal, filePath)} removes the outline, and no :focus or :focus-visible rule matching it draws another`,
+      trace: [traceEntry(removal, filePath)].filter(Boolean),
+    });
+  }
+
+  // Text contrast
+  for (const element of CSSselect.selectAll('*', dom)) {
+    const hasText = element.children.some(child => child.type === 'text' && child.data.trim());
+    if (!hasText || !isRendered(element)) continue;
+    const colorDecl = inherited(element, ['color'], { own: FORM_CONTROL.has(element.name) });
+    const foreground = colorDecl ? parseColor(colorDecl.value) : { r: 0, g: 0, b: 0, alpha: 1 };
+    if (!foreground || foreground.alpha === 0) continue;
+    // Composite backgrounds from the element outwards until an opaque one
+    const layers = [];
+    let unknown = false;
+    for (let node = element; isElement(node); node = node.parent) {
+      const layer = backgroundOf(styleOf(node).style, foreground);
+      if (!layer) continue;
+      if (layer.unknown) {
+        unknown = true;
+        break;
+      }
+      layers.push(layer);
+      if (layer.color.alpha >= 1) break;
+    }
+    // Browser-drawn control backgrounds, images and unset colors are not guessed at
+    if (unknown || (FORM_CONTROL.has(element.name) && !colorDecl) || (!colorDecl && layers.length === 0)) continue;
+    const backdrop = layers.reduceRight((under, layer) => composite(layer.color, under), CANVAS);
+    const backgroundDecl = layers.find(layer => layer.color.alpha > 0)?.decl || layers[0]?.decl;
+    const color = colorDecl ? composite(foreground, backdrop) : foreground;
+
+    const sizeDecl = inherited(element, ['font-size', 'font']);
+    const sizeValue = sizeDecl?.prop.toLowerCase() === 'font'
+      ? (/(?:^|\s)(\d*\.?\d+(?:px|pt|r?em|%))(?:\/|\s|$)/.exec(sizeDecl.value) || [])[1] || ''
+      : sizeDecl?.value;
+    const size = (sizeValue ? toPx(sizeValue) : null) ?? HEADING_FONT_SIZES[element.name] ?? null;
+    const weightDecl = inherited(element, ['font-weight', 'font']);
+    const bold = weightDecl ? /\b(bold|bolder|[6-9]00)\b/i.test(weightDecl.value) : BOLD_ELEMENTS.has(element.name);
+    const required = requiredTextContrast(size, bold);
+    const ratio = getContrastRatio(color, backdrop);
+    if (ratio >= required) continue;
+
+    const sources = [
+      colorDecl ? `color from ${origin(colorDecl, filePath)}` : null,
+      backgroundDecl ? `background from ${origin(backgroundDecl, filePath)}` : null,
+    ].filter(Boolean);
+    const key = `contrast:${formatColor(color)}:${formatColor(backdrop)}:${required}:${sources.join()}`;
+    report(key, element, {
+      ruleId: 'low-contrast-text',
+      severity: 'error',
+      message: more => `Text of ${describe(element)}${more} has low contrast ratio (${ratio.toFixed(2)}:1) between ${formatColor(color)} and background ${formatColor(backdrop)}`
+        + ` (${sources.join(', ')}). WCAG AA requires ${required === 3 ? '3:1 for large text' : '4.5:1 for normal text'}`,
+      trace: [colorDecl, backgroundDecl].filter(Boolean).map(decl => traceEntry(decl, filePath)).filter(Boolean),
+    });
+  }
+
+  // Screen-reader-only content hidden from screen readers
+  for (const element of CSSselect.selectAll('[class], [id]', dom)) {
+    if (!SCREEN_READER_ONLY.test(`${element.attribs.class || ''} ${element.attribs.id || ''}`)) continue;
+    const { style } = styleOf(element);
+    const hiding = [style.get('display'), style.get('visibility')]
+      .find(decl => decl && /^(none|hidden)$/i.test(decl.value.trim()));
+    if (!hiding) continue;
+    report(`hidden:${hiding.source?.input?.file}:${hiding.source?.start?.offset}`, element, {
+      ruleId: 'hidden-content-accessible',
+      severity: 'error',
+      message: more => `Screen reader text in ${describe(element)}${more} is hidden from screen readers too: ${hiding.prop}: ${hiding.value} from ${origin(hiding, filePath)}`,
+      trace: [traceEntry(hiding, filePath)].filter(Boolean),
+    });
+  }
+
+  // Click handlers from scripts on elements the keyboard cannot reach,
+  // reported once per element
+  const clickable = new Set();
+  for (const { text, file, offset } of scripts) {
+    for (const { selector, line } of clickTargets(text, file)) {
+      let elements;
+      try {
+        elements = CSSselect.selectAll(selector, dom);
+      } catch {
+        continue;
+      }
+      const where = `${file === filePath ? 'line ' : `${path.basename(file)}:`}${line + offset}`;
+      for (const element of elements.filter(node => !focusable.has(node) && !clickable.has(node))) {
+        clickable.add(element);
+        report(`click:${file}:${line}:${element.name}`, element, {
+          ruleId: 'div-as-button',
+          severity: 'error',
+          message: more => `${describe(element)}${more} gets a click handler (${where}) but cannot be focused or used from the keyboard; use a <button>, or add role="button", tabindex="0" and a keydown handler`,
+        });
+      }
+    }
+  }
+
+  for (const { element, finding, others } of groups.values()) {
+    const more = others ? ` (and ${others} more element${others === 1 ? '' : 's'})` : '';
+    violations.push({
+      ...finding,
+      ...startTag(content, locator, element),
+      message: finding.message(more),
+    });
+  }
+
+  violations.sort((a, b) => a.line - b.line || a.column - b.column);
+  return normalizeViolations(violations, { analyzer: 'page', filePath, content, suppressions: options.suppressions });
+}
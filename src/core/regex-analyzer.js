@@ -5,51 +5,433 @@
  */
 
 import path from 'path';
+import { normalizeViolations } from './violation.js';
+import { registerRules } from './rule-registry.js';
+import { NON_DESCRIPTIVE_LINK_TEXT } from './html-analyzer.js';
+import { TEMPLATE_SYNTAXES, templateSyntaxForFile, maskTemplate } from './template-preprocessor.js';
+import { parseBlocks, maskOutside } from './sfc-blocks.js';
+
+const STYLE_EXTENSIONS = ['.css', '.scss', '.sass', '.less', '.styl', '.stylus'];
+// Single-file components whose <style> blocks get the CSS checks
+const COMPONENT_EXTENSIONS = ['.vue', '.svelte'];
+
+/**
+ * Rules reported by the fast path. Rules shared with an AST analyzer keep
+ * that analyzer's metadata once it is loaded.
+ */
+registerRules('regex', {
+  'img-missing-alt': {
+    severity: 'error',
+    wcag: ['1.1.1'],
+    tags: ['images', 'alt-text'],
+    description: 'Image elements must have an alt attribute',
+    fix: [
+      'Add alt="description" to the image tag',
+    ],
+    examples: {
+      invalid: '<img src="logo.png">',
+      valid: '<img src="logo.png" alt="Company logo">',
+    },
+    equivalents: ['jsx-a11y/alt-text'],
+  },
+  'div-button': {
+    severity: 'error',
+    wcag: ['1.3.1', '4.1.2'],
+    tags: ['keyboard', 'keyboard-nav'],
+    description: 'Div with a click handler should be a semantic button',
+    fix: [
+      'Replace <div onClick> with <button>',
+      'Add role="button" tabIndex="0" and keyboard handlers',
+    ],
+    examples: {
+      invalid: '<div onClick={save}>Save</div>',
+      valid: '<button type="button" onClick={save}>Save</button>',
+    },
+    equivalents: [
+      'div-as-button',
+      'click-without-keyboard',
+      'jsx-a11y/no-static-element-interactions',
+      'jsx-a11y/click-events-have-key-events',
+      'jsx-a11y/no-noninteractive-element-interactions',
+    ],
+  },
+  'button-missing-accessible-name': {
+    severity: 'error',
+    wcag: ['4.1.2'],
+    tags: ['buttons'],
+    description: 'Buttons must have text content or an aria-label',
+    fix: [
+      'Add text inside button',
+      'Add aria-label="description"',
+    ],
+    examples: {
+      invalid: '<button><Icon /></button>',
+      valid: '<button aria-label="Close"><Icon /></button>',
+    },
+    equivalents: ['button-empty', 'jsx-a11y/control-has-associated-label'],
+  },
+  'input-missing-label': {
+    severity: 'error',
+    wcag: ['1.3.1', '3.3.2'],
+    tags: ['forms', 'form-labels'],
+    description: 'Form inputs must have an associated label',
+    fix: [
+      'Add a <label for="..."> element',
+      'Or add aria-label="description"',
+    ],
+    examples: {
+      invalid: '<input id="email" type="email">',
+      valid: '<label for="email">Email</label>\n<input id="email" type="email">',
+    },
+    equivalents: [
+      'form-input-missing-label',
+      'jsx-a11y/label-has-associated-control',
+      'jsx-a11y/control-has-associated-label',
+    ],
+  },
+  'link-non-descriptive': {
+    severity: 'warning',
+    wcag: ['2.4.4'],
+    tags: ['links'],
+    description: 'Link text must describe the link destination',
+    fix: [
+      'Use descriptive link text that makes sense out of context',
+    ],
+    examples: {
+      invalid: '<a href="/pricing">Click here</a>',
+      valid: '<a href="/pricing">View pricing plans</a>',
+    },
+  },
+  'placeholder-as-label': {
+    severity: 'error',
+    wcag: ['3.3.2'],
+    tags: ['forms', 'form-labels'],
+    description: 'Placeholder text must not replace a label',
+    fix: [
+      'Add <label> element with for attribute',
+      'Keep placeholder as hint, but add proper label',
+    ],
+    examples: {
+      invalid: '<input type="email" placeholder="Email">',
+      valid: '<label for="email">Email</label>\n<input type="email" id="email" placeholder="name@example.com">',
+    },
+  },
+  'missing-h1': {
+    severity: 'warning',
+    wcag: ['1.3.1', '2.4.6'],
+    tags: ['headings', 'heading-hierarchy'],
+    description: 'Pages should have an h1 heading',
+    fix: [
+      'Add <h1>Main Page Title</h1>',
+    ],
+    examples: {
+      invalid: '<h2>Welcome</h2>',
+      valid: '<h1>Welcome</h1>',
+    },
+  },
+  'heading-level-skip': {
+    severity: 'warning',
+    wcag: ['1.3.1'],
+    tags: ['headings', 'heading-hierarchy'],
+    description: 'Heading levels should increase one at a time',
+    fix: [
+      'Use sequential heading levels (h1, h2, h3, etc.)',
+    ],
+    examples: {
+      invalid: '<h1>Title</h1>\n<h4>Section</h4>',
+      valid: '<h1>Title</h1>\n<h2>Section</h2>',
+    },
+    equivalents: ['heading-hierarchy'],
+  },
+  'heading-multiple-h1': {
+    severity: 'warning',
+    wcag: ['1.3.1', '2.4.6'],
+    tags: ['headings', 'heading-hierarchy'],
+    description: 'A Markdown document should have a single # heading',
+    fix: [
+      'Use ## and below for sections',
+    ],
+    examples: {
+      invalid: '# Install\n\n# Configure',
+      valid: '# Setup\n\n## Install',
+    },
+  },
+  'duplicate-id': {
+    severity: 'error',
+    wcag: ['4.1.1'],
+    tags: ['parsing', 'semantic-html'],
+    description: 'id attribute values must be unique',
+    fix: [
+      'Change one of the duplicate IDs to a unique value',
+      'Use class instead of id if uniqueness is not required',
+    ],
+    examples: {
+      invalid: '<input id="name">\n<input id="name">',
+      valid: '<input id="first-name">\n<input id="last-name">',
+    },
+  },
+  'aria-labelledby-invalid': {
+    severity: 'error',
+    wcag: ['4.1.2'],
+    tags: ['aria', 'aria-required'],
+    description: 'aria-labelledby must reference an existing id',
+    fix: [
+      'Add the referenced id to the labelling element',
+      'Or use aria-label instead',
+    ],
+    examples: {
+      invalid: '<div role="dialog" aria-labelledby="dlg-title">',
+      valid: '<div role="dialog" aria-labelledby="dlg-title">\n  <h2 id="dlg-title">Confirm</h2>',
+    },
+  },
+  'custom-interactive-missing-keyboard': {
+    severity: 'error',
+    wcag: ['2.1.1', '2.1.2'],
+    tags: ['keyboard', 'keyboard-nav'],
+    description: 'Elements with interactive roles must support the keyboard',
+    fix: [
+      'Add tabIndex={0} for keyboard focus',
+      'Add onKeyDown handler for Enter and Space keys',
+    ],
+    examples: {
+      invalid: '<div role="button" onClick={open}>Open</div>',
+      valid: '<div role="button" tabIndex={0} onClick={open} onKeyDown={onKey}>Open</div>',
+    },
+    equivalents: [
+      'div-as-button',
+      'jsx-a11y/interactive-supports-focus',
+      'jsx-a11y/click-events-have-key-events',
+    ],
+  },
+  'html-missing-lang': {
+    severity: 'error',
+    wcag: ['3.1.1'],
+    tags: ['language'],
+    description: 'The <html> element must have a lang attribute',
+    fix: [
+      'Add lang="en" to <html> tag',
+    ],
+    examples: {
+      invalid: '<html>',
+      valid: '<html lang="en">',
+    },
+    equivalents: ['missing-lang', 'jsx-a11y/html-has-lang'],
+  },
+  'iframe-missing-title': {
+    severity: 'error',
+    wcag: ['2.4.1', '4.1.2'],
+    tags: ['frames'],
+    description: 'Iframes must have a title describing their content',
+    fix: [
+      'Add title="description" to iframe',
+    ],
+    examples: {
+      invalid: '<iframe src="https://www.youtube.com/embed/xyz"></iframe>',
+      valid: '<iframe src="https://www.youtube.com/embed/xyz" title="Product demo video"></iframe>',
+    },
+    equivalents: ['jsx-a11y/iframe-has-title'],
+  },
+  'missing-focus-styles': {
+    severity: 'warning',
+    wcag: ['2.4.7'],
+    tags: ['focus', 'focus-visible'],
+    description: 'Stylesheets should define :focus styles',
+    fix: [
+      'Add :focus styles for interactive elements',
+    ],
+    examples: {
+      invalid: 'button:hover { color: #fff; }',
+      valid: 'button:hover,\nbutton:focus-visible { color: #fff; }',
+    },
+    equivalents: ['focus-styles-missing'],
+  },
+  'outline-none-no-alternative': {
+    severity: 'error',
+    wcag: ['2.4.7'],
+    tags: ['focus', 'focus-visible'],
+    description: 'outline: none must be replaced by another focus indicator',
+    fix: [
+      'Add custom focus style: button:focus { box-shadow: 0 0 0 3px rgba(0,0,255,0.3); }',
+      'Or remove outline: none to keep default focus indicator',
+    ],
+    examples: {
+      invalid: 'button { outline: none; }',
+      valid: 'button:focus-visible { outline: 2px solid #005fcc; }',
+    },
+    equivalents: ['focus-outline-removed'],
+  },
+  'font-size-too-small': {
+    severity: 'error',
+    wcag: ['1.4.4'],
+    tags: ['typography'],
+    description: 'Font sizes below 10px are unreadable',
+    fix: [
+      'Change font-size to at least 12px',
+      'For body text, use 16px or larger',
+      'Use relative units (rem, em) for better scalability',
+    ],
+    examples: {
+      invalid: '.note { font-size: 8px; }',
+      valid: '.note { font-size: 0.75rem; }',
+    },
+    equivalents: ['small-text-size'],
+  },
+  'font-size-small': {
+    severity: 'warning',
+    wcag: ['1.4.4'],
+    tags: ['typography'],
+    description: 'Font sizes below 12px are hard to read',
+    fix: [
+      'Increase to at least 12px',
+      'For body text, use 16px or larger',
+    ],
+    examples: {
+      invalid: '.note { font-size: 11px; }',
+      valid: '.note { font-size: 0.875rem; }',
+    },
+    equivalents: ['small-text-size'],
+  },
+  'touch-target-too-small': {
+    severity: 'error',
+    wcag: ['2.5.5'],
+    tags: ['touch-targets'],
+    description: 'Touch targets should be at least 44x44px',
+    fix: [
+      'Increase width and height to at least 44px',
+      'Add padding to increase effective touch target size',
+    ],
+    examples: {
+      invalid: '.btn-icon { width: 20px; }',
+      valid: '.btn-icon { min-width: 44px; min-height: 44px; }',
+    },
+    equivalents: ['insufficient-touch-target'],
+  },
+  'display-none-on-interactive': {
+    severity: 'warning',
+    wcag: ['2.1.1', '4.1.2'],
+    tags: ['screen-readers'],
+    description: 'display: none on interactive classes hides them from assistive technology',
+    fix: [
+      'Use .sr-only or visually-hidden class instead',
+      'Example: .visually-hidden { position: absolute; width: 1px; height: 1px; clip: rect(0,0,0,0); overflow: hidden; }',
+    ],
+    examples: {
+      invalid: '.menu-link { display: none; }',
+      valid: '.menu-link { position: absolute; width: 1px; height: 1px; clip: rect(0 0 0 0); overflow: hidden; }',
+    },
+    equivalents: ['hidden-content-accessible'],
+  },
+  'text-transparent': {
+    severity: 'error',
+    wcag: ['1.4.3'],
+    tags: ['color', 'contrast'],
+    description: 'Text color must not be transparent',
+    fix: [
+      'Use a visible color: color: #333;',
+      'If hiding text visually, ensure it\'s available to screen readers',
+    ],
+    examples: {
+      invalid: '.label { color: transparent; }',
+      valid: '.label { color: #333; }',
+    },
+    equivalents: ['transparent-text'],
+  },
+  'pointer-events-none': {
+    severity: 'error',
+    wcag: ['2.1.1', '2.5.3'],
+    tags: ['keyboard', 'keyboard-nav'],
+    description: 'pointer-events: none must not be used on interactive elements',
+    fix: [
+      'Remove pointer-events: none from interactive elements',
+      'Use disabled attribute for form elements instead',
+      'Ensure keyboard navigation still works',
+    ],
+    examples: {
+      invalid: 'button { pointer-events: none; }',
+      valid: 'button[disabled] { opacity: 0.6; }',
+    },
+    equivalents: ['pointer-events-disabled'],
+  },
+});
+
+// Ids are matched literally (template ids like "{{ f(x) }}" contain regex syntax)
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// The <style> blocks of a component, everything else blanked out so lines stay the same
+function componentStyles(text) {
+  const blocks = parseBlocks(text, ['style']);
+  return blocks.length > 0 ? maskOutside(text, blocks.map(block => [block.start, block.end])) : null;
+}
+
+// Markdown fenced code blocks and code spans hold examples, not content;
+// front matter holds metadata (a YAML comment would read as a heading)
+function maskMarkdownCode(text) {
+  const blank = match => match.replace(/[^\r\n]/g, ' ');
+  return text
+    .replace(/^(---|\+\+\+)\r?\n[\s\S]*?\r?\n\1[ \t]*(?=\r?\n|$)/, blank)
+    .replace(/^ {0,3}(`{3,}|~{3,})[^\n]*\n[\s\S]*?(?:^ {0,3}\1[`~]*[ \t]*$|(?![\s\S]))/gm, blank)
+    .replace(/(`+)(?!`)[^\n]*?[^`\n]\1(?!`)/g, blank);
+}
 
 /**
  * Analyze a file for accessibility violations using regex pattern matching
  * @param {string} content - File content to analyze
  * @param {string} filePath - Path to the file (used for extension detection)
- * @returns {Array} Array of violation objects
+ * @param {object} [options]
+ * @param {object} [options.suppressions] - Shared createSuppressions() set (see suppressions.js)
+ * @param {boolean} [options.fragment] - HTML file is a component template: skip page-level checks
+ * @param {string} [options.templateSyntax] - Server template syntax (see template-preprocessor.js);
+ *   detected from the extension when omitted. Patterns run on the masked template.
+ * @returns {Array} Array of canonical violation objects (see violation.js)
  */
-export function analyzeFile(content, filePath) {
+export function analyzeFile(source, filePath, options = {}) {
   const ext = path.extname(filePath).toLowerCase();
+  const templateSyntax = options.templateSyntax || templateSyntaxForFile(filePath);
+  const markdown = ['.md', '.markdown', '.mdx'].includes(ext);
+  // Match against a masked copy: template tags can hold quotes and > (src="<%= url %>"),
+  // and Markdown code holds examples
+  let content = source;
+  if (TEMPLATE_SYNTAXES[templateSyntax]) {
+    content = maskTemplate(source, templateSyntax);
+  } else if (markdown) {
+    content = maskMarkdownCode(source);
+  }
   const violations = [];
   let line = 1;
   let match;
   
-  // JSX/TSX/JS/HTML analysis
-  if (['.jsx', '.tsx', '.js', '.ts', '.html', '.htm'].includes(ext)) {
+  // JSX/TSX/JS/HTML/Vue/Svelte markup, server templates and HTML/JSX in Markdown
+  if (['.jsx', '.tsx', '.js', '.ts', '.html', '.htm', '.vue', '.svelte'].includes(ext) || TEMPLATE_SYNTAXES[templateSyntax] || markdown) {
     
     // 1. Missing alt attributes
     const imgRegex = /<img[^>]*>/gi;
     while ((match = imgRegex.exec(content)) !== null) {
-      if (!match[0].includes('alt=')) {
+      // Bound alt counts too: Angular's [alt]=, Svelte's {alt} shorthand
+      if (!/alt\]?=|\{\s*alt\s*\}/.test(match[0])) {
         line = content.substring(0, match.index).split('\n').length;
         violations.push({
           id: 'img-missing-alt',
           severity: 'error',
-          wcagCriteria: ['1.1.1'],
           title: 'Image missing alt attribute',
           description: 'All images must have an alt attribute for screen readers',
           help: 'Add alt attribute with meaningful description',
           line,
           column: 1,
           code: match[0],
-          fixSuggestions: ['Add alt="description" to the image tag'],
-          tags: ['wcag-a', 'images']
+          fixSuggestions: ['Add alt="description" to the image tag']
         });
       }
     }
 
     // 2. Div used as button
-    const divButtonRegex = /<div[^>]*(onclick|onClick)[^>]*>/gi;
+    const divButtonRegex = /<div[^>]*(onclick|onClick|@click|v-on:click|on:click|\(click\))[^>]*>/gi;
     while ((match = divButtonRegex.exec(content)) !== null) {
       line = content.substring(0, match.index).split('\n').length;
       violations.push({
         id: 'div-button',
         severity: 'error',
-        wcagCriteria: ['1.3.1', '4.1.2'],
         title: 'Interactive div should be a button',
         description: 'Div with click handler should be a semantic button element',
         help: 'Replace with <button> or add proper ARIA role and keyboard support',
@@ -59,8 +441,7 @@ export function analyzeFile(content, filePath) {
         fixSuggestions: [
           'Replace <div onClick> with <button>',
           'Add role="button" tabIndex="0" and keyboard handlers'
-        ],
-        tags: ['wcag-a', 'semantic-html']
+        ]
       });
     }
 
@@ -68,22 +449,22 @@ export function analyzeFile(content, filePath) {
     const buttonRegex = /<button[^>]*>([\s\S]*?)<\/button>/gi;
     while ((match = buttonRegex.exec(content)) !== null) {
       const buttonContent = match[1].replace(/<!--.*?-->/gs, '').replace(/<[^>]+>/g, '').trim();
-      const hasAriaLabel = match[0].includes('aria-label');
+      // Text bound at runtime: Angular [innerText], Vue v-text/v-html
+      const hasBoundText = /\[(innerText|innerHTML|textContent)\]=|v-(text|html)=/.test(match[0]);
+      const hasAriaLabel = match[0].includes('aria-label') || hasBoundText;
       
       if (!buttonContent && !hasAriaLabel) {
         line = content.substring(0, match.index).split('\n').length;
         violations.push({
           id: 'button-missing-accessible-name',
           severity: 'error',
-          wcagCriteria: ['4.1.2'],
           title: 'Button has no accessible name',
           description: 'Button must have text content or aria-label',
           help: 'Add visible text or aria-label attribute',
           line,
           column: 1,
           code: match[0],
-          fixSuggestions: ['Add text inside button', 'Add aria-label="description"'],
-          tags: ['wcag-a', 'buttons']
+          fixSuggestions: ['Add text inside button', 'Add aria-label="description"']
         });
       }
     }
@@ -101,22 +482,20 @@ export function analyzeFile(content, filePath) {
       
       if (hasId && !hasAriaLabel && !hasAriaLabelledBy) {
         const inputId = hasId[1];
-        const labelRegex = new RegExp(`<label[^>]*for=["']${inputId}["'][^>]*>`, 'i');
+        const labelRegex = new RegExp(`<label[^>]*for=["']${escapeRegExp(inputId)}["'][^>]*>`, 'i');
         
         if (!labelRegex.test(content)) {
           line = content.substring(0, match.index).split('\n').length;
           violations.push({
             id: 'input-missing-label',
             severity: 'error',
-            wcagCriteria: ['1.3.1', '3.3.2'],
             title: 'Form input missing label',
             description: 'All form inputs must have an associated label',
             help: 'Add a <label> element or aria-label attribute',
             line,
             column: 1,
             code: match[0],
-            fixSuggestions: [`Add <label for="${inputId}">Label</label>`],
-            tags: ['wcag-a', 'forms']
+            fixSuggestions: [`Add <label for="${inputId}">Label</label>`]
           });
         }
       }
@@ -126,23 +505,20 @@ export function analyzeFile(content, filePath) {
     const linkRegex = /<a[^>]*>(.*?)<\/a>/gi;
     while ((match = linkRegex.exec(content)) !== null) {
       const linkText = match[1].replace(/<[^>]+>/g, '').trim().toLowerCase();
-      const badTexts = ['click here', 'here', 'read more', 'more', 'link', 'learn more', 'see more'];
       const hasAriaLabel = match[0].includes('aria-label');
       
-      if (!hasAriaLabel && badTexts.includes(linkText)) {
+      if (!hasAriaLabel && NON_DESCRIPTIVE_LINK_TEXT.includes(linkText)) {
         line = content.substring(0, match.index).split('\n').length;
         violations.push({
           id: 'link-non-descriptive',
           severity: 'warning',
-          wcagCriteria: ['2.4.4'],
           title: 'Link text not descriptive',
           description: `Link text "${linkText}" is not meaningful out of context`,
           help: 'Use descriptive link text',
           line,
           column: 1,
           code: match[0],
-          fixSuggestions: ['Use descriptive text instead of "' + linkText + '"'],
-          tags: ['wcag-aa', 'links']
+          fixSuggestions: ['Use descriptive text instead of "' + linkText + '"']
         });
       }
     }
@@ -157,7 +533,7 @@ export function analyzeFile(content, filePath) {
       if (!hasAriaLabel && !hasAriaLabelledBy) {
         let hasLabel = false;
         if (hasId) {
-          const labelRegex = new RegExp(`<label[^>]*for=["']${hasId[1]}["']`, 'i');
+          const labelRegex = new RegExp(`<label[^>]*for=["']${escapeRegExp(hasId[1])}["']`, 'i');
           hasLabel = labelRegex.test(content);
         }
         
@@ -166,7 +542,6 @@ export function analyzeFile(content, filePath) {
           violations.push({
             id: 'placeholder-as-label',
             severity: 'error',
-            wcagCriteria: ['3.3.2'],
             title: 'Placeholder used as label',
             description: 'Placeholders disappear when user types and are not accessible to screen readers',
             help: 'Use proper <label> element instead of placeholder',
@@ -176,8 +551,7 @@ export function analyzeFile(content, filePath) {
             fixSuggestions: [
               'Add <label> element with for attribute',
               'Keep placeholder as hint, but add proper label'
-            ],
-            tags: ['wcag-a', 'forms']
+            ]
           });
         }
       }
@@ -200,15 +574,13 @@ export function analyzeFile(content, filePath) {
         violations.push({
           id: 'missing-h1',
           severity: 'warning',
-          wcagCriteria: ['1.3.1', '2.4.6'],
           title: 'Missing h1 heading',
           description: 'Page should have a single h1 heading for main content',
           help: 'Add an h1 heading for the main page title',
           line: headings[0]?.line || 1,
           column: 1,
           code: '',
-          fixSuggestions: ['Add <h1>Main Page Title</h1>'],
-          tags: ['wcag-aa', 'headings']
+          fixSuggestions: ['Add <h1>Main Page Title</h1>']
         });
       }
       
@@ -218,15 +590,13 @@ export function analyzeFile(content, filePath) {
           violations.push({
             id: 'heading-level-skip',
             severity: 'warning',
-            wcagCriteria: ['1.3.1'],
             title: 'Skipped heading level',
             description: `Heading level jumps from h${headings[i-1].level} to h${headings[i].level}`,
             help: 'Use sequential heading levels (h1, h2, h3, etc.)',
             line: headings[i].line,
             column: 1,
             code: '',
-            fixSuggestions: [`Change to h${headings[i-1].level + 1} or adjust previous heading`],
-            tags: ['wcag-aa', 'headings']
+            fixSuggestions: [`Change to h${headings[i-1].level + 1} or adjust previous heading`]
           });
         }
       }
@@ -242,7 +612,6 @@ export function analyzeFile(content, filePath) {
         violations.push({
           id: 'duplicate-id',
           severity: 'error',
-          wcagCriteria: ['4.1.1'],
           title: 'Duplicate ID found',
           description: `ID "${id}" is used multiple times. IDs must be unique.`,
           help: 'Ensure each ID is unique',
@@ -252,8 +621,7 @@ export function analyzeFile(content, filePath) {
           fixSuggestions: [
             `Change one of the duplicate IDs to a unique value`,
             'Use class instead of id if uniqueness is not required'
-          ],
-          tags: ['wcag-a', 'html']
+          ]
         });
       } else {
         ids.set(id, line);
@@ -264,13 +632,12 @@ export function analyzeFile(content, filePath) {
     const ariaLabelledByRegex = /aria-labelledby=["']([^"']+)["']/gi;
     while ((match = ariaLabelledByRegex.exec(content)) !== null) {
       const id = match[1];
-      const idRegex = new RegExp(`id=["']${id}["']`, 'i');
+      const idRegex = new RegExp(`id=["']${escapeRegExp(id)}["']`, 'i');
       if (!idRegex.test(content)) {
         line = content.substring(0, match.index).split('\n').length;
         violations.push({
           id: 'aria-labelledby-invalid',
           severity: 'error',
-          wcagCriteria: ['4.1.2'],
           title: 'aria-labelledby references non-existent element',
           description: `aria-labelledby="${id}" references an element that doesn't exist`,
           help: 'Ensure the referenced id exists in the document',
@@ -280,8 +647,7 @@ export function analyzeFile(content, filePath) {
           fixSuggestions: [
             `Add id="${id}" to the element that should label this`,
             'Or use aria-label instead'
-          ],
-          tags: ['wcag-a', 'aria']
+          ]
         });
       }
     }
@@ -289,7 +655,7 @@ export function analyzeFile(content, filePath) {
     // 10. Custom interactive elements missing keyboard support
     const customInteractiveRegex = /<(div|span)[^>]*(role=["'](button|link|tab|menuitem)["'])[^>]*>/gi;
     while ((match = customInteractiveRegex.exec(content)) !== null) {
-      const hasOnKeyDown = match[0].includes('onKeyDown') || match[0].includes('onkeydown');
+      const hasOnKeyDown = /onKeyDown|onkeydown|@keydown|on:keydown|\(keydown/.test(match[0]);
       const hasTabIndex = match[0].includes('tabIndex') || match[0].includes('tabindex');
       
       if (!hasOnKeyDown || !hasTabIndex) {
@@ -297,7 +663,6 @@ export function analyzeFile(content, filePath) {
         violations.push({
           id: 'custom-interactive-missing-keyboard',
           severity: 'error',
-          wcagCriteria: ['2.1.1', '2.1.2'],
           title: 'Custom interactive element missing keyboard support',
           description: 'Elements with ARIA roles must support keyboard interaction',
           help: 'Add onKeyDown handler and tabIndex',
@@ -307,8 +672,7 @@ export function analyzeFile(content, filePath) {
           fixSuggestions: [
             'Add tabIndex={0} for keyboard focus',
             'Add onKeyDown handler for Enter and Space keys'
-          ],
-          tags: ['wcag-a', 'keyboard']
+          ]
         });
       }
     }
@@ -316,90 +680,170 @@ export function analyzeFile(content, filePath) {
 
   // HTML-only checks
   if (['.html', '.htm'].includes(ext)) {
-    if (!/<html[^>]*lang=/i.test(content)) {
+    if (!options.fragment && !/<html[^>]*lang=/i.test(content)) {
       violations.push({
         id: 'html-missing-lang',
         severity: 'error',
-        wcagCriteria: ['3.1.1'],
         title: 'HTML missing lang attribute',
         description: 'The <html> element must have a lang attribute',
         help: 'Add lang attribute',
         line: 1,
         column: 1,
         code: '<html>',
-        fixSuggestions: ['Add lang="en" to <html> tag'],
-        tags: ['wcag-a']
+        fixSuggestions: ['Add lang="en" to <html> tag']
       });
     }
 
     // Iframe missing title
     const iframeRegex = /<iframe[^>]*>/gi;
     while ((match = iframeRegex.exec(content)) !== null) {
-      if (!match[0].includes('title=')) {
+      if (!/title\]?=/.test(match[0])) {
         line = content.substring(0, match.index).split('\n').length;
         violations.push({
           id: 'iframe-missing-title',
           severity: 'error',
-          wcagCriteria: ['2.4.1', '4.1.2'],
           title: 'Iframe missing title',
           description: 'All iframes must have a title attribute',
           help: 'Add title attribute describing iframe content',
           line,
           column: 1,
           code: match[0],
-          fixSuggestions: ['Add title="description" to iframe'],
-          tags: ['wcag-a', 'iframe']
+          fixSuggestions: ['Add title="description" to iframe']
+        });
+      }
+    }
+  }
+
+  // Markdown checks
+  if (markdown) {
+    // Images without alt text: ![](chart.png)
+    const mdImageRegex = /!\[\s*\][([]/g;
+    while ((match = mdImageRegex.exec(content)) !== null) {
+      line = content.substring(0, match.index).split('\n').length;
+      violations.push({
+        id: 'img-missing-alt',
+        severity: 'error',
+        title: 'Image missing alt text',
+        description: 'Markdown images need alt text between the brackets',
+        help: 'Describe the image: ![Sales grew 20% in Q3](chart.png)',
+        line,
+        column: 1,
+        code: match[0],
+        fixSuggestions: ['Add alt text between the brackets']
+      });
+    }
+
+    // Links with non-descriptive text: [click here](/install)
+    const mdLinkRegex = /(?<!!)\[([^\]\n]+)\][([]/g;
+    while ((match = mdLinkRegex.exec(content)) !== null) {
+      const linkText = match[1].trim().toLowerCase();
+      if (NON_DESCRIPTIVE_LINK_TEXT.includes(linkText)) {
+        line = content.substring(0, match.index).split('\n').length;
+        violations.push({
+          id: 'link-non-descriptive',
+          severity: 'warning',
+          title: 'Link text not descriptive',
+          description: `Link text "${linkText}" is not meaningful out of context`,
+          help: 'Use descriptive link text',
+          line,
+          column: 1,
+          code: match[0],
+          fixSuggestions: ['Use descriptive text instead of "' + linkText + '"']
+        });
+      }
+    }
+
+    // ATX headings: skipped levels (# Title, then ### Section) and a second # heading
+    const mdHeadingRegex = /^ {0,3}(#{1,6})(?=[ \t]|$)/gm;
+    let previousLevel = 0;
+    let h1Line = 0;
+    while ((match = mdHeadingRegex.exec(content)) !== null) {
+      const level = match[1].length;
+      line = content.substring(0, match.index).split('\n').length;
+      if (previousLevel && level > previousLevel + 1) {
+        violations.push({
+          id: 'heading-level-skip',
+          severity: 'warning',
+          title: 'Skipped heading level',
+          description: `Heading level jumps from h${previousLevel} to h${level}`,
+          help: 'Use sequential heading levels (#, ##, ###, etc.)',
+          line,
+          column: 1,
+          code: match[0].trim(),
+          fixSuggestions: [`Change to ${'#'.repeat(previousLevel + 1)} or adjust previous heading`]
         });
       }
+      if (level === 1 && h1Line) {
+        violations.push({
+          id: 'heading-multiple-h1',
+          severity: 'warning',
+          title: 'More than one h1',
+          description: `Document already has a # heading on line ${h1Line}`,
+          help: 'Keep one # heading for the document title',
+          line,
+          column: 1,
+          code: match[0].trim(),
+          fixSuggestions: ['Use ## for this heading']
+        });
+      }
+      if (level === 1 && !h1Line) h1Line = line;
+      previousLevel = level;
     }
   }
 
-  // CSS/SCSS checks
-  if (['.css', '.scss'].includes(ext)) {
-    // 1. Missing focus styles (only warn if no focus styles at all)
-    if (!/:focus[^}]*/g.test(content)) {
+  // CSS/SCSS/Sass/Less/Stylus checks, on stylesheets and the <style> blocks of components
+  let css = null;
+  if (STYLE_EXTENSIONS.includes(ext)) {
+    css = content;
+  } else if (COMPONENT_EXTENSIONS.includes(ext)) {
+    css = componentStyles(content);
+  }
+  if (css !== null) {
+    // 1. Missing focus styles (only warn if no focus styles at all; a
+    // component's scoped styles usually leave focus to the global stylesheet)
+    if (css === content && !/:focus[^}]*/g.test(css)) {
       violations.push({
         id: 'missing-focus-styles',
         severity: 'warning',
-        wcagCriteria: ['2.4.7'],
         title: 'No focus styles defined',
         description: 'CSS should include :focus styles for keyboard navigation',
         help: 'Add :focus styles',
         line: 1,
         column: 1,
         code: '',
-        fixSuggestions: ['Add :focus styles for interactive elements'],
-        tags: ['wcag-aa', 'focus']
+        fixSuggestions: ['Add :focus styles for interactive elements']
       });
     }
 
     // 2. outline: none or outline: 0 without alternative
     const outlineNoneRegex = /outline\s*:\s*(none|0)(\s*!important)?\s*[;!]/gi;
-    while ((match = outlineNoneRegex.exec(content)) !== null) {
-      line = content.substring(0, match.index).split('\n').length;
+    while ((match = outlineNoneRegex.exec(css)) !== null) {
+      line = css.substring(0, match.index).split('\n').length;
       
       // Find the CSS rule block this belongs to
-      const ruleStart = content.lastIndexOf('{', match.index);
-      const ruleEnd = content.indexOf('}', match.index);
+      const ruleStart = css.lastIndexOf('{', match.index);
+      const ruleEnd = css.indexOf('}', match.index);
       let ruleBlock = '';
       if (ruleStart !== -1 && ruleEnd !== -1 && ruleEnd > ruleStart) {
-        ruleBlock = content.substring(ruleStart, ruleEnd);
+        ruleBlock = css.substring(ruleStart, ruleEnd);
       } else {
         // Fallback: check nearby context
         const contextStart = Math.max(0, match.index - 200);
-        const contextEnd = Math.min(content.length, match.index + 200);
-        ruleBlock = content.substring(contextStart, contextEnd);
+        const contextEnd = Math.min(css.length, match.index + 200);
+        ruleBlock = css.substring(contextStart, contextEnd);
       }
       
       // Check if there's an alternative focus indicator in the same rule
       const hasAlternative = /(box-shadow\s*:|border\s*[:\-]|outline\s*:\s*(2|3|4|5|auto|dotted|dashed|solid|double|groove|ridge|inset|outset|\d+px))/i.test(ruleBlock);
       const isInFocusRule = /:focus[^}]*\{[^}]*outline\s*:\s*(none|0)/i.test(ruleBlock);
-      
-      if (!hasAlternative || isInFocusRule) {
+      // :focus:not(:focus-visible) only hides the ring for mouse focus
+      const selectorText = ruleStart === -1 ? '' : css.substring(css.lastIndexOf('}', ruleStart) + 1, ruleStart);
+      const isMouseFocusOnly = /:focus:not\(\s*:focus-visible\s*\)/i.test(selectorText);
+
+      if ((!hasAlternative || isInFocusRule) && !isMouseFocusOnly) {
         violations.push({
           id: 'outline-none-no-alternative',
           severity: 'error',
-          wcagCriteria: ['2.4.7'],
           title: 'Removed focus outline without alternative',
           description: 'outline: none or outline: 0 removes keyboard focus indicator without providing an alternative',
           help: 'Provide alternative focus indicator (box-shadow, border, etc.)',
@@ -409,22 +853,20 @@ export function analyzeFile(content, filePath) {
           fixSuggestions: [
             'Add custom focus style: button:focus { box-shadow: 0 0 0 3px rgba(0,0,255,0.3); }',
             'Or remove outline: none to keep default focus indicator'
-          ],
-          tags: ['wcag-aa', 'focus']
+          ]
         });
       }
     }
 
     // 3. Very small font sizes
     const fontSizeRegex = /font-size\s*:\s*(\d+(?:\.\d+)?)\s*px/gi;
-    while ((match = fontSizeRegex.exec(content)) !== null) {
+    while ((match = fontSizeRegex.exec(css)) !== null) {
       const fontSize = parseFloat(match[1]);
       if (fontSize < 10) {
-        line = content.substring(0, match.index).split('\n').length;
+        line = css.substring(0, match.index).split('\n').length;
         violations.push({
           id: 'font-size-too-small',
           severity: 'error',
-          wcagCriteria: ['1.4.4'],
           title: 'Font size too small for readability',
           description: `Font size ${fontSize}px is below minimum readable size (12px minimum, 16px recommended)`,
           help: 'Increase font size to at least 12px, preferably 16px',
@@ -435,15 +877,13 @@ export function analyzeFile(content, filePath) {
             `Change font-size to at least 12px: font-size: 12px;`,
             'For body text, use 16px or larger',
             'Use relative units (rem, em) for better scalability'
-          ],
-          tags: ['wcag-aa', 'typography']
+          ]
         });
       } else if (fontSize < 12) {
-        line = content.substring(0, match.index).split('\n').length;
+        line = css.substring(0, match.index).split('\n').length;
         violations.push({
           id: 'font-size-small',
           severity: 'warning',
-          wcagCriteria: ['1.4.4'],
           title: 'Font size may be too small',
           description: `Font size ${fontSize}px is below recommended minimum (12px minimum, 16px recommended)`,
           help: 'Consider increasing font size for better readability',
@@ -453,19 +893,18 @@ export function analyzeFile(content, filePath) {
           fixSuggestions: [
             `Increase to at least 12px: font-size: 12px;`,
             'For body text, use 16px or larger'
-          ],
-          tags: ['wcag-aa', 'typography']
+          ]
         });
       }
     }
 
     // 4. Very small touch targets
     const sizeRegex = /(width|height|min-width|min-height)\s*:\s*(\d+(?:\.\d+)?)\s*px/gi;
-    while ((match = sizeRegex.exec(content)) !== null) {
+    while ((match = sizeRegex.exec(css)) !== null) {
       const size = parseFloat(match[2]);
       if (size < 44 && (match[1].includes('width') || match[1].includes('height'))) {
-        line = content.substring(0, match.index).split('\n').length;
-        const lines = content.substring(0, match.index).split('\n');
+        line = css.substring(0, match.index).split('\n').length;
+        const lines = css.substring(0, match.index).split('\n');
         const currentLine = lines[lines.length - 1];
         const selectorMatch = currentLine.match(/([.#]?[\w-]+)\s*\{/);
         const selector = selectorMatch ? selectorMatch[1] : 'unknown';
@@ -476,7 +915,6 @@ export function analyzeFile(content, filePath) {
           violations.push({
             id: 'touch-target-too-small',
             severity: 'error',
-            wcagCriteria: ['2.5.5'],
             title: 'Touch target too small',
             description: `${match[1]} of ${size}px is below WCAG minimum of 44x44px for touch targets`,
             help: 'Increase touch target size to at least 44x44px',
@@ -487,8 +925,7 @@ export function analyzeFile(content, filePath) {
               `Increase ${match[1]} to at least 44px: ${match[1]}: 44px;`,
               'Add padding to increase effective touch target size',
               'Ensure both width and height meet 44px minimum'
-            ],
-            tags: ['wcag-aa', 'touch-targets']
+            ]
           });
         }
       }
@@ -496,16 +933,15 @@ export function analyzeFile(content, filePath) {
 
     // 5. display: none on potentially interactive elements
     const displayNoneRegex = /\.([\w-]+)\s*\{[^}]*display\s*:\s*none/gi;
-    while ((match = displayNoneRegex.exec(content)) !== null) {
+    while ((match = displayNoneRegex.exec(css)) !== null) {
       const className = match[1];
       if (className.includes('button') || className.includes('btn') || 
           className.includes('link') || className.includes('menu') ||
           className.includes('nav') || className.includes('interactive')) {
-        line = content.substring(0, match.index).split('\n').length;
+        line = css.substring(0, match.index).split('\n').length;
         violations.push({
           id: 'display-none-on-interactive',
           severity: 'warning',
-          wcagCriteria: ['2.1.1', '4.1.2'],
           title: 'display: none may hide interactive content from screen readers',
           description: `Using display: none on "${className}" may hide content from assistive technologies`,
           help: 'Use visually-hidden technique instead of display: none for screen reader content',
@@ -515,20 +951,18 @@ export function analyzeFile(content, filePath) {
           fixSuggestions: [
             'Use .sr-only or visually-hidden class instead',
             'Example: .visually-hidden { position: absolute; width: 1px; height: 1px; clip: rect(0,0,0,0); overflow: hidden; }'
-          ],
-          tags: ['wcag-a', 'screen-readers']
+          ]
         });
       }
     }
 
     // 6. color: transparent
-    const transparentRegex = /color\s*:\s*transparent/gi;
-    while ((match = transparentRegex.exec(content)) !== null) {
-      line = content.substring(0, match.index).split('\n').length;
+    const transparentRegex = /(?<![-\w])color\s*:\s*transparent/gi;
+    while ((match = transparentRegex.exec(css)) !== null) {
+      line = css.substring(0, match.index).split('\n').length;
       violations.push({
         id: 'text-transparent',
         severity: 'error',
-        wcagCriteria: ['1.4.3'],
         title: 'Text color is transparent',
         description: 'Transparent text color makes content invisible',
         help: 'Use visible text color or ensure content is accessible via other means',
@@ -538,22 +972,20 @@ export function analyzeFile(content, filePath) {
         fixSuggestions: [
           'Use a visible color: color: #333;',
           'If hiding text visually, ensure it\'s available to screen readers'
-        ],
-        tags: ['wcag-aa', 'color']
+        ]
       });
     }
 
     // 7. pointer-events: none on interactive elements
     const pointerEventsRegex = /(button|a|input|select|textarea)[^}]*\{[^}]*pointer-events\s*:\s*none/gi;
-    if (pointerEventsRegex.test(content)) {
-      const pointerMatch = content.match(/(button|a|input|select|textarea)[^}]*\{[^}]*pointer-events\s*:\s*none/gi);
+    if (pointerEventsRegex.test(css)) {
+      const pointerMatch = css.match(/(button|a|input|select|textarea)[^}]*\{[^}]*pointer-events\s*:\s*none/gi);
       if (pointerMatch) {
-        const matchIndex = content.indexOf(pointerMatch[0]);
-        line = content.substring(0, matchIndex).split('\n').length;
+        const matchIndex = css.indexOf(pointerMatch[0]);
+        line = css.substring(0, matchIndex).split('\n').length;
         violations.push({
           id: 'pointer-events-none',
           severity: 'error',
-          wcagCriteria: ['2.1.1', '2.5.3'],
           title: 'pointer-events: none disables keyboard interaction',
           description: 'pointer-events: none on interactive elements prevents keyboard and touch interaction',
           help: 'Remove pointer-events: none or use alternative method',
@@ -564,13 +996,12 @@ export function analyzeFile(content, filePath) {
             'Remove pointer-events: none from interactive elements',
             'Use disabled attribute for form elements instead',
             'Ensure keyboard navigation still works'
-          ],
-          tags: ['wcag-a', 'keyboard']
+          ]
         });
       }
     }
   }
 
-  return violations;
+  return normalizeViolations(violations, { analyzer: 'regex', filePath, content: source, suppressions: options.suppressions });
 }
 
@@ -0,0 +1,157 @@
+/**
+ * Result Cache: Reuses analysis results for file contents seen before
+ * - Entries are keyed on file path + content hash (with the stylesheets it
+ *   imports, whose variables change the findings), inside a namespace that hashes
+ *   the analyzer version (core sources and analyzer dependency versions),
+ *   the analysis mode and the effective rule configuration
+ * - Changing rules, the config or the analyzer moves lookups to a new namespace,
+ *   so stale results are never read; pruneCache() deletes entries unused for a while
+ * - One file per entry, written atomically, so worker threads can share a cache directory
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import { fileURLToPath } from 'url';
+import { listRules } from './rule-registry.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const require = createRequire(import.meta.url);
+
+export const CACHE_VERSION = 1;
+export const DEFAULT_CACHE_DIR = '.github/a11y-reviewer/.cache';
+export const DEFAULT_MAX_AGE_DAYS = 7;
+
+// Packages whose upgrades change findings
+const ANALYZER_DEPENDENCIES = [
+  'eslint',
+  'eslint-plugin-jsx-a11y',
+  'eslint-plugin-react',
+  '@babel/parser',
+  'postcss',
+  'postcss-scss',
+  'postcss-less',
+  'postcss-styl',
+  'htmlparser2',
+];
+
+let analyzerVersion = null;
+
+function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+/**
+ * Hash of the core analyzer sources and the installed analyzer dependencies
+ */
+export function getAnalyzerVersion() {
+  if (!analyzerVersion) {
+    const hash = crypto.createHash('sha256').update(`cache-v${CACHE_VERSION}\0`);
+    for (const file of fs.readdirSync(__dirname).filter(name => /\.(js|json)$/.test(name)).sort()) {
+      hash.update(`${file}\0`).update(fs.readFileSync(path.join(__dirname, file)));
+    }
+    for (const dependency of ANALYZER_DEPENDENCIES) {
+      let version = 'missing';
+      try {
+        version = require(`${dependency}/package.json`).version;
+      } catch {
+        // Not resolvable from here (e.g. exports map); the source hash still applies
+      }
+      hash.update(`${dependency}@${version}\0`);
+    }
+    analyzerVersion = hash.digest('hex').slice(0, 16);
+  }
+  return analyzerVersion;
+}
+
+/**
+ * Namespace for one analyzer version, mode and effective rule configuration
+ * @param {object} [options]
+ * @param {object} [options.config] - Normalized config (only `rules` and `templates` affect results)
+ * @param {string} [options.mode]
+ * @param {boolean} [options.page] - Page mode (see page-analyzer.js)
+ */
+export function getCacheNamespace({ config, mode, page = false } = {}) {
+  const registry = listRules().map(rule => [rule.id, rule.enabled, rule.severity]);
+  return sha256(JSON.stringify({
+    analyzer: getAnalyzerVersion(),
+    mode,
+    page,
+    rules: config?.rules || {},
+    templates: config?.templates || {},
+    tokens: config?.tokens || {},
+    registry,
+  })).slice(0, 16);
+}
+
+/**
+ * Entry key for a file's content (the path matters: it picks the analyzer
+ * and ends up in every violation) and the files it imports
+ * @param {Array<{file: string, content: string}>} [dependencies] - See styleDependencies()
+ */
+export function getContentKey(content, filePath, dependencies = []) {
+  const imported = dependencies.map(({ file, content: text }) => `\0${file}\0${text}`).join('');
+  return sha256(`${filePath}\0${content}${imported}`);
+}
+
+function entryPath(cacheDir, namespace, key) {
+  return path.join(cacheDir, namespace, key.slice(0, 2), `${key}.json`);
+}
+
+/**
+ * Cached violations, or null on a miss. A hit refreshes the entry's age.
+ */
+export function readCachedResult(cacheDir, namespace, key) {
+  const file = entryPath(cacheDir, namespace, key);
+  try {
+    const violations = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const now = new Date();
+    fs.utimesSync(file, now, now);
+    return violations;
+  } catch {
+    // Missing or unreadable entries are misses
+    return null;
+  }
+}
+
+/**
+ * Store violations for a key; failures are ignored (the cache is an optimization)
+ */
+export function writeCachedResult(cacheDir, namespace, key, violations) {
+  const file = entryPath(cacheDir, namespace, key);
+  const temp = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(temp, JSON.stringify(violations));
+    fs.renameSync(temp, file);
+  } catch {
+    fs.rmSync(temp, { force: true });
+  }
+}
+
+/**
+ * Delete entries not read or written for maxAgeDays, and emptied directories
+ * @returns {number} Entries removed
+ */
+export function pruneCache(cacheDir, { maxAgeDays = DEFAULT_MAX_AGE_DAYS, now = Date.now() } = {}) {
+  if (!fs.existsSync(cacheDir)) return 0;
+  const cutoff = now - maxAgeDays * 24 * 60 * 60 * 1000;
+  let removed = 0;
+
+  const prune = dir => {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const entryFile = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        prune(entryFile);
+        if (fs.readdirSync(entryFile).length === 0) fs.rmdirSync(entryFile);
+      } else if (fs.statSync(entryFile).mtimeMs < cutoff) {
+        fs.rmSync(entryFile, { force: true });
+        removed += 1;
+      }
+    }
+  };
+  prune(cacheDir);
+  return removed;
+}
@@ -0,0 +1,140 @@
+/**
+ * Rule Registry: Single source of rule metadata for every analyzer
+ * - Analyzers register their rules at load time with registerRules()
+ * - Violations take their WCAG mapping, fix guidance and tags from here
+ * - Rules can be listed, enabled and disabled in one place
+ */
+
+import { getWcagLevel, getHelpUrl } from './wcag.js';
+
+const SEVERITIES = ['error', 'warning'];
+
+// The regex fast path reports some findings under the same ruleId as an
+// AST analyzer; the AST analyzer owns the metadata for those shared rules.
+const FAST_PATH_ANALYZER = 'regex';
+
+const rules = new Map();
+const aliases = new Map();
+
+/**
+ * Register a single rule
+ * @param {string} analyzer - 'eslint' | 'html' | 'css' | 'js' | 'markdown' | 'regex' | 'suppression'
+ * @param {string} id - Stable ruleId emitted in violations
+ * @param {object} definition
+ * @param {'error'|'warning'} definition.severity - Default severity
+ * @param {string[]} [definition.wcag] - WCAG success criteria numbers
+ * @param {string[]} [definition.tags] - Topics and config rule groups
+ * @param {string} definition.description - One-line summary of what the rule checks
+ * @param {string[]} [definition.fix] - Fix guidance, most useful first
+ * @param {{invalid: string, valid: string}} [definition.examples] - Failing and passing code
+ * @param {string[]} [definition.aliases] - Older ruleIds that resolve to this rule
+ * @param {string[]} [definition.equivalents] - ruleIds from other analyzers that report
+ *   the same problem; used to deduplicate fast-path findings against AST findings
+ * @returns {object} The registered rule
+ */
+export function registerRule(analyzer, id, definition) {
+  if (!SEVERITIES.includes(definition.severity)) {
+    throw new Error(`Rule ${id}: severity must be one of ${SEVERITIES.join(', ')}`);
+  }
+
+  const existing = rules.get(id);
+  const equivalents = [...new Set([...(existing?.equivalents || []), ...(definition.equivalents || [])])];
+  if (existing) {
+    if (!existing.analyzers.includes(analyzer)) {
+      existing.analyzers.push(analyzer);
+    }
+    if (existing.analyzer !== FAST_PATH_ANALYZER || analyzer === FAST_PATH_ANALYZER) {
+      existing.equivalents = equivalents;
+      return existing;
+    }
+  }
+
+  const wcag = definition.wcag || [];
+  const rule = {
+    id,
+    analyzer,
+    analyzers: existing ? [analyzer, ...existing.analyzers.filter(name => name !== analyzer)] : [analyzer],
+    severity: definition.severity,
+    wcag,
+    wcagLevel: getWcagLevel(wcag),
+    tags: definition.tags || [],
+    description: definition.description,
+    fix: definition.fix || [],
+    examples: definition.examples || null,
+    equivalents,
+    helpUrl: getHelpUrl(id, wcag),
+    enabled: existing ? existing.enabled : true,
+  };
+
+  rules.set(id, rule);
+  for (const alias of definition.aliases || []) {
+    aliases.set(alias, id);
+  }
+  return rule;
+}
+
+/**
+ * Register every rule an analyzer can report
+ * @param {string} analyzer - Analyzer name
+ * @param {Object<string, object>} definitions - Rule definitions keyed by ruleId
+ */
+export function registerRules(analyzer, definitions) {
+  for (const [id, definition] of Object.entries(definitions)) {
+    registerRule(analyzer, id, definition);
+  }
+}
+
+/**
+ * Look up a rule by ruleId or alias
+ * @returns {object|null}
+ */
+export function getRule(id) {
+  return rules.get(id) || rules.get(aliases.get(id)) || null;
+}
+
+/**
+ * List registered rules, optionally filtered
+ * @param {object} [filter]
+ * @param {string} [filter.analyzer] - Only rules reported by this analyzer
+ * @param {string} [filter.tag] - Only rules carrying this tag
+ * @param {string} [filter.wcagLevel] - Only rules at this conformance level
+ * @param {boolean} [filter.enabled] - Only enabled (true) or disabled (false) rules
+ * @returns {Array} Rules sorted by ruleId
+ */
+export function listRules({ analyzer, tag, wcagLevel, enabled } = {}) {
+  return [...rules.values()]
+    .filter(rule => !analyzer || rule.analyzers.includes(analyzer))
+    .filter(rule => !tag || rule.tags.includes(tag))
+    .filter(rule => !wcagLevel || rule.wcagLevel === wcagLevel)
+    .filter(rule => enabled === undefined || rule.enabled === enabled)
+    .sort((a, b) => a.id.localeCompare(b.id));
+}
+
+function setEnabled(id, enabled) {
+  const rule = getRule(id);
+  if (!rule) {
+    throw new Error(`Unknown rule: ${id}`);
+  }
+  rule.enabled = enabled;
+}
+
+/**
+ * Turn a rule back on for every analyzer
+ */
+export function enableRule(id) {
+  setEnabled(id, true);
+}
+
+/**
+ * Turn a rule off for every analyzer; its findings are dropped at normalization
+ */
+export function disableRule(id) {
+  setEnabled(id, false);
+}
+
+/**
+ * Unknown rules count as enabled so unregistered findings are never lost
+ */
+export function isRuleEnabled(id) {
+  return getRule(id)?.enabled !== false;
+}
@@ -0,0 +1,235 @@
+/**
+ * SARIF Reporter: Converts analyzer results into SARIF 2.1.0 for GitHub code scanning
+ * - Accepts a11y-results.json (analyze-pr-mcp.js) or check_accessibility_batch output
+ * - Rule metadata (WCAG tags, help text, examples) comes from the rule registry
+ * - Results carry exact regions and line-independent partial fingerprints
+ */
+
+import path from 'path';
+import { getRule } from './rule-registry.js';
+import { fingerprintViolation } from './baseline.js';
+
+export const SARIF_VERSION = '2.1.0';
+export const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+export const SARIF_TOOL_NAME = 'a11y-reviewer';
+const INFORMATION_URI = 'https://github.com/berucha-lilly/a11y-reviewer';
+const FINGERPRINT_KEY = 'a11yReviewer/v1';
+
+const levels = {
+  error: 'error',
+  warning: 'warning',
+};
+
+/**
+ * File results from either supported results shape
+ */
+function getFileResults(results) {
+  if (Array.isArray(results)) return results;
+  return results.files || results.results || [];
+}
+
+function toUri(filePath = '') {
+  return encodeURI(filePath.split(path.sep).join('/').replace(/^\.\//, ''));
+}
+
+/**
+ * WCAG criteria and conformance level as SARIF rule tags
+ */
+function wcagTags(wcag = [], wcagLevel = null) {
+  const tags = wcag.map(criterion => `wcag/${criterion}`);
+  if (wcagLevel) tags.push(`wcag/level-${wcagLevel}`);
+  return tags;
+}
+
+// Fix guidance quotes markup inline; keep it from rendering as HTML
+function escapeMarkdown(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Plain-text and Markdown help for a rule: fix guidance followed by examples
+ */
+function buildHelp(rule) {
+  const text = [rule.description, '', ...rule.fix.map(fix => `- ${fix}`)];
+  const markdown = [escapeMarkdown(rule.description), '', '**How to fix**', '', ...rule.fix.map(fix => `- ${escapeMarkdown(fix)}`)];
+
+  if (rule.examples) {
+    markdown.push('', '**Failing**', '', '```', rule.examples.invalid, '```', '', '**Passing**', '', '```', rule.examples.valid, '```');
+  }
+  if (rule.wcag.length > 0) {
+    const line = `WCAG ${rule.wcag.join(', ')}${rule.wcagLevel ? ` (Level ${rule.wcagLevel})` : ''}`;
+    text.push('', line);
+    markdown.push('', line);
+  }
+  return { text: text.join('\n').trim(), markdown: `${markdown.join('\n').trim()}\n\n[Documentation](${rule.helpUrl})` };
+}
+
+/**
+ * SARIF reportingDescriptor for a ruleId, falling back to the violation's
+ * own fields when the rule is not registered
+ */
+function buildRule(ruleId, sample) {
+  const rule = getRule(ruleId) || {
+    id: ruleId,
+    severity: sample.severity,
+    description: sample.description || sample.message,
+    fix: sample.suggestions || [],
+    examples: null,
+    wcag: sample.wcag || [],
+    wcagLevel: sample.wcagLevel || null,
+    tags: sample.tags || [],
+    helpUrl: sample.helpUrl,
+  };
+
+  return {
+    id: ruleId,
+    shortDescription: { text: rule.description },
+    fullDescription: { text: rule.description },
+    helpUri: rule.helpUrl,
+    help: buildHelp(rule),
+    defaultConfiguration: { level: levels[rule.severity] || 'warning' },
+    properties: {
+      tags: [...new Set(['accessibility', ...wcagTags(rule.wcag, rule.wcagLevel), ...rule.tags])],
+      precision: 'high',
+    },
+  };
+}
+
+function buildRegion(violation) {
+  const region = {
+    startLine: violation.line,
+    startColumn: violation.column,
+    endLine: violation.endLine || violation.line,
+    // Violation end columns are exclusive, as in SARIF
+    endColumn: violation.endColumn || violation.column,
+  };
+  if (violation.snippet) {
+    region.snippet = { text: violation.snippet };
+  }
+  return region;
+}
+
+/**
+ * SARIF fix object for a violation's autofix edits
+ */
+function buildFix(autofix, artifactLocation) {
+  return {
+    description: { text: autofix.title },
+    artifactChanges: [
+      {
+        artifactLocation,
+        replacements: autofix.edits.map(edit => ({
+          deletedRegion: {
+            startLine: edit.line,
+            startColumn: edit.column,
+            endLine: edit.endLine,
+            endColumn: edit.endColumn,
+          },
+          insertedContent: { text: edit.text },
+        })),
+      },
+    ],
+  };
+}
+
+/**
+ * Convert analyzer results to a SARIF log
+ * @param {object|Array} results - a11y-results.json, check_accessibility_batch output,
+ *   or an array of {filePath, violations} entries
+ * @param {object} [options]
+ * @param {string} [options.toolVersion] - Reported as the driver version
+ * @param {string} [options.srcRoot] - Absolute repository root, published as %SRCROOT%
+ * @returns {object} SARIF 2.1.0 log
+ */
+export function toSarif(results, { toolVersion, srcRoot } = {}) {
+  const rules = [];
+  const ruleIndexes = new Map();
+  const sarifResults = [];
+  const notifications = [];
+  const occurrences = new Map();
+
+  for (const fileResult of getFileResults(results)) {
+    if (fileResult.error) {
+      notifications.push({
+        level: 'error',
+        message: { text: `${fileResult.filePath}: ${fileResult.error}` },
+      });
+    }
+
+    for (const violation of fileResult.violations || []) {
+      if (!ruleIndexes.has(violation.ruleId)) {
+        ruleIndexes.set(violation.ruleId, rules.length);
+        rules.push(buildRule(violation.ruleId, violation));
+      }
+
+      // Identical findings in one file are told apart by occurrence, as GitHub does
+      const filePath = violation.filePath || fileResult.filePath;
+      const fingerprint = fingerprintViolation({ ...violation, filePath });
+      const occurrence = (occurrences.get(fingerprint) || 0) + 1;
+      occurrences.set(fingerprint, occurrence);
+
+      const artifactLocation = { uri: toUri(filePath), uriBaseId: '%SRCROOT%' };
+      const result = {
+        ruleId: violation.ruleId,
+        ruleIndex: ruleIndexes.get(violation.ruleId),
+        level: levels[violation.severity] || 'warning',
+        message: { text: violation.message },
+        locations: [
+          {
+            physicalLocation: {
+              artifactLocation,
+              region: buildRegion(violation),
+            },
+          },
+        ],
+        partialFingerprints: {
+          [FINGERPRINT_KEY]: `${fingerprint}:${occurrence}`,
+        },
+        properties: {
+          analyzer: violation.analyzer,
+          wcag: violation.wcag || [],
+        },
+      };
+      if (violation.change) {
+        result.properties.change = violation.change;
+      }
+      if (violation.autofix) {
+        result.fixes = [buildFix(violation.autofix, artifactLocation)];
+      }
+      sarifResults.push(result);
+    }
+  }
+
+  const driver = {
+    name: SARIF_TOOL_NAME,
+    informationUri: INFORMATION_URI,
+    rules,
+  };
+  if (toolVersion) {
+    driver.version = toolVersion;
+  }
+
+  const run = {
+    tool: { driver },
+    invocations: [
+      {
+        executionSuccessful: notifications.length === 0,
+        toolExecutionNotifications: notifications,
+      },
+    ],
+    results: sarifResults,
+    columnKind: 'utf16CodeUnits',
+  };
+  if (srcRoot) {
+    const root = srcRoot.split(path.sep).join('/').replace(/\/?$/, '/');
+    run.originalUriBaseIds = {
+      '%SRCROOT%': { uri: encodeURI(`file://${root.startsWith('/') ? '' : '/'}${root}`) },
+    };
+  }
+
+  return {
+    $schema: SARIF_SCHEMA,
+    version: SARIF_VERSION,
+    runs: [run],
+  };
+}
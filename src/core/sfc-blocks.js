@@ -0,0 +1,66 @@
+/**
+ * SFC Blocks: Splits single-file components (Vue, Svelte) into blocks
+ * Each block is analyzed in a copy of the file with everything else blanked
+ * out, so reported lines, columns and autofix offsets are the file's own.
+ */
+
+import { parseDocument } from 'htmlparser2';
+
+/**
+ * Keep the given [start, end) ranges of content and replace everything else
+ * with spaces, leaving line breaks so positions stay the same
+ * @param {string} content
+ * @param {Array<[number, number]>} ranges - Sorted, non-overlapping
+ */
+export function maskOutside(content, ranges) {
+  const blank = text => text.replace(/[^\r\n]/g, ' ');
+  let masked = '';
+  let position = 0;
+  for (const [start, end] of ranges) {
+    masked += blank(content.slice(position, start)) + content.slice(start, end);
+    position = end;
+  }
+  return masked + blank(content.slice(position));
+}
+
+/**
+ * Top-level elements with the given tag names
+ * @param {string} content
+ * @param {string[]} names - e.g. ['template', 'script', 'style']
+ * @returns {Array<{type: string, attribs: object, lang: string|undefined,
+ *   outerStart: number, outerEnd: number, start: number, end: number}>}
+ *   start/end delimit the block's content (between its tags), outerStart/outerEnd the whole element
+ */
+export function parseBlocks(content, names) {
+  const dom = parseDocument(content, {
+    withStartIndices: true,
+    withEndIndices: true,
+    lowerCaseTags: true,
+    recognizeSelfClosing: true,
+  });
+
+  const blocks = [];
+  for (const node of dom.children) {
+    if (node.type !== 'tag' && node.type !== 'script' && node.type !== 'style') continue;
+    if (!names.includes(node.name)) continue;
+
+    const openEnd = content.indexOf('>', node.startIndex) + 1;
+    const closeStart = content.lastIndexOf(`</${node.name}`, node.endIndex);
+    blocks.push({
+      type: node.name,
+      attribs: node.attribs,
+      lang: node.attribs.lang?.toLowerCase(),
+      outerStart: node.startIndex,
+      outerEnd: node.endIndex + 1,
+      start: openEnd,
+      end: closeStart >= openEnd ? closeStart : node.endIndex + 1,
+    });
+  }
+  return blocks;
+}
+
+// Unwrap bound string literals ('Logo', "Logo", `Logo`); other expressions stay as written
+export function boundValue(expression) {
+  const literal = /^\s*(['"`])([^'"`]*)\1\s*$/.exec(expression);
+  return literal ? literal[2] : expression;
+}
@@ -0,0 +1,581 @@
+/**
+ * Style Syntaxes: Parses CSS, SCSS, indented Sass, Less and Stylus into one
+ * postcss tree shape for css-analyzer.js
+ * - Indented Sass is rewritten to SCSS by adding braces and semicolons at line
+ *   ends, so lines and columns stay the file's own (character offsets do not)
+ * - Mixins (@mixin/@include, =/+ in Sass, Less .mixin(), Stylus mixin()) are
+ *   expanded at their call sites with arguments bound; definitions are removed
+ * - Variables ($x, @x, x = value) are substituted into values, including those
+ *   of files pulled in with @import, @use (namespaced: tokens.$x) and
+ *   @forward; each substituted value is traced to its declaration
+ * - Mixins defined in imported partials can be included
+ * - resolveSelector() gives a nested rule's full selector
+ */
+
+import fs from 'fs';
+import path from 'path';
+import postcss from 'postcss';
+import postcssScss from 'postcss-scss';
+import postcssLess from 'postcss-less';
+import postcssStyl from 'postcss-styl';
+
+/**
+ * Stylesheet languages by file extension
+ */
+export const STYLE_EXTENSIONS = {
+  '.css': 'css',
+  '.scss': 'scss',
+  '.sass': 'sass',
+  '.less': 'less',
+  '.styl': 'stylus',
+  '.stylus': 'stylus',
+};
+
+const SYNTAXES = {
+  css: undefined,
+  scss: postcssScss,
+  sass: postcssScss,
+  less: postcssLess,
+  stylus: postcssStyl,
+};
+
+// <style lang="..."> values that name the same languages
+const LANG_ALIASES = { postcss: 'css', styl: 'stylus' };
+
+// Variable reference prefix per language (Stylus variables are bare names)
+const VARIABLE_PREFIX = { scss: '$', sass: '$', less: '@', stylus: '' };
+
+// Extensions tried, in order, for an import without one
+const IMPORT_EXTENSIONS = {
+  css: ['.css'],
+  scss: ['.scss', '.sass', '.css'],
+  sass: ['.sass', '.scss', '.css'],
+  less: ['.less', '.css'],
+  stylus: ['.styl', '.stylus', '.css'],
+};
+
+const IMPORT_RULES = new Set(['import', 'use', 'forward', 'require']);
+
+const MAX_MIXIN_DEPTH = 5;
+
+// Stylesheets loaded through imports for one parseStyles() call
+const MAX_IMPORTS = 50;
+
+// Nodes copied in from a mixin body, reported at the call site
+const expanded = new WeakSet();
+
+// Per parsed Root: the path it was read from, the stylesheets it imports
+// (and those it did not read, being outside the root directory), and the
+// mixins and variables it makes available to files importing it
+const files = new WeakMap();
+const imports = new WeakMap();
+const skippedImports = new WeakMap();
+const exportedMixins = new WeakMap();
+const exportedVariables = new WeakMap();
+
+// Declarations whose value had variables substituted → where those came from
+const traces = new WeakMap();
+
+/**
+ * Language of a stylesheet by extension, or null
+ */
+export function styleLangForFile(filePath) {
+  return STYLE_EXTENSIONS[path.extname(filePath || '').toLowerCase()] || null;
+}
+
+/**
+ * Normalize a <style lang> value; null when it is not a supported language
+ */
+export function normalizeStyleLang(lang) {
+  const name = LANG_ALIASES[lang?.toLowerCase()] || lang?.toLowerCase();
+  return name in SYNTAXES ? name : null;
+}
+
+/**
+ * True for nodes copied from a mixin body: their source is the call site,
+ * so they cannot be edited in place
+ */
+export function isExpanded(node) {
+  return expanded.has(node);
+}
+
+/**
+ * Variable declarations behind a declaration's substituted value, outermost
+ * last: [{ name: '$brand', value: '#0055aa', filePath, line, column }]
+ */
+export function variableTrace(decl) {
+  return traces.get(decl) || [];
+}
+
+/**
+ * Path a node's stylesheet was read from, as given to parseStyles()
+ */
+export function sourceFile(node) {
+  return files.get(node.root()) ?? null;
+}
+
+/**
+ * Stylesheets imported by a parsed Root (and by those, depth first), in
+ * the order they apply
+ */
+export function importedRoots(root) {
+  return (imports.get(root) || []).flatMap(({ root: imported }) => [...importedRoots(imported), imported]);
+}
+
+/**
+ * Files a parsed Root or its imports import from outside the rootDir given
+ * to parseStyles(); these were not read
+ * @returns {string[]} Absolute paths
+ */
+export function outsideImports(root) {
+  return [root, ...importedRoots(root)].flatMap(parsed => skippedImports.get(parsed) || []);
+}
+
+/**
+ * Whether a file is inside a directory, symlinks included
+ */
+export function isInside(file, rootDir) {
+  const real = target => {
+    try {
+      return fs.realpathSync(target);
+    } catch {
+      return path.resolve(target);
+    }
+  };
+  const relative = path.relative(real(rootDir), real(file));
+  return relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+/**
+ * Rewrite indented Sass as SCSS. Only line ends change (" {", ";", "}" and
+ * comment closers are appended), except that the =mixin and +mixin shorthands
+ * are spelled out, so every rule and declaration keeps its line and column.
+ */
+export function sassToScss(content) {
+  const lines = content.split('\n');
+  const code = lines.map(line => line.replace(/\r$/, ''));
+  const indentOf = line => /^[ \t]*/.exec(line)[0].length;
+  // Append before a trailing // comment and the \r of CRLF files
+  const append = (i, text) => {
+    const comment = /(^|\s)\/\/.*$/.exec(code[i]);
+    const at = comment ? comment.index + comment[1].length : code[i].length;
+    code[i] = `${code[i].slice(0, at)}${text}${code[i].slice(at)}`;
+  };
+
+  const open = [];
+  let comment = null;
+  let last = -1;
+  const closeComment = () => {
+    if (comment.block ? !code[comment.end].includes('*/') : comment.end > comment.start) {
+      // Silent comments with indented lines become one block comment
+      code[comment.start] = code[comment.start].replace('//', '/*');
+      code[comment.end] += ' */';
+    }
+    comment = null;
+  };
+
+  const next = code.map(() => -1);
+  for (let i = code.length - 1, following = -1; i >= 0; i--) {
+    next[i] = following;
+    if (code[i].trim()) following = i;
+  }
+
+  code.forEach((line, i) => {
+    const trimmed = line.trim();
+    if (!trimmed) return;
+    const indent = indentOf(line);
+    if (comment && indent > comment.indent) {
+      comment.end = i;
+      return;
+    }
+    if (comment) closeComment();
+    while (open.length && indent <= open[open.length - 1]) {
+      open.pop();
+      append(last, ' }');
+    }
+    if (trimmed.startsWith('//') || trimmed.startsWith('/*')) {
+      comment = { indent, start: i, end: i, block: trimmed.startsWith('/*') && !trimmed.includes('*/') };
+      return;
+    }
+
+    code[i] = line.replace(/^([ \t]*)=\s*/, '$1@mixin ').replace(/^([ \t]*)\+\s*/, '$1@include ');
+    if (next[i] !== -1 && indentOf(code[next[i]]) > indent) {
+      append(i, ' {');
+      open.push(indent);
+    } else if (!trimmed.endsWith(',')) {
+      append(i, ';');
+    }
+    last = i;
+  });
+  if (comment) closeComment();
+  if (last !== -1) append(last, ' }'.repeat(open.length));
+
+  return code.map((line, i) => (lines[i].endsWith('\r') ? `${line}\r` : line)).join('\n');
+}
+
+// Split "a, b(c, d), e" on top-level commas (Less also separates with ;)
+function splitArguments(text) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  for (const char of text) {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    if ((char === ',' || char === ';') && depth === 0) {
+      parts.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  if (current.trim()) parts.push(current.trim());
+  return parts;
+}
+
+// "name(args) when (guard)" → { name, args }; for "#ns > .name()" the last name
+function parseSignature(text) {
+  const signature = text.replace(/\s+when\b[\s\S]*$/, '').replace(/!important\s*$/, '').trim();
+  const match = /([\w-]+)\s*(?:\(((?:[^()]|\([^()]*\))*)\))?\s*$/.exec(signature);
+  return match ? { name: match[1], args: splitArguments(match[2] || '') } : null;
+}
+
+/**
+ * A mixin definition, or null
+ * @returns {{name: string, params: Array<{name: string, fallback: string|undefined}>, remove: boolean}|null}
+ */
+function mixinDefinition(node, lang) {
+  let signature = null;
+  let remove = true;
+  if ((lang === 'scss' || lang === 'sass') && node.type === 'atrule' && node.name === 'mixin') {
+    signature = parseSignature(node.params);
+  } else if (lang === 'less' && node.type === 'rule' && /^[.#][\w-]+\s*(\(.*\))?(\s*when\b.*)?$/s.test(node.selector)) {
+    signature = parseSignature(node.selector);
+    // Any plain class can be mixed in, and still styles its own elements
+    remove = node.selector.includes('(');
+  } else if (lang === 'stylus' && node.type === 'atrule' && node.mixin && node.nodes) {
+    signature = parseSignature(`${node.name}${node.params}`);
+  }
+  if (!signature) return null;
+  const params = signature.args.map(arg => {
+    const param = /^[$@]?([\w-]+)\s*(?:[:=]\s*([\s\S]*))?$/.exec(arg);
+    return { name: param ? param[1] : arg, fallback: param?.[2] };
+  });
+  return { name: signature.name, params, remove };
+}
+
+/**
+ * A mixin call, or null: { name, args }
+ */
+function mixinCall(node, lang) {
+  if (node.type !== 'atrule' || node.nodes?.length) return null;
+  if ((lang === 'scss' || lang === 'sass') && node.name === 'include') {
+    return parseSignature(node.params);
+  }
+  if ((lang === 'less' && node.mixin) || (lang === 'stylus' && node.call)) {
+    return parseSignature(`${node.name}${node.params}`);
+  }
+  return null;
+}
+
+function replaceVariables(value, bindings, lang) {
+  const prefix = VARIABLE_PREFIX[lang] ?? '';
+  let result = value;
+  for (let pass = 0; pass < MAX_MIXIN_DEPTH; pass++) {
+    const replaced = result.replace(/([$@]?)([\w-]+)/g, (token, sign, name) => (
+      sign === prefix && bindings.has(name) ? bindings.get(name) : token
+    ));
+    if (replaced === result) break;
+    result = replaced;
+  }
+  return result;
+}
+
+/**
+ * Substitute into a declaration while keeping its source text for autofixes
+ */
+export function substituteValue(decl, value) {
+  if (value === decl.value) return;
+  const raw = decl.raws.value?.raw ?? decl.value;
+  decl.value = value;
+  decl.raws.value = { value, raw };
+}
+
+// Quoted paths (and url()s) of an import rule, before `as`/`with`/`show`/`hide`
+function importSpecs(params) {
+  const paths = params.split(/\s(?:as|with|show|hide)\b/)[0];
+  return [...paths.matchAll(/url\(\s*['"]?([^'")\s]+)['"]?\s*\)|(['"])([^'"]+)\2/g)]
+    .map(match => match[1] || match[3]);
+}
+
+/**
+ * File an import refers to, relative to the importing file: the path itself,
+ * its _partial, or an index file, with the language's extensions tried in order
+ */
+function resolveImport(spec, from, lang, rootDir) {
+  // sass:math, https://..., //cdn...
+  if (/^[a-z][\w+.-]*:/i.test(spec) || spec.startsWith('//')) return null;
+  // Next to the importing file first, then from the repository root (like a Sass load path)
+  const bases = [path.dirname(path.resolve(rootDir ?? '', from)), ...(rootDir ? [path.resolve(rootDir)] : [])];
+  const extensions = IMPORT_EXTENSIONS[lang] || IMPORT_EXTENSIONS.css;
+  for (const start of bases) {
+    const target = path.join(start, spec);
+    const dir = path.dirname(target);
+    const base = path.basename(target);
+    const candidates = path.extname(base)
+      ? [target, path.join(dir, `_${base}`)]
+      : [
+        ...extensions.flatMap(ext => [path.join(dir, `${base}${ext}`), path.join(dir, `_${base}${ext}`)]),
+        ...extensions.flatMap(ext => [path.join(target, `_index${ext}`), path.join(target, `index${ext}`)]),
+      ];
+    const file = candidates.find(candidate => fs.existsSync(candidate) && fs.statSync(candidate).isFile());
+    if (file) return file;
+  }
+  return null;
+}
+
+// Namespace of an @use: `as t` → 't', `as *` → null, otherwise the file name
+function useNamespace(node, spec) {
+  if (node.name.toLowerCase() !== 'use') return null;
+  const alias = /\sas\s+([\w-]+|\*)/.exec(node.params)?.[1];
+  if (alias) return alias === '*' ? null : alias;
+  return path.basename(spec).replace(/\.\w+$/, '').replace(/^_/, '');
+}
+
+// Parse the stylesheets a Root imports at its top level
+async function loadImports(root, lang, from, { rootDir, seen }) {
+  const loaded = [];
+  if (!from) return loaded;
+  seen.add(path.resolve(rootDir ?? '', from));
+  const skipped = [];
+  skippedImports.set(root, skipped);
+  for (const node of root.nodes) {
+    if (node.type !== 'atrule' || !IMPORT_RULES.has(node.name.toLowerCase())) continue;
+    for (const spec of importSpecs(node.params)) {
+      const file = resolveImport(spec, from, lang, rootDir);
+      if (!file || seen.has(path.resolve(file)) || seen.size >= MAX_IMPORTS) continue;
+      if (rootDir && !isInside(file, rootDir)) {
+        skipped.push(path.resolve(file));
+        continue;
+      }
+      try {
+        const content = fs.readFileSync(file, 'utf8');
+        const imported = await parseStyles(content, styleLangForFile(file) || lang, file, { rootDir, seen });
+        loaded.push({ node, root: imported, namespace: useNamespace(node, spec) });
+      } catch {
+        // An unreadable or unparsable partial leaves its variables unresolved
+      }
+    }
+  }
+  return loaded;
+}
+
+function expandMixins(root, lang, loaded) {
+  const mixins = new Map();
+  for (const { root: imported } of loaded) {
+    for (const [name, mixin] of exportedMixins.get(imported) || []) mixins.set(name, mixin);
+  }
+  root.walk(node => {
+    const definition = mixinDefinition(node, lang);
+    if (definition) mixins.set(definition.name, { ...definition, node });
+  });
+  for (const mixin of mixins.values()) {
+    if (mixin.remove) mixin.node.remove();
+  }
+
+  // Mixins can include mixins; expand a few levels deep
+  for (let depth = 0; depth < MAX_MIXIN_DEPTH; depth++) {
+    const calls = [];
+    root.walkAtRules(node => {
+      const call = mixinCall(node, lang);
+      if (call && mixins.has(call.name)) calls.push({ node, call });
+    });
+    if (calls.length === 0) break;
+
+    for (const { node, call } of calls) {
+      const mixin = mixins.get(call.name);
+      const bindings = new Map();
+      mixin.params.forEach((param, i) => {
+        const value = call.args[i] ?? param.fallback;
+        if (value !== undefined) bindings.set(param.name, value);
+      });
+      const copies = mixin.node.nodes.map(child => child.clone());
+      const bind = copy => {
+        copy.source = node.source;
+        expanded.add(copy);
+        if (copy.type === 'decl') substituteValue(copy, replaceVariables(copy.value, bindings, lang));
+      };
+      for (const copy of copies) {
+        bind(copy);
+        copy.walk?.(bind);
+      }
+      node.replaceWith(copies);
+    }
+  }
+  return mixins;
+}
+
+// A top-level variable declaration: { name, value } or null
+function variableDefinition(node, lang) {
+  if (node.type === 'decl' && (lang === 'scss' || lang === 'sass') && node.prop.startsWith('$')) {
+    return { name: node.prop.slice(1), value: node.value };
+  }
+  if (node.type === 'atrule' && lang === 'less' && node.variable) {
+    return { name: node.name, value: node.value ?? node.params };
+  }
+  if (node.type === 'decl' && lang === 'stylus' && node.assignment) {
+    return { name: node.prop, value: node.value };
+  }
+  return null;
+}
+
+/**
+ * Replace references to variables in scope (and tokens.$x for @use
+ * namespaces) with their values
+ * @returns {{value: string, trace: object[]}} trace: declarations used
+ */
+function resolveReferences(text, scope, namespaces, lang) {
+  const prefix = VARIABLE_PREFIX[lang] ?? '';
+  const trace = [];
+  const use = (variable, token) => {
+    if (!variable) return token;
+    trace.push(...variable.trace);
+    return variable.value;
+  };
+  let value = text.replace(/(?:([\w-]+)\.)?([$@]?)([\w-]+)/g, (token, namespace, sign, name) => {
+    if (sign !== prefix) return token;
+    if (namespace) {
+      return namespaces.has(namespace) ? use(namespaces.get(namespace).get(name), token) : `${namespace}.${use(scope.get(name), `${sign}${name}`)}`;
+    }
+    return use(scope.get(name), token);
+  });
+  // #{$x} interpolation (custom property values, selectors in values)
+  if (lang === 'scss' || lang === 'sass') value = value.replace(/#\{([^{}$]*)\}/g, '$1');
+  return { value, trace: [...new Set(trace)] };
+}
+
+/**
+ * Substitute variables into declaration values. Variables are taken from
+ * the file's top level and its imports in order; @use adds a namespace
+ * instead (unless `as *`), and only @import/@forward pass variables on to
+ * files importing this one. !default values do not replace existing ones.
+ */
+function substituteVariables(root, lang, loaded, from) {
+  const scope = new Map();
+  const exported = new Map();
+  const namespaces = new Map();
+  const importsAt = new Map(loaded.map(entry => [entry.node, []]));
+  for (const entry of loaded) importsAt.get(entry.node).push(entry);
+
+  const define = (map, name, variable) => {
+    if (!variable.isDefault || !map.has(name)) map.set(name, variable);
+  };
+  for (const node of root.nodes) {
+    for (const { node: rule, root: imported, namespace } of importsAt.get(node) || []) {
+      const variables = exportedVariables.get(imported) || new Map();
+      if (namespace) {
+        namespaces.set(namespace, variables);
+        continue;
+      }
+      const shared = rule.name.toLowerCase() !== 'use';
+      for (const [name, variable] of variables) {
+        define(scope, name, variable);
+        if (shared) define(exported, name, variable);
+      }
+    }
+    const definition = variableDefinition(node, lang);
+    if (!definition) continue;
+    const isDefault = /\s*!default\s*$/.test(definition.value);
+    const { value, trace } = resolveReferences(definition.value.replace(/\s*!default\s*$/, ''), scope, namespaces, lang);
+    const { line, column } = node.source?.start || {};
+    const variable = {
+      value,
+      isDefault,
+      trace: [...trace, { name: `${VARIABLE_PREFIX[lang]}${definition.name}`, value, filePath: from ?? null, line, column }],
+    };
+    define(scope, definition.name, variable);
+    define(exported, definition.name, variable);
+  }
+  exportedVariables.set(root, exported);
+
+  if (scope.size === 0 && namespaces.size === 0) return;
+  root.walkDecls(decl => {
+    if (variableDefinition(decl, lang)) return;
+    const { value, trace } = resolveReferences(decl.value, scope, namespaces, lang);
+    if (value === decl.value) return;
+    substituteValue(decl, value);
+    traces.set(decl, trace);
+  });
+}
+
+/**
+ * Parse a stylesheet and resolve what the checks need to see through:
+ * imports are loaded, mixins expanded and variables substituted
+ * @param {string} content - Stylesheet source
+ * @param {string} lang - Key of STYLE_EXTENSIONS values ('css', 'scss', 'sass', 'less', 'stylus')
+ * @param {string} [from] - File path, for parser error messages and resolving
+ *   imports (without one, imports are not followed); relative to rootDir
+ * @param {object} [options]
+ * @param {string} [options.rootDir] - Repository root: imports not found next to the
+ *   importing file are looked up from it, and imports outside it are not read
+ *   (outsideImports() lists them). Without one, paths are relative to the working directory
+ * @param {Set<string>} [options.seen] - Files already loaded (imports are loaded once)
+ * @returns {Promise<object>} postcss Root; importedRoots() gives its imports
+ */
+export async function parseStyles(content, lang, from, { rootDir, seen = new Set() } = {}) {
+  const source = lang === 'sass' ? sassToScss(content) : content;
+  const { root } = await postcss([]).process(source, { from, syntax: SYNTAXES[lang] });
+  files.set(root, from ?? null);
+  const loaded = await loadImports(root, lang, from, { rootDir, seen });
+  imports.set(root, loaded);
+  if (lang !== 'css') {
+    exportedMixins.set(root, expandMixins(root, lang, loaded));
+    substituteVariables(root, lang, loaded, from);
+  }
+  return root;
+}
+
+/**
+ * Files a stylesheet imports, directly or through other imports, read with
+ * a quick scan of the source (for cache keys: the findings depend on them)
+ * @param {string} content - Stylesheet, or a file with embedded styles
+ * @param {string} filePath
+ * @param {object} [options]
+ * @param {string} [options.rootDir] - Repository root, as for parseStyles()
+ * @param {Set<string>} [options.seen] - Files already listed
+ * @returns {Array<{file: string, content: string}>}
+ */
+export function styleDependencies(content, filePath, { rootDir, seen = new Set([path.resolve(rootDir ?? '', filePath)]) } = {}) {
+  const dependencies = [];
+  const lang = styleLangForFile(filePath) || 'scss';
+  for (const match of content.matchAll(/@(?:import|use|forward|require)\s+([^;\n{]+)/g)) {
+    for (const spec of importSpecs(match[1])) {
+      const file = resolveImport(spec, filePath, lang, rootDir);
+      if (!file || seen.has(path.resolve(file)) || seen.size >= MAX_IMPORTS) continue;
+      if (rootDir && !isInside(file, rootDir)) continue;
+      seen.add(path.resolve(file));
+      try {
+        const imported = fs.readFileSync(file, 'utf8');
+        dependencies.push({ file, content: imported }, ...styleDependencies(imported, file, { rootDir, seen }));
+      } catch {
+        // Unreadable files are not followed by parseStyles() either
+      }
+    }
+  }
+  return dependencies;
+}
+
+/**
+ * Full selector of a rule nested in other rules: & is replaced by the parent
+ * selector, other selectors become its descendants
+ * @returns {string} Comma-separated selector list
+ */
+export function resolveSelector(rule) {
+  let selectors = rule.selectors;
+  for (let parent = rule.parent; parent && parent.type !== 'root'; parent = parent.parent) {
+    if (parent.type !== 'rule') continue;
+    selectors = parent.selectors.flatMap(outer => selectors.map(inner => (
+      inner.includes('&') ? inner.replace(/&/g, outer) : `${outer} ${inner}`
+    )));
+  }
+  return selectors.join(', ');
+}
@@ -0,0 +1,244 @@
+/**
+ * Suppressions: Inline comment directives that silence known false positives
+ * - a11y-disable-next-line <ruleId, ...> -- <reason>
+ * - a11y-disable <ruleId, ...> -- <reason>  ...  a11y-enable <ruleId, ...>
+ * - a11y-disable-file <ruleId, ...> -- <reason>
+ * Omitting ruleIds applies the directive to every rule. Directives are written
+ * in the file's own comment syntax: line or block comments in JS/TS/JSX,
+ * SCSS, Sass, Less and Stylus, block comments in CSS, and <!-- --> comments in HTML. Vue and Svelte
+ * components accept all three, one per block; server templates accept HTML
+ * comments and their own ({{!-- --}}, {# #}, <%# %>, {% comment %}).
+ * Markdown uses <!-- --> comments; MDX uses JSX-style block comments in braces.
+ */
+
+import path from 'path';
+import { getRule, registerRules } from './rule-registry.js';
+import { templateSyntaxForFile } from './template-preprocessor.js';
+
+registerRules('suppression', {
+  'a11y-suppression-unjustified': {
+    severity: 'warning',
+    wcag: [],
+    tags: ['suppressions'],
+    description: 'Suppression comments must explain why the finding is acceptable',
+    fix: [
+      'Add a reason after "--": a11y-disable-next-line img-missing-alt -- image is decorative',
+      'Remove the directive if the finding should be fixed instead',
+    ],
+    examples: {
+      invalid: '<!-- a11y-disable-next-line img-missing-alt -->',
+      valid: '<!-- a11y-disable-next-line img-missing-alt -- spacer image, hidden from AT by CSS -->',
+    },
+  },
+  'a11y-suppression-unused': {
+    severity: 'warning',
+    wcag: [],
+    tags: ['suppressions'],
+    description: 'Suppression comments that no longer match a finding should be removed',
+    fix: [
+      'Remove the directive, or the ruleId that no longer matches',
+      'Check the ruleId spelling against the results or the list_rules tool',
+    ],
+    examples: {
+      invalid: '// a11y-disable-next-line jsx-a11y/alt-text -- legacy logo\n<img src={logo} alt="Acme" />',
+      valid: '<img src={logo} alt="Acme" />',
+    },
+  },
+});
+
+const commentPatterns = {
+  js: [/\/\/([^\n]*)/g, /\/\*([\s\S]*?)\*\//g],
+  html: [/<!--([\s\S]*?)-->/g],
+  css: [/\/\*([\s\S]*?)\*\//g],
+  scss: [/\/\/([^\n]*)/g, /\/\*([\s\S]*?)\*\//g],
+  template: [
+    /<!--([\s\S]*?)-->/g,
+    /\{\{!--([\s\S]*?)--\}\}/g,
+    /\{\{!(?!--)([\s\S]*?)\}\}/g,
+    /\{#([\s\S]*?)#\}/g,
+    /<%#([\s\S]*?)%>/g,
+    /\{%-?\s*comment\s*-?%\}([\s\S]*?)\{%-?\s*endcomment\s*-?%\}/g,
+  ],
+  component: [/<!--([\s\S]*?)-->/g, /\/\/([^\n]*)/g, /\/\*([\s\S]*?)\*\//g],
+  mdx: [/\{\s*\/\*([\s\S]*?)\*\/\s*\}/g],
+};
+
+const syntaxByExtension = {
+  '.js': 'js',
+  '.jsx': 'js',
+  '.ts': 'js',
+  '.tsx': 'js',
+  '.mjs': 'js',
+  '.cjs': 'js',
+  '.html': 'html',
+  '.htm': 'html',
+  '.css': 'css',
+  '.scss': 'scss',
+  '.sass': 'scss',
+  '.less': 'scss',
+  '.styl': 'scss',
+  '.stylus': 'scss',
+  '.vue': 'component',
+  '.svelte': 'component',
+  '.md': 'html',
+  '.markdown': 'html',
+  '.mdx': 'mdx',
+};
+
+const DIRECTIVE_PATTERN = /^[\s*]*(a11y-(?:disable-next-line|disable-file|disable|enable))(?![\w-])([\s\S]*)$/;
+
+/**
+ * Parse "ruleA, ruleB -- reason" into ruleIds and a justification
+ */
+function parseDirectiveBody(body) {
+  const separator = body.indexOf('--');
+  const rulePart = separator === -1 ? body : body.slice(0, separator);
+  const justification = separator === -1 ? '' : body.slice(separator + 2).replace(/\s*\*+\s*$/, '').trim();
+  const ruleIds = rulePart.split(/[\s,*]+/).filter(Boolean);
+  return { ruleIds, justification };
+}
+
+/**
+ * Find every directive comment in a file
+ * @param {string} content - File content
+ * @param {string} filePath - Used to pick the comment syntax
+ * @param {object} locator - createLocator(content) result
+ * @returns {Array} Directives sorted by position
+ */
+export function parseDirectives(content, filePath, locator) {
+  const syntax = syntaxByExtension[path.extname(filePath || '').toLowerCase()]
+    || (templateSyntaxForFile(filePath) ? 'template' : undefined);
+  if (!syntax) return [];
+
+  const directives = [];
+  for (const pattern of commentPatterns[syntax]) {
+    pattern.lastIndex = 0;
+    let match;
+    while ((match = pattern.exec(content)) !== null) {
+      const directive = DIRECTIVE_PATTERN.exec(match[1]);
+      if (!directive) continue;
+
+      const start = locator.positionAt(match.index);
+      const end = locator.positionAt(match.index + match[0].length);
+      directives.push({
+        type: directive[1].slice('a11y-'.length),
+        ...parseDirectiveBody(directive[2]),
+        offset: match.index,
+        line: start.line,
+        column: start.column,
+        endLine: end.line,
+        endColumn: end.column,
+        usedRuleIds: new Set(),
+      });
+    }
+  }
+  return directives.sort((a, b) => a.offset - b.offset);
+}
+
+/**
+ * Which of a directive's ruleIds (or '*') matches a violation.
+ * Registry equivalents count, so suppressing "div-as-button" also
+ * silences the regex fast path's "div-button" on that line.
+ */
+function matchRuleId(directive, ruleId) {
+  if (directive.ruleIds.length === 0) return '*';
+  const equivalents = getRule(ruleId)?.equivalents || [];
+  return directive.ruleIds.find(id =>
+    id === ruleId || equivalents.includes(id) || getRule(id)?.equivalents.includes(ruleId)
+  ) || null;
+}
+
+/**
+ * Line on which an a11y-disable block stops applying to ruleId
+ */
+function blockEndLine(directives, disable, ruleId) {
+  const enable = directives.find(d =>
+    d.type === 'enable' && d.offset > disable.offset && (d.ruleIds.length === 0 || matchRuleId(d, ruleId))
+  );
+  return enable ? enable.line : Infinity;
+}
+
+/**
+ * Build the suppression set for one file. The same set can be shared by
+ * several analyzers so usage is tracked across the whole pipeline.
+ * @param {string} content - File content
+ * @param {string} filePath - Used to pick the comment syntax
+ * @param {object} locator - createLocator(content) result
+ */
+export function createSuppressions(content, filePath, locator) {
+  const directives = parseDirectives(content, filePath, locator);
+
+  /**
+   * True when a directive covers the violation; records every directive that
+   * matched, so overlapping directives are not reported as unused
+   */
+  function suppresses(violation) {
+    let suppressed = false;
+    for (const directive of directives) {
+      if (directive.type === 'enable') continue;
+      const matched = matchRuleId(directive, violation.ruleId);
+      if (!matched) continue;
+
+      let covered = false;
+      if (directive.type === 'disable-file') {
+        covered = true;
+      } else if (directive.type === 'disable-next-line') {
+        covered = violation.line === directive.endLine + 1;
+      } else if (directive.type === 'disable') {
+        covered = violation.line > directive.endLine
+          && violation.line < blockEndLine(directives, directive, violation.ruleId);
+      }
+
+      if (covered) {
+        directive.usedRuleIds.add(matched);
+        suppressed = true;
+      }
+    }
+    return suppressed;
+  }
+
+  /**
+   * Raw findings for directives without a justification and, when every
+   * analyzer for the file has run, directives that matched nothing
+   * @param {object} [options]
+   * @param {boolean} [options.reportUnused=true]
+   */
+  function problems({ reportUnused = true } = {}) {
+    const findings = [];
+    for (const directive of directives) {
+      if (directive.type === 'enable') continue;
+      const range = {
+        line: directive.line,
+        column: directive.column,
+        endLine: directive.endLine,
+        endColumn: directive.endColumn,
+      };
+      const label = `a11y-${directive.type}${directive.ruleIds.length ? ` ${directive.ruleIds.join(', ')}` : ''}`;
+
+      if (!directive.justification) {
+        findings.push({
+          ruleId: 'a11y-suppression-unjustified',
+          ...range,
+          message: `${label} has no justification; add "-- <reason>"`,
+        });
+      }
+
+      if (reportUnused) {
+        const expected = directive.ruleIds.length ? directive.ruleIds : ['*'];
+        const unused = expected.filter(id => !directive.usedRuleIds.has(id));
+        if (unused.length > 0) {
+          findings.push({
+            ruleId: 'a11y-suppression-unused',
+            ...range,
+            message: unused.includes('*')
+              ? `${label} does not suppress any finding`
+              : `${label} does not suppress any ${unused.join(', ')} finding`,
+          });
+        }
+      }
+    }
+    return findings;
+  }
+
+  return { directives, suppresses, problems };
+}
@@ -0,0 +1,158 @@
+/**
+ * Svelte Analyzer: Checks Svelte components (.svelte)
+ * - Markup (everything outside <script> and <style>): html-analyzer.js rules as
+ *   a fragment; on:event, bind:prop and {shorthand} attributes are read as
+ *   their plain HTML equivalents, and {#if}/{#each} blocks are transparent
+ * - <script> / <script context="module">: js-analyzer.js
+ * - <style> / <style lang="scss|sass|less|stylus">: css-analyzer.js
+ * Blocks are analyzed in place (see sfc-blocks.js), so positions are the file's own.
+ */
+
+import { analyzeHTML } from './html-analyzer.js';
+import { analyzeJS } from './js-analyzer.js';
+import { analyzeCSS } from './css-analyzer.js';
+import { parseBlocks, maskOutside, boundValue } from './sfc-blocks.js';
+import { normalizeStyleLang } from './style-syntax.js';
+
+const SCRIPT_LANGS = ['js', 'ts'];
+
+// Directives with no HTML equivalent
+const IGNORED_DIRECTIVES = /^(class|style|use|transition|in|out|animate|let):/;
+
+/**
+ * Index of the } closing the { at start (string literals skipped)
+ */
+function matchingBrace(content, start) {
+  let depth = 0;
+  for (let i = start; i < content.length; i++) {
+    const char = content[i];
+    if (char === '"' || char === "'" || char === '`') {
+      for (i++; i < content.length && content[i] !== char; i++) {
+        if (content[i] === '\\') i++;
+      }
+    } else if (char === '{') {
+      depth++;
+    } else if (char === '}' && --depth === 0) {
+      return i;
+    }
+  }
+  return content.length - 1;
+}
+
+/**
+ * Rewrite Svelte markup so an HTML parser reads it like Svelte does, keeping
+ * every character at its offset:
+ * - attr={expression} becomes attr="expression" (inner double quotes become single)
+ * - < and > inside text expressions ({#if a < b}) become spaces
+ * <script> and <style> contents and comments are left alone.
+ */
+export function prepareSvelteMarkup(content) {
+  const chars = content.split('');
+  let i = 0;
+  while (i < content.length) {
+    if (content.startsWith('<!--', i)) {
+      const end = content.indexOf('-->', i + 4);
+      i = end === -1 ? content.length : end + 3;
+    } else if (content[i] === '<' && /[a-zA-Z]/.test(content[i + 1] || '')) {
+      const name = /^<([\w:.-]+)/.exec(content.slice(i))[1].toLowerCase();
+      let j = i + 1 + name.length;
+      while (j < content.length && content[j] !== '>') {
+        if (content[j] === '"' || content[j] === "'") {
+          const close = content.indexOf(content[j], j + 1);
+          j = close === -1 ? content.length : close + 1;
+        } else if (content[j] === '{') {
+          const close = matchingBrace(content, j);
+          if (/=\s*$/.test(content.slice(i, j))) {
+            chars[j] = '"';
+            chars[close] = '"';
+            for (let k = j + 1; k < close; k++) {
+              if (chars[k] === '"') chars[k] = "'";
+            }
+          }
+          j = close + 1;
+        } else {
+          j++;
+        }
+      }
+      i = j + 1;
+      if (name === 'script' || name === 'style') {
+        const close = content.toLowerCase().indexOf(`</${name}`, i);
+        i = close === -1 ? content.length : close;
+      }
+    } else if (content[i] === '{') {
+      const close = matchingBrace(content, i);
+      for (let k = i + 1; k < close; k++) {
+        if (chars[k] === '<' || chars[k] === '>') chars[k] = ' ';
+      }
+      i = close + 1;
+    } else {
+      i++;
+    }
+  }
+  return chars.join('');
+}
+
+/**
+ * Svelte attributes as plain HTML: on:click|once → onclick, bind:value → value,
+ * {alt} → alt, alt={'Logo'} → alt="Logo". Spreads and directives without an
+ * HTML equivalent (class:, use:, transition:...) are dropped.
+ */
+export function mapSvelteAttributes(attribs) {
+  const mapped = {};
+  for (const [name, value] of Object.entries(attribs)) {
+    const listener = /^on:([\w-]+)/.exec(name);
+    const binding = /^bind:([\w-]+)/.exec(name);
+    const shorthand = /^\{\s*([\w$]+)\s*\}$/.exec(name);
+    if (listener) {
+      mapped[`on${listener[1].toLowerCase()}`] = value || 'true';
+    } else if (binding) {
+      if (binding[1] !== 'this') mapped[binding[1]] = value || binding[1];
+    } else if (shorthand) {
+      mapped[shorthand[1]] = shorthand[1];
+    } else if (!name.startsWith('{') && !IGNORED_DIRECTIVES.test(name)) {
+      mapped[name] = boundValue(value);
+    }
+  }
+  return mapped;
+}
+
+/**
+ * Analyze a Svelte component
+ * @param {string} content - .svelte source
+ * @param {string} [filePath] - Reported on each violation
+ * @param {object} [options]
+ * @param {object} [options.suppressions] - Shared createSuppressions() set (see suppressions.js)
+ */
+export async function analyzeSvelte(content, filePath = 'unknown.svelte', options = {}) {
+  const prepared = prepareSvelteMarkup(content);
+  const blocks = parseBlocks(prepared, ['script', 'style']);
+  const violations = [];
+
+  // Markup is whatever the script and style blocks leave
+  const markup = [];
+  let position = 0;
+  for (const block of blocks) {
+    markup.push([position, block.outerStart]);
+    position = block.outerEnd;
+  }
+  markup.push([position, content.length]);
+  violations.push(...await analyzeHTML(maskOutside(prepared, markup), filePath, {
+    ...options,
+    fragment: true,
+    mapAttributes: mapSvelteAttributes,
+    source: content,
+  }));
+
+  for (const block of blocks) {
+    const masked = maskOutside(content, [[block.start, block.end]]);
+    if (block.type === 'script' && (!block.lang || SCRIPT_LANGS.includes(block.lang))) {
+      violations.push(...await analyzeJS(masked, filePath, options));
+    } else if (block.type === 'style' && (!block.lang || normalizeStyleLang(block.lang))) {
+      violations.push(...await analyzeCSS(masked, filePath, {
+        ...options,
+        lang: normalizeStyleLang(block.lang) || 'css',
+      }));
+    }
+  }
+  return violations.sort((a, b) => a.line - b.line || a.column - b.column);
+}
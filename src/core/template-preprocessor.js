@@ -0,0 +1,64 @@
+/**
+ * Template Preprocessor: Turns server-side templates into HTML for the HTML rules
+ * - Handlebars/Mustache, Nunjucks/Jinja, Liquid, EJS and ERB
+ * - Template tags are masked in place, keeping every offset and line break:
+ *   output tags ({{ alt }}, <%= alt %>) become same-length placeholder text, so
+ *   alt="{{ alt }}" is present-but-unknown rather than missing; control tags
+ *   ({% if %}, {{#each}}, <% code %>) and template comments become spaces
+ * analyzeTemplate() in html-analyzer.js runs the HTML rules on the result.
+ */
+
+import path from 'path';
+
+/**
+ * Supported syntaxes: file extensions, a pattern matching every tag,
+ * and which tags print output
+ */
+export const TEMPLATE_SYNTAXES = {
+  handlebars: {
+    extensions: ['.hbs', '.handlebars', '.mustache'],
+    tag: /\{\{!--[\s\S]*?--\}\}|\{\{\{[\s\S]*?\}\}\}|\{\{[\s\S]*?\}\}/g,
+    isOutput: tag => !/^\{\{~?\s*[!#/^>]|^\{\{~?\s*else\b/.test(tag),
+  },
+  nunjucks: {
+    extensions: ['.njk', '.nunjucks', '.jinja', '.jinja2', '.j2'],
+    tag: /\{#[\s\S]*?#\}|\{%[\s\S]*?%\}|\{\{[\s\S]*?\}\}/g,
+    isOutput: tag => tag.startsWith('{{'),
+  },
+  liquid: {
+    extensions: ['.liquid'],
+    tag: /\{%-?\s*comment\s*-?%\}[\s\S]*?\{%-?\s*endcomment\s*-?%\}|\{%[\s\S]*?%\}|\{\{[\s\S]*?\}\}/g,
+    isOutput: tag => tag.startsWith('{{'),
+  },
+  ejs: {
+    extensions: ['.ejs'],
+    tag: /<%[\s\S]*?%>/g,
+    isOutput: tag => /^<%[=-]/.test(tag),
+  },
+  erb: {
+    extensions: ['.erb'],
+    tag: /<%[\s\S]*?%>/g,
+    isOutput: tag => tag.startsWith('<%='),
+  },
+};
+
+/**
+ * Syntax for a file by its extension, or null
+ */
+export function templateSyntaxForFile(filePath) {
+  const ext = path.extname(filePath || '').toLowerCase();
+  return Object.keys(TEMPLATE_SYNTAXES).find(syntax => TEMPLATE_SYNTAXES[syntax].extensions.includes(ext)) || null;
+}
+
+/**
+ * Mask template tags so the rest parses as HTML at the same offsets
+ * @param {string} content - Template source
+ * @param {string} syntax - Key of TEMPLATE_SYNTAXES
+ */
+export function maskTemplate(content, syntax) {
+  const { tag, isOutput } = TEMPLATE_SYNTAXES[syntax];
+  return content.replace(tag, match => (isOutput(match)
+    // Keep names so different expressions stay different (e.g. two id="{{ ... }}")
+    ? match.replace(/[^\w\r\n]/g, '_')
+    : match.replace(/[^\r\n]/g, ' ')));
+}
@@ -0,0 +1,427 @@
+/**
+ * Token Analyzer: Audits design token files (W3C DTCG and Style Dictionary
+ * JSON) for color contrast, so a palette change that breaks contrast is
+ * caught before it reaches any component
+ * - Color tokens: DTCG `$value` (`$type` inherited from groups; hex strings
+ *   or { colorSpace, components } objects) and Style Dictionary `value`;
+ *   aliases ({color.gray.900}) are followed and traced
+ * - Pairs come from `tokens.pairs` in .a11y/config.json, or are every
+ *   text-on-surface combination the token paths name: text, fg, icon and
+ *   border tokens on background and surface tokens (on-primary on primary)
+ * - Themes: modes in `$extensions` ({ "mode": { "dark": "#eee" } }) are
+ *   checked over the base values; `tokens.base` files (a shared palette)
+ *   are loaded first, so aliases into them resolve
+ * Contrast math is color.js, as in the CSS checks.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { normalizeViolations, createLocator, rangeFromOffsets } from './violation.js';
+import { registerRules } from './rule-registry.js';
+import { isConfiguredTokenFile } from './config-loader.js';
+import {
+  parseColor, composite, getContrastRatio, formatColor, NON_TEXT_CONTRAST, CANVAS,
+} from './color.js';
+
+/**
+ * Files always read as design tokens (more can be listed under `tokens.files`)
+ */
+export const TOKEN_FILE = /\.tokens(\.json)?$/i;
+
+// Path segments naming what a color token is for
+const TEXT_ROLE = /^(text|fg|foreground|content|link|label|heading|on[-_][\w-]+|on[A-Z]\w*)$/;
+const NON_TEXT_ROLE = /^(icon|icons|border|borders|outline|focus|focus-ring|ring|divider|stroke)$/i;
+const BACKGROUND_ROLE = /^(bg|background|backgrounds|surface|surfaces|canvas|fill|container|layer|page|backdrop)$/i;
+
+// Aliases followed through other aliases
+const MAX_ALIAS_DEPTH = 10;
+
+registerRules('tokens', {
+  'token-contrast-text': {
+    severity: 'error',
+    wcag: ['1.4.3'],
+    tags: ['color', 'contrast', 'tokens'],
+    description: 'Text color tokens must meet a 4.5:1 contrast ratio (3:1 for large text) on the background tokens they are used with',
+    fix: [
+      'Point the text token at a darker (or, on dark themes, lighter) palette step',
+      'Declare the pairs that are really used under tokens.pairs in .a11y/config.json',
+    ],
+    examples: {
+      invalid: '{ "color": { "$type": "color", "text": { "muted": { "$value": "#999999" } }, "surface": { "default": { "$value": "#ffffff" } } } }',
+      valid: '{ "color": { "$type": "color", "text": { "muted": { "$value": "#595959" } }, "surface": { "default": { "$value": "#ffffff" } } } }',
+    },
+  },
+  'token-contrast-non-text': {
+    severity: 'warning',
+    wcag: ['1.4.11'],
+    tags: ['color', 'contrast', 'tokens'],
+    description: 'Icon, border and focus color tokens must meet a 3:1 contrast ratio on the background tokens they are used with',
+    fix: [
+      'Use a palette step with at least 3:1 contrast against the surfaces the icon or border sits on',
+    ],
+    examples: {
+      invalid: '{ "color": { "$type": "color", "border": { "input": { "$value": "#dddddd" } }, "surface": { "default": { "$value": "#ffffff" } } } }',
+      valid: '{ "color": { "$type": "color", "border": { "input": { "$value": "#767676" } }, "surface": { "default": { "$value": "#ffffff" } } } }',
+    },
+  },
+  'token-parse-error': {
+    severity: 'error',
+    wcag: [],
+    tags: ['parsing'],
+    description: 'The token file could not be parsed as JSON',
+    fix: [
+      'Fix JSON syntax errors before accessibility checking',
+    ],
+    examples: {
+      invalid: '{ "color": { "text": { "$value": "#333" }, } }',
+      valid: '{ "color": { "text": { "$value": "#333" } } }',
+    },
+  },
+});
+
+/**
+ * Whether a file is read as design tokens: *.tokens / *.tokens.json, or
+ * listed under `tokens.files` in the config
+ */
+export function isTokenFile(filePath, config) {
+  return TOKEN_FILE.test(filePath) || Boolean(config && isConfiguredTokenFile(filePath, config));
+}
+
+/**
+ * Parse JSON keeping where each value is: { type, value, start, end }, with
+ * `members` ([{ key, node }]) on objects and `items` on arrays
+ * @throws {SyntaxError} With an `offset`
+ */
+export function parseJSONTree(text) {
+  let i = text.charCodeAt(0) === 0xFEFF ? 1 : 0;
+  const fail = message => {
+    const error = new SyntaxError(`${message} at offset ${i}`);
+    error.offset = i;
+    throw error;
+  };
+  const space = () => {
+    while (/\s/.test(text[i] || '')) i++;
+  };
+  const string = () => {
+    const start = i++;
+    while (text[i] !== '"') {
+      if (i >= text.length) fail('Unterminated string');
+      i += text[i] === '\\' ? 2 : 1;
+    }
+    i++;
+    return JSON.parse(text.slice(start, i));
+  };
+  const list = (close, readItem) => {
+    i++;
+    space();
+    if (text[i] === close) {
+      i++;
+      return;
+    }
+    for (;;) {
+      readItem();
+      space();
+      if (text[i] === ',') {
+        i++;
+        continue;
+      }
+      if (text[i] === close) {
+        i++;
+        return;
+      }
+      fail(`Expected "," or "${close}"`);
+    }
+  };
+  const value = () => {
+    space();
+    const start = i;
+    if (text[i] === '{') {
+      const members = [];
+      list('}', () => {
+        space();
+        if (text[i] !== '"') fail('Expected a property name');
+        const key = string();
+        space();
+        if (text[i++] !== ':') fail('Expected ":"');
+        members.push({ key, node: value() });
+      });
+      return { type: 'object', members, start, end: i };
+    }
+    if (text[i] === '[') {
+      const items = [];
+      list(']', () => items.push(value()));
+      return { type: 'array', items, start, end: i };
+    }
+    if (text[i] === '"') {
+      return { type: 'string', value: string(), start, end: i };
+    }
+    const literal = /^(?:-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?|true|false|null)/.exec(text.slice(i, i + 64));
+    if (!literal) fail('Unexpected token');
+    i += literal[0].length;
+    const parsed = JSON.parse(literal[0]);
+    return { type: parsed === null ? 'null' : typeof parsed, value: parsed, start, end: i };
+  };
+
+  const root = value();
+  space();
+  if (i < text.length) fail('Unexpected content after JSON');
+  return root;
+}
+
+function member(node, key) {
+  return node?.type === 'object' ? node.members.find(entry => entry.key === key)?.node : undefined;
+}
+
+// Plain JavaScript value of a tree node
+function plain(node) {
+  if (node.type === 'object') return Object.fromEntries(node.members.map(({ key, node: child }) => [key, plain(child)]));
+  if (node.type === 'array') return node.items.map(plain);
+  return node.value;
+}
+
+// Mode values in $extensions: { mode: {...} }, { modes: {...} } or one vendor level down
+function modeNodes(extensions) {
+  if (extensions?.type !== 'object') return null;
+  const direct = member(extensions, 'mode') || member(extensions, 'modes');
+  if (direct?.type === 'object') return direct;
+  for (const { node } of extensions.members) {
+    const nested = member(node, 'mode') || member(node, 'modes');
+    if (nested?.type === 'object') return nested;
+  }
+  return null;
+}
+
+/**
+ * Tokens of a parsed file, by dot path
+ * @returns {Map<string, {path: string, type: string|undefined, value: object,
+ *   modes: Map<string, object>, file: string, locator: object}>} value and
+ *   modes hold tree nodes
+ */
+function collectTokens(root, file, content, tokens = new Map()) {
+  const locator = createLocator(content);
+  const walk = (node, segments, inheritedType) => {
+    if (node.type !== 'object') return;
+    const type = member(node, '$type')?.value ?? inheritedType;
+    const value = member(node, '$value') ?? (member(node, 'value')?.type !== 'object' ? member(node, 'value') : undefined);
+    if (value !== undefined && segments.length) {
+      const modes = new Map((modeNodes(member(node, '$extensions'))?.members || []).map(({ key, node: mode }) => [key, mode]));
+      const tokenPath = segments.join('.');
+      tokens.set(tokenPath, { path: tokenPath, type: type ?? member(node, 'type')?.value, value, modes, file, locator });
+      return;
+    }
+    for (const { key, node: child } of node.members) {
+      if (!key.startsWith('$')) walk(child, [...segments, key], type);
+    }
+  };
+  walk(root, [], undefined);
+  return tokens;
+}
+
+// CSS color text of a DTCG color object ({ colorSpace, components, alpha, hex })
+function colorObjectText(value) {
+  if (typeof value.hex === 'string' && (value.alpha ?? 1) === 1) return value.hex;
+  const components = Array.isArray(value.components) ? value.components : [];
+  const alpha = value.alpha ?? 1;
+  switch (value.colorSpace) {
+    case 'srgb':
+      return `rgb(${components.map(c => c * 255).join(' ')} / ${alpha})`;
+    case 'hsl':
+    case 'hwb':
+      return `${value.colorSpace}(${components[0]} ${components[1]}% ${components[2]}% / ${alpha})`;
+    case 'lab':
+    case 'lch':
+    case 'oklab':
+    case 'oklch':
+      return `${value.colorSpace}(${components.join(' ')} / ${alpha})`;
+    default:
+      return typeof value.hex === 'string' ? value.hex : null;
+  }
+}
+
+/**
+ * Color of a token in a theme, following aliases
+ * @returns {{color: object, node: object, token: object}|null} node: the
+ *   value that was read (a mode's when the theme sets one)
+ */
+function resolveColor(tokens, token, theme, trace, depth = 0) {
+  if (!token || depth > MAX_ALIAS_DEPTH) return null;
+  const node = (theme && token.modes.get(theme)) || token.value;
+  const value = plain(node);
+  const alias = typeof value === 'string' ? /^\{([^}]+)\}$/.exec(value.trim()) : null;
+  if (alias) {
+    const target = tokens.get(alias[1].replace(/\.\$?value$/, ''));
+    const resolved = resolveColor(tokens, target, theme, trace, depth + 1);
+    if (resolved) {
+      const start = target.locator.positionAt(((theme && target.modes.get(theme)) || target.value).start);
+      trace.push({ name: target.path, value: formatColor(resolved.color), filePath: target.file, ...start });
+    }
+    return resolved && { ...resolved, node, token };
+  }
+  if (token.type && token.type !== 'color') return null;
+  const text = typeof value === 'string' ? value : (value && typeof value === 'object' ? colorObjectText(value) : null);
+  const color = text ? parseColor(text) : null;
+  return color ? { color, node, token } : null;
+}
+
+// Wildcard token path → RegExp: * is one segment, ** any number
+function pathPattern(pattern) {
+  const source = pattern.split('.').map(segment => (
+    segment === '**' ? '.+' : segment.split('*').map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('[^.]+')
+  )).join('\\.');
+  return new RegExp(`^${source}$`);
+}
+
+function segmentsOf(token) {
+  return token.path.split('.');
+}
+
+function roleOf(token) {
+  const segments = segmentsOf(token);
+  if (segments.some(segment => BACKGROUND_ROLE.test(segment))) return 'background';
+  if (segments.some(segment => NON_TEXT_ROLE.test(segment))) return 'non-text';
+  if (segments.some(segment => TEXT_ROLE.test(segment))) return 'text';
+  return null;
+}
+
+// Backgrounds a foreground is meant for: on-primary → primary, inverse → inverse
+function meantFor(foreground, background) {
+  const on = segmentsOf(foreground).map(segment => /^on(?:[-_]([\w-]+)|([A-Z]\w*))$/.exec(segment)).find(Boolean);
+  if (on) {
+    const target = (on[1] || on[2]).toLowerCase();
+    return segmentsOf(background).some(segment => segment.toLowerCase() === target);
+  }
+  const inverse = token => segmentsOf(token).some(segment => /inverse/i.test(segment));
+  return inverse(foreground) === inverse(background);
+}
+
+/**
+ * Foreground/background pairs to check: declared ones, or every
+ * text-on-surface combination the token paths name. Disabled states are
+ * exempt from contrast requirements and skipped.
+ * @returns {Array<{foreground: object, background: object, kind: string}>}
+ */
+function contrastPairs(tokens, declared) {
+  const colors = [...tokens.values()].filter(token => !token.type || token.type === 'color');
+  const pairs = [];
+  if (declared?.length) {
+    for (const { foreground, background, kind } of declared) {
+      const fgPattern = pathPattern(foreground);
+      const bgPattern = pathPattern(background);
+      for (const fg of colors.filter(token => fgPattern.test(token.path))) {
+        for (const bg of colors.filter(token => token !== fg && bgPattern.test(token.path))) {
+          pairs.push({ foreground: fg, background: bg, kind: kind || (roleOf(fg) === 'non-text' ? 'non-text' : 'text') });
+        }
+      }
+    }
+    return pairs;
+  }
+
+  const usable = token => !segmentsOf(token).some(segment => /disabled/i.test(segment));
+  const backgrounds = colors.filter(token => roleOf(token) === 'background' && usable(token));
+  for (const fg of colors.filter(token => ['text', 'non-text'].includes(roleOf(token)) && usable(token))) {
+    const onTarget = segmentsOf(fg).some(segment => /^on(?:[-_]|[A-Z])/.test(segment));
+    // on-primary sits on primary, whatever role its path names
+    const candidates = onTarget ? colors.filter(token => token !== fg && usable(token)) : backgrounds;
+    for (const bg of candidates.filter(token => meantFor(fg, token))) {
+      pairs.push({ foreground: fg, background: bg, kind: roleOf(fg) });
+    }
+  }
+  return pairs;
+}
+
+/**
+ * Shared token files (`tokens.base`) with their content
+ * @param {object} [settings] - The config's `tokens` section, with `rootDir`
+ * @returns {Array<{file: string, content: string}>}
+ */
+export function tokenDependencies(settings) {
+  const dependencies = [];
+  for (const file of settings?.base || []) {
+    const absolute = path.resolve(settings.rootDir || process.cwd(), file);
+    try {
+      dependencies.push({ file, content: fs.readFileSync(absolute, 'utf8') });
+    } catch {
+      // A missing shared file leaves aliases into it unresolved
+    }
+  }
+  return dependencies;
+}
+
+/**
+ * Analyze a design token file for contrast failures
+ * @param {string} content - Token file (JSON)
+ * @param {string} [filePath]
+ * @param {object} [options]
+ * @param {object} [options.tokens] - The config's `tokens` section: `pairs`
+ *   ([{ foreground, background, kind }], paths with * wildcards), `base`
+ *   (shared token files, relative to `rootDir`)
+ * @param {object} [options.suppressions] - Shared createSuppressions() set (see suppressions.js)
+ * @returns {Promise<Array>} Canonical violations (analyzer 'tokens')
+ */
+export async function analyzeTokens(content, filePath = 'unknown.tokens.json', options = {}) {
+  const violations = [];
+  const locator = createLocator(content);
+  let tree;
+  try {
+    tree = parseJSONTree(content);
+  } catch (error) {
+    violations.push({
+      ruleId: 'token-parse-error',
+      severity: 'error',
+      ...locator.positionAt(error.offset ?? 0),
+      message: `Token file parsing error: ${error.message}`,
+    });
+    return normalizeViolations(violations, { analyzer: 'tokens', filePath, content, suppressions: options.suppressions });
+  }
+
+  const tokens = new Map();
+  for (const { file, content: shared } of tokenDependencies(options.tokens)) {
+    try {
+      collectTokens(parseJSONTree(shared), file, shared, tokens);
+    } catch {
+      // Shared files are reported when they are analyzed themselves
+    }
+  }
+  collectTokens(tree, filePath, content, tokens);
+
+  const themes = new Set();
+  for (const token of tokens.values()) {
+    for (const theme of token.modes.keys()) themes.add(theme);
+  }
+
+  const reported = new Set();
+  for (const theme of ['', ...themes]) {
+    for (const { foreground, background, kind } of contrastPairs(tokens, options.tokens?.pairs)) {
+      const trace = [];
+      const fg = resolveColor(tokens, foreground, theme, trace);
+      const bg = resolveColor(tokens, background, theme, trace);
+      // Findings belong to the file that defines one of the pair: the side
+      // the theme changed, else the foreground
+      const sides = [fg, bg].filter(side => side?.token.file === filePath);
+      const at = sides.find(side => side.node !== side.token.value) || sides[0];
+      if (!fg || !bg || !at) continue;
+      const backdrop = composite(bg.color, CANVAS);
+      const required = kind === 'non-text' || kind === 'large-text' ? NON_TEXT_CONTRAST : 4.5;
+      const ratio = getContrastRatio(fg.color, backdrop);
+      if (ratio >= required) continue;
+      // A theme is only reported where it changes the outcome
+      const key = `${foreground.path}|${background.path}|${formatColor(fg.color)}|${formatColor(backdrop)}`;
+      if (reported.has(key)) continue;
+      reported.add(key);
+      const where = theme ? ` in the ${theme} theme` : '';
+      violations.push({
+        ruleId: kind === 'non-text' ? 'token-contrast-non-text' : 'token-contrast-text',
+        severity: kind === 'non-text' ? 'warning' : 'error',
+        ...rangeFromOffsets(locator, at.node.start, at.node.end),
+        message: kind === 'non-text'
+          ? `Token ${foreground.path} (${formatColor(fg.color)}) has ${ratio.toFixed(2)}:1 contrast against the background token ${background.path} (${formatColor(backdrop)})${where}. WCAG 1.4.11 requires 3:1`
+          : `Low contrast ratio (${ratio.toFixed(2)}:1) between text token ${foreground.path} (${formatColor(fg.color)}) and background token ${background.path} (${formatColor(backdrop)})${where}`
+            + `. WCAG AA requires ${kind === 'large-text' ? '3:1 for large text' : '4.5:1 for normal text'}`,
+        ...(trace.length ? { trace } : {}),
+      });
+    }
+  }
+
+  violations.sort((a, b) => a.line - b.line || a.column - b.column);
+  return normalizeViolations(violations, { analyzer: 'tokens', filePath, content, suppressions: options.suppressions });
+}
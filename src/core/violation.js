@@ -0,0 +1,231 @@
+/**
+ * Violation: Canonical, versioned violation shape shared by every analyzer
+ * Analyzers build raw findings and pass them through normalizeViolation();
+ * downstream consumers (MCP tools, PR script, viewer) rely only on this shape.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Ajv from 'ajv';
+import { getWcagLevel, getHelpUrl } from './wcag.js';
+import { getRule, isRuleEnabled } from './rule-registry.js';
+import { createSuppressions } from './suppressions.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const VIOLATION_SCHEMA_VERSION = 1;
+export const VIOLATION_SCHEMA_PATH = path.join(__dirname, 'violation.schema.json');
+
+const MAX_SNIPPET_LINES = 3;
+const MAX_SNIPPET_LENGTH = 240;
+
+/**
+ * Build a line/column lookup over file content.
+ * Lines and columns are 1-based, matching ESLint.
+ */
+export function createLocator(content = '') {
+  const lineStarts = [0];
+  for (let i = 0; i < content.length; i++) {
+    if (content[i] === '\n') lineStarts.push(i + 1);
+  }
+
+  function positionAt(offset) {
+    const clamped = Math.max(0, Math.min(offset, content.length));
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (lineStarts[mid] <= clamped) low = mid;
+      else high = mid - 1;
+    }
+    return { line: low + 1, column: clamped - lineStarts[low] + 1 };
+  }
+
+  function offsetAt(line, column = 1) {
+    const start = lineStarts[Math.max(0, Math.min(line - 1, lineStarts.length - 1))];
+    return Math.min(start + Math.max(0, column - 1), content.length);
+  }
+
+  function lineEnd(line) {
+    const next = lineStarts[line];
+    return next === undefined ? content.length : next - 1;
+  }
+
+  return { positionAt, offsetAt, lineEnd, lineCount: lineStarts.length };
+}
+
+/**
+ * Range for a [start, end) character span
+ */
+export function rangeFromOffsets(locator, start, end) {
+  const from = locator.positionAt(start);
+  const to = locator.positionAt(Math.max(start, end));
+  return { line: from.line, column: from.column, endLine: to.line, endColumn: to.column };
+}
+
+function extractSnippet(content, locator, range) {
+  const start = locator.offsetAt(range.line, range.column);
+  const end = locator.offsetAt(range.endLine, range.endColumn);
+  let text = content.slice(start, end > start ? end : locator.lineEnd(range.line));
+  const lines = text.split('\n');
+  if (lines.length > MAX_SNIPPET_LINES) {
+    text = `${lines.slice(0, MAX_SNIPPET_LINES).join('\n')}\n…`;
+  }
+  if (text.length > MAX_SNIPPET_LENGTH) {
+    text = `${text.slice(0, MAX_SNIPPET_LENGTH)}…`;
+  }
+  return text.trim();
+}
+
+/**
+ * Resolve a full source range for a raw finding.
+ * Uses the analyzer's range when it has one, otherwise locates the raw
+ * code snippet on the reported line, otherwise spans the reported line.
+ */
+function resolveRange(raw, content, locator) {
+  const line = Math.max(1, raw.line || 1);
+  const column = Math.max(1, raw.column || 1);
+
+  if (raw.endLine) {
+    return {
+      line,
+      column,
+      endLine: Math.max(line, raw.endLine),
+      endColumn: raw.endLine > line ? Math.max(1, raw.endColumn || 1) : Math.max(column, raw.endColumn || column),
+    };
+  }
+
+  if (content && locator) {
+    if (raw.code) {
+      const index = content.indexOf(raw.code, locator.offsetAt(line, 1));
+      if (index !== -1) {
+        return rangeFromOffsets(locator, index, index + raw.code.length);
+      }
+    }
+    const end = locator.positionAt(locator.lineEnd(line));
+    return { line, column, endLine: line, endColumn: Math.max(column, end.column) };
+  }
+
+  return { line, column, endLine: line, endColumn: column };
+}
+
+/**
+ * Analyzers build edits from character offsets ({ start, end, text });
+ * the canonical form uses the same 1-based, end-exclusive ranges as violations
+ */
+function resolveEdit(edit, locator) {
+  if (typeof edit.start !== 'number') {
+    return edit;
+  }
+  return { ...rangeFromOffsets(locator, edit.start, edit.end ?? edit.start), text: edit.text };
+}
+
+/**
+ * Convert a raw analyzer finding into the canonical Violation shape.
+ *
+ * Accepts the legacy field names still used inside the analyzers
+ * (`id`, `wcagCriteria`, `fix[]`, `fixSuggestions`, `help`, `code`).
+ * An `autofix` with offset-based edits is converted to line/column edits.
+ * A `trace` (variable declarations behind the values) is kept as is.
+ * Anything the finding leaves out (severity, WCAG mapping, description,
+ * fix guidance, tags) comes from the rule registry.
+ *
+ * @param {object} raw - Finding produced by an analyzer
+ * @param {object} context
+ * @param {string} context.analyzer - 'eslint' | 'html' | 'css' | 'js' | 'markdown' | 'regex' | 'suppression'
+ * @param {string} [context.filePath] - File the finding belongs to
+ * @param {string} [context.content] - File content, used for ranges and snippets
+ * @param {object} [context.locator] - Reusable createLocator(content) result
+ * @returns {object} Canonical violation
+ */
+export function normalizeViolation(raw, { analyzer, filePath, content, locator } = {}) {
+  const ruleId = raw.ruleId || raw.id;
+  const rule = getRule(ruleId);
+  const wcag = raw.wcag || raw.wcagCriteria || rule?.wcag || [];
+  const lookup = content !== undefined ? (locator || createLocator(content)) : null;
+  const range = resolveRange(raw, content, lookup);
+
+  let suggestions = raw.suggestions || raw.fixSuggestions;
+  if (!suggestions) {
+    suggestions = Array.isArray(raw.fix) ? raw.fix : (rule?.fix || []);
+  }
+  let fix = Array.isArray(raw.fix) ? raw.fix[0] : raw.fix;
+  fix = fix || raw.help || suggestions[0] || 'Review WCAG 2.2 documentation';
+  if (suggestions.length === 0) {
+    suggestions = ['Review WCAG 2.2 documentation'];
+  }
+
+  const message = raw.message || raw.title || raw.description || ruleId;
+
+  const violation = {
+    schemaVersion: VIOLATION_SCHEMA_VERSION,
+    ruleId,
+    analyzer: analyzer || raw.analyzer || 'unknown',
+    severity: (raw.severity || rule?.severity) === 'error' ? 'error' : 'warning',
+    message,
+    description: raw.description || rule?.description || message,
+    filePath: filePath || raw.filePath || null,
+    ...range,
+    snippet: raw.snippet ?? (content !== undefined ? extractSnippet(content, lookup, range) : (raw.code || '')),
+    wcag,
+    wcagLevel: getWcagLevel(wcag),
+    fix,
+    suggestions,
+    helpUrl: raw.helpUrl || rule?.helpUrl || getHelpUrl(ruleId, wcag),
+  };
+
+  const tags = raw.tags || rule?.tags;
+  if (tags?.length) {
+    violation.tags = tags;
+  }
+
+  if (raw.trace?.length) {
+    violation.trace = raw.trace;
+  }
+
+  if (raw.autofix?.edits?.length && lookup) {
+    violation.autofix = {
+      title: raw.autofix.title || fix,
+      edits: raw.autofix.edits.map(edit => resolveEdit(edit, lookup)),
+    };
+  }
+
+  return violation;
+}
+
+/**
+ * Normalize every finding from one analyzer run over one file,
+ * dropping findings for rules disabled in the registry and findings
+ * silenced by a11y-disable comments in the file.
+ * @param {Array} rawViolations - Findings produced by an analyzer
+ * @param {object} context - See normalizeViolation(); additionally
+ * @param {object|false} [context.suppressions] - Shared createSuppressions() set,
+ *   or false to skip suppression; parsed from `content` when omitted
+ */
+export function normalizeViolations(rawViolations, context = {}) {
+  const locator = context.content !== undefined ? createLocator(context.content) : undefined;
+  const suppressions = context.suppressions ?? (locator ? createSuppressions(context.content, context.filePath, locator) : null);
+  return rawViolations
+    .filter(raw => isRuleEnabled(raw.ruleId || raw.id))
+    .map(raw => normalizeViolation(raw, { ...context, locator }))
+    .filter(violation => !suppressions || !suppressions.suppresses(violation));
+}
+
+let schemaValidator = null;
+
+/**
+ * Validate an object against the published Violation JSON schema
+ * @param {object} violation
+ * @returns {{valid: boolean, errors: string[]}}
+ */
+export function validateViolation(violation) {
+  if (!schemaValidator) {
+    const schema = JSON.parse(fs.readFileSync(VIOLATION_SCHEMA_PATH, 'utf8'));
+    schemaValidator = new Ajv({ allErrors: true }).compile(schema);
+  }
+  const valid = schemaValidator(violation);
+  const errors = (schemaValidator.errors || []).map(err => `${err.instancePath || '(root)'} ${err.message}`);
+  return { valid: Boolean(valid), errors };
+}
@@ -0,0 +1,70 @@
+/**
+ * Vue Analyzer: Checks Vue single-file components (.vue)
+ * - <template>: html-analyzer.js rules as a fragment, with v-bind/:attr and
+ *   v-on/@event attributes read as their plain HTML equivalents
+ * - <script> / <script setup>: js-analyzer.js
+ * - <style> / <style lang="scss|sass|less|stylus">: css-analyzer.js
+ * Blocks are analyzed in place (see sfc-blocks.js), so positions are the file's own.
+ */
+
+import { analyzeHTML, BOUND_CONTENT } from './html-analyzer.js';
+import { analyzeJS } from './js-analyzer.js';
+import { analyzeCSS } from './css-analyzer.js';
+import { parseBlocks, maskOutside, boundValue } from './sfc-blocks.js';
+import { normalizeStyleLang } from './style-syntax.js';
+
+const SCRIPT_LANGS = ['js', 'ts', 'jsx', 'tsx'];
+
+/**
+ * Vue template attributes as plain HTML: :alt / v-bind:alt → alt,
+ * @click / v-on:click → onclick (modifiers dropped), v-text / v-html
+ * count as content. Bound values win over static ones, as in Vue.
+ */
+export function mapVueAttributes(attribs) {
+  const mapped = {};
+  const bound = {};
+  for (const [name, value] of Object.entries(attribs)) {
+    const binding = /^(?::|v-bind:)([\w-]+)/.exec(name);
+    const listener = /^(?:@|v-on:)([\w-]+)/.exec(name);
+    if (name === 'v-text' || name === 'v-html') {
+      bound[BOUND_CONTENT] = value;
+    } else if (binding) {
+      bound[binding[1]] = boundValue(value);
+    } else if (listener) {
+      mapped[`on${listener[1].toLowerCase()}`] = value || 'true';
+    } else {
+      mapped[name] = value;
+    }
+  }
+  return { ...mapped, ...bound };
+}
+
+/**
+ * Analyze a Vue single-file component
+ * @param {string} content - .vue source
+ * @param {string} [filePath] - Reported on each violation
+ * @param {object} [options]
+ * @param {object} [options.suppressions] - Shared createSuppressions() set (see suppressions.js)
+ */
+export async function analyzeVue(content, filePath = 'unknown.vue', options = {}) {
+  const violations = [];
+  for (const block of parseBlocks(content, ['template', 'script', 'style'])) {
+    const masked = maskOutside(content, [[block.start, block.end]]);
+    if (block.type === 'template' && (!block.lang || block.lang === 'html')) {
+      violations.push(...await analyzeHTML(masked, filePath, {
+        ...options,
+        fragment: true,
+        mapAttributes: mapVueAttributes,
+      }));
+    } else if (block.type === 'script' && (!block.lang || SCRIPT_LANGS.includes(block.lang))) {
+      violations.push(...await analyzeJS(masked, filePath, options));
+    } else if (block.type === 'style' && (!block.lang || normalizeStyleLang(block.lang))) {
+      violations.push(...await analyzeCSS(masked, filePath, {
+        ...options,
+        lang: normalizeStyleLang(block.lang) || 'css',
+      }));
+    }
+    // Other template languages (pug...) and unknown style languages are not analyzed
+  }
+  return violations.sort((a, b) => a.line - b.line || a.column - b.column);
+}
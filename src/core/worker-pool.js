@@ -0,0 +1,148 @@
+/**
+ * Worker Pool: Analyzes files in parallel on worker threads
+ * - Workers (analysis-worker.js) are started on demand and reused, so each
+ *   keeps one warm ESLint instance across files
+ * - Every analyze() call resolves with that file's violations; awaiting the
+ *   calls in input order (Promise.all) keeps results deterministic
+ * - concurrency 1 analyzes on the calling thread without starting workers
+ * Only config, mode, cache and page reach the workers; registry changes made at runtime
+ * with disableRule()/enableRule() do not.
+ */
+
+import os from 'os';
+import { Worker } from 'worker_threads';
+import { analyzeFileHybrid } from './hybrid-analyzer.js';
+
+const WORKER_URL = new URL('./analysis-worker.js', import.meta.url);
+
+/**
+ * One worker per core, leaving one for the main thread
+ */
+export function defaultConcurrency() {
+  const cores = typeof os.availableParallelism === 'function' ? os.availableParallelism() : os.cpus().length;
+  return Math.max(1, cores - 1);
+}
+
+/**
+ * Validate a concurrency setting ("auto", undefined or a positive integer)
+ * @returns {number}
+ */
+export function resolveConcurrency(value) {
+  if (value === undefined || value === null || value === 'auto') {
+    return defaultConcurrency();
+  }
+  const concurrency = Number(value);
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new Error(`Invalid concurrency "${value}" (expected a positive integer or "auto")`);
+  }
+  return concurrency;
+}
+
+/**
+ * Analyses run one after another on the calling thread
+ */
+function createInlinePool() {
+  let chain = Promise.resolve();
+  return {
+    concurrency: 1,
+    analyze(content, filePath, options = {}) {
+      const result = chain.then(() => analyzeFileHybrid(content, filePath, options));
+      chain = result.catch(() => {});
+      return result;
+    },
+    async close() {
+      await chain;
+    },
+  };
+}
+
+/**
+ * Create a pool of analysis workers
+ * @param {object} [options]
+ * @param {number|string} [options.concurrency] - Number of workers, or "auto" (default)
+ * @returns {{concurrency: number, analyze: Function, close: Function}} analyze(content, filePath,
+ *   { config, mode, cache, page }) mirrors analyzeFileHybrid; close() stops the workers
+ */
+export function createAnalysisPool({ concurrency } = {}) {
+  const size = resolveConcurrency(concurrency);
+  if (size === 1) {
+    return createInlinePool();
+  }
+
+  const workers = new Set();
+  const idle = [];
+  const queue = [];
+  let closed = false;
+
+  function dispatch(worker, task) {
+    worker.task = task;
+    worker.postMessage({ content: task.content, filePath: task.filePath, options: task.options });
+  }
+
+  function release(worker) {
+    const next = queue.shift();
+    if (next) {
+      dispatch(worker, next);
+    } else {
+      idle.push(worker);
+    }
+  }
+
+  function spawn() {
+    const worker = new Worker(WORKER_URL);
+    worker.task = null;
+    worker.failure = null;
+
+    worker.on('message', ({ violations, error }) => {
+      const { task } = worker;
+      worker.task = null;
+      if (error) {
+        task.reject(new Error(error));
+      } else {
+        task.resolve(violations);
+      }
+      release(worker);
+    });
+    worker.on('error', error => {
+      worker.failure = error;
+    });
+    worker.on('exit', code => {
+      workers.delete(worker);
+      const idleIndex = idle.indexOf(worker);
+      if (idleIndex !== -1) idle.splice(idleIndex, 1);
+      if (closed) return;
+
+      // A crashed worker fails only its own file; the queue moves to a replacement
+      worker.task?.reject(worker.failure || new Error(`Analysis worker exited with code ${code}`));
+      if (queue.length > 0) {
+        release(spawn());
+      }
+    });
+
+    workers.add(worker);
+    return worker;
+  }
+
+  return {
+    concurrency: size,
+    analyze(content, filePath, { config, mode, cache, page } = {}) {
+      if (closed) {
+        return Promise.reject(new Error('Analysis pool is closed'));
+      }
+      return new Promise((resolve, reject) => {
+        const task = { content, filePath, options: { config, mode, cache, page }, resolve, reject };
+        const worker = idle.pop() || (workers.size < size ? spawn() : null);
+        if (worker) {
+          dispatch(worker, task);
+        } else {
+          queue.push(task);
+        }
+      });
+    },
+    async close() {
+      closed = true;
+      queue.splice(0).forEach(task => task.reject(new Error('Analysis pool is closed')));
+      await Promise.all([...workers].map(worker => worker.terminate()));
+    },
+  };
+}
@@ -12,7 +12,17 @@ import {
   ErrorCode,
   McpError
 } from '@modelcontextprotocol/sdk/types.js';
-import { analyzeFileHybrid } from './core/hybrid-analyzer.js';
+import { analyzeFileHybrid, ANALYSIS_MODES } from './core/hybrid-analyzer.js';
+import { loadConfig, isIgnored } from './core/config-loader.js';
+import { VIOLATION_SCHEMA_VERSION } from './core/violation.js';
+// Registers the regex fast-path rules so list_rules/suggest_fix can see them
+import './core/regex-analyzer.js';
+import { getRule, listRules } from './core/rule-registry.js';
+import { toSarif } from './core/sarif-reporter.js';
+import { fixContent, createUnifiedDiff } from './core/autofix.js';
+import { createAnalysisPool, resolveConcurrency } from './core/worker-pool.js';
+import { templateSyntaxForFile } from './core/template-preprocessor.js';
+import { isTokenFile } from './core/token-analyzer.js';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -37,9 +47,32 @@ class ProductionMCPServer {
       }
     );
 
+    this.config = null;
     this.setupHandlers();
   }
 
+  /**
+   * Lazily load .a11y/config.json relative to the server's working directory
+   */
+  getConfig() {
+    if (!this.config) {
+      this.config = loadConfig({ cwd: process.cwd() });
+    }
+    return this.config;
+  }
+
+  /**
+   * Reject unknown analysis modes before any file is read
+   */
+  assertMode(mode) {
+    if (mode !== undefined && !ANALYSIS_MODES.includes(mode)) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `Unknown mode: ${mode} (expected ${ANALYSIS_MODES.join(', ')})`
+      );
+    }
+  }
+
   setupHandlers() {
     // List available tools
     this.server.setRequestHandler(ListToolsRequestSchema, async () => {
@@ -58,6 +91,15 @@ class ProductionMCPServer {
                 content: {
                   type: 'string',
                   description: 'File content to analyze (optional if filePath is provided)'
+                },
+                mode: {
+                  type: 'string',
+                  enum: ANALYSIS_MODES,
+                  description: 'fast (regex only), full (regex + AST) or hybrid (AST only when regex flags the file); defaults to config mode'
+                },
+                page: {
+                  type: 'boolean',
+                  description: 'For HTML pages, also check the elements against the stylesheets and scripts the page loads from disk (not in fast mode)'
                 }
               },
               required: ['filePath']
@@ -80,6 +122,21 @@ class ProductionMCPServer {
                     required: ['path', 'content']
                   },
                   description: 'Array of files to check'
+                },
+                mode: {
+                  type: 'string',
+                  enum: ANALYSIS_MODES,
+                  description: 'Analysis mode applied to every file; defaults to config mode'
+                },
+                format: {
+                  type: 'string',
+                  enum: ['json', 'sarif'],
+                  description: 'json (default) or sarif (SARIF 2.1.0 for GitHub code scanning)'
+                },
+                concurrency: {
+                  type: 'integer',
+                  minimum: 1,
+                  description: 'Worker threads analyzing files in parallel; defaults to config concurrency'
                 }
               },
               required: ['files']
@@ -102,6 +159,61 @@ class ProductionMCPServer {
               },
               required: ['violationId', 'code']
             }
+          },
+          {
+            name: 'apply_fix',
+            description: 'Apply the machine-applicable fixes for a file and return the patched file or a unified diff',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                filePath: {
+                  type: 'string',
+                  description: 'Path to the file to fix (the file on disk is never written)'
+                },
+                content: {
+                  type: 'string',
+                  description: 'File content to fix (optional if filePath is provided)'
+                },
+                ruleIds: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  description: 'Only apply fixes for these rules; defaults to every fixable rule'
+                },
+                format: {
+                  type: 'string',
+                  enum: ['patched', 'diff'],
+                  description: 'patched (default) returns the whole fixed file, diff a unified diff'
+                },
+                mode: {
+                  type: 'string',
+                  enum: ANALYSIS_MODES,
+                  description: 'Analysis mode used to find fixes; defaults to config mode'
+                }
+              },
+              required: ['filePath']
+            }
+          },
+          {
+            name: 'list_rules',
+            description: 'List registered accessibility rules with their WCAG mapping, severity and tags',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                analyzer: {
+                  type: 'string',
+                  description: 'Only rules reported by this analyzer (eslint, html, css, js, regex)'
+                },
+                tag: {
+                  type: 'string',
+                  description: 'Only rules with this tag (e.g. "forms", "keyboard-nav")'
+                },
+                wcagLevel: {
+                  type: 'string',
+                  enum: ['A', 'AA', 'AAA'],
+                  description: 'Only rules at this WCAG conformance level'
+                }
+              }
+            }
           }
         ]
       };
@@ -121,6 +233,12 @@ class ProductionMCPServer {
           
           case 'suggest_fix':
             return await this.handleSuggestFix(args);
+
+          case 'apply_fix':
+            return await this.handleApplyFix(args);
+
+          case 'list_rules':
+            return await this.handleListRules(args);
           
           default:
             throw new McpError(
@@ -141,7 +259,8 @@ class ProductionMCPServer {
   }
 
   async handleCheckAccessibility(args) {
-    const { filePath, content } = args;
+    const { filePath, content, mode, page = false } = args;
+    this.assertMode(mode);
 
     let fileContent = content;
     if (!fileContent) {
@@ -154,21 +273,34 @@ class ProductionMCPServer {
       fileContent = fs.readFileSync(filePath, 'utf8');
     }
 
-    const violations = await analyzeFileHybrid(fileContent, filePath);
+    const config = this.getConfig();
+    const ignored = isIgnored(filePath, config);
+    const violations = ignored ? [] : await analyzeFileHybrid(fileContent, filePath, { config, mode, page });
     const ext = path.extname(filePath).toLowerCase();
     
     let fileType = 'unknown';
-    if (['.jsx'].includes(ext)) fileType = 'jsx';
+    if (isTokenFile(filePath, config)) fileType = 'tokens';
+    else if (['.jsx'].includes(ext)) fileType = 'jsx';
     else if (['.tsx'].includes(ext)) fileType = 'tsx';
     else if (['.js'].includes(ext)) fileType = 'js';
     else if (['.ts'].includes(ext)) fileType = 'ts';
     else if (['.html', '.htm'].includes(ext)) fileType = 'html';
     else if (['.css'].includes(ext)) fileType = 'css';
     else if (['.scss'].includes(ext)) fileType = 'scss';
+    else if (['.sass'].includes(ext)) fileType = 'sass';
+    else if (['.less'].includes(ext)) fileType = 'less';
+    else if (['.styl', '.stylus'].includes(ext)) fileType = 'stylus';
+    else if (['.vue'].includes(ext)) fileType = 'vue';
+    else if (['.svelte'].includes(ext)) fileType = 'svelte';
+    else if (['.md', '.markdown'].includes(ext)) fileType = 'markdown';
+    else if (['.mdx'].includes(ext)) fileType = 'mdx';
+    else if (templateSyntaxForFile(filePath)) fileType = templateSyntaxForFile(filePath);
 
     const result = {
+      schemaVersion: VIOLATION_SCHEMA_VERSION,
       filePath,
       fileType,
+      ignored,
       violations,
       summary: {
         totalViolations: violations.length,
@@ -189,43 +321,78 @@ class ProductionMCPServer {
   }
 
   async handleCheckAccessibilityBatch(args) {
-    const { files } = args;
-    const results = [];
+    const { files, mode, format = 'json' } = args;
+    this.assertMode(mode);
+    if (!['json', 'sarif'].includes(format)) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `Unknown format: ${format} (expected json, sarif)`
+      );
+    }
+    const config = this.getConfig();
 
-    for (const file of files) {
-      try {
-        const violations = await analyzeFileHybrid(file.content, file.path);
-        results.push({
-          filePath: file.path,
-          violations,
-          summary: {
-            totalViolations: violations.length,
-            errors: violations.filter(v => v.severity === 'error').length,
-            warnings: violations.filter(v => v.severity === 'warning').length
-          }
-        });
-      } catch (error) {
-        results.push({
-          filePath: file.path,
-          error: error.message,
-          violations: []
-        });
-      }
+    let concurrency;
+    try {
+      concurrency = resolveConcurrency(args.concurrency ?? config.concurrency);
+    } catch (error) {
+      throw new McpError(ErrorCode.InvalidParams, error.message);
+    }
+    const analyzed = files.filter(file => !isIgnored(file.path, config));
+    const pool = createAnalysisPool({ concurrency: Math.max(1, Math.min(concurrency, analyzed.length)) });
+
+    let results;
+    try {
+      // Results keep the order of the input files
+      results = await Promise.all(files.map(async file => {
+        if (isIgnored(file.path, config)) {
+          return {
+            filePath: file.path,
+            ignored: true,
+            violations: []
+          };
+        }
+
+        try {
+          const violations = await pool.analyze(file.content, file.path, { config, mode });
+          return {
+            filePath: file.path,
+            violations,
+            summary: {
+              totalViolations: violations.length,
+              errors: violations.filter(v => v.severity === 'error').length,
+              warnings: violations.filter(v => v.severity === 'warning').length
+            }
+          };
+        } catch (error) {
+          return {
+            filePath: file.path,
+            error: error.message,
+            violations: []
+          };
+        }
+      }));
+    } finally {
+      await pool.close();
     }
 
     const overallSummary = {
       filesChecked: files.length,
+      filesIgnored: results.filter(r => r.ignored).length,
       filesWithViolations: results.filter(r => r.violations && r.violations.length > 0).length,
       totalViolations: results.reduce((sum, r) => sum + (r.summary?.totalViolations || 0), 0),
       totalErrors: results.reduce((sum, r) => sum + (r.summary?.errors || 0), 0),
       totalWarnings: results.reduce((sum, r) => sum + (r.summary?.warnings || 0), 0)
     };
 
+    const output = format === 'sarif'
+      ? toSarif(results)
+      : { schemaVersion: VIOLATION_SCHEMA_VERSION, results, summary: overallSummary };
+
     return {
       content: [
         {
           type: 'text',
-          text: JSON.stringify({ results, summary: overallSummary }, null, 2)
+          text: JSON.stringify(output, null, 2)
         }
       ]
     };
@@ -234,57 +401,108 @@ class ProductionMCPServer {
   async handleSuggestFix(args) {
     const { violationId, code } = args;
 
-    const fixes = {
-      'img-missing-alt': [
-        'Add descriptive alt text: <img src="..." alt="Description of image content">',
-        'For decorative images, use alt="": <img src="..." alt="">',
-        'Consider if the image conveys meaningful information'
-      ],
-      'div-button': [
-        'Replace with semantic button: <button onClick={handler}>Text</button>',
-        'If div is required, add: role="button" tabIndex={0} onKeyDown={keyHandler}',
-        'Ensure keyboard accessibility with Enter and Space key handlers'
-      ],
-      'button-missing-accessible-name': [
-        'Add text content: <button>Click me</button>',
-        'Or add aria-label: <button aria-label="Description">...</button>',
-        'For icon buttons, always include accessible text or label'
-      ],
-      'input-missing-label': [
-        'Add label element: <label htmlFor="inputId">Label</label><input id="inputId" />',
-        'Or use aria-label: <input aria-label="Field description" />',
-        'Labels help all users understand form fields'
-      ],
-      'aria-invalid-role': [
-        'Use a valid ARIA role from the ARIA specification',
-        'Common roles: button, link, menuitem, tab, checkbox, radio',
-        'See: https://www.w3.org/TR/wai-aria-1.2/#roles'
-      ],
-      'missing-keyboard-handler': [
-        'Add onKeyDown handler: onKeyDown={(e) => { if (e.key === "Enter" || e.key === " ") { handleClick(); } }}',
-        'Or use semantic <button> element which handles keyboard automatically'
-      ],
-      'color-contrast-insufficient': [
-        'Use darker text or lighter background to achieve 4.5:1 contrast',
-        'For large text (18pt+), minimum is 3:1',
-        'Use online contrast checkers to verify: https://webaim.org/resources/contrastchecker/'
+    const rule = getRule(violationId);
+    const result = rule
+      ? {
+          violationId,
+          ruleId: rule.id,
+          code,
+          description: rule.description,
+          wcag: rule.wcag,
+          wcagLevel: rule.wcagLevel,
+          suggestions: rule.fix,
+          examples: rule.examples,
+          helpUrl: rule.helpUrl,
+        }
+      : {
+          violationId,
+          code,
+          suggestions: [
+            'Review WCAG 2.2 documentation for this violation',
+            'Consult with accessibility team for specific guidance'
+          ]
+        };
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify(result, null, 2)
+        }
       ]
     };
+  }
+
+  async handleApplyFix(args) {
+    const { filePath, content, ruleIds, format = 'patched', mode } = args;
+    this.assertMode(mode);
+    if (!['patched', 'diff'].includes(format)) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `Unknown format: ${format} (expected patched, diff)`
+      );
+    }
+
+    let fileContent = content;
+    if (!fileContent) {
+      if (!fs.existsSync(filePath)) {
+        throw new McpError(
+          ErrorCode.InvalidParams,
+          `File not found: ${filePath}`
+        );
+      }
+      fileContent = fs.readFileSync(filePath, 'utf8');
+    }
+
+    const config = this.getConfig();
+    const ignored = isIgnored(filePath, config);
+    const { output, applied, remaining } = await fixContent(
+      fileContent,
+      async text => ignored ? [] : analyzeFileHybrid(text, filePath, { config, mode }),
+      { ruleIds }
+    );
+
+    const result = {
+      schemaVersion: VIOLATION_SCHEMA_VERSION,
+      filePath,
+      format,
+      ignored,
+      applied: applied.map(v => ({ ruleId: v.ruleId, line: v.line, column: v.column, title: v.autofix.title })),
+      remaining,
+      ...(format === 'diff'
+        ? { diff: createUnifiedDiff(filePath, fileContent, output) }
+        : { content: output }),
+    };
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify(result, null, 2)
+        }
+      ]
+    };
+  }
 
-    const suggestions = fixes[violationId] || [
-      'Review WCAG 2.2 documentation for this violation',
-      'Consult with accessibility team for specific guidance'
-    ];
+  async handleListRules(args = {}) {
+    const { analyzer, tag, wcagLevel } = args;
+    const rules = listRules({ analyzer, tag, wcagLevel }).map(rule => ({
+      ruleId: rule.id,
+      analyzers: rule.analyzers,
+      severity: rule.severity,
+      enabled: rule.enabled,
+      wcag: rule.wcag,
+      wcagLevel: rule.wcagLevel,
+      tags: rule.tags,
+      description: rule.description,
+      helpUrl: rule.helpUrl,
+    }));
 
     return {
       content: [
         {
           type: 'text',
-          text: JSON.stringify({
-            violationId,
-            code,
-            suggestions
-          }, null, 2)
+          text: JSON.stringify({ total: rules.length, rules }, null, 2)
         }
       ]
     };
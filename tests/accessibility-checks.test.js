@@ -5,9 +5,28 @@
  */
 
 import fs from 'fs';
+import os from 'os';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { analyzeFile } from '../src/core/regex-analyzer.js';
+import { analyzeFileHybrid } from '../src/core/hybrid-analyzer.js';
+import {
+  loadConfig,
+  validateConfig,
+  isIgnored,
+  evaluateThresholds,
+  normalizeConfig,
+} from '../src/core/config-loader.js';
+import { validateViolation } from '../src/core/violation.js';
+import { getRule, listRules, enableRule, disableRule } from '../src/core/rule-registry.js';
+import { createBaseline, compareToBaseline, fingerprintViolation } from '../src/core/baseline.js';
+import { parseUnifiedDiff, tagViolations, getAddedLines } from '../src/core/diff.js';
+import { toSarif } from '../src/core/sarif-reporter.js';
+import { publishReview, formatSummary } from '../src/core/github-reporter.js';
+import { applyFixes, fixContent, createUnifiedDiff } from '../src/core/autofix.js';
+import { run as runCli, EXIT_OK, EXIT_FAILED, EXIT_ERROR } from '../src/cli.js';
+import { createAnalysisPool } from '../src/core/worker-pool.js';
+import { getCacheNamespace, getContentKey, pruneCache } from '../src/core/result-cache.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -67,7 +86,7 @@ const suite = new AccessibilityTestSuite();
 suite.test('Detects images without alt attribute', () => {
   const content = '<img src="logo.png" />';
   const violations = analyzeFile(content, 'test.html');
-  const hasViolation = violations.some(v => v.id === 'img-missing-alt');
+  const hasViolation = violations.some(v => v.ruleId === 'img-missing-alt');
   if (!hasViolation) {
     throw new Error('Should detect missing alt attribute');
   }
@@ -77,7 +96,7 @@ suite.test('Detects images without alt attribute', () => {
 suite.test('Does not flag images with alt attribute', () => {
   const content = '<img src="logo.png" alt="Company logo" />';
   const violations = analyzeFile(content, 'test.html');
-  const hasViolation = violations.some(v => v.id === 'img-missing-alt');
+  const hasViolation = violations.some(v => v.ruleId === 'img-missing-alt');
   if (hasViolation) {
     throw new Error('Should not flag images with alt attribute');
   }
@@ -87,7 +106,7 @@ suite.test('Does not flag images with alt attribute', () => {
 suite.test('Detects div with onClick handler', () => {
   const content = '<div onClick={() => alert("hi")}>Click me</div>';
   const violations = analyzeFile(content, 'test.jsx');
-  const hasViolation = violations.some(v => v.id === 'div-button');
+  const hasViolation = violations.some(v => v.ruleId === 'div-button');
   if (!hasViolation) {
     throw new Error('Should detect div used as button');
   }
@@ -97,7 +116,7 @@ suite.test('Detects div with onClick handler', () => {
 suite.test('Does not flag div with proper ARIA role and keyboard support', () => {
   const content = '<div role="button" tabIndex={0} onKeyDown={handler}>Click</div>';
   const violations = analyzeFile(content, 'test.jsx');
-  const hasViolation = violations.some(v => v.id === 'div-button');
+  const hasViolation = violations.some(v => v.ruleId === 'div-button');
   if (hasViolation) {
     throw new Error('Should not flag div with proper ARIA');
   }
@@ -107,7 +126,7 @@ suite.test('Does not flag div with proper ARIA role and keyboard support', () =>
 suite.test('Detects button without accessible name', () => {
   const content = '<button></button>';
   const violations = analyzeFile(content, 'test.html');
-  const hasViolation = violations.some(v => v.id === 'button-missing-accessible-name');
+  const hasViolation = violations.some(v => v.ruleId === 'button-missing-accessible-name');
   if (!hasViolation) {
     throw new Error('Should detect empty button');
   }
@@ -117,7 +136,7 @@ suite.test('Detects button without accessible name', () => {
 suite.test('Does not flag button with aria-label', () => {
   const content = '<button aria-label="Close dialog"></button>';
   const violations = analyzeFile(content, 'test.html');
-  const hasViolation = violations.some(v => v.id === 'button-missing-accessible-name');
+  const hasViolation = violations.some(v => v.ruleId === 'button-missing-accessible-name');
   if (hasViolation) {
     throw new Error('Should not flag button with aria-label');
   }
@@ -127,7 +146,7 @@ suite.test('Does not flag button with aria-label', () => {
 suite.test('Detects input without label', () => {
   const content = '<input type="text" id="username" />';
   const violations = analyzeFile(content, 'test.html');
-  const hasViolation = violations.some(v => v.id === 'input-missing-label' || v.id === 'input-no-id-or-label');
+  const hasViolation = violations.some(v => v.ruleId === 'input-missing-label' || v.ruleId === 'input-no-id-or-label');
   if (!hasViolation) {
     throw new Error('Should detect input without label');
   }
@@ -137,7 +156,7 @@ suite.test('Detects input without label', () => {
 suite.test('Does not flag input with associated label', () => {
   const content = '<label for="username">Username</label><input type="text" id="username" />';
   const violations = analyzeFile(content, 'test.html');
-  const hasViolation = violations.some(v => v.id === 'input-missing-label');
+  const hasViolation = violations.some(v => v.ruleId === 'input-missing-label');
   if (hasViolation) {
     throw new Error('Should not flag input with label');
   }
@@ -147,7 +166,7 @@ suite.test('Does not flag input with associated label', () => {
 suite.test('Detects placeholder used as label', () => {
   const content = '<input type="text" placeholder="Enter username" />';
   const violations = analyzeFile(content, 'test.html');
-  const hasViolation = violations.some(v => v.id === 'placeholder-as-label');
+  const hasViolation = violations.some(v => v.ruleId === 'placeholder-as-label');
   if (!hasViolation) {
     throw new Error('Should detect placeholder used as label');
   }
@@ -157,7 +176,7 @@ suite.test('Detects placeholder used as label', () => {
 suite.test('Detects generic link text', () => {
   const content = '<a href="/more">Read more</a>';
   const violations = analyzeFile(content, 'test.html');
-  const hasViolation = violations.some(v => v.id === 'link-non-descriptive');
+  const hasViolation = violations.some(v => v.ruleId === 'link-non-descriptive');
   if (!hasViolation) {
     throw new Error('Should detect generic link text');
   }
@@ -167,7 +186,7 @@ suite.test('Detects generic link text', () => {
 suite.test('Detects missing lang attribute in HTML', () => {
   const content = '<html><head><title>Test</title></head><body></body></html>';
   const violations = analyzeFile(content, 'test.html');
-  const hasViolation = violations.some(v => v.id === 'html-missing-lang');
+  const hasViolation = violations.some(v => v.ruleId === 'html-missing-lang');
   if (!hasViolation) {
     throw new Error('Should detect missing lang attribute');
   }
@@ -177,7 +196,7 @@ suite.test('Detects missing lang attribute in HTML', () => {
 suite.test('Does not flag HTML with lang attribute', () => {
   const content = '<html lang="en"><head><title>Test</title></head><body></body></html>';
   const violations = analyzeFile(content, 'test.html');
-  const hasViolation = violations.some(v => v.id === 'html-missing-lang');
+  const hasViolation = violations.some(v => v.ruleId === 'html-missing-lang');
   if (hasViolation) {
     throw new Error('Should not flag HTML with lang');
   }
@@ -187,7 +206,7 @@ suite.test('Does not flag HTML with lang attribute', () => {
 suite.test('Detects missing h1 heading', () => {
   const content = '<h2>Section</h2><h3>Subsection</h3>';
   const violations = analyzeFile(content, 'test.html');
-  const hasViolation = violations.some(v => v.id === 'missing-h1');
+  const hasViolation = violations.some(v => v.ruleId === 'missing-h1');
   if (!hasViolation) {
     throw new Error('Should detect missing h1');
   }
@@ -197,7 +216,7 @@ suite.test('Detects missing h1 heading', () => {
 suite.test('Detects skipped heading levels', () => {
   const content = '<h1>Title</h1><h3>Subsection</h3>';
   const violations = analyzeFile(content, 'test.html');
-  const hasViolation = violations.some(v => v.id === 'heading-level-skip');
+  const hasViolation = violations.some(v => v.ruleId === 'heading-level-skip');
   if (!hasViolation) {
     throw new Error('Should detect skipped heading level');
   }
@@ -207,7 +226,7 @@ suite.test('Detects skipped heading levels', () => {
 suite.test('Detects duplicate IDs', () => {
   const content = '<div id="test">One</div><div id="test">Two</div>';
   const violations = analyzeFile(content, 'test.html');
-  const hasViolation = violations.some(v => v.id === 'duplicate-id');
+  const hasViolation = violations.some(v => v.ruleId === 'duplicate-id');
   if (!hasViolation) {
     throw new Error('Should detect duplicate IDs');
   }
@@ -217,7 +236,7 @@ suite.test('Detects duplicate IDs', () => {
 suite.test('Detects invalid aria-labelledby reference', () => {
   const content = '<button aria-labelledby="nonexistent">Click</button>';
   const violations = analyzeFile(content, 'test.html');
-  const hasViolation = violations.some(v => v.id === 'aria-labelledby-invalid');
+  const hasViolation = violations.some(v => v.ruleId === 'aria-labelledby-invalid');
   if (!hasViolation) {
     throw new Error('Should detect invalid aria-labelledby');
   }
@@ -227,7 +246,7 @@ suite.test('Detects invalid aria-labelledby reference', () => {
 suite.test('Detects outline: none without alternative', () => {
   const content = 'button:focus { outline: none; }';
   const violations = analyzeFile(content, 'test.css');
-  const hasViolation = violations.some(v => v.id === 'outline-none-no-alternative');
+  const hasViolation = violations.some(v => v.ruleId === 'outline-none-no-alternative');
   if (!hasViolation) {
     throw new Error('Should detect outline: none');
   }
@@ -237,7 +256,7 @@ suite.test('Detects outline: none without alternative', () => {
 suite.test('Does not flag outline: none with alternative focus style', () => {
   const content = 'button:focus { outline: none; box-shadow: 0 0 0 3px blue; }';
   const violations = analyzeFile(content, 'test.css');
-  const hasViolation = violations.some(v => v.id === 'outline-none-no-alternative');
+  const hasViolation = violations.some(v => v.ruleId === 'outline-none-no-alternative');
   if (hasViolation) {
     throw new Error('Should not flag outline: none with alternative');
   }
@@ -247,7 +266,7 @@ suite.test('Does not flag outline: none with alternative focus style', () => {
 suite.test('Detects font size below 10px', () => {
   const content = '.tiny { font-size: 8px; }';
   const violations = analyzeFile(content, 'test.css');
-  const hasViolation = violations.some(v => v.id === 'font-size-too-small');
+  const hasViolation = violations.some(v => v.ruleId === 'font-size-too-small');
   if (!hasViolation) {
     throw new Error('Should detect font size < 10px');
   }
@@ -257,7 +276,7 @@ suite.test('Detects font size below 10px', () => {
 suite.test('Detects touch target below 44px', () => {
   const content = '.tiny-button { width: 20px; height: 20px; }';
   const violations = analyzeFile(content, 'test.css');
-  const hasViolation = violations.some(v => v.id === 'touch-target-too-small');
+  const hasViolation = violations.some(v => v.ruleId === 'touch-target-too-small');
   if (!hasViolation) {
     throw new Error('Should detect touch target < 44px');
   }
@@ -267,17 +286,22 @@ suite.test('Detects touch target below 44px', () => {
 suite.test('Detects transparent text color', () => {
   const content = '.hidden { color: transparent; }';
   const violations = analyzeFile(content, 'test.css');
-  const hasViolation = violations.some(v => v.id === 'text-transparent');
+  const hasViolation = violations.some(v => v.ruleId === 'text-transparent');
   if (!hasViolation) {
     throw new Error('Should detect transparent color');
   }
+
+  const backgrounds = '.card { background-color: transparent; border-color: transparent; }';
+  if (analyzeFile(backgrounds, 'test.css').some(v => v.ruleId === 'text-transparent')) {
+    throw new Error('Transparent backgrounds and borders are not transparent text');
+  }
 });
 
 // Test 22: Custom interactive element missing keyboard
 suite.test('Detects custom interactive element without keyboard support', () => {
   const content = '<div role="button">Click</div>';
   const violations = analyzeFile(content, 'test.jsx');
-  const hasViolation = violations.some(v => v.id === 'custom-interactive-missing-keyboard');
+  const hasViolation = violations.some(v => v.ruleId === 'custom-interactive-missing-keyboard');
   if (!hasViolation) {
     throw new Error('Should detect missing keyboard support');
   }
@@ -287,7 +311,7 @@ suite.test('Detects custom interactive element without keyboard support', () =>
 suite.test('Detects iframe without title in HTML files', () => {
   const content = '<html><head><title>Test</title></head><body><iframe src="content.html"></iframe></body></html>';
   const violations = analyzeFile(content, 'test.html');
-  const hasViolation = violations.some(v => v.id === 'iframe-missing-title');
+  const hasViolation = violations.some(v => v.ruleId === 'iframe-missing-title');
   if (!hasViolation) {
     throw new Error('Should detect iframe without title in HTML files');
   }
@@ -306,7 +330,7 @@ suite.test('Detects violations in example CSS file', () => {
     }
     
     // Should include outline violations
-    const hasOutlineViolation = violations.some(v => v.id === 'outline-none-no-alternative');
+    const hasOutlineViolation = violations.some(v => v.ruleId === 'outline-none-no-alternative');
     if (!hasOutlineViolation) {
       throw new Error('Should detect outline violations in example file');
     }
@@ -330,7 +354,7 @@ suite.test('Detects violations in example JSX file', () => {
     }
     
     // Should include div-button violations
-    const hasDivButton = violations.some(v => v.id === 'div-button');
+    const hasDivButton = violations.some(v => v.ruleId === 'div-button');
     if (!hasDivButton) {
       throw new Error('Should detect div-button violations in example file');
     }
@@ -341,6 +365,1371 @@ suite.test('Detects violations in example JSX file', () => {
   }
 });
 
+// Test 26: Config schema validation
+suite.test('Rejects .a11y/config.json that does not match the schema', () => {
+  const { valid, errors } = validateConfig({
+    rules: { 'img-missing-alt': { severity: 'critical' } },
+    failureThresholds: { error: -1 },
+  });
+  if (valid || errors.length === 0) {
+    throw new Error('Should reject invalid severity and negative threshold');
+  }
+  if (!validateConfig({ rules: { 'alt-text': 'off' }, ignore: ['dist/**'] }).valid) {
+    throw new Error('Should accept a valid config');
+  }
+});
+
+// Test 27: Config rule overrides applied by the hybrid analyzer
+suite.test('Applies config rule overrides by ruleId and rule group', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'a11y-config-'));
+  fs.mkdirSync(path.join(dir, '.a11y'));
+  fs.writeFileSync(path.join(dir, '.a11y', 'config.json'), JSON.stringify({
+    rules: {
+      'alt-text': { enabled: false },
+      'title-empty': 'warning',
+    },
+    ignore: ['legacy/**'],
+  }));
+
+  try {
+    const config = loadConfig({ cwd: path.join(dir, 'src') });
+    const content = '<html lang="en"><head><title></title></head><body><main><img src="a.png"></main></body></html>';
+    const violations = await analyzeFileHybrid(content, 'page.html', { config });
+
+    if (violations.some(v => v.ruleId === 'img-missing-alt')) {
+      throw new Error('Rules in a disabled group should be dropped');
+    }
+    const title = violations.find(v => v.ruleId === 'title-empty');
+    if (!title || title.severity !== 'warning') {
+      throw new Error('Severity override should apply to title-empty');
+    }
+    if (!isIgnored('legacy/old.html', config) || isIgnored('src/new.html', config)) {
+      throw new Error('Ignore globs should match relative to the config root');
+    }
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+// Test 28: Failure thresholds
+suite.test('Fails the run only when failure thresholds are exceeded in strict mode', () => {
+  const config = { strictMode: true, failureThresholds: { error: 0, warning: 2 } };
+  if (!evaluateThresholds({ errors: 0, warnings: 2 }, config).passed) {
+    throw new Error('Should pass at the threshold');
+  }
+  const breached = evaluateThresholds({ errors: 1, warnings: 0 }, config);
+  if (breached.passed || breached.breaches.length !== 1) {
+    throw new Error('Should fail when errors exceed the threshold');
+  }
+  if (!evaluateThresholds({ errors: 1, warnings: 0 }, { ...config, strictMode: false }).passed) {
+    throw new Error('Thresholds should be advisory when strictMode is false');
+  }
+});
+
+// Test 29: Every analyzer emits the canonical violation schema
+suite.test('All analyzers emit violations that match the canonical schema', async () => {
+  const samples = [
+    // Inline style objects in JSX go through the CSS rules
+    ['AccessibilityViolations.jsx', 'eslint', 'css'],
+    ['accessibility-violations.js', 'js'],
+    ['accessibility-violations.html', 'html'],
+    ['accessibility-violations.css', 'css'],
+  ];
+  for (const [file, ...analyzers] of samples) {
+    const content = fs.readFileSync(path.join(__dirname, 'examples', file), 'utf8');
+    const violations = await analyzeFileHybrid(content, file);
+    if (violations.length === 0 || violations.some(v => !analyzers.includes(v.analyzer) && v.analyzer !== 'regex')) {
+      throw new Error(`${file} should be analyzed by the ${analyzers.join(' and ')} analyzer`);
+    }
+    const regexViolations = analyzeFile(content, file);
+    for (const v of [...violations, ...regexViolations]) {
+      const { valid, errors } = validateViolation(v);
+      if (!valid) {
+        throw new Error(`${file} ${v.ruleId}: ${errors.join(', ')}`);
+      }
+      if (v.endLine < v.line || (v.endLine === v.line && v.endColumn < v.column)) {
+        throw new Error(`${file} ${v.ruleId}: range ends before it starts`);
+      }
+    }
+  }
+});
+
+// Test 30: Rule registry supplies metadata and per-rule toggles
+suite.test('Rule registry lists every emitted rule and toggles rules across analyzers', async () => {
+  const rules = listRules();
+  const incomplete = rules.filter(rule => !rule.description || !rule.fix.length || !rule.examples);
+  if (incomplete.length > 0) {
+    throw new Error(`Rules missing metadata: ${incomplete.map(rule => rule.id).join(', ')}`);
+  }
+  if (getRule('color-contrast-insufficient')?.id !== 'low-contrast-text') {
+    throw new Error('Legacy suggest_fix ids should resolve through aliases');
+  }
+
+  const html = fs.readFileSync(path.join(__dirname, 'examples', 'accessibility-violations.html'), 'utf8');
+  const jsx = fs.readFileSync(path.join(__dirname, 'examples', 'AccessibilityViolations.jsx'), 'utf8');
+  const before = [
+    ...await analyzeFileHybrid(html, 'page.html'),
+    ...await analyzeFileHybrid(jsx, 'App.jsx'),
+    ...analyzeFile(html, 'page.html'),
+  ];
+  const unregistered = before.filter(v => !getRule(v.ruleId));
+  if (unregistered.length > 0) {
+    throw new Error(`Unregistered rules emitted: ${[...new Set(unregistered.map(v => v.ruleId))].join(', ')}`);
+  }
+  const altText = before.find(v => v.ruleId === 'jsx-a11y/alt-text');
+  if (!altText || !altText.tags?.includes('alt-text') || altText.wcagLevel !== 'A') {
+    throw new Error('ESLint findings should carry registry tags and WCAG level');
+  }
+
+  disableRule('img-missing-alt');
+  disableRule('jsx-a11y/alt-text');
+  try {
+    const after = [
+      ...await analyzeFileHybrid(html, 'page.html'),
+      ...await analyzeFileHybrid(jsx, 'App.jsx'),
+      ...analyzeFile(html, 'page.html'),
+    ];
+    if (after.some(v => v.ruleId === 'img-missing-alt' || v.ruleId === 'jsx-a11y/alt-text')) {
+      throw new Error('Disabled rules should not be reported by any analyzer');
+    }
+  } finally {
+    enableRule('img-missing-alt');
+    enableRule('jsx-a11y/alt-text');
+  }
+});
+
+// Test 31: Analysis modes and fast-pass deduplication
+suite.test('Runs fast, full and hybrid modes and drops regex findings once the AST analyzer runs', async () => {
+  const page = [
+    '<html lang="en"><head><title>Home</title></head>',
+    '<body>',
+    '<img src="logo.png">',
+    '<div><p>Welcome</p></div>',
+    '</body></html>',
+  ].join('\n');
+
+  const fast = await analyzeFileHybrid(page, 'page.html', { mode: 'fast' });
+  if (fast.length === 0 || fast.some(v => v.analyzer !== 'regex')) {
+    throw new Error('fast mode should only report regex findings');
+  }
+
+  const full = await analyzeFileHybrid(page, 'page.html', { mode: 'full' });
+  const altFindings = full.filter(v => v.ruleId === 'img-missing-alt');
+  if (altFindings.length !== 1 || full.some(v => v.analyzer === 'regex')) {
+    throw new Error(`Expected one img-missing-alt from html and no regex findings, got ${altFindings.length}`);
+  }
+  if (!full.some(v => v.ruleId === 'missing-main-landmark')) {
+    throw new Error('full mode should run the AST analyzer');
+  }
+
+  const clean = page.replace('<img src="logo.png">', '<img src="logo.png" alt="Acme">');
+  const hybridClean = await analyzeFileHybrid(clean, 'page.html', { mode: 'hybrid' });
+  const fullClean = await analyzeFileHybrid(clean, 'page.html', { mode: 'full' });
+  if (hybridClean.length !== 0 || !fullClean.some(v => v.ruleId === 'missing-main-landmark')) {
+    throw new Error('hybrid mode should skip the AST analyzer when the fast pass finds nothing');
+  }
+  const hybridFlagged = await analyzeFileHybrid(page, 'page.html', { mode: 'hybrid' });
+  if (!hybridFlagged.some(v => v.ruleId === 'missing-main-landmark')) {
+    throw new Error('hybrid mode should run the AST analyzer on flagged files');
+  }
+
+  let rejected = false;
+  try {
+    await analyzeFileHybrid(page, 'page.html', { mode: 'quick' });
+  } catch {
+    rejected = true;
+  }
+  if (!rejected) {
+    throw new Error('Unknown modes should be rejected');
+  }
+});
+
+// Test 32: Inline suppression comments
+suite.test('Honors a11y-disable comments and reports unjustified or unused ones', async () => {
+  const page = [
+    '<html lang="en"><head><title>Home</title></head>',
+    '<body><main>',
+    '<!-- a11y-disable-next-line img-missing-alt -- decorative spacer -->',
+    '<img src="spacer.png">',
+    '<img src="logo.png">',
+    '<!-- a11y-disable-next-line button-missing-text -->',
+    '<p>Welcome</p>',
+    '</main></body></html>',
+  ].join('\n');
+  const htmlResults = await analyzeFileHybrid(page, 'page.html');
+  const alt = htmlResults.filter(v => v.ruleId === 'img-missing-alt');
+  if (alt.length !== 1 || alt[0].line !== 5) {
+    throw new Error(`Expected only the unsuppressed img on line 5, got lines ${alt.map(v => v.line)}`);
+  }
+  const problems = htmlResults.filter(v => v.analyzer === 'suppression').map(v => `${v.line}:${v.ruleId}`);
+  if (problems.join() !== '6:a11y-suppression-unjustified,6:a11y-suppression-unused') {
+    throw new Error(`Unexpected suppression problems: ${problems.join(', ')}`);
+  }
+
+  const component = [
+    "import React from 'react';",
+    'export const Card = () => (',
+    '  <div>',
+    '    {/* a11y-disable-next-line jsx-a11y/alt-text -- described by the caption below */}',
+    '    <img src="chart.png" />',
+    '    {/* a11y-disable jsx-a11y/click-events-have-key-events, jsx-a11y/no-static-element-interactions -- legacy widget */}',
+    '    <div onClick={open}>Open</div>',
+    '    {/* a11y-enable */}',
+    '    <div onClick={open}>Open</div>',
+    '  </div>',
+    ');',
+  ].join('\n');
+  const jsxResults = await analyzeFileHybrid(component, 'Card.jsx');
+  if (jsxResults.some(v => v.line < 9)) {
+    throw new Error(`Suppressed JSX lines (and their regex equivalents) should be silent: ${jsxResults.map(v => `${v.line}:${v.ruleId}`)}`);
+  }
+  if (!jsxResults.some(v => v.line === 9 && v.ruleId === 'jsx-a11y/click-events-have-key-events')) {
+    throw new Error('Findings after a11y-enable should be reported');
+  }
+
+  const css = '/* a11y-disable-file focus-outline-removed -- focus ring drawn by box-shadow */\na:focus { outline: none; }';
+  const cssResults = await analyzeFileHybrid(css, 'links.css');
+  if (cssResults.length !== 0) {
+    throw new Error(`a11y-disable-file should silence the CSS file: ${cssResults.map(v => v.ruleId)}`);
+  }
+  // Overlapping directives for the same finding are all used
+  const overlapping = css.replace('\n', '\n/* a11y-disable-next-line focus-outline-removed -- same ring */\n');
+  const overlapResults = await analyzeFileHybrid(overlapping, 'links.css');
+  if (overlapResults.length !== 0) {
+    throw new Error(`Both directives cover the finding, so neither is unused: ${overlapResults.map(v => `${v.line}:${v.ruleId}`)}`);
+  }
+});
+
+// Test 33: Baseline fingerprints survive edits and only new findings are reported
+suite.test('Compares findings against a baseline by fingerprint, not line number', async () => {
+  const before = [
+    '<html lang="en"><head><title>Home</title></head><body><main>',
+    '<img src="hero.png">',
+    '<img src="logo.png">',
+    '</main></body></html>',
+  ].join('\n');
+  const after = [
+    '<html lang="en"><head><title>Home</title></head><body><main>',
+    '<h1>Welcome</h1>',
+    '',
+    '    <img   src="logo.png">',
+    '<img src="hero.png" alt="Mountains at dawn">',
+    '<img src="team.png">',
+    '</main></body></html>',
+  ].join('\n');
+
+  const baseline = createBaseline([
+    { filePath: 'page.html', violations: await analyzeFileHybrid(before, 'page.html') },
+  ]);
+  const current = await analyzeFileHybrid(after, 'page.html');
+
+  const logoBefore = baseline.entries.find(e => e.snippet === '<img src="logo.png">');
+  const logoAfter = current.find(v => v.snippet.includes('logo.png'));
+  if (!logoBefore || fingerprintViolation(logoAfter) !== logoBefore.fingerprint) {
+    throw new Error('Moving and re-indenting a finding should keep its fingerprint');
+  }
+
+  const comparison = compareToBaseline([{ filePath: 'page.html', violations: current }], baseline);
+  const reported = comparison.fileResults.flatMap(result => result.violations);
+  if (reported.length !== 1 || !reported[0].snippet.includes('team.png')) {
+    throw new Error(`Only the new image should be reported, got ${reported.map(v => v.snippet)}`);
+  }
+  if (comparison.existing !== 1 || comparison.fixed.length !== 1 || !comparison.fixed[0].snippet.includes('hero.png')) {
+    throw new Error('Expected one baselined finding still present and one fixed');
+  }
+
+  const warningsOnly = evaluateThresholds({ errors: 0, warnings: 50 }, { failureThresholds: { error: 0, warning: 10 } }, { failOnNew: true });
+  const newError = evaluateThresholds({ errors: 1, warnings: 0 }, { failOnNew: true });
+  if (!warningsOnly.passed || newError.passed) {
+    throw new Error('failOnNew should fail on new errors only');
+  }
+});
+
+// Test 34: Diff hunks decide which violations a PR introduced
+suite.test('Parses unified diff hunks and tags violations as introduced or pre-existing', async () => {
+  const diffText = [
+    'diff --git a/src/Card.jsx b/src/Card.jsx',
+    'index 1111111..2222222 100644',
+    '--- a/src/Card.jsx',
+    '+++ b/src/Card.jsx',
+    '@@ -3,0 +4,2 @@ export const Card = () => (',
+    '+    <img src="new.png" />',
+    '+    <p>Caption</p>',
+    '@@ -10 +12 @@',
+    '-    <span>old</span>',
+    '+    <span>new</span>',
+    '@@ -20,2 +21,0 @@',
+    '-    <hr />',
+    '-    <hr />',
+    'diff --git a/old.html b/old.html',
+    'deleted file mode 100644',
+    '--- a/old.html',
+    '+++ /dev/null',
+    '@@ -1 +0,0 @@',
+    '-<p>bye</p>',
+    'diff --git a/src/Nav.jsx b/src/layout/Nav.jsx',
+    'similarity index 100%',
+    'rename from src/Nav.jsx',
+    'rename to src/layout/Nav.jsx',
+  ].join('\n');
+
+  const added = parseUnifiedDiff(diffText);
+  if (JSON.stringify(added.get('src/Card.jsx')) !== '[[4,5],[12,12]]' || added.has('old.html')) {
+    throw new Error(`Unexpected added ranges: ${JSON.stringify([...added])}`);
+  }
+  const renamed = tagViolations([{ ruleId: 'jsx-a11y/alt-text', line: 3, endLine: 3 }], added.get('src/layout/Nav.jsx'));
+  if (renamed[0].change !== 'pre-existing') {
+    throw new Error('A pure rename adds no lines, so its violations are pre-existing');
+  }
+
+  const tagged = tagViolations([
+    { ruleId: 'jsx-a11y/alt-text', line: 4, endLine: 4 },
+    { ruleId: 'jsx-a11y/no-static-element-interactions', line: 2, endLine: 8 },
+    { ruleId: 'jsx-a11y/anchor-is-valid', line: 30, endLine: 30 },
+  ], added.get('src/Card.jsx'));
+  if (tagged.map(v => v.change).join() !== 'introduced,introduced,pre-existing') {
+    throw new Error(`Unexpected tags: ${tagged.map(v => v.change)}`);
+  }
+
+  const untracked = tagViolations([{ ruleId: 'img-missing-alt', line: 1, endLine: 1 }], undefined);
+  if (untracked[0].change !== 'introduced') {
+    throw new Error('Files with no diff entry (untracked) should count as introduced');
+  }
+
+  // The base ref comes from config and the command line: never through a shell
+  const marker = path.join(os.tmpdir(), `a11y-base-ref-${process.pid}`);
+  if (getAddedLines(process.cwd(), `$(touch ${marker})`) !== null || fs.existsSync(marker)) {
+    fs.rmSync(marker, { force: true });
+    throw new Error('A base ref with shell syntax should only fail to resolve');
+  }
+  let rejected = false;
+  try {
+    getAddedLines(process.cwd(), '--output=/tmp/a11y-diff');
+  } catch {
+    rejected = true;
+  }
+  if (!rejected) {
+    throw new Error('A base ref starting with "-" should be rejected');
+  }
+});
+
+// Test 35: SARIF output for code scanning
+suite.test('Converts results to SARIF 2.1.0 with rule metadata, regions and fingerprints', async () => {
+  const page = '<html lang="en"><head><title>Home</title></head><body><main>\n<img src="a.png">\n<img src="a.png">\n</main></body></html>';
+  const violations = await analyzeFileHybrid(page, 'src/page.html');
+  const sarif = toSarif({ files: [{ filePath: 'src/page.html', violations }] }, { toolVersion: '1.0.0' });
+
+  if (sarif.version !== '2.1.0' || sarif.runs.length !== 1) {
+    throw new Error('Expected a single-run SARIF 2.1.0 log');
+  }
+  const run = sarif.runs[0];
+  const rule = run.tool.driver.rules.find(r => r.id === 'img-missing-alt');
+  if (!rule || !rule.properties.tags.includes('wcag/1.1.1') || !rule.help.markdown.includes('How to fix') || !rule.helpUri) {
+    throw new Error('Rules should carry WCAG tags, help text and a help URI');
+  }
+
+  const alt = run.results.filter(r => r.ruleId === 'img-missing-alt');
+  if (alt.length !== 2 || run.tool.driver.rules[alt[0].ruleIndex].id !== 'img-missing-alt') {
+    throw new Error('Each violation should become a result pointing at its rule');
+  }
+  const region = alt[0].locations[0].physicalLocation.region;
+  if (region.startLine !== 2 || region.startColumn !== 1 || region.endColumn !== 18) {
+    throw new Error(`Unexpected region ${JSON.stringify(region)}`);
+  }
+  const [first, second] = alt.map(r => Object.values(r.partialFingerprints)[0]);
+  if (!first.endsWith(':1') || !second.endsWith(':2') || first.split(':')[0] !== second.split(':')[0]) {
+    throw new Error('Identical findings should share a fingerprint hash and differ by occurrence');
+  }
+
+  const batch = toSarif({ results: [{ filePath: 'broken.jsx', error: 'parse failed', violations: [] }] });
+  if (batch.runs[0].invocations[0].executionSuccessful !== false) {
+    throw new Error('Batch errors should be reported as tool notifications');
+  }
+});
+
+// Test 36: PR review reporter against a mocked Octokit
+suite.test('Publishes one inline review and updates or resolves its comments on re-push', async () => {
+  const state = { reviewComments: [], issueComments: [], reviews: [], graphql: [], nextId: 1 };
+  const octokit = {
+    paginate: async (method, params) => method(params),
+    graphql: async (query, vars) => {
+      state.graphql.push(vars);
+      if (!query.startsWith('query')) return {};
+      // One thread per page, with another reviewer's thread first, so ours are only found by paging
+      const threads = [{ id: 'T0', comments: { nodes: [{ databaseId: 0 }] } }, ...state.reviewComments.map(c => ({ id: `T${c.id}`, comments: { nodes: [{ databaseId: c.id }] } }))]
+        .map(thread => ({ ...thread, isResolved: false }));
+      const index = Number(vars.after || 0);
+      const pageInfo = { hasNextPage: index + 1 < threads.length, endCursor: String(index + 1) };
+      return { repository: { pullRequest: { reviewThreads: { nodes: threads.slice(index, index + 1), pageInfo } } } };
+    },
+    rest: {
+      pulls: {
+        listFiles: async () => [{ filename: 'src/page.html', patch: '@@ -1,2 +1,3 @@\n <main>\n+<img src="new.png">\n <p>Hi</p>' }],
+        listReviewComments: async () => state.reviewComments,
+        updateReviewComment: async ({ comment_id, body }) => {
+          state.reviewComments.find(c => c.id === comment_id).body = body;
+        },
+        createReview: async ({ comments, commit_id }) => {
+          state.reviews.push({ comments, commit_id });
+          comments.forEach(c => state.reviewComments.push({ id: state.nextId++, ...c }));
+          return { data: { id: 100 + state.reviews.length } };
+        },
+      },
+      issues: {
+        listComments: async () => state.issueComments,
+        createComment: async ({ body }) => {
+          const comment = { id: state.nextId++, body };
+          state.issueComments.push(comment);
+          return { data: comment };
+        },
+        updateComment: async ({ comment_id, body }) => {
+          state.issueComments.find(c => c.id === comment_id).body = body;
+        },
+      },
+    },
+  };
+
+  const page = '<main>\n<img src="new.png">\n<p>Hi</p>\n<img src="old.png">\n</main>';
+  const violations = (await analyzeFileHybrid(page, 'src/page.html')).filter(v => v.ruleId === 'img-missing-alt');
+  const results = (list) => ({
+    analyzedFiles: 1,
+    summary: { totalViolations: list.length, errors: list.length, warnings: 0 },
+    thresholds: { passed: list.length === 0, breaches: [] },
+    files: [{ filePath: 'src/page.html', violations: list }],
+  });
+  const pr = { owner: 'acme', repo: 'app', pullNumber: 7, commitId: 'abc123' };
+  const quiet = () => {};
+
+  const first = await publishReview(octokit, results(violations), pr, { log: quiet });
+  const [comment] = state.reviews[0]?.comments || [];
+  if (first.created !== 1 || first.outsideDiff !== 1 || comment.line !== 2 || comment.path !== 'src/page.html' || state.reviews[0].commit_id !== 'abc123') {
+    throw new Error(`Expected one inline comment on line 2, got ${JSON.stringify(first)}`);
+  }
+  if (comment.start_line !== undefined) {
+    throw new Error('A single-line violation should get a single-line comment');
+  }
+  if (!comment.body.includes('img-missing-alt') || !comment.body.includes('1.1.1') || !comment.body.includes('Suggestions')) {
+    throw new Error('Inline comments should include the rule, WCAG criteria and suggestions');
+  }
+  if (state.issueComments.length !== 1 || !state.issueComments[0].body.includes('src/page.html:4')) {
+    throw new Error('Violations outside the diff should be folded into the summary comment');
+  }
+
+  const again = await publishReview(octokit, results(violations), pr, { log: quiet });
+  if (again.created !== 0 || again.updated !== 0 || state.reviews.length !== 1 || state.issueComments.length !== 1) {
+    throw new Error('Re-running with the same findings should not post anything new');
+  }
+
+  const fixed = await publishReview(octokit, results(violations.filter(v => v.line !== 2)), pr, { log: quiet });
+  const resolvedThreads = state.graphql.filter(vars => vars.threadId).map(vars => vars.threadId);
+  if (fixed.resolved !== 1 || !state.reviewComments[0].body.startsWith('✅ **Resolved**') || resolvedThreads.join() !== `T${state.reviewComments[0].id}`) {
+    throw new Error('Fixed findings should have their comment marked and thread resolved');
+  }
+  if (state.issueComments.length !== 1 || !state.issueComments[0].body.includes('1 earlier comment(s) resolved')) {
+    throw new Error('The summary comment should be edited in place');
+  }
+
+  const legacy = Array.from({ length: 5000 }, (_, i) => ({ ...violations[1], line: i + 1, message: 'Image is missing alt text '.repeat(4) }));
+  const summary = formatSummary(results(legacy), { inDiff: 0, outsideDiff: legacy, resolved: 0 });
+  if (summary.length > 65536 || !summary.includes('…and ') || !summary.endsWith('</details>')) {
+    throw new Error(`The summary should stay under GitHub's comment limit, got ${summary.length} characters`);
+  }
+});
+
+// Test 37: Autofix edits
+suite.test('Applies autofix edits, skips overlapping ones and fixes until clean', async () => {
+  const page = '<main>\n<img src="spacer.gif">\n<img src="chart.png">\n<div onclick="go()" onkeydown="go()">Go</div>\n</main>';
+  const violations = await analyzeFileHybrid(page, 'page.html');
+  const decorative = violations.find(v => v.ruleId === 'img-missing-alt' && v.line === 2);
+  const meaningful = violations.find(v => v.ruleId === 'img-missing-alt' && v.line === 3);
+  if (!decorative?.autofix || meaningful?.autofix) {
+    throw new Error('Only the decorative image should get an alt="" fix');
+  }
+  if (!validateViolation(decorative).valid) {
+    throw new Error('Violations with an autofix should match the schema');
+  }
+
+  const { output } = applyFixes(page, violations);
+  if (!output.includes('<img alt="" src="spacer.gif">') || !output.includes('<div role="button" tabindex="0" onclick')) {
+    throw new Error(`Unexpected fixed HTML:\n${output}`);
+  }
+  const diff = createUnifiedDiff('page.html', page, output);
+  if (!diff.startsWith('--- a/page.html\n+++ b/page.html') || !diff.includes('+<img alt="" src="spacer.gif">')) {
+    throw new Error(`Unexpected diff:\n${diff}`);
+  }
+
+  const insert = { line: 1, column: 1, endLine: 1, endColumn: 1 };
+  const overlapping = applyFixes('abc', [
+    { ruleId: 'a', autofix: { title: 'a', edits: [{ ...insert, endColumn: 3, text: 'X' }] } },
+    { ruleId: 'b', autofix: { title: 'b', edits: [{ ...insert, column: 2, endColumn: 4, text: 'Y' }] } },
+  ]);
+  if (overlapping.output !== 'Xc' || overlapping.skipped.length !== 1) {
+    throw new Error('An edit overlapping an applied one should be skipped');
+  }
+
+  const css = 'a:focus {\n  outline: none;\n}\n';
+  const fixed = await fixContent(css, content => analyzeFileHybrid(content, 'style.css'));
+  if (!fixed.output.includes('a:focus:not(:focus-visible) {') || !fixed.output.includes('a:focus-visible {\n  outline: 2px solid currentColor;')) {
+    throw new Error(`Unexpected fixed CSS:\n${fixed.output}`);
+  }
+  if (fixed.remaining.some(v => v.ruleId === 'focus-outline-removed' || v.ruleId === 'outline-none-no-alternative')) {
+    throw new Error('The fixed stylesheet should no longer report the outline removal');
+  }
+});
+
+// Test 38: a11y-review command-line interface
+suite.test('CLI expands globs, applies --rule/--max-warnings and returns exit codes', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'a11y-cli-'));
+  fs.mkdirSync(path.join(dir, 'src'));
+  fs.mkdirSync(path.join(dir, 'node_modules', 'pkg'), { recursive: true });
+  fs.writeFileSync(path.join(dir, 'src', 'page.html'), '<html lang="en"><head><title>Home</title></head><body><main>\n<img src="a.png">\n</main></body></html>');
+  fs.writeFileSync(path.join(dir, 'src', 'notes.txt'), 'not analyzed');
+  fs.writeFileSync(path.join(dir, 'node_modules', 'pkg', 'index.html'), '<img src="b.png">');
+  const read = file => fs.readFileSync(path.join(dir, file), 'utf8');
+
+  try {
+    const failed = await runCli(['-f', 'junit', '-o', 'out/report.xml'], { cwd: dir });
+    const junit = read('out/report.xml');
+    if (failed !== EXIT_FAILED || !junit.includes('<testsuite name="src/page.html"') || !junit.includes('img-missing-alt (2:1)')) {
+      throw new Error(`Expected a failing run with a JUnit report, got exit ${failed}:\n${junit}`);
+    }
+    if (junit.includes('node_modules')) {
+      throw new Error('node_modules should never be walked');
+    }
+
+    const relaxed = await runCli(['src/**/*.html', '--rule', 'img-missing-alt:warning', '--max-warnings', '1', '-f', 'json', '-o', 'out/r.json'], { cwd: dir });
+    const json = JSON.parse(read('out/r.json'));
+    if (relaxed !== EXIT_OK || json.analyzedFiles !== 1 || json.files[0].violations[0].severity !== 'warning') {
+      throw new Error(`--rule should downgrade the finding and --max-warnings allow it, got exit ${relaxed}`);
+    }
+    const strict = await runCli(['src', '--rule', 'img-missing-alt:warning', '--max-warnings', '0', '-f', 'markdown', '-o', 'out/r.md'], { cwd: dir });
+    if (strict !== EXIT_FAILED || !read('out/r.md').includes('| 2:1 | 🟡 warning |')) {
+      throw new Error('--max-warnings 0 should fail on one warning');
+    }
+    // An explicit --max-warnings is enforced whatever the config says; the CLI has no baseline for failOnNew
+    fs.mkdirSync(path.join(dir, '.a11y'));
+    for (const config of [{ strictMode: false }, { failOnNew: true }]) {
+      fs.writeFileSync(path.join(dir, '.a11y', 'config.json'), JSON.stringify(config));
+      const code = await runCli(['src', '--rule', 'img-missing-alt:warning', '--max-warnings', '0', '-f', 'json', '-o', 'out/r.json'], { cwd: dir });
+      const { thresholds } = JSON.parse(read('out/r.json'));
+      if (code !== EXIT_FAILED || thresholds.breaches.join() !== '1 warning(s) exceed --max-warnings 0') {
+        throw new Error(`--max-warnings 0 should fail with ${JSON.stringify(config)}, got exit ${code}: ${thresholds.breaches}`);
+      }
+    }
+    fs.rmSync(path.join(dir, '.a11y'), { recursive: true });
+
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+      const noMatch = await runCli(['missing/*.html'], { cwd: dir });
+      const badRule = await runCli(['src', '--rule', 'img-missing-alt:loud'], { cwd: dir });
+      const badFormat = await runCli(['src', '--format', 'xml'], { cwd: dir });
+      if (noMatch !== EXIT_ERROR || badRule !== EXIT_ERROR || badFormat !== EXIT_ERROR) {
+        throw new Error('Usage errors and unmatched patterns should exit with 2');
+      }
+    } finally {
+      console.error = originalError;
+    }
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+// Test 39: Worker pool
+suite.test('Worker pool analyzes in parallel with the same results and order as a sequential run', async () => {
+  const files = [
+    ['page.html', '<main><img src="a.png"></main>'],
+    ['style.css', 'a:focus { outline: none; }'],
+    ['Card.jsx', 'export const Card = () => <div onClick={open}><img src="b.png" /></div>;'],
+    ['empty.html', '<html lang="en"><head><title>Ok</title></head><body><main><h1>Ok</h1></main></body></html>'],
+  ];
+
+  const sequential = [];
+  for (const [filePath, content] of files) {
+    sequential.push(await analyzeFileHybrid(content, filePath));
+  }
+
+  const pool = createAnalysisPool({ concurrency: 2 });
+  try {
+    const parallel = await Promise.all(files.map(([filePath, content]) => pool.analyze(content, filePath)));
+    if (JSON.stringify(parallel) !== JSON.stringify(sequential)) {
+      throw new Error('Parallel results should match the sequential run, file by file');
+    }
+    const failure = await pool.analyze('<main></main>', 'page.html', { mode: 'turbo' }).then(() => null, error => error);
+    if (!failure?.message.includes('Unknown analysis mode')) {
+      throw new Error('Errors thrown in a worker should reject that file only');
+    }
+  } finally {
+    await pool.close();
+  }
+  const closed = await pool.analyze('', 'page.html').then(() => null, error => error);
+  if (!closed) {
+    throw new Error('A closed pool should reject new work');
+  }
+});
+
+// Test 40: Result cache
+suite.test('Result cache reuses results until content, mode or rules change', async () => {
+  const cache = fs.mkdtempSync(path.join(os.tmpdir(), 'a11y-cache-'));
+  try {
+    const content = '<main><img src="a.png"></main>';
+    const fresh = await analyzeFileHybrid(content, 'page.html', { cache });
+    const entry = path.join(cache, getCacheNamespace({ mode: 'full' }), getContentKey(content, 'page.html').slice(0, 2),
+      `${getContentKey(content, 'page.html')}.json`);
+    if (!fs.existsSync(entry) || fs.readFileSync(entry, 'utf8') !== JSON.stringify(fresh)) {
+      throw new Error('The result should be stored under the content key');
+    }
+
+    // A hit is served from the entry, not re-analyzed
+    const marked = fresh.map(v => ({ ...v, message: 'from cache' }));
+    fs.writeFileSync(entry, JSON.stringify(marked));
+    const cached = await analyzeFileHybrid(content, 'page.html', { cache });
+    if (cached.length !== fresh.length || cached.some(v => v.message !== 'from cache')) {
+      throw new Error('Unchanged content should be served from the cache');
+    }
+
+    const config = { rules: { 'img-missing-alt': 'warning' } };
+    const namespace = getCacheNamespace({ mode: 'full' });
+    if (getCacheNamespace({ config, mode: 'full' }) === namespace || getCacheNamespace({ mode: 'fast' }) === namespace) {
+      throw new Error('Rule config and mode should select a different namespace');
+    }
+    const edited = await analyzeFileHybrid(`${content}\n`, 'page.html', { cache });
+    if (edited.some(v => v.message === 'from cache')) {
+      throw new Error('Changed content should miss the cache');
+    }
+
+    if (pruneCache(cache, { now: Date.now() + 8 * 24 * 60 * 60 * 1000 }) !== 2 || fs.readdirSync(cache).length !== 0) {
+      throw new Error('Entries unused for longer than maxAgeDays should be pruned');
+    }
+  } finally {
+    fs.rmSync(cache, { recursive: true, force: true });
+  }
+});
+
+// Test 41: Vue single-file components
+suite.test('Vue SFC blocks are analyzed by the HTML, JS and CSS analyzers at their own lines', async () => {
+  const sfc = [
+    '<template>',
+    '  <div class="card" @click="open">',
+    '    <img :src="photo">',
+    '    <img :alt="title" src="a.png">',
+    '    <!-- a11y-disable-next-line positive-tabindex -- legacy focus order -->',
+    '    <button :tabindex="3">Go</button>',
+    '  </div>',
+    '</template>',
+    '',
+    '<script setup lang="ts">',
+    "document.getElementById('menu').addEventListener('click', () => open());",
+    '</script>',
+    '',
+    '<style lang="scss" scoped>',
+    '$ring: blue;',
+    '.card:focus { outline: none; }',
+    '</style>',
+  ].join('\n');
+
+  const violations = await analyzeFileHybrid(sfc, 'src/Card.vue');
+  const at = (ruleId, line) => violations.find(v => v.ruleId === ruleId && v.line === line);
+
+  if (!at('div-as-button', 2)) {
+    throw new Error('@click on a <div> should be read as onclick');
+  }
+  if (!at('img-missing-alt', 3) || violations.some(v => v.ruleId === 'img-missing-alt' && v.line === 4)) {
+    throw new Error(':alt should count as an alt attribute');
+  }
+  if (violations.some(v => v.ruleId === 'positive-tabindex')) {
+    throw new Error('HTML comments in the template should suppress findings');
+  }
+  if (!violations.some(v => v.analyzer === 'js' && v.line === 11)) {
+    throw new Error('The <script> block should go through the JS analyzer');
+  }
+  const outline = violations.find(v => v.analyzer === 'css' && v.line === 16);
+  if (!outline?.snippet.includes('outline: none')) {
+    throw new Error('The SCSS <style> block should go through the CSS analyzer');
+  }
+  const pageRules = ['missing-lang', 'title-empty', 'missing-main-landmark'];
+  if (violations.some(v => pageRules.includes(v.ruleId))) {
+    throw new Error('Templates are fragments: page-level rules should not run');
+  }
+  if (violations.some(v => v.filePath !== 'src/Card.vue' || v.analyzer === 'eslint')) {
+    throw new Error('.vue files should not be routed to ESLint');
+  }
+
+  // The regex pre-pass reads <style> blocks, so hybrid mode passes them on
+  const save = '<template>\n  <button>Save</button>\n</template>\n\n<style>\nbutton { outline: none; }\n</style>\n';
+  const hybrid = await analyzeFileHybrid(save, 'src/Save.vue', { mode: 'hybrid' });
+  if (!hybrid.some(v => v.analyzer === 'css' && v.line === 6)) {
+    throw new Error('Hybrid mode should check the <style> block of a clean template');
+  }
+  if ((await analyzeFileHybrid('<div onclick="go()">Go</div>', 'notes.txt', { mode: 'full' })).length !== 0) {
+    throw new Error('Files no analyzer handles should not be routed to ESLint');
+  }
+});
+
+// Test 42: Svelte components
+suite.test('Svelte markup, script and style are analyzed at their own lines', async () => {
+  const component = [
+    '<script>',
+    '  export let items = [];',
+    '  let name = "";',
+    '</script>',
+    '',
+    '{#if items.length > 0 && name < "z"}',
+    '  {#each items as item}',
+    '    <img src={item.src}>',
+    '    <img src={item.src} alt={item.caption}>',
+    '  {/each}',
+    '{/if}',
+    '<div class="card" on:click={() => { open = !open; }}>Open</div>',
+    '<input bind:value={name}>',
+    '<label>Name <input bind:value={name} aria-required="true"></label>',
+    '',
+    '<style>',
+    '  .card:focus { outline: none; }',
+    '</style>',
+  ].join('\n');
+
+  const violations = await analyzeFileHybrid(component, 'src/Hero.svelte');
+  const ruleLines = ruleId => violations.filter(v => v.ruleId === ruleId && v.analyzer === 'html').map(v => v.line);
+
+  if (ruleLines('img-missing-alt').join() !== '8') {
+    throw new Error('Only the image without alt inside {#each} should be reported');
+  }
+  const button = violations.find(v => v.ruleId === 'div-as-button');
+  if (button?.line !== 12 || !button.snippet.includes('on:click={() => { open = !open; }}')) {
+    throw new Error('on:click without on:keydown should be reported with the original source');
+  }
+  if (ruleLines('form-input-missing-label').join() !== '13') {
+    throw new Error('bind:value inputs need a label; a wrapping <label> counts');
+  }
+  if (!violations.some(v => v.analyzer === 'css' && v.line === 17)) {
+    throw new Error('The <style> block should go through the CSS analyzer');
+  }
+  if (violations.some(v => v.ruleId.endsWith('parse-error') || v.ruleId === 'missing-main-landmark')) {
+    throw new Error('Svelte markup should parse as a fragment');
+  }
+
+  const save = '<button on:click={save}>Save</button>\n\n<style>\n  button { outline: none; }\n</style>\n';
+  const hybrid = await analyzeFileHybrid(save, 'src/Save.svelte', { mode: 'hybrid' });
+  if (!hybrid.some(v => v.analyzer === 'css' && v.line === 4)) {
+    throw new Error('Hybrid mode should check the <style> block of clean markup');
+  }
+});
+
+// Test 43: Angular templates
+suite.test('Angular templates read bindings as attributes, detected by name or config', async () => {
+  const template = [
+    '<div class="item" (click)="select(item)" *ngFor="let item of items">{{ item.name }}</div>',
+    '<div (click)="open()" (keydown.enter)="open()" [attr.role]="\'button\'" [tabIndex]="0">Open</div>',
+    '<button [attr.aria-label]="closeLabel"></button>',
+    '<button [innerText]="saveLabel"></button>',
+    '<input [attr.aria-label]="searchLabel" [(ngModel)]="query">',
+    '<input [(ngModel)]="query" #box>',
+    '<iframe [src]="url" [title]="frameTitle"></iframe>',
+    '<iframe [src]="url"></iframe>',
+  ].join('\n');
+  const expected = 'div-as-button:1,form-input-missing-label:6,iframe-missing-title:8';
+  const report = violations => violations
+    .filter(v => v.analyzer === 'html')
+    .map(v => `${v.ruleId}:${v.line}`)
+    .join();
+
+  const detected = await analyzeFileHybrid(template, 'src/app/nav/nav.component.html');
+  if (report(detected) !== expected) {
+    throw new Error(`*.component.html should be read as Angular, got ${report(detected)}`);
+  }
+  if (detected.some(v => v.ruleId === 'html-missing-lang')) {
+    throw new Error('The fast pass should treat Angular templates as fragments');
+  }
+
+  const config = normalizeConfig({ templates: { angular: ['src/app/**/*.html'] } }, { rootDir: '/repo' });
+  if (!validateConfig({ templates: { angular: ['src/app/**/*.html'] } }).valid) {
+    throw new Error('templates.angular should be a valid config key');
+  }
+  const configured = await analyzeFileHybrid(template, 'src/app/nav/nav.html', { config });
+  if (report(configured) !== expected) {
+    throw new Error(`templates.angular globs should select Angular mode, got ${report(configured)}`);
+  }
+  const plain = await analyzeFileHybrid(template, 'public/nav.html');
+  if (!plain.some(v => v.ruleId === 'button-empty' && v.line === 3)) {
+    throw new Error('Other HTML files should still be read as plain HTML');
+  }
+});
+
+// Test 44: Server-side templates
+suite.test('Server templates are masked in place before the HTML rules', async () => {
+  const report = violations => violations
+    .filter(v => v.analyzer !== 'regex' || v.ruleId === 'img-missing-alt')
+    .map(v => `${v.ruleId}:${v.line}`)
+    .join();
+
+  const handlebars = [
+    '{{!-- a11y-disable-next-line iframe-missing-title -- legacy embed --}}',
+    '<iframe src="{{embedUrl}}"></iframe>',
+    '{{#each images}}',
+    '  <img src="{{url}}" alt="{{alt}}">',
+    '  <img src="{{url}}">',
+    '{{/each}}',
+    '<button>{{label}}</button>',
+  ].join('\n');
+  const hbs = await analyzeFileHybrid(handlebars, 'views/gallery.hbs');
+  if (report(hbs) !== 'img-missing-alt:5') {
+    throw new Error(`Handlebars output tags should count as values, got ${report(hbs)}`);
+  }
+
+  const erb = '<img src="<%= photo.url %>" alt="<%= photo.caption %>">\n<% if admin %><button></button><% end %>';
+  if (report(await analyzeFileHybrid(erb, 'app/views/photos/_photo.html.erb')) !== 'button-empty:2') {
+    throw new Error('ERB tags inside attributes should not end the element');
+  }
+
+  const page = '<!DOCTYPE html>\n<html lang="{{ lang }}">\n<head><title>{% block title %}{% endblock %}</title></head>\n<body><main>{% block content %}{% endblock %}</main></body>\n</html>';
+  if (report(await analyzeFileHybrid(page, 'templates/base.njk')) !== 'title-empty:3') {
+    throw new Error('Nunjucks layouts should get the page-level rules');
+  }
+  const config = normalizeConfig({ templates: { nunjucks: ['templates/**/*.html'] } }, { rootDir: '/repo' });
+  const partial = await analyzeFileHybrid('<a href="{{ url }}">{{ title }}</a>\n<a href="{{ url }}"></a>', 'templates/link.html', { config });
+  if (report(partial) !== 'link-empty:2') {
+    throw new Error(`templates.nunjucks should select the template analyzer for partials, got ${report(partial)}`);
+  }
+});
+
+// Test 45: Markdown and MDX
+suite.test('Markdown checks images, links, headings and tables; HTML and MDX JSX go to their analyzers', async () => {
+  const report = violations => violations
+    .filter(v => v.analyzer !== 'regex')
+    .map(v => `${v.analyzer}:${v.ruleId}:${v.line}`)
+    .join();
+
+  const markdown = [
+    '---',
+    'title: Setup',
+    '---',
+    '# Setup',
+    '',
+    '![](architecture.png) To install, [click here](/install).',
+    '',
+    '### Options',
+    '',
+    '| | |',
+    '|---|---|',
+    '| cache | Reuse results |',
+    '',
+    '```html',
+    '<img src="example.png">',
+    '```',
+    '',
+    '<img src="diagram.png">',
+    '',
+    '# Troubleshooting',
+    '<!-- a11y-disable-next-line link-empty -- anchor for the docs site search -->',
+    '[](#faq)',
+  ].join('\n');
+  const expected = [
+    'markdown:img-missing-alt:6',
+    'markdown:link-non-descriptive:6',
+    'markdown:heading-hierarchy:8',
+    'markdown:table-missing-headers:10',
+    'html:img-missing-alt:18',
+    'markdown:heading-multiple-h1:20',
+  ].join();
+  const md = await analyzeFileHybrid(markdown, 'docs/setup.md');
+  if (report(md) !== expected) {
+    throw new Error(`Unexpected Markdown findings: ${report(md)}`);
+  }
+  if (analyzeFile(markdown, 'docs/setup.md').some(v => v.line === 15)) {
+    throw new Error('The fast pass should skip code blocks');
+  }
+
+  // The fast pass flags heading structure too, so hybrid mode passes such documents on
+  const guide = '---\n# generated\n---\n# Guide\n\n### Details\n\n# Appendix\n';
+  const fastHeadings = analyzeFile(guide, 'docs/guide.md').map(v => `${v.ruleId}:${v.line}`).join();
+  if (fastHeadings !== 'heading-level-skip:6,heading-multiple-h1:8') {
+    throw new Error(`Unexpected fast-pass heading findings: ${fastHeadings}`);
+  }
+  const hybridHeadings = report(await analyzeFileHybrid(guide, 'docs/guide.md', { mode: 'hybrid' }));
+  if (hybridHeadings !== 'markdown:heading-hierarchy:6,markdown:heading-multiple-h1:8') {
+    throw new Error(`Hybrid mode should run the Markdown rules on heading problems, got ${hybridHeadings}`);
+  }
+
+  const mdx = [
+    "import { Chart } from './chart'",
+    '',
+    '## Usage',
+    '',
+    '<Chart><img src="usage.png" /></Chart>',
+    '',
+    'Open the <a href="#" onClick={open}>settings</a> panel.',
+  ].join('\n');
+  const jsx = await analyzeFileHybrid(mdx, 'docs/usage.mdx');
+  if (report(jsx) !== 'eslint:jsx-a11y/alt-text:5,eslint:jsx-a11y/anchor-is-valid:7') {
+    throw new Error(`MDX JSX should go through jsx-a11y at its own lines, got ${report(jsx)}`);
+  }
+  if (jsx[0].snippet !== '<img src="usage.png" />') {
+    throw new Error(`MDX snippets should come from the document, got ${jsx[0].snippet}`);
+  }
+});
+
+// Test 46: Less, Sass and Stylus
+suite.test('Less, Sass and Stylus resolve nesting, mixins and variables before the CSS checks', async () => {
+  const report = violations => violations
+    .filter(v => v.analyzer === 'css')
+    .map(v => `${v.ruleId}:${v.line}:${v.column}`)
+    .join();
+
+  const less = '.no-outline() {\n  outline: none;\n}\n.btn {\n  color: #111;\n  &:focus {\n    .no-outline();\n  }\n}\n';
+  const lessFindings = report(await analyzeFileHybrid(less, 'styles/button.less'));
+  if (lessFindings !== 'focus-outline-removed:7:5') {
+    throw new Error(`Less mixin should be reported at its call, got ${lessFindings}`);
+  }
+
+  const sass = '=no-outline\n  outline: none\n\n.link\n  &:focus\n    +no-outline\n';
+  if (report(await analyzeFileHybrid(sass, 'styles/link.sass')) !== 'focus-outline-removed:6:5') {
+    throw new Error('Indented Sass should keep its lines and columns');
+  }
+
+  const stylus = 'brand = #777\n.card\n  color brand\n  background-color #888\n  &:focus\n    outline none\n';
+  const styl = report(await analyzeFileHybrid(stylus, 'styles/card.styl'));
+  if (styl !== 'low-contrast-text:2:1,focus-outline-removed:6:5') {
+    throw new Error(`Stylus variables and nested :focus should be resolved, got ${styl}`);
+  }
+
+  const vue = '<template>\n  <button class="save">Save</button>\n</template>\n\n<style lang="less">\n.save {\n  &:focus { outline: 0; }\n}\n</style>\n';
+  const sfc = await analyzeFileHybrid(vue, 'src/Save.vue');
+  if (!sfc.some(v => v.ruleId === 'focus-outline-removed' && v.line === 7)) {
+    throw new Error('<style lang="less"> should be analyzed');
+  }
+});
+
+// Test 47: CSS-in-JS
+suite.test('Styled templates and style objects go through the CSS rules at the script lines', async () => {
+  const source = [
+    "import styled, { css } from 'styled-components';",
+    '',
+    'const ring = css`',
+    '  outline: 2px solid ${p => p.theme.focus};',
+    '`;',
+    '',
+    'export const Save = styled.button`',
+    '  ${ring};',
+    '  &:focus {',
+    '    outline: none;',
+    '  }',
+    '`;',
+    '',
+    'export const Close = styled.button.attrs({ type: "button" })`',
+    '  outline: none;',
+    '  color: ${p => p.color};',
+    '`;',
+    '',
+    'export const Notice = () => (',
+    "  <p style={{ color: '#777', backgroundColor: '#888', fontSize: 10 }}>Saved</p>",
+    ');',
+  ].join('\n');
+  const violations = (await analyzeFileHybrid(source, 'src/Buttons.jsx')).filter(v => v.analyzer === 'css');
+  const report = violations.map(v => `${v.ruleId}:${v.line}`);
+  for (const expected of ['focus-outline-removed:10', 'focus-outline-removed:15', 'low-contrast-text:20', 'small-text-size:20']) {
+    if (!report.includes(expected)) {
+      throw new Error(`Expected ${expected}, got ${report.join()}`);
+    }
+  }
+  const removed = violations.find(v => v.ruleId === 'focus-outline-removed' && v.line === 10);
+  if (removed.column !== 5 || removed.snippet !== 'outline: none;' || !removed.autofix) {
+    throw new Error('Template findings should keep their column, snippet and autofix');
+  }
+  if (!/&:focus:not\(:focus-visible\)/.test(applyFixes(source, [removed]).output)) {
+    throw new Error('The :focus autofix should edit the template in place');
+  }
+  if (violations.some(v => v.line === 4 || v.ruleId === 'css-parse-error')) {
+    throw new Error('Interpolations should not be reported');
+  }
+
+  // The regex pre-pass does not read styled templates; hybrid mode checks them anyway
+  const plain = "import styled from 'styled-components';\n\nexport const Plain = styled.button`\n  outline: none;\n`;\n";
+  const full = (await analyzeFileHybrid(plain, 'src/Plain.tsx', { mode: 'full' })).map(v => `${v.ruleId}:${v.line}`);
+  const hybrid = (await analyzeFileHybrid(plain, 'src/Plain.tsx', { mode: 'hybrid' })).map(v => `${v.ruleId}:${v.line}`);
+  if (full.length === 0 || hybrid.join() !== full.join()) {
+    throw new Error(`Hybrid mode should report the styled template like full mode, got ${hybrid.join()} vs ${full.join()}`);
+  }
+});
+
+// Test 48: Cascade-aware contrast
+suite.test('Contrast is resolved across rules, inherited backgrounds, color functions and @media', async () => {
+  const css = [
+    'body { background: white; color: #222; }',
+    '.card { background-color: rebeccapurple; color: #fff; }',
+    '.card .title { color: hsl(270 50% 30%); }',
+    '.muted { color: rgb(0 0 0 / 40%); }',
+    '.hero { font-size: 24px; color: #949494; }',
+    '.banner { background: oklch(0.7 0.1 250); color: #fff; }',
+    '.photo { background: url(hero.jpg); color: #eee; }',
+    '.btn:focus-visible { outline: 2px solid #ddd; }',
+    'input { border: 1px solid #e0e0e0; }',
+    'select { border: 1px solid #ccc; background: #fff; color: #222; }',
+    '@media (prefers-color-scheme: dark) {',
+    '  body { background: #111; color: #eee; }',
+    '  .muted { color: rgb(255 255 255 / 90%); }',
+    '  .hero { color: #444; }',
+    '}',
+  ].join('\n');
+  const violations = await analyzeFileHybrid(css, 'styles/theme.css');
+  const contrast = violations.filter(v => /contrast/.test(v.ruleId));
+  const report = contrast.map(v => `${v.ruleId}:${v.line}`).sort().join();
+  const expected = [
+    'low-contrast-non-text:10', 'low-contrast-non-text:8', 'low-contrast-non-text:9',
+    'low-contrast-text:14', 'low-contrast-text:3', 'low-contrast-text:4', 'low-contrast-text:6',
+  ].join();
+  if (report !== expected) {
+    throw new Error(`Expected ${expected}, got ${report}`);
+  }
+
+  const title = contrast.find(v => v.line === 3);
+  if (!/#4d2673 and background #663399/.test(title.message) || !/background from \.card \(line 2\)/.test(title.message)) {
+    throw new Error(`Background should come from the ancestor rule, got: ${title.message}`);
+  }
+  const muted = contrast.find(v => v.line === 4);
+  if (!/2\.85:1/.test(muted.message)) {
+    throw new Error(`Translucent text should be composited over the background, got: ${muted.message}`);
+  }
+  const hero = contrast.find(v => v.line === 14);
+  if (!/in @media \(prefers-color-scheme: dark\)/.test(hero.message) || !/3:1 for large text/.test(hero.message)) {
+    throw new Error(`Large text in dark mode should be checked against 3:1, got: ${hero.message}`);
+  }
+  const ring = contrast.find(v => v.line === 8);
+  if (ring.column !== 22 || ring.severity !== 'warning' || !/Focus indicator #dddddd/.test(ring.message)) {
+    throw new Error('Focus rings should be reported at their declaration');
+  }
+
+  // Button borders and focus rings, against the page and the element's own background
+  const controls = [
+    'body { background: #fff; color: #222; }',
+    '.btn { background: #fff; border: 1px solid #ddd; color: #222; }',
+    '.primary { background: #0055cc; color: #fff; }',
+    '.primary:focus-visible { outline: 2px solid #0a4fb0; }',
+    '.ring:focus { box-shadow: 0 0 0 3px rgb(0 95 204 / 20%); }',
+    '.inset:focus { box-shadow: inset 0 0 0 2px #eee; background: #fff; }',
+    '.offset { background: #0055cc; color: #fff; }',
+    '.offset:focus { outline: 2px solid #0a4fb0; outline-offset: 2px; }',
+    'button.ok { border: 1px solid #767676; }',
+    '',
+  ].join('\n');
+  const nonText = (await analyzeFileHybrid(controls, 'styles/controls.css')).filter(v => v.ruleId === 'low-contrast-non-text');
+  if (nonText.map(v => v.line).join() !== '2,4,5,6') {
+    throw new Error(`Expected button border and focus ring findings on lines 2,4,5,6, got ${nonText.map(v => v.line).join()}`);
+  }
+  if (!/^Button border #dddddd/.test(nonText[0].message) || !/against the element's background #0055cc/.test(nonText[1].message)) {
+    throw new Error(`Unexpected messages: ${nonText.map(v => v.message).join(' | ')}`);
+  }
+
+  // No opaque background anywhere: the page behind is unknown, not white
+  const unknown = await analyzeFileHybrid('.a { color: #fff; background-color: transparent; }\n.b { color: #fff; background: rgb(0 0 0 / 10%); }\n', 'styles/overlay.css');
+  if (unknown.some(v => /contrast/.test(v.ruleId))) {
+    throw new Error(`Transparent backgrounds should not be checked against an assumed white page, got ${unknown.map(v => v.message).join(' | ')}`);
+  }
+});
+
+// Test 49: Variables and custom properties across files
+suite.test('Resolves $variables and var(--tokens) from imported files per theme, with traces', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'a11y-tokens-'));
+  fs.mkdirSync(path.join(dir, 'tokens'));
+  fs.writeFileSync(path.join(dir, 'tokens', '_colors.scss'), '$gray: #9a9a9a;\n$text: $gray !default;\n');
+  fs.writeFileSync(path.join(dir, 'theme.css'), [
+    ':root { --surface: #fff; --muted: #595959; --tap: 32px; }',
+    '[data-theme="dark"] { --surface: #121212; --muted: #5c5c5c; }',
+  ].join('\n'));
+
+  try {
+    const scssFile = path.join(dir, 'button.scss');
+    const scss = "@use 'tokens/colors' as c;\n.btn {\n  color: c.$text;\n  background: #fff;\n}\n";
+    const [low] = (await analyzeFileHybrid(scss, scssFile)).filter(v => v.ruleId === 'low-contrast-text');
+    if (!low || low.line !== 2 || low.trace?.map(entry => entry.name).join() !== '$gray,$text') {
+      throw new Error(`@use namespaced variables should resolve with a trace, got ${JSON.stringify(low)}`);
+    }
+    if (low.trace[0].filePath !== path.join(dir, 'tokens', '_colors.scss') || low.trace[0].line !== 1
+        || !validateViolation(low).valid) {
+      throw new Error('Trace entries should point at the partial');
+    }
+
+    const cssFile = path.join(dir, 'app.css');
+    const css = '@import "theme.css";\nbody { background: var(--surface); }\n.hint { color: var(--muted); }\n.btn { min-height: var(--tap); }\n.note { color: var(--unset); }\n';
+    const violations = await analyzeFileHybrid(css, cssFile);
+    const hint = violations.filter(v => v.ruleId === 'low-contrast-text');
+    if (hint.length !== 1 || hint[0].line !== 3 || !/in the \[data-theme="dark"\] theme/.test(hint[0].message)) {
+      throw new Error(`Only the dark theme should fail, got ${hint.map(v => v.message).join(' | ')}`);
+    }
+    if (!/--muted: #5c5c5c \(.*theme\.css:2\)/.test(hint[0].message)) {
+      throw new Error(`The message should name the custom property, got ${hint[0].message}`);
+    }
+    const target = violations.find(v => v.ruleId === 'insufficient-touch-target');
+    if (target?.trace?.[0]?.name !== '--tap') {
+      throw new Error('Sizes from custom properties should be checked and traced');
+    }
+
+    // Paths are relative to the configured root, not the working directory; an
+    // import not found next to the file is looked up from the root
+    fs.mkdirSync(path.join(dir, 'styles'));
+    fs.writeFileSync(path.join(dir, 'styles', 'palette.less'), '@muted: #9a9a9a;\n');
+    fs.writeFileSync(path.join(dir, 'tokens', 'base.styl'), 'muted = #9a9a9a\n');
+    const config = normalizeConfig({}, { rootDir: dir });
+    const less = "@import 'palette';\n.hint {\n  color: @muted;\n  background: #fff;\n}\n";
+    const stylus = "@import 'tokens/base'\n.hint\n  color muted\n  background #fff\n";
+    for (const [content, file] of [[less, 'styles/hint.less'], [stylus, 'styles/hint.styl']]) {
+      const found = (await analyzeFileHybrid(content, file, { config })).filter(v => v.ruleId === 'low-contrast-text');
+      if (found.length !== 1 || found[0].line !== 2) {
+        throw new Error(`${file}: imports should resolve from the configured root, got ${JSON.stringify(found)}`);
+      }
+    }
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+// Test 50: Design token contrast
+suite.test('Checks design token pairs for contrast per theme, following aliases', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'a11y-design-tokens-'));
+  fs.writeFileSync(path.join(dir, 'palette.json'), '{ "gray": { "400": { "value": "#9e9e9e" }, "900": { "value": "#121212" } } }');
+
+  try {
+    const tokens = [
+      '{',
+      '  "color": {',
+      '    "$type": "color",',
+      '    "text": {',
+      '      "default": { "$value": "#333333" },',
+      '      "muted": { "$value": "{gray.400}" },',
+      '      "disabled": { "$value": "#dddddd" }',
+      '    },',
+      '    "icon": { "subtle": { "$value": "#cccccc" } },',
+      '    "surface": { "default": { "$value": "#ffffff", "$extensions": { "mode": { "dark": "{gray.900}" } } } }',
+      '  }',
+      '}',
+    ].join('\n');
+    const config = normalizeConfig({ tokens: { base: ['palette.json'] } }, { rootDir: dir });
+    const violations = await analyzeFileHybrid(tokens, path.join(dir, 'colors.tokens.json'), { config, mode: 'hybrid' });
+    const [muted, dark] = violations.filter(v => v.ruleId === 'token-contrast-text');
+    if (muted?.line !== 6 || !/color\.text\.muted \(#9e9e9e\)/.test(muted.message) || muted.trace?.[0]?.name !== 'gray.400'
+        || !validateViolation(muted).valid) {
+      throw new Error(`The aliased muted text should fail on the surface with a trace, got ${violations.map(v => v.message).join(' | ')}`);
+    }
+    if (dark?.line !== 10 || !/color\.text\.default \(#333333\).*in the dark theme/.test(dark.message)) {
+      throw new Error('The dark theme should be reported at the mode value that fails');
+    }
+    const icon = violations.filter(v => v.ruleId === 'token-contrast-non-text');
+    if (icon.length !== 1 || icon[0].severity !== 'warning' || icon[0].line !== 9) {
+      throw new Error('Icon tokens should be checked for 3:1 in the light theme only');
+    }
+    if (violations.length !== 3 || violations.some(v => /text\.disabled/.test(v.message))) {
+      throw new Error('Passing pairs and disabled text tokens should not be reported');
+    }
+
+    const declared = normalizeConfig({
+      tokens: { files: ['design/*.json'], base: ['palette.json'], pairs: [{ foreground: 'color.text.default', background: 'color.surface.*' }] },
+    }, { rootDir: dir });
+    const only = await analyzeFileHybrid(tokens, path.join(dir, 'design', 'colors.json'), { config: declared });
+    if (only.some(v => v.analyzer === 'tokens' && v.ruleId !== 'token-contrast-text') || only.length !== 1 || !/dark theme/.test(only[0].message)) {
+      throw new Error(`Declared pairs replace the inferred ones, got ${only.map(v => v.message).join(' | ')}`);
+    }
+
+    const broken = await analyzeFileHybrid('{ "color": { "$value": "#333", } }', path.join(dir, 'broken.tokens'));
+    if (broken[0]?.ruleId !== 'token-parse-error') {
+      throw new Error('Invalid JSON should be reported');
+    }
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+// Test 51: @media-aware motion, forced-colors and reflow rules
+suite.test('Reduced motion, forced colors and reflow are checked per @media scope', async () => {
+  const css = [
+    '.spinner { animation: spin 1s linear infinite; }',
+    '.toast { animation: spin 500ms; }',
+    '.fade { animation: fade 300ms; }',
+    '.link { transition: color .2s; }',
+    '@keyframes spin { to { transform: rotate(360deg); } }',
+    '@keyframes fade { from { opacity: 0; } }',
+    '@media (prefers-reduced-motion: reduce) { .toast { animation: none; } }',
+    '.btn:focus-visible { outline: none; box-shadow: 0 0 0 3px #005fcc; }',
+    '@media (forced-colors: active) { .field { border: none; } }',
+    '.container { width: 1200px; }',
+    '.sidebar { width: 400px; }',
+    '@media (max-width: 600px) { .sidebar { width: auto; } }',
+    '@media (min-width: 1024px) { .wide { width: 960px; } }',
+    '',
+  ].join('\n');
+  const violations = await analyzeFileHybrid(css, 'media.css');
+  const lines = ruleId => violations.filter(v => v.ruleId === ruleId).map(v => v.line).join();
+
+  if (lines('animation-no-reduced-motion') !== '1') {
+    throw new Error(`Only .spinner moves without a reduced-motion override, got ${lines('animation-no-reduced-motion')}`);
+  }
+  if (lines('contrast-mode-missing') !== '8' || lines('forced-colors-override') !== '9') {
+    throw new Error('box-shadow-only focus and borders removed in forced colors should be reported');
+  }
+  if (lines('fixed-width-no-scale') !== '10') {
+    throw new Error(`Only widths that apply at 320px should be reported, got ${lines('fixed-width-no-scale')}`);
+  }
+
+  const tables = await analyzeFileHybrid('table { min-width: 800px; }\n.report td { width: 400px; }\n.grid { min-width: 800px; }\n', 'tables.css');
+  if (tables.filter(v => v.ruleId === 'fixed-width-no-scale').map(v => v.line).join() !== '3') {
+    throw new Error('Data tables are exempt from reflow (WCAG 1.4.10)');
+  }
+
+  const reset = '.spinner { animation: spin 1s infinite; }\n@keyframes spin { to { transform: rotate(1turn); } }\n'
+    + '@media (prefers-reduced-motion: reduce) { *, *::before { animation-duration: .01ms !important; } }\n'
+    + '@media screen and (-ms-high-contrast: active) { .x { border: 1px solid; } }\n';
+  const legacy = await analyzeFileHybrid(reset, 'reset.css');
+  if (legacy.some(v => v.ruleId === 'animation-no-reduced-motion') || !legacy.some(v => v.ruleId === 'contrast-mode-missing' && v.line === 4)) {
+    throw new Error('A universal reset should count, and -ms-high-contrast alone should be reported');
+  }
+});
+
+// Test 52: Page mode (HTML with its stylesheets and scripts)
+suite.test('Page mode checks elements against the stylesheets and scripts the page loads', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'a11y-page-'));
+  fs.writeFileSync(path.join(dir, 'site.css'), [
+    'body { background: #fff; color: #222; }',
+    'a { outline: none; }',
+    'a.ok:focus-visible { box-shadow: 0 0 0 2px #005fcc; }',
+    '.muted { color: #aaa; }',
+    '.sr-only { display: none; }',
+    '@media (max-width: 600px) { .fine { color: #eee; } }',
+    '',
+  ].join('\n'));
+  fs.writeFileSync(path.join(dir, 'app.js'), "document.querySelectorAll('.card').forEach(card => {\n  card.addEventListener('click', () => {});\n});\n");
+
+  try {
+    const html = [
+      '<!doctype html>',
+      '<html lang="en">',
+      '<head><title>Page</title>',
+      '<link rel="stylesheet" href="site.css">',
+      '<link rel="stylesheet" href="missing.css">',
+      '<link rel="stylesheet" href="../../../../etc/passwd">',
+      '</head>',
+      '<body>',
+      '<a href="/">Home</a> <a href="/about">About</a> <a class="ok" href="/x">X</a>',
+      '<p class="muted">Muted</p>',
+      '<p class="fine">Readable</p>',
+      '<span class="sr-only">Skip</span>',
+      '<div class="card">Open</div>',
+      '<script src="app.js"></script>',
+      '</body>',
+      '</html>',
+      '',
+    ].join('\n');
+    const filePath = path.join(dir, 'index.html');
+    const config = normalizeConfig({}, { rootDir: dir });
+    const violations = await analyzeFileHybrid(html, filePath, { config, page: true });
+    const page = violations.filter(v => v.analyzer === 'page');
+    const lines = ruleId => page.filter(v => v.ruleId === ruleId).map(v => v.line).join();
+
+    const focus = page.find(v => v.ruleId === 'focus-styles-missing');
+    if (lines('focus-styles-missing') !== '9' || !focus.message.includes('(and 1 more element)') || focus.trace?.[0]?.line !== 2) {
+      throw new Error(`Links without a focus style should be reported once at the first, got ${focus?.message}`);
+    }
+    const contrast = page.find(v => v.ruleId === 'low-contrast-text');
+    if (lines('low-contrast-text') !== '10' || contrast.trace?.map(entry => entry.value).join() !== 'color: #aaa,background: #fff') {
+      throw new Error(`Only .muted fails contrast at desktop width, got ${lines('low-contrast-text')}`);
+    }
+    if (lines('hidden-content-accessible') !== '12' || lines('div-as-button') !== '13' || lines('page-resource-missing') !== '5,6') {
+      throw new Error(`Hidden sr-only text, the script click target and the missing stylesheet should be reported, got ${page.map(v => `${v.ruleId}:${v.line}`).join()}`);
+    }
+
+    const escaped = page.find(v => v.ruleId === 'page-resource-missing' && v.line === 6);
+    if (!/outside the repository/.test(escaped.message)) {
+      throw new Error(`Files outside the repository root should not be read, got ${escaped.message}`);
+    }
+    // An in-repo stylesheet cannot @import its way out of the root either
+    const outside = fs.mkdtempSync(path.join(os.tmpdir(), 'a11y-outside-'));
+    try {
+      fs.writeFileSync(path.join(outside, 'secret.css'), '.note { color: #abcdef; }\n');
+      const secret = path.relative(dir, path.join(outside, 'secret.css')).split(path.sep).join('/');
+      fs.writeFileSync(path.join(dir, 'theme.css'), `@import '${secret}';\np { color: #222; }\n`);
+      const themed = '<!doctype html>\n<html lang="en"><head><title>Theme</title>\n<link rel="stylesheet" href="theme.css">\n</head><body><main><p class="note">Text</p></main></body></html>\n';
+      const found = await analyzeFileHybrid(themed, path.join(dir, 'theme.html'), { config, page: true });
+      const missing = found.filter(v => v.ruleId === 'page-resource-missing');
+      if (missing.length !== 1 || missing[0].line !== 3 || !/imports .*secret\.css, which is outside/.test(missing[0].message) || JSON.stringify(found).includes('abcdef')) {
+        throw new Error(`Imports outside the repository root should be reported and not read, got ${JSON.stringify(found)}`);
+      }
+    } finally {
+      fs.rmSync(outside, { recursive: true, force: true });
+    }
+
+    const outsideRoot = await analyzeFileHybrid(html, filePath, { config: normalizeConfig({}, { rootDir: path.join(dir, 'sub') }), page: true });
+    if (outsideRoot.filter(v => v.ruleId === 'page-resource-missing').length !== 4 || outsideRoot.some(v => v.ruleId === 'div-as-button')) {
+      throw new Error('With the page outside the root, none of its files should be read');
+    }
+
+    const plain = await analyzeFileHybrid(html, filePath);
+    if (plain.some(v => v.analyzer === 'page')) {
+      throw new Error('Page checks should only run in page mode');
+    }
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+// Test 53: Multi-line PR review comments
+suite.test('Multi-line review comments span lines of one hunk only', async () => {
+  const reviews = [];
+  const octokit = {
+    paginate: async (method, params) => method(params),
+    rest: {
+      pulls: {
+        listFiles: async () => [{ filename: 'a.html', patch: '@@ -1,2 +1,3 @@\n <main>\n+<div>\n <p>\n@@ -20,1 +21,2 @@\n <p>\n+</div>' }],
+        listReviewComments: async () => [],
+        createReview: async ({ comments }) => {
+          reviews.push(comments);
+          return { data: { id: 1 } };
+        },
+      },
+      issues: {
+        listComments: async () => [],
+        createComment: async ({ body }) => ({ data: { id: 2, body } }),
+      },
+    },
+  };
+  const violation = (line, endLine) => ({ ruleId: 'div-as-button', severity: 'error', message: 'x', line, endLine, helpUrl: 'https://example.com' });
+  const results = {
+    analyzedFiles: 1,
+    summary: { totalViolations: 2, errors: 2, warnings: 0 },
+    files: [{ filePath: 'a.html', violations: [violation(2, 3), violation(2, 22)] }],
+  };
+  await publishReview(octokit, results, { owner: 'o', repo: 'r', pullNumber: 1, commitId: 'c' }, { log: () => {} });
+  const [within, across] = reviews[0];
+  if (within.start_line !== 2 || within.line !== 3 || across.start_line !== undefined || across.line !== 22) {
+    throw new Error(`Only a range inside one hunk should get start_line, got ${JSON.stringify(reviews[0])}`);
+  }
+});
+
+// Test 54: Regex false positives do not survive the AST analyzers
+suite.test('Full mode reports nothing for markup the regex pass misreads', async () => {
+  const jsx = [
+    'export function Go({ go }) {',
+    '  return <div onClick={go} onKeyDown={go} role="button" tabIndex={0}>Go</div>;',
+    '}',
+  ].join('\n');
+  const html = [
+    '<!DOCTYPE html>',
+    '<html lang="en"><head><title>Go</title></head>',
+    '<body><main>',
+    '<div onclick="go()" onkeydown="go()" role="button" tabindex="0">Go</div>',
+    '</main></body></html>',
+  ].join('\n');
+  const section = 'export const Section = () => <section><h2>Details</h2><button><Icon /></button></section>;';
+
+  for (const [content, file] of [[jsx, 'Go.jsx'], [html, 'go.html'], [section, 'Section.jsx']]) {
+    const fast = await analyzeFileHybrid(content, file, { mode: 'fast' });
+    const full = await analyzeFileHybrid(content, file, { mode: 'full' });
+    if (fast.length === 0) {
+      throw new Error(`${file}: expected the regex pass to flag it`);
+    }
+    if (full.length !== 0) {
+      throw new Error(`${file}: expected no findings in full mode, got ${full.map(v => v.ruleId).join(', ')}`);
+    }
+  }
+});
+
 // Run the test suite
 suite.run().then(success => {
   process.exit(success ? 0 : 1);